@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Club = require('../models/Club');
 const PasswordResetRequest = require('../models/PasswordResetRequest');
 const { sendTokenResponse } = require('../utils/auth');
+const { isValidUpiVpa, normalizeUpiVpa } = require('../utils/upi');
 
 // @desc    Register user
 // @route   POST /api/auth/register
@@ -164,14 +165,22 @@ exports.updateProfile = async (req, res, next) => {
 
     // Organizer profile updates (only for organizer role)
     if (req.user.role === 'Organizer' && req.body.organizerProfile) {
-      const { name, category, description, contactEmail, contactNumber } = req.body.organizerProfile;
+      const { name, category, description, contactEmail, contactNumber, upiVpa } = req.body.organizerProfile;
+      if (upiVpa && !isValidUpiVpa(upiVpa)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please enter a valid UPI ID (for example club@okaxis)'
+        });
+      }
       fieldsToUpdate.organizerProfile = {
         ...(existingUser.organizerProfile || {}),
         ...(name && { name }),
         ...(category && { category }),
         ...(description && { description }),
         ...(contactEmail && { contactEmail }),
-        ...(contactNumber && { contactNumber })
+        ...(contactNumber && { contactNumber }),
+        // An empty value removes the UPI ID
+        ...(upiVpa !== undefined && { upiVpa: normalizeUpiVpa(upiVpa) || undefined })
       };
     }
 
@@ -0,0 +1,246 @@
+const Certificate = require('../models/Certificate');
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const {
+  getCertificateEligibilityError,
+  getCertificateVerifyUrl,
+  issueCertificate,
+  renderCertificatePdf
+} = require('../utils/certificates');
+const { sendCertificateMail } = require('../utils/mailer');
+
+const ORGANIZER_FIELDS = 'firstName lastName organizerProfile';
+
+// @desc    Get certificates earned by the current participant
+// @route   GET /api/certificates/my
+// @access  Private (Participant)
+exports.getMyCertificates = async (req, res, next) => {
+  try {
+    const registrations = await Registration.find({
+      user: req.user.id,
+      status: 'confirmed',
+      checkedIn: true
+    }).populate({
+      path: 'event',
+      select: 'title date venue certificate organizer',
+      populate: { path: 'organizer', select: ORGANIZER_FIELDS }
+    });
+
+    const eligible = registrations.filter(reg => reg.event && !getCertificateEligibilityError(reg, reg.event));
+    const certificates = [];
+    for (const registration of eligible) {
+      const certificate = await issueCertificate(registration, registration.event);
+      certificates.push({
+        ...certificate.toObject(),
+        registrationId: registration._id,
+        venue: registration.event.venue
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      data: certificates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the certificate PDF for a registration
+// @route   GET /api/certificates/registration/:registrationId/pdf
+// @access  Private (Owner or Organizer/Admin)
+exports.downloadCertificate = async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId).populate({
+      path: 'event',
+      populate: { path: 'organizer', select: ORGANIZER_FIELDS }
+    });
+
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const isOwner = registration.user.toString() === req.user.id;
+    const isOrganizer = registration.event.organizer?._id?.toString() === req.user.id;
+    if (!isOwner && !isOrganizer && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this certificate'
+      });
+    }
+
+    const eligibilityError = getCertificateEligibilityError(registration, registration.event);
+    if (eligibilityError) {
+      return res.status(400).json({
+        success: false,
+        message: eligibilityError
+      });
+    }
+
+    const certificate = await issueCertificate(registration, registration.event);
+    const pdf = await renderCertificatePdf(certificate, registration.event);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="certificate-${certificate.code}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get certificate issue status for an event
+// @route   GET /api/certificates/event/:eventId
+// @access  Private (Organizer/Admin)
+exports.getEventCertificates = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId).select('organizer certificate');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view certificates for this event'
+      });
+    }
+
+    const [eligible, certificates] = await Promise.all([
+      Registration.countDocuments({ event: event._id, status: 'confirmed', checkedIn: true }),
+      Certificate.find({ event: event._id }).sort('-issuedAt')
+    ]);
+
+    res.status(200).json({
+      success: true,
+      count: certificates.length,
+      stats: {
+        enabled: Boolean(event.certificate?.enabled),
+        eligible,
+        issued: certificates.length,
+        emailed: certificates.filter(cert => cert.emailedAt).length
+      },
+      data: certificates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Email certificates to every checked-in participant of an event
+// @route   POST /api/certificates/event/:eventId/email
+// @access  Private (Organizer/Admin)
+exports.emailEventCertificates = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId).populate('organizer', ORGANIZER_FIELDS);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer._id.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send certificates for this event'
+      });
+    }
+
+    if (!event.certificate?.enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enable certificates for this event before sending them'
+      });
+    }
+
+    // Already-emailed certificates are skipped unless a resend is requested
+    const resend = Boolean(req.body?.resend);
+    const registrations = await Registration.find({
+      event: event._id,
+      status: 'confirmed',
+      checkedIn: true
+    });
+
+    const summary = { sent: 0, skipped: 0, failed: 0 };
+    for (const registration of registrations) {
+      try {
+        const certificate = await issueCertificate(registration, event);
+        if (certificate.emailedAt && !resend) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        const pdf = await renderCertificatePdf(certificate, event);
+        const result = await sendCertificateMail({
+          to: registration.email,
+          participantName: certificate.participantName,
+          eventTitle: certificate.eventTitle,
+          code: certificate.code,
+          verifyUrl: getCertificateVerifyUrl(certificate.code),
+          pdf
+        });
+
+        if (result.skipped) {
+          summary.skipped += 1;
+          continue;
+        }
+
+        certificate.emailedAt = new Date();
+        await certificate.save();
+        summary.sent += 1;
+      } catch (err) {
+        summary.failed += 1;
+        console.error(`Failed to send certificate for ${registration.ticketId}:`, err.message);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Sent ${summary.sent} certificate(s), skipped ${summary.skipped}, failed ${summary.failed}`,
+      data: summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify a certificate by its code
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+exports.verifyCertificate = async (req, res, next) => {
+  try {
+    const code = String(req.params.code || '').trim().toUpperCase();
+    const certificate = await Certificate.findOne({ code });
+
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        message: 'No certificate matches this code'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Certificate is authentic',
+      data: {
+        code: certificate.code,
+        participantName: certificate.participantName,
+        eventTitle: certificate.eventTitle,
+        eventDate: certificate.eventDate,
+        organizerName: certificate.organizerName,
+        issuedAt: certificate.issuedAt
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,304 @@
+const DiscountCode = require('../models/DiscountCode');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const User = require('../models/User');
+const {
+  normalizeCode,
+  findCodeForEvent,
+  calculateDiscount,
+  getCodeUsageError
+} = require('../utils/discounts');
+const { isValidObjectId } = require('../utils/validators');
+
+const isOwnerOrAdmin = (ownerId, user) => ownerId?.toString() === user.id || user.role === 'Admin';
+
+const EDITABLE_FIELDS = ['description', 'value', 'usageLimit', 'perUserLimit', 'expiresAt', 'isActive'];
+
+const validateDiscountValue = (discountType, value) => {
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    return 'Discount value must be greater than 0';
+  }
+  if (discountType === 'percentage' && amount > 100) {
+    return 'Percentage discounts cannot exceed 100%';
+  }
+  return null;
+};
+
+// @desc    Create discount code
+// @route   POST /api/discounts
+// @access  Private (Organizer/Admin)
+exports.createDiscountCode = async (req, res, next) => {
+  try {
+    const { code, description, scope = 'event', eventId, discountType, value, usageLimit, perUserLimit, expiresAt } = req.body;
+
+    if (!normalizeCode(code)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Code is required'
+      });
+    }
+
+    if (!['percentage', 'flat'].includes(discountType)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Discount type must be percentage or flat'
+      });
+    }
+
+    const valueError = validateDiscountValue(discountType, value);
+    if (valueError) {
+      return res.status(400).json({
+        success: false,
+        message: valueError
+      });
+    }
+
+    let organizerId = req.user.id;
+    if (scope === 'event') {
+      const event = await Event.findById(eventId);
+      if (!event) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+
+      if (!isOwnerOrAdmin(event.organizer, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to create codes for this event'
+        });
+      }
+      organizerId = event.organizer;
+    } else if (scope !== 'club') {
+      return res.status(400).json({
+        success: false,
+        message: 'Scope must be event or club'
+      });
+    } else if (req.user.role === 'Admin') {
+      // Club codes belong to the club they discount, never to the admin
+      const organizer = isValidObjectId(req.body.organizerId)
+        ? await User.findOne({ _id: req.body.organizerId, role: 'Organizer' }).select('_id')
+        : null;
+      if (!organizer) {
+        return res.status(400).json({
+          success: false,
+          message: 'Choose the club organizer this code belongs to'
+        });
+      }
+      organizerId = organizer._id;
+    }
+
+    const existing = await DiscountCode.findOne({ organizer: organizerId, code: normalizeCode(code) });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'A discount code with this name already exists'
+      });
+    }
+
+    const discountCode = await DiscountCode.create({
+      code,
+      description,
+      scope,
+      event: scope === 'event' ? eventId : undefined,
+      organizer: organizerId,
+      discountType,
+      value: Number(value),
+      usageLimit: usageLimit ? Number(usageLimit) : undefined,
+      perUserLimit: perUserLimit ? Number(perUserLimit) : 1,
+      expiresAt: expiresAt || undefined
+    });
+
+    res.status(201).json({
+      success: true,
+      data: discountCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get organizer's discount codes with redemption counts
+// @route   GET /api/discounts
+// @access  Private (Organizer/Admin)
+exports.getDiscountCodes = async (req, res, next) => {
+  try {
+    const filter = req.user.role === 'Admin' ? {} : { organizer: req.user.id };
+    if (req.query.eventId) {
+      filter.$or = [{ event: req.query.eventId }, { scope: 'club' }];
+    }
+
+    const codes = await DiscountCode.find(filter)
+      .populate('event', 'title date')
+      .sort('-createdAt');
+
+    const totals = await Registration.aggregate([
+      {
+        $match: {
+          'discount.codeId': { $in: codes.map(c => c._id) },
+          status: { $nin: ['cancelled', 'rejected'] }
+        }
+      },
+      {
+        $group: {
+          _id: '$discount.codeId',
+          redemptions: { $sum: 1 },
+          totalDiscount: { $sum: '$discount.amount' }
+        }
+      }
+    ]);
+    const totalsById = new Map(totals.map(t => [t._id.toString(), t]));
+
+    const data = codes.map(code => {
+      const stats = totalsById.get(code._id.toString());
+      return {
+        ...code.toObject(),
+        redemptions: stats?.redemptions || 0,
+        totalDiscount: stats?.totalDiscount || 0,
+        isExpired: Boolean(code.expiresAt && code.expiresAt < new Date())
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update discount code limits or deactivate it
+// @route   PUT /api/discounts/:id
+// @access  Private (Organizer/Admin)
+exports.updateDiscountCode = async (req, res, next) => {
+  try {
+    const discountCode = await DiscountCode.findById(req.params.id);
+    if (!discountCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(discountCode.organizer, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to update this discount code'
+      });
+    }
+
+    if (req.body.value !== undefined) {
+      const valueError = validateDiscountValue(discountCode.discountType, req.body.value);
+      if (valueError) {
+        return res.status(400).json({
+          success: false,
+          message: valueError
+        });
+      }
+    }
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        discountCode[field] = req.body[field] === '' ? undefined : req.body[field];
+      }
+    });
+    await discountCode.save();
+
+    res.status(200).json({
+      success: true,
+      data: discountCode
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete discount code
+// @route   DELETE /api/discounts/:id
+// @access  Private (Organizer/Admin)
+exports.deleteDiscountCode = async (req, res, next) => {
+  try {
+    const discountCode = await DiscountCode.findById(req.params.id);
+    if (!discountCode) {
+      return res.status(404).json({
+        success: false,
+        message: 'Discount code not found'
+      });
+    }
+
+    if (!isOwnerOrAdmin(discountCode.organizer, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to delete this discount code'
+      });
+    }
+
+    // Redeemed codes are kept so past registrations still resolve; deactivate instead
+    if (discountCode.usedCount > 0) {
+      discountCode.isActive = false;
+      await discountCode.save();
+    } else {
+      await discountCode.deleteOne();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview a discount code before registering
+// @route   POST /api/discounts/validate
+// @access  Private
+exports.validateDiscountCode = async (req, res, next) => {
+  try {
+    const { eventId, code, amount } = req.body;
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    const discountCode = await findCodeForEvent(code, event);
+    if (!discountCode) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid discount code'
+      });
+    }
+
+    const usageError = await getCodeUsageError(discountCode, req.user.id);
+    if (usageError) {
+      return res.status(400).json({
+        success: false,
+        message: usageError
+      });
+    }
+
+    const baseAmount = Number(amount ?? event.registrationFee) || 0;
+    const discountAmount = calculateDiscount(discountCode, baseAmount);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        code: discountCode.code,
+        discountType: discountCode.discountType,
+        value: discountCode.value,
+        discountAmount,
+        finalAmount: Math.max(baseAmount - discountAmount, 0)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
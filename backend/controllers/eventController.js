@@ -1,8 +1,27 @@
 const Event = require('../models/Event');
 const Registration = require('../models/Registration');
 const User = require('../models/User');
+const Team = require('../models/Team');
+const EventSeries = require('../models/EventSeries');
 const { postEventToDiscord } = require('../utils/discord');
 const { normalizeEligibility } = require('../utils/eligibility');
+const { validateTicketTiers, withTierAvailability, releaseTierFor } = require('../utils/ticketTiers');
+const { validateRecurrence, generateOccurrenceDates, buildOccurrences } = require('../utils/recurrence');
+const {
+  validateSessions,
+  getSessionCounts,
+  releaseSessionsFor,
+  withSessionAvailability
+} = require('../utils/sessions');
+const { SEAT_HOLDING_STATUSES } = require('../utils/waitlist');
+const { releaseCode } = require('../utils/discounts');
+const { createRefundRequest } = require('../utils/refunds');
+const { releaseStockFor } = require('../utils/reservations');
+const { closeEventPosts } = require('../utils/teammatePosts');
+const { sendEventCancelledMail } = require('../utils/mailer');
+
+// Absolute dates stay per-occurrence when an edit is applied to future occurrences
+const SERIES_LOCAL_FIELDS = ['date', 'endDate', 'registrationDeadline', 'status', 'lifecycleStatus', 'ticketTiers', 'sessions'];
 
 const getEligibilityAliases = (eligibility) => {
   const normalized = normalizeEligibility(eligibility);
@@ -31,6 +50,56 @@ const computeLifecycleStatus = (event) => {
   return 'published';
 };
 
+const STARTED_LIFECYCLE_STATUSES = ['ongoing', 'completed', 'closed'];
+
+/**
+ * Check an edit against the event's lifecycle and registrations. Published
+ * events only take description, deadline, capacity, certificate or closing
+ * changes, with capacity and deadline only growing; started or closed ones
+ * only lifecycle, closing and certificate changes. Admins may edit anything,
+ * but nobody can take capacity below the seats already taken. Returns an
+ * error message, or null when the edit is allowed.
+ */
+const getEditError = (event, updates, role) => {
+  const hasCapacity = updates.capacity !== undefined || updates.maxParticipants !== undefined;
+  const nextCap = Number(updates.capacity !== undefined ? updates.capacity : updates.maxParticipants);
+  if (hasCapacity && !Number.isNaN(nextCap) && nextCap < (event.registered || 0)) {
+    return `Capacity cannot be lower than the ${event.registered} seats already taken`;
+  }
+
+  if (role === 'Admin') {
+    return null;
+  }
+
+  const lifecycleStatus = computeLifecycleStatus(event);
+  if (lifecycleStatus === 'published') {
+    const allowed = ['description', 'registrationDeadline', 'capacity', 'maxParticipants', 'isClosed', 'certificate'];
+    if (Object.keys(updates).some(key => !allowed.includes(key))) {
+      return 'Only description, deadline, capacity, certificate settings, or closing is allowed after publish';
+    }
+
+    const currentCap = Math.max(event.capacity || 0, event.maxParticipants || 0);
+    if (hasCapacity && !Number.isNaN(nextCap) && nextCap < currentCap) {
+      return 'Capacity can only be increased after publish';
+    }
+
+    if (updates.registrationDeadline && event.registrationDeadline
+      && new Date(updates.registrationDeadline) < new Date(event.registrationDeadline)) {
+      return 'Registration deadline can only be extended after publish';
+    }
+  }
+
+  // Certificates are usually set up once the event is over
+  if (STARTED_LIFECYCLE_STATUSES.includes(lifecycleStatus)) {
+    const allowed = ['lifecycleStatus', 'isClosed', 'certificate'];
+    if (Object.keys(updates).some(key => !allowed.includes(key))) {
+      return 'Event cannot be edited after it has started or closed';
+    }
+  }
+
+  return null;
+};
+
 const applyLifecycleStatus = (event) => {
   const computed = computeLifecycleStatus(event);
   if (event.lifecycleStatus !== computed && computed !== 'draft') {
@@ -85,6 +154,61 @@ exports.createEvent = async (req, res, next) => {
           message: 'Merchandise details and stock are required'
         });
       }
+      delete req.body.ticketTiers;
+    }
+
+    const tierError = validateTicketTiers(req.body.ticketTiers, req.body.capacity || req.body.maxParticipants);
+    if (tierError) {
+      return res.status(400).json({
+        success: false,
+        message: tierError
+      });
+    }
+
+    const sessionError = validateSessions(req.body.sessions, req.body);
+    if (sessionError) {
+      return res.status(400).json({
+        success: false,
+        message: sessionError
+      });
+    }
+
+    const { recurrence } = req.body;
+    delete req.body.recurrence;
+
+    if (recurrence) {
+      const recurrenceError = validateRecurrence(recurrence, req.body.date);
+      if (recurrenceError) {
+        return res.status(400).json({
+          success: false,
+          message: recurrenceError
+        });
+      }
+
+      const dates = generateOccurrenceDates(new Date(req.body.date), recurrence);
+      if (dates.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Recurrence rule does not produce any occurrences'
+        });
+      }
+
+      const series = await EventSeries.create({
+        title: req.body.title,
+        organizer: req.user.id,
+        recurrence
+      });
+      const occurrences = await Event.insertMany(
+        buildOccurrences({ ...req.body, series: series._id }, dates)
+      );
+
+      return res.status(201).json({
+        success: true,
+        count: occurrences.length,
+        data: occurrences[0],
+        series,
+        occurrences
+      });
     }
 
     const event = await Event.create(req.body);
@@ -315,10 +439,12 @@ exports.getEvent = async (req, res, next) => {
       });
     }
 
+    const data = await withSessionAvailability(await withTierAvailability(applyLifecycleStatus(event)));
+
     res.status(200).json({
       success: true,
       data: {
-        ...applyLifecycleStatus(event).toObject(),
+        ...data,
         lifecycleStatus: computeLifecycleStatus(event)
       }
     });
@@ -327,6 +453,38 @@ exports.getEvent = async (req, res, next) => {
   }
 };
 
+// @desc    Get event series with its occurrences
+// @route   GET /api/events/series/:seriesId
+// @access  Public
+exports.getEventSeries = async (req, res, next) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const occurrences = await Event.find({ series: series._id })
+      .select('title date endDate time location registrationDeadline status lifecycleStatus registered capacity maxParticipants registrationFee seriesIndex isClosed')
+      .sort('date');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...series.toObject(),
+        occurrences: occurrences.map(occurrence => ({
+          ...applyLifecycleStatus(occurrence).toObject(),
+          lifecycleStatus: computeLifecycleStatus(occurrence)
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update event
 // @route   PUT /api/events/:id
 // @access  Private (Organizer - own events or Admin)
@@ -352,11 +510,18 @@ exports.updateEvent = async (req, res, next) => {
     // Don't allow changing organizer
     delete req.body.organizer;
 
-    const effectiveLifecycleStatus = computeLifecycleStatus(event);
+    const applyToFuture = req.body.applyTo === 'future' && Boolean(event.series);
+    delete req.body.applyTo;
+
+    const futureOccurrences = applyToFuture
+      ? await Event.find({ series: event.series, date: { $gt: event.date }, _id: { $ne: event._id } })
+      : [];
 
     // Prevent custom field edits after first registration
     if (req.body.customFields) {
-      const registrationCount = await Registration.countDocuments({ event: event._id });
+      const registrationCount = await Registration.countDocuments({
+        event: { $in: [event._id, ...futureOccurrences.map(occurrence => occurrence._id)] }
+      });
       if (registrationCount > 0) {
         return res.status(400).json({
           success: false,
@@ -366,56 +531,12 @@ exports.updateEvent = async (req, res, next) => {
     }
 
     // Enforce editing rules based on lifecycle status
-    if (req.user.role !== 'Admin') {
-      if (effectiveLifecycleStatus === 'published') {
-        const allowed = ['description', 'registrationDeadline', 'capacity', 'maxParticipants', 'isClosed'];
-        const invalid = Object.keys(req.body).filter(key => !allowed.includes(key));
-        if (invalid.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message: 'Only description, deadline, capacity, or closing is allowed after publish'
-          });
-        }
-
-        if (req.body.capacity !== undefined || req.body.maxParticipants !== undefined) {
-          const currentCap = Math.max(event.capacity || 0, event.maxParticipants || 0);
-          const nextCap = Number(
-            req.body.capacity !== undefined
-              ? req.body.capacity
-              : req.body.maxParticipants !== undefined
-                ? req.body.maxParticipants
-                : currentCap
-          );
-          if (!Number.isNaN(nextCap) && nextCap < currentCap) {
-            return res.status(400).json({
-              success: false,
-              message: 'Capacity can only be increased after publish'
-            });
-          }
-        }
-
-        if (req.body.registrationDeadline && event.registrationDeadline) {
-          const currentDeadline = new Date(event.registrationDeadline);
-          const nextDeadline = new Date(req.body.registrationDeadline);
-          if (nextDeadline < currentDeadline) {
-            return res.status(400).json({
-              success: false,
-              message: 'Registration deadline can only be extended after publish'
-            });
-          }
-        }
-      }
-
-      if (effectiveLifecycleStatus === 'ongoing' || effectiveLifecycleStatus === 'completed' || effectiveLifecycleStatus === 'closed') {
-        const allowed = ['lifecycleStatus', 'isClosed'];
-        const invalid = Object.keys(req.body).filter(key => !allowed.includes(key));
-        if (invalid.length > 0) {
-          return res.status(400).json({
-            success: false,
-            message: 'Event cannot be edited after it has started or closed'
-          });
-        }
-      }
+    const editError = getEditError(event, req.body, req.user.role);
+    if (editError) {
+      return res.status(400).json({
+        success: false,
+        message: editError
+      });
     }
 
     if (req.body.date || req.body.endDate) {
@@ -440,8 +561,49 @@ exports.updateEvent = async (req, res, next) => {
       }
     }
 
-    // If published event was approved and modified, set back to pending
-    if (event.status === 'approved' && req.user.role !== 'Admin') {
+    if (req.body.ticketTiers) {
+      const tierError = validateTicketTiers(
+        req.body.ticketTiers,
+        req.body.capacity || req.body.maxParticipants || event.capacity || event.maxParticipants
+      );
+      if (tierError) {
+        return res.status(400).json({
+          success: false,
+          message: tierError
+        });
+      }
+    }
+
+    if (req.body.sessions) {
+      const sessionError = validateSessions(req.body.sessions, {
+        date: req.body.date || event.date,
+        endDate: req.body.endDate || event.endDate
+      });
+      if (sessionError) {
+        return res.status(400).json({
+          success: false,
+          message: sessionError
+        });
+      }
+
+      // Sessions participants already picked cannot be dropped from the agenda
+      const sessionCounts = await getSessionCounts(event._id);
+      const keptIds = new Set(req.body.sessions.filter(s => s._id).map(s => s._id.toString()));
+      const removedWithSignups = event.sessions.find(session =>
+        !keptIds.has(session._id.toString()) && sessionCounts.get(session._id.toString())
+      );
+      if (removedWithSignups) {
+        return res.status(400).json({
+          success: false,
+          message: `Session "${removedWithSignups.title}" already has registrations and cannot be removed`
+        });
+      }
+    }
+
+    // If published event was approved and modified, set back to pending.
+    // Certificate settings alone do not change what participants signed up for.
+    const certificateOnly = Object.keys(req.body).every(key => key === 'certificate');
+    if (event.status === 'approved' && req.user.role !== 'Admin' && !certificateOnly) {
       req.body.status = 'pending';
     }
 
@@ -450,8 +612,37 @@ exports.updateEvent = async (req, res, next) => {
       runValidators: true
     });
 
+    let updatedOccurrences = 0;
+    const skippedOccurrences = [];
+    if (applyToFuture && futureOccurrences.length > 0) {
+      const seriesUpdates = { ...req.body };
+      SERIES_LOCAL_FIELDS.forEach(field => delete seriesUpdates[field]);
+
+      // An occurrence takes the edit only when its own lifecycle and
+      // registrations allow it; the rest keep their details and are reported
+      const editableIds = [];
+      futureOccurrences.forEach(occurrence => {
+        // Occurrences that have already started keep their own details
+        const reason = STARTED_LIFECYCLE_STATUSES.includes(computeLifecycleStatus(occurrence))
+          ? 'Occurrence has already started or closed'
+          : getEditError(occurrence, seriesUpdates, req.user.role);
+        if (reason) {
+          skippedOccurrences.push({ _id: occurrence._id, title: occurrence.title, date: occurrence.date, reason });
+        } else {
+          editableIds.push(occurrence._id);
+        }
+      });
+
+      await Event.updateMany({ _id: { $in: editableIds } }, seriesUpdates, { runValidators: true });
+      if (req.user.role !== 'Admin') {
+        await Event.updateMany({ _id: { $in: editableIds }, status: 'approved' }, { status: 'pending' });
+      }
+      updatedOccurrences = editableIds.length;
+    }
+
     res.status(200).json({
       success: true,
+      ...(applyToFuture && { updatedOccurrences, skippedOccurrences }),
       data: {
         ...applyLifecycleStatus(event).toObject(),
         lifecycleStatus: computeLifecycleStatus(event)
@@ -589,6 +780,124 @@ exports.publishEvent = async (req, res, next) => {
   }
 };
 
+// @desc    Cancel an event, its registrations and teams, and raise refunds for paid registrations
+// @route   PUT /api/events/:id/cancel
+// @access  Private (Organizer/Admin)
+exports.cancelEvent = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to cancel this event'
+      });
+    }
+
+    const activeQuery = {
+      event: event._id,
+      status: { $in: [...SEAT_HOLDING_STATUSES, 'waitlisted'] }
+    };
+
+    // A cancellation cut short by an error can be run again to finish it
+    if (event.cancelledAt && !(await Registration.exists(activeQuery))
+      && !(await Team.exists({ event: event._id, status: { $ne: 'cancelled' } }))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is already cancelled'
+      });
+    }
+
+    if (!event.cancelledAt && computeLifecycleStatus(event) === 'completed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Completed events cannot be cancelled'
+      });
+    }
+
+    if (!event.cancelledAt) {
+      event.cancelledAt = new Date();
+      event.cancellationReason = String(req.body?.reason || '').trim() || undefined;
+    }
+    event.isClosed = true;
+    event.lifecycleStatus = 'closed';
+    event.registered = 0;
+    await event.save();
+
+    // Members of teams that never completed hold no registration but are told too
+    const teams = await Team.find({ event: event._id, status: { $ne: 'cancelled' } })
+      .populate('members', 'firstName lastName email');
+    await Team.updateMany(
+      { event: event._id, status: { $ne: 'cancelled' } },
+      { $set: { status: 'cancelled', cancelledAt: event.cancelledAt, cancellationReason: 'Event was cancelled' } }
+    );
+    await closeEventPosts(event._id);
+
+    const registrations = await Registration.find(activeQuery);
+    const notified = new Set();
+
+    const summary = { cancelled: 0, refunds: 0, refundTotal: 0, teams: teams.length };
+    for (const registration of registrations) {
+      registration.status = 'rejected';
+      registration.waitlistPosition = undefined;
+      registration.holdExpiresAt = undefined;
+      await releaseTierFor(registration);
+      await releaseSessionsFor(registration);
+      await releaseStockFor(registration, event);
+      await registration.save();
+      await releaseCode(registration);
+      summary.cancelled += 1;
+
+      // The refund mail already tells paid participants about the cancellation
+      const refund = await createRefundRequest(registration, event, 'event-cancelled');
+      if (refund) {
+        summary.refunds += 1;
+        summary.refundTotal += refund.amount;
+      } else {
+        await sendEventCancelledMail({
+          to: registration.email,
+          participantName: registration.participantName,
+          eventTitle: event.title,
+          reason: event.cancellationReason
+        });
+      }
+      notified.add(registration.email);
+    }
+
+    for (const member of teams.flatMap(team => team.members)) {
+      if (!member?.email || notified.has(member.email)) {
+        continue;
+      }
+      notified.add(member.email);
+      await sendEventCancelledMail({
+        to: member.email,
+        participantName: `${member.firstName} ${member.lastName}`.trim(),
+        eventTitle: event.title,
+        reason: event.cancellationReason
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Event cancelled. ${summary.cancelled} registration(s) cancelled and ${summary.refunds} refund(s) raised.`,
+      summary,
+      data: {
+        ...event.toObject(),
+        lifecycleStatus: computeLifecycleStatus(event)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get organizer's events
 // @route   GET /api/events/organizer/my-events
 // @access  Private (Organizer only)
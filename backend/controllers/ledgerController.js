@@ -0,0 +1,292 @@
+const LedgerEntry = require('../models/LedgerEntry');
+const Event = require('../models/Event');
+const User = require('../models/User');
+const { getLedger: buildLedger, getClubBalances: buildClubBalances } = require('../utils/ledger');
+const { toCsv } = require('../utils/csv');
+const { isValidObjectId } = require('../utils/validators');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// `to` dates without a time cover the whole day
+const parseDateFilter = (value, { endOfDay = false } = {}) => {
+  if (!value) return { date: undefined };
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return { error: `Invalid date: ${value}` };
+  }
+  if (endOfDay && DATE_ONLY.test(value)) {
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return { date };
+};
+
+/**
+ * Work out whose books a request may see. Organizers only ever get their
+ * own; admins see every club unless they pick one. Returns
+ * { filters } or { statusCode, message }.
+ */
+const resolveLedgerFilters = async (req) => {
+  const { organizer, event, from, to } = req.query;
+  const filters = {};
+
+  if (req.user.role === 'Admin') {
+    if (organizer) {
+      if (!isValidObjectId(organizer)) {
+        return { statusCode: 400, message: 'Invalid organizer ID' };
+      }
+      filters.organizer = organizer;
+    }
+  } else {
+    filters.organizer = req.user.id;
+  }
+
+  if (event) {
+    if (!isValidObjectId(event)) {
+      return { statusCode: 400, message: 'Invalid event ID' };
+    }
+    const found = await Event.findById(event).select('organizer');
+    if (!found) {
+      return { statusCode: 404, message: 'Event not found' };
+    }
+    if (found.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return { statusCode: 403, message: 'Not authorized to view this event\'s finances' };
+    }
+    filters.event = event;
+  }
+
+  const fromDate = parseDateFilter(from);
+  const toDate = parseDateFilter(to, { endOfDay: true });
+  const dateError = fromDate.error || toDate.error;
+  if (dateError) {
+    return { statusCode: 400, message: dateError };
+  }
+  filters.from = fromDate.date;
+  filters.to = toDate.date;
+
+  return { filters };
+};
+
+const getClubName = (organizer) => organizer?.organizerProfile?.name
+  || [organizer?.firstName, organizer?.lastName].filter(Boolean).join(' ');
+
+// @desc    Get ledger entries with running balances and totals
+// @route   GET /api/ledger
+// @access  Private (Organizer/Admin)
+exports.getLedger = async (req, res, next) => {
+  try {
+    const { filters, statusCode, message } = await resolveLedgerFilters(req);
+    if (!filters) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    const ledger = await buildLedger(filters);
+
+    res.status(200).json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download ledger entries as CSV
+// @route   GET /api/ledger/export
+// @access  Private (Organizer/Admin)
+exports.exportLedger = async (req, res, next) => {
+  try {
+    const { filters, statusCode, message } = await resolveLedgerFilters(req);
+    if (!filters) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    const { entries, summary } = await buildLedger(filters);
+    const showClub = !filters.organizer;
+
+    const rows = [[
+      'date',
+      ...(showClub ? ['club'] : []),
+      'event',
+      'type',
+      'category',
+      'description',
+      'reference',
+      'amount',
+      'balance'
+    ]];
+
+    if (filters.from) {
+      rows.push([
+        filters.from.toISOString(),
+        ...(showClub ? [''] : []),
+        '',
+        '',
+        '',
+        'Opening balance',
+        '',
+        '',
+        summary.openingBalance.toFixed(2)
+      ]);
+    }
+
+    entries.forEach(entry => {
+      rows.push([
+        new Date(entry.occurredAt).toISOString(),
+        ...(showClub ? [getClubName(entry.organizer)] : []),
+        entry.event?.title || '',
+        entry.type,
+        entry.category,
+        (entry.description || '').replace(/\r?\n/g, ' '),
+        entry.reference || '',
+        entry.amount.toFixed(2),
+        entry.balance.toFixed(2)
+      ]);
+    });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const fileName = `ledger-${stamp}.csv`;
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.status(200).send(toCsv(rows));
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record an expense or manual adjustment
+// @route   POST /api/ledger/entries
+// @access  Private (Organizer/Admin)
+exports.createLedgerEntry = async (req, res, next) => {
+  try {
+    const { kind, event } = req.body;
+    const amount = Number(req.body.amount);
+    const description = String(req.body.description || '').trim();
+    const reference = String(req.body.reference || '').trim();
+
+    if (!['expense', 'adjustment'].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Entry kind must be either expense or adjustment'
+      });
+    }
+
+    if (!Number.isFinite(amount) || amount === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be a non-zero number'
+      });
+    }
+
+    if (kind === 'expense' && amount < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Enter expenses as a positive amount'
+      });
+    }
+
+    if (!description) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description is required'
+      });
+    }
+
+    const { date: occurredAt, error: dateError } = parseDateFilter(req.body.occurredAt);
+    if (dateError) {
+      return res.status(400).json({
+        success: false,
+        message: dateError
+      });
+    }
+
+    let organizer = req.user.role === 'Admin' ? req.body.organizer : req.user.id;
+    let eventDoc = null;
+
+    if (event) {
+      if (!isValidObjectId(event)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid event ID'
+        });
+      }
+      eventDoc = await Event.findById(event).select('organizer');
+      if (!eventDoc) {
+        return res.status(404).json({
+          success: false,
+          message: 'Event not found'
+        });
+      }
+      if (eventDoc.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+        return res.status(403).json({
+          success: false,
+          message: 'Not authorized to record entries for this event'
+        });
+      }
+      organizer = eventDoc.organizer;
+    }
+
+    if (!organizer || !isValidObjectId(organizer)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Choose the club this entry belongs to'
+      });
+    }
+
+    if (req.user.role === 'Admin' && !eventDoc) {
+      const club = await User.findOne({ _id: organizer, role: 'Organizer' }).select('_id');
+      if (!club) {
+        return res.status(404).json({
+          success: false,
+          message: 'Club not found'
+        });
+      }
+    }
+
+    const entry = await LedgerEntry.create({
+      organizer,
+      event: eventDoc?._id,
+      type: kind === 'expense' ? 'debit' : 'adjustment',
+      category: kind,
+      amount: kind === 'expense' ? -amount : amount,
+      description,
+      reference: reference || undefined,
+      recordedBy: req.user.id,
+      occurredAt: occurredAt || new Date()
+    });
+
+    await entry.populate('event', 'title date');
+    await entry.populate('recordedBy', 'firstName lastName');
+
+    res.status(201).json({
+      success: true,
+      message: kind === 'expense' ? 'Expense recorded' : 'Adjustment recorded',
+      data: entry
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get totals and balance for every club
+// @route   GET /api/ledger/clubs
+// @access  Private (Admin)
+exports.getClubBalances = async (req, res, next) => {
+  try {
+    const clubs = await buildClubBalances();
+
+    res.status(200).json({
+      success: true,
+      count: clubs.length,
+      data: clubs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
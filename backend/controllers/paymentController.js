@@ -0,0 +1,484 @@
+const crypto = require('crypto');
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const {
+  getPaymentProvider,
+  getGatewayProvider,
+  getAvailableProviders,
+  startCheckout,
+  applyPaymentEvent,
+  applyPaymentUpdate
+} = require('../utils/payments');
+const { buildUpiPayment } = require('../utils/upi');
+const { isValidObjectId } = require('../utils/validators');
+const {
+  amountsMatch,
+  normalizeReference,
+  parseStatement,
+  buildReconciliationReport
+} = require('../utils/reconciliation');
+
+const MOCK_PROVIDER = 'mock';
+const MAX_RECONCILE_APPROVALS = 500;
+
+// Look up a mock gateway order owned by the current user
+const findMockOrder = (orderId, userId) => Registration.findOne({
+  paymentProvider: MOCK_PROVIDER,
+  paymentOrderId: orderId,
+  user: userId
+}).populate('event', 'title date type');
+
+// @desc    Get the payment providers participants can use
+// @route   GET /api/payments/providers
+// @access  Private
+exports.getPaymentProviders = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: {
+        gateway: getGatewayProvider()?.name || null,
+        providers: getAvailableProviders()
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Start paying for a registration
+// @route   POST /api/payments/registrations/:registrationId/checkout
+// @access  Private (Participant)
+exports.createCheckout = async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId).populate('event');
+
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this registration'
+      });
+    }
+
+    if (registration.paymentAmount <= 0 || !['pending', 'failed'].includes(registration.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This registration has no payment due'
+      });
+    }
+
+    if (registration.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: registration.status === 'waitlisted'
+          ? 'Payment opens once you are promoted from the waitlist'
+          : 'This registration can no longer be paid for'
+      });
+    }
+
+    if (registration.holdExpiresAt && registration.holdExpiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Your reservation has expired. Please register again.'
+      });
+    }
+
+    const provider = req.body?.provider
+      ? getPaymentProvider(req.body.provider)
+      : getGatewayProvider() || getPaymentProvider('manual');
+    const enabled = getAvailableProviders().some(option => option.name === provider?.name);
+    if (!provider || !enabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment provider is not available'
+      });
+    }
+
+    const order = await startCheckout(registration, registration.event, provider);
+
+    res.status(200).json({
+      success: true,
+      message: order.requiresProof
+        ? 'Upload a screenshot of your payment for the organizers to approve'
+        : 'Redirecting to checkout',
+      data: {
+        provider: provider.name,
+        ...order
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the UPI QR and reference for paying a registration
+// @route   GET /api/payments/registrations/:registrationId/upi
+// @access  Private (Participant)
+exports.getUpiPayment = async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.registrationId).populate({
+      path: 'event',
+      select: 'title organizer',
+      populate: { path: 'organizer', select: 'firstName lastName organizerProfile' }
+    });
+
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    if (registration.user.toString() !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to pay for this registration'
+      });
+    }
+
+    if (registration.paymentAmount <= 0 || !['pending', 'failed'].includes(registration.paymentStatus)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This registration has no payment due'
+      });
+    }
+
+    if (!registration.event.organizer?.organizerProfile?.upiVpa) {
+      return res.status(404).json({
+        success: false,
+        message: 'The organizer has not set up UPI payments'
+      });
+    }
+
+    // Registrations made before references existed get one on first request
+    if (!registration.paymentReference) {
+      await registration.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      data: await buildUpiPayment(registration, registration.event)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Load an event the current organizer (or an admin) may reconcile
+const findReconcilableEvent = async (eventId, user) => {
+  const event = await Event.findById(eventId).select('title organizer');
+  if (!event) {
+    return { statusCode: 404, error: 'Event not found' };
+  }
+  if (event.organizer.toString() !== user.id && user.role !== 'Admin') {
+    return { statusCode: 403, error: 'Not authorized to reconcile payments for this event' };
+  }
+  return { event };
+};
+
+// Registrations of an event still waiting for their payment
+const findPaymentsDue = (eventId) => Registration.find({
+  event: eventId,
+  status: 'pending',
+  paymentAmount: { $gt: 0 },
+  paymentStatus: { $in: ['pending', 'failed'] }
+}).select('participantName email ticketId paymentAmount paymentReference transactionId');
+
+// @desc    Match a bank/UPI statement against payments due for an event
+// @route   POST /api/payments/reconcile/event/:eventId
+// @access  Private (Organizer/Admin)
+exports.previewReconciliation = async (req, res, next) => {
+  try {
+    const { event, statusCode, error } = await findReconcilableEvent(req.params.eventId, req.user);
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please upload a CSV statement'
+      });
+    }
+
+    const statement = parseStatement(req.file.buffer.toString('utf8'));
+    if (statement.error) {
+      return res.status(400).json({
+        success: false,
+        message: statement.error
+      });
+    }
+
+    const dueRegistrations = await findPaymentsDue(event._id);
+
+    // Transaction IDs already recorded on any paid registration
+    const transactionIds = [...new Set(statement.rows.map(row => row.transactionId).filter(Boolean))];
+    const recorded = transactionIds.length
+      ? await Registration.find({
+        transactionId: { $in: transactionIds },
+        paymentStatus: { $in: ['paid', 'refunded'] }
+      }).select('participantName email ticketId paymentAmount paymentReference transactionId')
+      : [];
+    const recordedTransactionIds = new Map(
+      recorded.map(registration => [normalizeReference(registration.transactionId), registration])
+    );
+
+    const report = buildReconciliationReport(statement.rows, dueRegistrations, recordedTransactionIds);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        event: { _id: event._id, title: event.title },
+        fileName: req.file.originalname,
+        ...report
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve the statement matches an organizer confirmed
+// @route   POST /api/payments/reconcile/event/:eventId/confirm
+// @access  Private (Organizer/Admin)
+exports.confirmReconciliation = async (req, res, next) => {
+  try {
+    const { event, statusCode, error } = await findReconcilableEvent(req.params.eventId, req.user);
+    if (error) {
+      return res.status(statusCode).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const { matches } = req.body;
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please select at least one match to approve'
+      });
+    }
+    if (matches.length > MAX_RECONCILE_APPROVALS) {
+      return res.status(400).json({
+        success: false,
+        message: `A reconciliation can approve at most ${MAX_RECONCILE_APPROVALS} payments`
+      });
+    }
+
+    const results = [];
+    const usedTransactionIds = new Set();
+
+    // Sequential so merchandise stock is deducted one order at a time
+    for (const match of matches) {
+      const registrationId = match?.registrationId;
+      const transactionId = String(match?.transactionId || '').trim();
+      const amount = Number(match?.amount);
+      const skip = (message) => results.push({ registrationId, transactionId, approved: false, message });
+
+      const registration = isValidObjectId(registrationId)
+        ? await Registration.findById(registrationId).populate('event')
+        : null;
+      if (!registration || registration.event?._id.toString() !== event._id.toString()) {
+        skip('Registration not found for this event');
+        continue;
+      }
+      if (registration.status !== 'pending' || !['pending', 'failed'].includes(registration.paymentStatus)) {
+        skip('Payment is no longer due');
+        continue;
+      }
+      if (!amountsMatch(amount, registration.paymentAmount)) {
+        skip(`Amount ₹${match?.amount} does not match ₹${registration.paymentAmount} due`);
+        continue;
+      }
+
+      if (transactionId) {
+        const key = normalizeReference(transactionId);
+        const alreadyUsed = usedTransactionIds.has(key) || await Registration.exists({
+          _id: { $ne: registration._id },
+          transactionId,
+          paymentStatus: { $in: ['paid', 'refunded'] }
+        });
+        if (alreadyUsed) {
+          skip('Transaction ID is already recorded for another payment');
+          continue;
+        }
+        usedTransactionIds.add(key);
+      }
+
+      const result = await applyPaymentUpdate(registration, {
+        paymentStatus: 'paid',
+        paymentApprovalStatus: 'approved',
+        paymentMethod: 'bank-transfer',
+        transactionId: transactionId || undefined,
+        amountPaid: registration.paymentAmount
+      });
+      if (result.error) {
+        skip(result.error);
+        continue;
+      }
+
+      results.push({
+        registrationId,
+        transactionId,
+        approved: true,
+        participantName: registration.participantName,
+        status: registration.status
+      });
+    }
+
+    const approved = results.filter(result => result.approved).length;
+
+    res.status(200).json({
+      success: true,
+      message: `${approved} payment${approved === 1 ? '' : 's'} approved, ${results.length - approved} skipped`,
+      data: {
+        approved,
+        skipped: results.length - approved,
+        results
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Receive a signed payment webhook from a gateway
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signature verified)
+exports.handlePaymentWebhook = async (req, res, next) => {
+  try {
+    const provider = getPaymentProvider(req.params.provider);
+    if (!provider || provider.name === 'manual') {
+      return res.status(404).json({
+        success: false,
+        message: 'Unknown payment provider'
+      });
+    }
+
+    const parsed = provider.parseWebhook({
+      rawBody: req.rawBody ? req.rawBody.toString('utf8') : '',
+      headers: req.headers
+    });
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    if (parsed.ignored) {
+      return res.status(200).json({
+        success: true,
+        message: 'Event ignored'
+      });
+    }
+
+    const result = await applyPaymentEvent(provider.name, parsed.event);
+    if (result.error) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.warning || (result.duplicate ? 'Payment already recorded' : 'Payment recorded')
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a mock gateway order for its checkout page
+// @route   GET /api/payments/mock/orders/:orderId
+// @access  Private (Participant)
+exports.getMockOrder = async (req, res, next) => {
+  try {
+    const registration = await findMockOrder(req.params.orderId, req.user.id);
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        orderId: registration.paymentOrderId,
+        amount: registration.paymentAmount,
+        paymentStatus: registration.paymentStatus,
+        participantName: registration.participantName,
+        ticketId: registration.ticketId,
+        event: registration.event
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Complete or fail a mock gateway payment
+// @route   POST /api/payments/mock/orders/:orderId/complete
+// @access  Private (Participant)
+exports.completeMockOrder = async (req, res, next) => {
+  try {
+    if (getGatewayProvider()?.name !== MOCK_PROVIDER) {
+      return res.status(400).json({
+        success: false,
+        message: 'The mock payment gateway is not enabled'
+      });
+    }
+
+    const registration = await findMockOrder(req.params.orderId, req.user.id);
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment order not found'
+      });
+    }
+
+    // Sign the webhook the gateway would send and run it through the same
+    // verification and handling as a real delivery
+    const mock = getPaymentProvider(MOCK_PROVIDER);
+    const succeeded = req.body?.outcome !== 'failure';
+    const delivery = mock.signWebhook({
+      event: succeeded ? 'payment.captured' : 'payment.failed',
+      orderId: registration.paymentOrderId,
+      paymentId: `mock_pay_${crypto.randomBytes(8).toString('hex')}`,
+      amount: registration.paymentAmount
+    });
+    const parsed = mock.parseWebhook(delivery);
+    const result = parsed.error
+      ? { statusCode: 400, error: parsed.error }
+      : await applyPaymentEvent(MOCK_PROVIDER, parsed.event);
+
+    if (result.error) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.warning || (succeeded ? 'Payment successful' : 'Payment failed'),
+      data: {
+        paymentStatus: result.registration.paymentStatus,
+        status: result.registration.status
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,162 @@
+const Refund = require('../models/Refund');
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const { sendRefundUpdateMail } = require('../utils/mailer');
+const { isValidObjectId } = require('../utils/validators');
+const { recordRefundDebit } = require('../utils/ledger');
+
+const REFUND_STATUSES = ['pending', 'issued', 'rejected'];
+
+// @desc    Get refunds for the current organizer's events
+// @route   GET /api/refunds/organizer
+// @access  Private (Organizer/Admin)
+exports.getOrganizerRefunds = async (req, res, next) => {
+  try {
+    const { status, eventId } = req.query;
+    const query = {};
+
+    if (req.user.role !== 'Admin') {
+      const events = await Event.find({ organizer: req.user.id }).select('_id');
+      query.event = { $in: events.map(event => event._id) };
+    }
+
+    if (eventId) {
+      if (!isValidObjectId(eventId)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid event ID'
+        });
+      }
+      query.event = query.event
+        ? { $in: query.event.$in.filter(id => id.toString() === eventId) }
+        : eventId;
+    }
+
+    if (status && status !== 'all') {
+      if (!REFUND_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid refund status'
+        });
+      }
+      query.status = status;
+    }
+
+    const refunds = await Refund.find(query)
+      .populate('event', 'title date cancelledAt refundPolicy')
+      .populate('registration', 'ticketId transactionId paymentMethod')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      data: refunds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the current participant's refunds
+// @route   GET /api/refunds/my
+// @access  Private (Participant)
+exports.getMyRefunds = async (req, res, next) => {
+  try {
+    const refunds = await Refund.find({ user: req.user.id })
+      .populate('event', 'title date')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: refunds.length,
+      data: refunds
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark a refund as issued or rejected
+// @route   PUT /api/refunds/:id
+// @access  Private (Organizer/Admin)
+exports.processRefund = async (req, res, next) => {
+  try {
+    const { status } = req.body;
+    const reference = String(req.body.reference || '').trim();
+    const note = String(req.body.note || '').trim();
+
+    if (!['issued', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Status must be either issued or rejected'
+      });
+    }
+
+    if (status === 'issued' && !reference) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refund reference is required'
+      });
+    }
+
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({
+        success: false,
+        message: 'A note explaining the rejection is required'
+      });
+    }
+
+    const refund = await Refund.findById(req.params.id).populate('event', 'title organizer');
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund not found'
+      });
+    }
+
+    if (refund.event?.organizer?.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to process this refund'
+      });
+    }
+
+    if (refund.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Refund has already been ${refund.status}`
+      });
+    }
+
+    refund.status = status;
+    refund.reference = reference || undefined;
+    refund.note = note || undefined;
+    refund.processedBy = req.user.id;
+    refund.processedAt = new Date();
+    await refund.save();
+
+    if (status === 'issued') {
+      await Registration.findByIdAndUpdate(refund.registration, { paymentStatus: 'refunded' });
+      await recordRefundDebit(refund);
+    }
+
+    await sendRefundUpdateMail({
+      to: refund.email,
+      participantName: refund.participantName,
+      eventTitle: refund.event?.title || 'your event',
+      amount: refund.amount,
+      status,
+      reference: refund.reference,
+      note: refund.note
+    });
+
+    res.status(200).json({
+      success: true,
+      message: status === 'issued' ? 'Refund marked as issued' : 'Refund rejected',
+      data: refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,10 +1,65 @@
 const crypto = require('crypto');
+const fs = require('fs');
 const Registration = require('../models/Registration');
 const Event = require('../models/Event');
 const User = require('../models/User');
 const Team = require('../models/Team');
-const { issueTicket } = require('../utils/tickets');
+const EventSeries = require('../models/EventSeries');
+const {
+  TICKET_EVENT_FIELDS,
+  issueTicket,
+  renderTicketPdf,
+  verifyTicketToken,
+  getTicketRevocationError,
+  getTicketPublicKey: readTicketPublicKey
+} = require('../utils/tickets');
+const { sendScreeningDecisionMail, sendTeamChangeMail } = require('../utils/mailer');
 const { normalizeEligibility } = require('../utils/eligibility');
+const { isTierOnSale, isEligibleForTier, claimTier, releaseTier, reserveTierFor, releaseTierFor } = require('../utils/ticketTiers');
+const {
+  findCodeForEvent,
+  calculateDiscount,
+  getCodeUsageError,
+  redeemCode,
+  releaseCode
+} = require('../utils/discounts');
+const {
+  resolveSessionSelection,
+  claimSessions,
+  releaseSessions,
+  reserveSessionsFor,
+  releaseSessionsFor
+} = require('../utils/sessions');
+const { isValidObjectId } = require('../utils/validators');
+const { recordAttendance, summarizeAttendance } = require('../utils/attendance');
+const { createRefundRequest } = require('../utils/refunds');
+const { applyPaymentUpdate } = require('../utils/payments');
+const { fingerprintProof, findProofMatches } = require('../utils/proofFingerprint');
+const { issueReceipt, renderReceiptPdf } = require('../utils/receipts');
+const {
+  TEAM_PAYMENT_HOURS,
+  getTeamFeeTotal,
+  getTeamShares,
+  getTeamPaymentDeadline,
+  cancelUnpaidTeam
+} = require('../utils/teamPayments');
+const { getInviteExpiry, getInviteExpiresAt, isInviteExpired } = require('../utils/teamExpiry');
+const { closeFilledPosts, closeRegisteredPosts } = require('../utils/teammatePosts');
+const {
+  SEAT_HOLDING_STATUSES,
+  getNextWaitlistPosition,
+  compactWaitlist,
+  promoteFromWaitlist
+} = require('../utils/waitlist');
+const {
+  getHoldExpiry,
+  claimSeats,
+  releaseSeats,
+  claimStock,
+  releaseStock,
+  releaseStockFor,
+  needsPaymentHold
+} = require('../utils/reservations');
 
 const generateInviteToken = () => crypto.randomBytes(24).toString('hex');
 const generateInviteCode = () => `TEAM-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
@@ -15,19 +70,88 @@ const buildInviteLinks = (team) => {
     email: invite.email,
     status: invite.status,
     acceptedBy: invite.acceptedBy,
-    respondedAt: invite.respondedAt
+    respondedAt: invite.respondedAt,
+    expiresAt: invite.status === 'pending' ? getInviteExpiresAt(invite) : undefined
   }));
 };
 
+// Team invites can only be taken up while registration is open
+const getInviteResponseError = (invite, event) => {
+  if (isInviteExpired(invite)) {
+    return 'This invite has expired. Ask the team leader to invite you again.';
+  }
+
+  if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
+    return 'Registration deadline has passed';
+  }
+
+  return null;
+};
+
+const toTeamContact = (user) => ({
+  name: `${user.firstName} ${user.lastName}`.trim(),
+  email: user.email,
+  phone: user.contactNumber || ''
+});
+
+// Leader and member details as every team registration carries them
+const buildTeamContacts = (team, users) => {
+  const leaderUser = users.find(user => user._id.toString() === team.leader.toString());
+  return {
+    teamLeader: leaderUser ? toTeamContact(leaderUser) : { name: '', email: '', phone: '' },
+    teamMembers: team.members
+      .map(memberId => users.find(user => user._id.toString() === memberId.toString()))
+      .filter(Boolean)
+      .filter(user => user._id.toString() !== team.leader.toString())
+      .map(toTeamContact)
+  };
+};
+
+/**
+ * Create a member's registration on a full team. With a fee to collect it
+ * stays pending, and members whose share is covered by the leader owe nothing.
+ */
+const createTeamMemberRegistration = (team, event, memberUser, contacts, {
+  paymentAmount = 0,
+  awaitingPayment = false
+} = {}) => Registration.create({
+  event: event._id,
+  user: memberUser._id,
+  participantName: `${memberUser.firstName} ${memberUser.lastName}`.trim(),
+  email: memberUser.email,
+  phone: memberUser.contactNumber || '',
+  isTeam: true,
+  team: team._id,
+  teamName: team.teamName,
+  teamLeader: contacts.teamLeader,
+  teamMembers: contacts.teamMembers,
+  paymentAmount,
+  amountPaid: 0,
+  paymentStatus: paymentAmount > 0 ? 'pending' : 'free',
+  paymentApprovalStatus: paymentAmount > 0 ? 'pending' : 'not-required',
+  status: awaitingPayment ? 'pending' : 'confirmed'
+});
+
+// Refresh the roster details on the team's active registrations after a change
+const syncTeamRoster = async (team) => {
+  const users = await User.find({ _id: { $in: team.members } }).select('firstName lastName email contactNumber');
+  const { teamLeader, teamMembers } = buildTeamContacts(team, users);
+  await Registration.updateMany(
+    { team: team._id, status: { $ne: 'rejected' } },
+    { $set: { teamName: team.teamName, teamLeader, teamMembers } }
+  );
+};
+
 const completeTeamIfReady = async (team, event) => {
+  // New members stop looking for a team; a full team stops looking for members
+  await closeFilledPosts(team);
+
   if (team.status !== 'forming') {
     return { completed: false, reason: 'Team is not in forming state' };
   }
 
-  const acceptedInvites = (team.invites || []).filter(invite => invite.status === 'accepted');
-  const requiredInvites = Math.max((team.desiredTeamSize || 1) - 1, 0);
-
-  if (acceptedInvites.length !== requiredInvites || team.members.length !== team.desiredTeamSize) {
+  // Members arrive through accepted invites or the invite code
+  if (team.members.length !== team.desiredTeamSize) {
     return { completed: false, reason: 'Team is not fully formed yet' };
   }
 
@@ -41,29 +165,16 @@ const completeTeamIfReady = async (team, event) => {
     return { completed: false, reason: 'One or more team members are already registered for this event' };
   }
 
-  const activeRegistrations = await Registration.countDocuments({
-    event: event._id,
-    status: { $in: ['pending', 'confirmed', 'approved'] }
-  });
-
-  const capacity = event.capacity || event.maxParticipants;
-  if (activeRegistrations + team.desiredTeamSize > capacity) {
+  // The whole team's seats are claimed together or not at all
+  if (!(await claimSeats(event, team.desiredTeamSize))) {
     return { completed: false, reason: 'Not enough spots left to complete this team' };
   }
 
   const users = await User.find({ _id: { $in: team.members } }).select('firstName lastName email contactNumber');
   const userMap = new Map(users.map(user => [user._id.toString(), user]));
-  const leaderUser = userMap.get(team.leader.toString());
-
-  const teamMembersPayload = team.members
-    .map(memberId => userMap.get(memberId.toString()))
-    .filter(Boolean)
-    .filter(user => user._id.toString() !== team.leader.toString())
-    .map(user => ({
-      name: `${user.firstName} ${user.lastName}`.trim(),
-      email: user.email,
-      phone: user.contactNumber || ''
-    }));
+  const contacts = buildTeamContacts(team, users);
+  const { total: feeTotal, shares } = getTeamShares(team, event);
+  const awaitingPayment = feeTotal > 0;
 
   const createdRegistrations = [];
   for (const memberId of team.members) {
@@ -72,41 +183,417 @@ const completeTeamIfReady = async (team, event) => {
       continue;
     }
 
-    const registration = await Registration.create({
-      event: event._id,
-      user: memberUser._id,
-      participantName: `${memberUser.firstName} ${memberUser.lastName}`.trim(),
-      email: memberUser.email,
-      phone: memberUser.contactNumber || '',
-      isTeam: true,
-      team: team._id,
-      teamName: team.teamName,
-      teamLeader: {
-        name: leaderUser ? `${leaderUser.firstName} ${leaderUser.lastName}`.trim() : '',
-        email: leaderUser?.email || '',
-        phone: leaderUser?.contactNumber || ''
-      },
-      teamMembers: teamMembersPayload,
-      paymentAmount: 0,
-      amountPaid: 0,
-      paymentStatus: 'free',
-      paymentApprovalStatus: 'not-required',
-      status: 'confirmed'
+    const registration = await createTeamMemberRegistration(team, event, memberUser, contacts, {
+      paymentAmount: shares.get(memberId.toString()) || 0,
+      awaitingPayment
     });
 
-    await issueTicket(registration, event, { forceEmail: true });
+    // Paid teams get their tickets together once the whole fee is approved
+    if (!awaitingPayment) {
+      await issueTicket(registration, event, { forceEmail: true });
+    }
     createdRegistrations.push(registration);
   }
 
-  team.status = 'completed';
-  team.completedAt = new Date();
+  // Members whose accounts have gone don't keep a seat
+  if (createdRegistrations.length < team.desiredTeamSize) {
+    await releaseSeats(event._id, team.desiredTeamSize - createdRegistrations.length);
+  }
+
+  team.status = awaitingPayment ? 'awaiting-payment' : 'completed';
+  team.completedAt = awaitingPayment ? undefined : new Date();
+  team.paymentDueAt = awaitingPayment ? getTeamPaymentDeadline() : undefined;
   team.registrationIds = createdRegistrations.map(registration => registration._id);
   await team.save();
 
-  event.registered = (event.registered || 0) + createdRegistrations.length;
-  await event.save();
+  return { completed: true, awaitingPayment, feeTotal, registrations: createdRegistrations };
+};
+
+const describeTeamCompletion = (completion) => (completion.awaitingPayment
+  ? `The team is full; tickets are issued to all members once the team fee of Rs. ${completion.feeTotal} is paid. Teams that have not paid within ${TEAM_PAYMENT_HOURS} hours are cancelled.`
+  : 'Team registration completed. Tickets issued to all members.');
+
+// Codes are shown as TEAM-XXXXXXXX; accept them typed without the prefix too
+const normalizeTeamCode = (code) => {
+  const value = String(code || '').trim().toUpperCase();
+  if (!value) return '';
+  return value.startsWith('TEAM-') ? value : `TEAM-${value}`;
+};
+
+/**
+ * Check whether a participant may join a forming team: the event must still
+ * be open to them and they must not be registered or on a team already.
+ * Returns an error message, or null when they can join.
+ */
+const getTeamJoinError = async (team, event, user) => {
+  if (team.status !== 'forming') {
+    return 'This team is no longer accepting members';
+  }
+
+  if (event.status !== 'approved' || event.cancelledAt) {
+    return 'This event is not open for registration';
+  }
+
+  if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
+    return 'Registration deadline has passed';
+  }
+
+  return getNewMemberError(team, event, user);
+};
+
+/**
+ * Check that a participant can take a spot on a team: eligible for the event
+ * and not registered or on a team for it already. Returns an error message
+ * or null.
+ */
+const getNewMemberError = async (team, event, user) => {
+  const eligibility = normalizeEligibility(event.eligibility);
+  if (eligibility === 'IIIT' && user.participantType !== 'IIIT') {
+    return 'Only IIIT participants can register for this event';
+  }
+  if (eligibility === 'Non-IIIT' && user.participantType === 'IIIT') {
+    return 'Only external participants can register for this event';
+  }
+
+  const existingRegistration = await Registration.findOne({
+    event: event._id,
+    user: user._id,
+    status: { $ne: 'rejected' }
+  });
+  if (existingRegistration) {
+    return 'Already registered for this event';
+  }
+
+  const existingTeam = await Team.findOne({
+    event: event._id,
+    members: user._id,
+    status: { $ne: 'cancelled' }
+  });
+  if (existingTeam) {
+    return existingTeam._id.toString() === team._id.toString()
+      ? 'Already a member of this team'
+      : 'Already part of another team for this event';
+  }
+
+  return null;
+};
+
+// Completed teams change only while the event allows it, up to the cutoff
+const getTeamChangeWindowError = (event) => {
+  if (event.cancelledAt) {
+    return 'This event has been cancelled';
+  }
+  if (!event.teamChanges?.allowed) {
+    return 'This event does not allow team changes';
+  }
+  const cutoff = event.teamChanges.cutoff || event.date;
+  if (cutoff && new Date(cutoff) < new Date()) {
+    return 'The deadline for team changes has passed';
+  }
+  return null;
+};
+
+/**
+ * Add a member in one conditional update, so concurrent joins can't take a
+ * team past its size. Spots held by pending email invites stay reserved.
+ * Resolves to the updated team, or null when there was no room.
+ */
+const addMemberIfRoom = (teamId, userId) => Team.findOneAndUpdate(
+  {
+    _id: teamId,
+    status: 'forming',
+    members: { $ne: userId },
+    $expr: {
+      $lt: [
+        {
+          $add: [
+            { $size: '$members' },
+            {
+              $size: {
+                $filter: {
+                  input: { $ifNull: ['$invites', []] },
+                  cond: { $eq: ['$$this.status', 'pending'] }
+                }
+              }
+            }
+          ]
+        },
+        '$desiredTeamSize'
+      ]
+    }
+  },
+  { $push: { members: userId } },
+  { new: true }
+);
+
+const TEAM_CHANGE_USER_FIELDS = 'firstName lastName email';
+
+// Update paths that close a change request, for use with arrayFilters on `change`
+const changeReviewFields = (status, reviewerId, note) => ({
+  'changeRequests.$[change].status': status,
+  'changeRequests.$[change].reviewedBy': reviewerId,
+  'changeRequests.$[change].reviewedAt': new Date(),
+  ...(note ? { 'changeRequests.$[change].reviewNote': note } : {})
+});
+
+/**
+ * Hand leadership of a completed team to another member. The update only
+ * applies while the request is pending and the new leader is still on the
+ * team. Returns { team } or { error }.
+ */
+const applyLeaderTransfer = async (team, change, { event, reviewerId, note }) => {
+  const updated = await Team.findOneAndUpdate(
+    {
+      _id: team._id,
+      status: 'completed',
+      members: change.newLeader,
+      changeRequests: { $elemMatch: { _id: change._id, status: 'pending' } }
+    },
+    { $set: { leader: change.newLeader, ...changeReviewFields('approved', reviewerId, note) } },
+    { new: true, arrayFilters: [{ 'change._id': change._id }] }
+  );
+  if (!updated) {
+    return { error: 'The team has changed since this request was made' };
+  }
+
+  await syncTeamRoster(updated);
+
+  const newLeader = await User.findById(change.newLeader).select(TEAM_CHANGE_USER_FIELDS);
+  if (newLeader) {
+    await sendTeamChangeMail({
+      to: newLeader.email,
+      participantName: `${newLeader.firstName} ${newLeader.lastName}`.trim(),
+      teamName: updated.teamName,
+      eventTitle: event.title,
+      change: 'leader'
+    });
+  }
+
+  return { team: updated };
+};
+
+/**
+ * Replace a member of a completed team. The incoming member takes over the
+ * outgoing member's seat and owes the same share of the team fee, getting
+ * their ticket once it is paid. The outgoing registration is cancelled as if
+ * they had cancelled it themselves: its ticket is revoked, its discount code
+ * freed and any share they paid refunded under the event's policy. Returns
+ * { team, registration } or { error }.
+ */
+const applyMemberSwap = async (team, change, { event, reviewerId, note }) => {
+  const [incoming, outgoing, outgoingRegistration] = await Promise.all([
+    User.findById(change.incomingMember).select('firstName lastName email contactNumber participantType'),
+    User.findById(change.outgoingMember).select(TEAM_CHANGE_USER_FIELDS),
+    Registration.findOne({
+      event: event._id,
+      team: team._id,
+      user: change.outgoingMember,
+      status: { $ne: 'rejected' }
+    })
+  ]);
+
+  if (!incoming) {
+    return { error: 'The incoming participant\'s account no longer exists' };
+  }
+
+  const memberError = await getNewMemberError(team, event, incoming);
+  if (memberError) {
+    return { error: `Cannot swap in ${incoming.email}: ${memberError}` };
+  }
+
+  const updated = await Team.findOneAndUpdate(
+    {
+      _id: team._id,
+      status: 'completed',
+      members: change.outgoingMember,
+      leader: { $ne: change.outgoingMember },
+      changeRequests: { $elemMatch: { _id: change._id, status: 'pending' } }
+    },
+    {
+      $set: {
+        'members.$[outgoing]': incoming._id,
+        ...changeReviewFields('approved', reviewerId, note)
+      }
+    },
+    {
+      new: true,
+      arrayFilters: [{ outgoing: change.outgoingMember }, { 'change._id': change._id }]
+    }
+  );
+  if (!updated) {
+    return { error: 'The team has changed since this request was made' };
+  }
+
+  // The seat passes from one member to the other, so the event count stays
+  if (outgoingRegistration) {
+    outgoingRegistration.status = 'rejected';
+    outgoingRegistration.holdExpiresAt = undefined;
+    await outgoingRegistration.save();
+    await releaseCode(outgoingRegistration);
+    await createRefundRequest(outgoingRegistration, event, 'registration-cancelled');
+  }
+
+  const users = await User.find({ _id: { $in: updated.members } }).select('firstName lastName email contactNumber');
+  const share = getTeamShares(updated, event).shares.get(incoming._id.toString()) || 0;
+  const registration = await createTeamMemberRegistration(updated, event, incoming, buildTeamContacts(updated, users), {
+    paymentAmount: share,
+    awaitingPayment: share > 0
+  });
+
+  if (share > 0) {
+    await sendTeamChangeMail({
+      to: incoming.email,
+      participantName: `${incoming.firstName} ${incoming.lastName}`.trim(),
+      teamName: updated.teamName,
+      eventTitle: event.title,
+      change: 'added',
+      amount: share
+    });
+  } else {
+    await issueTicket(registration, event, { forceEmail: true });
+  }
+
+  updated.registrationIds = [
+    ...updated.registrationIds.filter(id => id.toString() !== outgoingRegistration?._id.toString()),
+    registration._id
+  ];
+  await updated.save();
+  await syncTeamRoster(updated);
+
+  if (outgoing) {
+    await sendTeamChangeMail({
+      to: outgoing.email,
+      participantName: `${outgoing.firstName} ${outgoing.lastName}`.trim(),
+      teamName: updated.teamName,
+      eventTitle: event.title,
+      change: 'removed'
+    });
+  }
+
+  return { team: updated, registration };
+};
+
+const MAX_BATCH_CHECK_INS = 500;
+
+/**
+ * Apply a gate entry/exit or session check-in to a registration without saving.
+ * Returns { error, statusCode }, { duplicate, message, checkedInAt } or
+ * { message, checkedInAt }. With keepEarliest a duplicate scan that happened
+ * earlier than the stored one replaces its timestamp (offline gates sync late).
+ */
+const recordCheckIn = (registration, event, {
+  sessionId,
+  direction,
+  gate,
+  userId,
+  checkedInAt = new Date(),
+  keepEarliest = false
+}) => {
+  if (registration.status !== 'confirmed') {
+    return { statusCode: 400, error: 'Can only check-in confirmed registrations' };
+  }
+
+  // Session check-in records attendance for one agenda item
+  if (sessionId) {
+    const session = event.sessions?.id(sessionId);
+    if (!session) {
+      return { statusCode: 404, error: 'Session not found' };
+    }
+
+    // Capped sessions admit only participants who picked them
+    const pickedSession = registration.sessions.some(s => s.sessionId?.toString() === sessionId.toString());
+    if (session.capacity && !pickedSession) {
+      return { statusCode: 400, error: `Participant is not registered for ${session.title}` };
+    }
+
+    const existing = registration.sessionAttendance.find(a => a.sessionId?.toString() === sessionId.toString());
+    if (existing) {
+      if (keepEarliest && checkedInAt < existing.checkedInAt) {
+        existing.checkedInAt = checkedInAt;
+        existing.checkedInBy = userId;
+      }
+      return {
+        duplicate: true,
+        message: `Participant already checked in to ${session.title}`,
+        checkedInAt: existing.checkedInAt
+      };
+    }
+
+    registration.sessionAttendance.push({
+      sessionId: session._id,
+      checkedInAt,
+      checkedInBy: userId
+    });
+    if (!registration.checkedIn) {
+      registration.checkedIn = true;
+      registration.checkInTime = checkedInAt;
+    }
+    return { message: `Checked in to ${session.title}`, checkedInAt };
+  }
+
+  return recordAttendance(registration, event, {
+    direction,
+    gate: typeof gate === 'string' ? gate.trim().slice(0, 60) : undefined,
+    userId,
+    at: checkedInAt,
+    keepEarliest
+  });
+};
+
+const applyScreeningDecision = async (registration, event, { approved, reason, reviewerId }) => {
+  const previousStatus = registration.status;
+  const paymentRequired = (registration.paymentAmount || 0) > 0 && registration.paymentStatus !== 'paid';
+
+  registration.screeningStatus = approved ? 'approved' : 'rejected';
+  registration.screeningReason = reason || undefined;
+  registration.screenedBy = reviewerId;
+  registration.screenedAt = new Date();
+
+  if (!approved) {
+    registration.status = 'rejected';
+    registration.waitlistPosition = undefined;
+    await releaseTierFor(registration);
+    await releaseSessionsFor(registration);
+  } else if (previousStatus === 'pending' && !paymentRequired) {
+    registration.status = 'confirmed';
+  }
 
-  return { completed: true, registrations: createdRegistrations };
+  // Approved but unpaid: the seat is now held until payment proof arrives
+  if (approved && needsPaymentHold(registration)) {
+    registration.holdExpiresAt = getHoldExpiry();
+  }
+  if (!approved) {
+    registration.holdExpiresAt = undefined;
+  }
+
+  await registration.save();
+
+  if (!approved) {
+    await releaseCode(registration);
+  }
+  if (!approved && SEAT_HOLDING_STATUSES.includes(previousStatus)) {
+    await releaseSeats(event._id);
+    await promoteFromWaitlist(event);
+  }
+  if (!approved && previousStatus === 'waitlisted') {
+    await compactWaitlist(event._id);
+  }
+
+  if (registration.status === 'confirmed') {
+    await issueTicket(registration, event);
+  }
+
+  await sendScreeningDecisionMail({
+    to: registration.email,
+    participantName: registration.participantName,
+    eventTitle: event.title,
+    approved,
+    reason,
+    paymentRequired,
+    waitlisted: registration.status === 'waitlisted'
+  });
+
+  return registration;
 };
 
 // @desc    Create team registration (leader creates and invites members)
@@ -140,6 +627,10 @@ exports.createTeamRegistration = async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Merchandise events do not support team registration' });
     }
 
+    if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
+      return res.status(400).json({ success: false, message: 'Registration deadline has passed' });
+    }
+
     const teamSize = Number(desiredTeamSize);
     if (!Number.isInteger(teamSize)) {
       return res.status(400).json({ success: false, message: 'Team size must be a valid integer' });
@@ -151,11 +642,17 @@ exports.createTeamRegistration = async (req, res, next) => {
       return res.status(400).json({ success: false, message: `Team size must be between ${minTeamSize} and ${maxTeamSize}` });
     }
 
+    const { paymentMode = 'leader' } = req.body;
+    if (!['leader', 'split'].includes(paymentMode)) {
+      return res.status(400).json({ success: false, message: 'Payment mode must be leader or split' });
+    }
+
+    // Spots not filled by email invites can be filled with the invite code
     const normalizedInviteEmails = [...new Set((inviteEmails || []).map(email => String(email || '').trim().toLowerCase()).filter(Boolean))];
-    if (normalizedInviteEmails.length !== teamSize - 1) {
+    if (normalizedInviteEmails.length > teamSize - 1) {
       return res.status(400).json({
         success: false,
-        message: `Please provide exactly ${teamSize - 1} unique invite emails for team size ${teamSize}`
+        message: `Please provide at most ${teamSize - 1} unique invite emails for team size ${teamSize}`
       });
     }
 
@@ -193,7 +690,8 @@ exports.createTeamRegistration = async (req, res, next) => {
     const invites = normalizedInviteEmails.map(email => ({
       email,
       token: generateInviteToken(),
-      status: 'pending'
+      status: 'pending',
+      expiresAt: getInviteExpiry()
     }));
 
     const team = await Team.create({
@@ -201,6 +699,7 @@ exports.createTeamRegistration = async (req, res, next) => {
       leader: req.user.id,
       teamName,
       desiredTeamSize: teamSize,
+      paymentMode,
       inviteCode: generateInviteCode(),
       invites,
       members: [req.user.id],
@@ -214,7 +713,8 @@ exports.createTeamRegistration = async (req, res, next) => {
       message: 'Team created. Invites are now visible in invited participants\' Team Management page.',
       data: {
         ...team.toObject(),
-        inviteLinks: buildInviteLinks(team)
+        inviteLinks: buildInviteLinks(team),
+        feeTotal: getTeamFeeTotal(event, teamSize)
       }
     });
   } catch (error) {
@@ -231,15 +731,26 @@ exports.getMyTeams = async (req, res, next) => {
       $or: [{ leader: req.user.id }, { members: req.user.id }],
       status: { $ne: 'cancelled' }
     })
-      .populate('event', 'title date endDate venue location minTeamSize maxTeamSize')
+      .populate('event', 'title date endDate venue location registrationDeadline minTeamSize maxTeamSize teamChanges teamFee')
+      .populate('registrationIds', 'user paymentAmount paymentStatus paymentApprovalStatus status')
       .populate('leader', 'firstName lastName email')
       .populate('members', 'firstName lastName email')
+      .populate('joinRequests.user', 'firstName lastName email participantType')
+      .populate('changeRequests.outgoingMember changeRequests.incomingMember changeRequests.newLeader', TEAM_CHANGE_USER_FIELDS)
       .sort('-createdAt');
 
-    const data = teams.map(team => ({
-      ...team.toObject(),
-      inviteLinks: buildInviteLinks(team)
-    }));
+    const data = teams.map(team => {
+      const teamData = {
+        ...team.toObject(),
+        inviteLinks: buildInviteLinks(team)
+      };
+      // Join and change requests are the leader's to manage
+      if (team.leader._id.toString() !== req.user.id) {
+        delete teamData.joinRequests;
+        delete teamData.changeRequests;
+      }
+      return teamData;
+    });
 
     res.status(200).json({ success: true, count: data.length, data });
   } catch (error) {
@@ -272,7 +783,7 @@ exports.addTeamInvites = async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'Please provide at least one invite email' });
     }
 
-    const existingEmails = new Set((team.invites || []).map(invite => invite.email));
+    const existingInvites = new Map((team.invites || []).map(invite => [invite.email, invite]));
     const availableSlots = Math.max(team.desiredTeamSize - team.members.length - (team.invites || []).filter(invite => invite.status === 'pending').length, 0);
 
     if (normalized.length > availableSlots) {
@@ -280,8 +791,19 @@ exports.addTeamInvites = async (req, res, next) => {
     }
 
     normalized.forEach(email => {
-      if (!existingEmails.has(email) && email !== req.user.email.toLowerCase()) {
-        team.invites.push({ email, token: generateInviteToken(), status: 'pending' });
+      if (email === req.user.email.toLowerCase()) {
+        return;
+      }
+
+      // Expired and declined invites are sent again with a fresh link
+      const existing = existingInvites.get(email);
+      if (existing && ['expired', 'declined'].includes(existing.status)) {
+        existing.status = 'pending';
+        existing.token = generateInviteToken();
+        existing.expiresAt = getInviteExpiry();
+        existing.respondedAt = undefined;
+      } else if (!existing) {
+        team.invites.push({ email, token: generateInviteToken(), status: 'pending', expiresAt: getInviteExpiry() });
       }
     });
 
@@ -311,14 +833,18 @@ exports.getMyPendingTeamInvites = async (req, res, next) => {
       invites: { $elemMatch: { email: userEmail, status: 'pending' } },
       status: 'forming'
     })
-      .populate('event', 'title date endDate venue location')
+      .populate('event', 'title date endDate venue location registrationDeadline')
       .populate('leader', 'firstName lastName email')
       .populate('members', 'firstName lastName email')
       .sort('-createdAt');
 
-    const data = teams.map((team) => {
-      const myInvite = (team.invites || []).find((invite) => invite.email === userEmail && invite.status === 'pending');
-      return {
+    // Lapsed invites drop out before the sweep gets to them
+    const data = teams.map((team) => ({
+      team,
+      myInvite: (team.invites || []).find((invite) => invite.email === userEmail && invite.status === 'pending')
+    }))
+      .filter(({ myInvite }) => myInvite && !isInviteExpired(myInvite))
+      .map(({ team, myInvite }) => ({
         teamId: team._id,
         teamName: team.teamName,
         teamStatus: team.status,
@@ -327,23 +853,21 @@ exports.getMyPendingTeamInvites = async (req, res, next) => {
         event: team.event,
         leader: team.leader,
         members: team.members,
-        myInvite: myInvite
-          ? {
-            id: myInvite._id,
-            email: myInvite.email,
-            status: myInvite.status,
-            createdAt: myInvite.createdAt,
-            respondedAt: myInvite.respondedAt
-          }
-          : null,
+        myInvite: {
+          id: myInvite._id,
+          email: myInvite.email,
+          status: myInvite.status,
+          createdAt: myInvite.createdAt,
+          respondedAt: myInvite.respondedAt,
+          expiresAt: getInviteExpiresAt(myInvite)
+        },
         inviteTracking: (team.invites || []).map((invite) => ({
           id: invite._id,
           email: invite.email,
           status: invite.status,
           respondedAt: invite.respondedAt
         }))
-      };
-    });
+      }));
 
     res.status(200).json({ success: true, count: data.length, data });
   } catch (error) {
@@ -394,6 +918,11 @@ exports.respondToMyTeamInvite = async (req, res, next) => {
       return res.status(400).json({ success: false, message: 'This team is no longer accepting members' });
     }
 
+    const inviteError = getInviteResponseError(invite, team.event);
+    if (inviteError) {
+      return res.status(400).json({ success: false, message: inviteError });
+    }
+
     const existingRegistration = await Registration.findOne({
       event: team.event._id,
       user: req.user.id,
@@ -429,7 +958,7 @@ exports.respondToMyTeamInvite = async (req, res, next) => {
     return res.status(200).json({
       success: true,
       message: completion.completed
-        ? 'Invite accepted and team registration completed. Tickets issued to all members.'
+        ? `Invite accepted. ${describeTeamCompletion(completion)}`
         : 'Invite accepted successfully',
       data: {
         ...team.toObject(),
@@ -480,99 +1009,608 @@ exports.removeTeamInvite = async (req, res, next) => {
   }
 };
 
-// @desc    Get invite details by token
-// @route   GET /api/registrations/team/invite/:token
+// @desc    Join a forming team with its invite code
+// @route   POST /api/registrations/team/join
 // @access  Private (Participant)
-exports.getInviteByToken = async (req, res, next) => {
+exports.joinTeamByCode = async (req, res, next) => {
   try {
-    const team = await Team.findOne({ 'invites.token': req.params.token })
-      .populate('event', 'title date endDate venue location')
-      .populate('leader', 'firstName lastName email')
-      .populate('members', 'firstName lastName email');
+    const code = normalizeTeamCode(req.body.code);
+    if (!code) {
+      return res.status(400).json({ success: false, message: 'Please enter a team code' });
+    }
 
+    const team = await Team.findOne({ inviteCode: code, inviteCodeEnabled: { $ne: false } });
     if (!team) {
-      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+      return res.status(404).json({ success: false, message: 'Invalid or disabled team code' });
     }
 
-    const invite = team.invites.find(existingInvite => existingInvite.token === req.params.token);
-    if (!invite) {
-      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    const userEmail = req.user.email.toLowerCase();
+    if ((team.invites || []).some(invite => invite.email === userEmail && invite.status === 'pending')) {
+      return res.status(400).json({ success: false, message: 'You already have an invite to this team. Accept it from your invites instead.' });
     }
 
+    const event = await Event.findById(team.event);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const joinError = await getTeamJoinError(team, event, req.user);
+    if (joinError) {
+      return res.status(400).json({ success: false, message: joinError });
+    }
+
+    if (team.codeJoinMode === 'approval') {
+      const requested = await Team.findOneAndUpdate(
+        {
+          _id: team._id,
+          status: 'forming',
+          joinRequests: { $not: { $elemMatch: { user: req.user._id, status: 'pending' } } }
+        },
+        { $push: { joinRequests: { user: req.user._id, status: 'pending', requestedAt: new Date() } } },
+        { new: true }
+      );
+      if (!requested) {
+        return res.status(400).json({ success: false, message: 'You have already asked to join this team' });
+      }
+
+      return res.status(200).json({
+        success: true,
+        message: 'Request sent. The team leader will review it.',
+        data: {
+          teamId: requested._id,
+          teamName: requested.teamName,
+          status: 'pending'
+        }
+      });
+    }
+
+    const joined = await addMemberIfRoom(team._id, req.user._id);
+    if (!joined) {
+      return res.status(400).json({ success: false, message: 'This team has no open spots left' });
+    }
+
+    joined.joinRequests.push({ user: req.user._id, status: 'approved', requestedAt: new Date(), respondedAt: new Date() });
+    await joined.save();
+
+    const completion = await completeTeamIfReady(joined, event);
+    await joined.populate('leader', 'firstName lastName email');
+    await joined.populate('members', 'firstName lastName email');
+
     res.status(200).json({
       success: true,
+      message: completion.completed
+        ? `Joined the team. ${describeTeamCompletion(completion)}`
+        : 'Joined the team successfully',
       data: {
+        teamId: joined._id,
+        teamName: joined.teamName,
+        status: 'approved',
+        completion: {
+          completed: completion.completed,
+          awaitingPayment: completion.awaitingPayment,
+          reason: completion.reason
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my pending requests to join teams by code
+// @route   GET /api/registrations/team/join-requests/me
+// @access  Private (Participant)
+exports.getMyJoinRequests = async (req, res, next) => {
+  try {
+    const teams = await Team.find({
+      joinRequests: { $elemMatch: { user: req.user._id, status: 'pending' } },
+      status: 'forming'
+    })
+      .populate('event', 'title date endDate venue location')
+      .populate('leader', 'firstName lastName email')
+      .sort('-createdAt');
+
+    const data = teams.map((team) => {
+      const myRequest = team.joinRequests.find(request => request.user.toString() === req.user.id && request.status === 'pending');
+      return {
         teamId: team._id,
         teamName: team.teamName,
-        teamStatus: team.status,
         desiredTeamSize: team.desiredTeamSize,
+        memberCount: team.members.length,
         event: team.event,
         leader: team.leader,
-        invite: {
-          id: invite._id,
-          email: invite.email,
-          status: invite.status,
-          respondedAt: invite.respondedAt
-        },
-        members: team.members,
-        inviteTracking: (team.invites || []).map(existingInvite => ({
-          email: existingInvite.email,
-          status: existingInvite.status,
-          respondedAt: existingInvite.respondedAt
-        }))
-      }
+        request: {
+          id: myRequest._id,
+          status: myRequest.status,
+          requestedAt: myRequest.requestedAt
+        }
+      };
     });
+
+    res.status(200).json({ success: true, count: data.length, data });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Accept team invite
-// @route   PUT /api/registrations/team/invite/:token/accept
-// @access  Private (Participant)
-exports.acceptTeamInvite = async (req, res, next) => {
+// @desc    Approve or reject a request to join by code
+// @route   PUT /api/registrations/team/:teamId/join-requests/:requestId
+// @access  Private (Participant leader)
+exports.respondToJoinRequest = async (req, res, next) => {
   try {
-    const team = await Team.findOne({ 'invites.token': req.params.token })
-      .populate('event')
-      .populate('leader', 'firstName lastName email')
-      .populate('members', 'firstName lastName email');
+    const normalizedAction = String(req.body.action || '').trim().toLowerCase();
+    if (!['approve', 'reject'].includes(normalizedAction)) {
+      return res.status(400).json({ success: false, message: 'Action must be approve or reject' });
+    }
 
+    const team = await Team.findById(req.params.teamId);
     if (!team) {
-      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+      return res.status(404).json({ success: false, message: 'Team not found' });
     }
 
-    if (team.status !== 'forming') {
-      return res.status(400).json({ success: false, message: 'This team is no longer accepting members' });
+    if (team.leader.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Only team leader can review join requests' });
     }
 
-    const invite = team.invites.find(existingInvite => existingInvite.token === req.params.token);
-    if (!invite) {
-      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    const request = team.joinRequests.id(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({ success: false, message: 'Join request not found' });
     }
 
-    if (invite.email !== req.user.email.toLowerCase()) {
-      return res.status(403).json({ success: false, message: 'This invite is for a different email address' });
+    if (request.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Join request already ${request.status}` });
     }
 
-    if (invite.status === 'accepted') {
-      return res.status(400).json({ success: false, message: 'Invite already accepted' });
+    if (normalizedAction === 'reject') {
+      request.status = 'rejected';
+      request.respondedAt = new Date();
+      await team.save();
+      return res.status(200).json({ success: true, message: 'Join request rejected' });
     }
 
-    const existingRegistration = await Registration.findOne({
-      event: team.event._id,
-      user: req.user.id,
-      status: { $ne: 'rejected' }
-    });
+    const [event, joiner] = await Promise.all([
+      Event.findById(team.event),
+      User.findById(request.user).select('firstName lastName email participantType')
+    ]);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+    if (!joiner) {
+      return res.status(404).json({ success: false, message: 'Participant not found' });
+    }
 
-    if (existingRegistration) {
-      return res.status(400).json({ success: false, message: 'You are already registered for this event' });
+    const joinError = await getTeamJoinError(team, event, joiner);
+    if (joinError) {
+      return res.status(400).json({ success: false, message: `Cannot approve: ${joinError}` });
     }
 
-    const existingTeamMembership = await Team.findOne({
-      event: team.event._id,
-      members: req.user.id,
-      status: { $ne: 'cancelled' }
-    });
+    const joined = await addMemberIfRoom(team._id, joiner._id);
+    if (!joined) {
+      return res.status(400).json({ success: false, message: 'This team has no open spots left' });
+    }
+
+    const joinedRequest = joined.joinRequests.id(req.params.requestId);
+    joinedRequest.status = 'approved';
+    joinedRequest.respondedAt = new Date();
+    await joined.save();
+
+    const completion = await completeTeamIfReady(joined, event);
+    await joined.populate('leader', 'firstName lastName email');
+    await joined.populate('members', 'firstName lastName email');
+    await joined.populate('joinRequests.user', 'firstName lastName email participantType');
+
+    res.status(200).json({
+      success: true,
+      message: completion.completed
+        ? `Request approved. ${describeTeamCompletion(completion)}`
+        : 'Request approved',
+      data: {
+        ...joined.toObject(),
+        inviteLinks: buildInviteLinks(joined),
+        completion
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rotate, enable or disable the invite code and set how code joins work
+// @route   PUT /api/registrations/team/:teamId/code
+// @access  Private (Participant leader)
+exports.updateTeamCode = async (req, res, next) => {
+  try {
+    const { enabled, joinMode, rotate } = req.body;
+
+    if (joinMode !== undefined && !['auto', 'approval'].includes(joinMode)) {
+      return res.status(400).json({ success: false, message: 'Join mode must be auto or approval' });
+    }
+
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'Enabled must be true or false' });
+    }
+
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    if (team.leader.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Only team leader can change the invite code' });
+    }
+
+    if (team.status !== 'forming') {
+      return res.status(400).json({ success: false, message: 'Cannot change the invite code after team completion' });
+    }
+
+    if (enabled !== undefined) {
+      team.inviteCodeEnabled = enabled;
+    }
+    if (joinMode) {
+      team.codeJoinMode = joinMode;
+    }
+    // A new code stops the old one from working; pending requests stay
+    if (rotate) {
+      team.inviteCode = generateInviteCode();
+    }
+
+    await team.save();
+    await team.populate('leader', 'firstName lastName email');
+    await team.populate('members', 'firstName lastName email');
+    await team.populate('joinRequests.user', 'firstName lastName email participantType');
+
+    res.status(200).json({
+      success: true,
+      message: rotate ? 'Invite code rotated' : 'Invite code settings updated',
+      data: {
+        ...team.toObject(),
+        inviteLinks: buildInviteLinks(team)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Propose a member swap or leader transfer for a completed team
+// @route   POST /api/registrations/team/:teamId/changes
+// @access  Private (Participant leader)
+exports.requestTeamChange = async (req, res, next) => {
+  try {
+    const { type, outgoingMemberId, incomingEmail, newLeaderId } = req.body;
+    const reason = String(req.body.reason || '').trim();
+
+    if (!['swap', 'transfer'].includes(type)) {
+      return res.status(400).json({ success: false, message: 'Change type must be swap or transfer' });
+    }
+
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    if (team.leader.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Only team leader can request team changes' });
+    }
+
+    if (team.status !== 'completed') {
+      return res.status(400).json({ success: false, message: 'Only completed teams need change requests; update invites while the team is forming' });
+    }
+
+    if (team.changeRequests.some(change => change.status === 'pending')) {
+      return res.status(400).json({ success: false, message: 'This team already has a change awaiting the organizer' });
+    }
+
+    const event = await Event.findById(team.event);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const windowError = getTeamChangeWindowError(event);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    const isMember = (userId) => team.members.some(memberId => memberId.toString() === String(userId));
+    const change = { type, reason: reason || undefined, status: 'pending', requestedAt: new Date() };
+
+    if (type === 'transfer') {
+      if (!isValidObjectId(newLeaderId) || !isMember(newLeaderId)) {
+        return res.status(400).json({ success: false, message: 'Choose a current team member as the new leader' });
+      }
+      if (String(newLeaderId) === req.user.id) {
+        return res.status(400).json({ success: false, message: 'You are already the team leader' });
+      }
+      change.newLeader = newLeaderId;
+    } else {
+      if (!isValidObjectId(outgoingMemberId) || !isMember(outgoingMemberId)) {
+        return res.status(400).json({ success: false, message: 'Choose a current team member to replace' });
+      }
+      if (String(outgoingMemberId) === req.user.id) {
+        return res.status(400).json({ success: false, message: 'Transfer leadership before swapping yourself out' });
+      }
+
+      const incoming = await User.findOne({
+        email: String(incomingEmail || '').trim().toLowerCase(),
+        role: 'Participant'
+      }).select('firstName lastName email participantType');
+      if (!incoming) {
+        return res.status(404).json({ success: false, message: 'No participant account found for that email' });
+      }
+
+      const memberError = await getNewMemberError(team, event, incoming);
+      if (memberError) {
+        return res.status(400).json({ success: false, message: `Cannot swap in ${incoming.email}: ${memberError}` });
+      }
+
+      change.outgoingMember = outgoingMemberId;
+      change.incomingMember = incoming._id;
+    }
+
+    team.changeRequests.push(change);
+    await team.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Change requested. The organizer will review it.',
+      data: team.changeRequests[team.changeRequests.length - 1]
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Withdraw a pending team change request
+// @route   DELETE /api/registrations/team/:teamId/changes/:changeId
+// @access  Private (Participant leader)
+exports.withdrawTeamChange = async (req, res, next) => {
+  try {
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    if (team.leader.toString() !== req.user.id) {
+      return res.status(403).json({ success: false, message: 'Only team leader can withdraw team changes' });
+    }
+
+    const change = team.changeRequests.id(req.params.changeId);
+    if (!change) {
+      return res.status(404).json({ success: false, message: 'Change request not found' });
+    }
+
+    if (change.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Change request already ${change.status}` });
+    }
+
+    change.status = 'withdrawn';
+    await team.save();
+
+    res.status(200).json({ success: true, message: 'Change request withdrawn' });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get team change requests for an event
+// @route   GET /api/registrations/team/changes/event/:eventId
+// @access  Private (Organizer/Admin)
+exports.getTeamChangeRequests = async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.eventId)) {
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
+
+    const event = await Event.findById(req.params.eventId).select('organizer teamChanges date');
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this event\'s teams' });
+    }
+
+    const teams = await Team.find({ event: event._id, 'changeRequests.0': { $exists: true } })
+      .populate('leader', TEAM_CHANGE_USER_FIELDS)
+      .populate('changeRequests.outgoingMember changeRequests.incomingMember changeRequests.newLeader', TEAM_CHANGE_USER_FIELDS);
+
+    // Pending requests first, then the most recent decisions
+    const data = teams
+      .flatMap(team => team.changeRequests.map(change => ({
+        ...change.toObject(),
+        teamId: team._id,
+        teamName: team.teamName,
+        teamStatus: team.status,
+        leader: team.leader
+      })))
+      .sort((a, b) => (b.status === 'pending') - (a.status === 'pending') || new Date(b.requestedAt) - new Date(a.requestedAt));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data,
+      window: {
+        allowed: Boolean(event.teamChanges?.allowed),
+        cutoff: event.teamChanges?.cutoff || event.date
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject a team change request
+// @route   PUT /api/registrations/team/:teamId/changes/:changeId/review
+// @access  Private (Organizer/Admin)
+exports.reviewTeamChange = async (req, res, next) => {
+  try {
+    const normalizedAction = String(req.body.action || '').trim().toLowerCase();
+    const note = String(req.body.note || '').trim();
+
+    if (!['approve', 'reject'].includes(normalizedAction)) {
+      return res.status(400).json({ success: false, message: 'Action must be approve or reject' });
+    }
+
+    const team = await Team.findById(req.params.teamId);
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Team not found' });
+    }
+
+    const event = await Event.findById(team.event);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to review this team\'s changes' });
+    }
+
+    const change = team.changeRequests.id(req.params.changeId);
+    if (!change) {
+      return res.status(404).json({ success: false, message: 'Change request not found' });
+    }
+
+    if (change.status !== 'pending') {
+      return res.status(400).json({ success: false, message: `Change request already ${change.status}` });
+    }
+
+    if (normalizedAction === 'reject') {
+      change.status = 'rejected';
+      change.reviewedBy = req.user.id;
+      change.reviewedAt = new Date();
+      change.reviewNote = note || undefined;
+      await team.save();
+      return res.status(200).json({ success: true, message: 'Change request rejected' });
+    }
+
+    if (team.status !== 'completed') {
+      return res.status(400).json({ success: false, message: `Team is ${team.status}` });
+    }
+
+    const windowError = getTeamChangeWindowError(event);
+    if (windowError) {
+      return res.status(400).json({ success: false, message: windowError });
+    }
+
+    const apply = change.type === 'transfer' ? applyLeaderTransfer : applyMemberSwap;
+    const result = await apply(team, change, { event, reviewerId: req.user.id, note });
+    if (result.error) {
+      return res.status(400).json({ success: false, message: result.error });
+    }
+
+    const swapMessage = result.registration?.paymentAmount > 0
+      ? `Member swapped. The new member gets their ticket once their share of Rs. ${result.registration.paymentAmount} is paid.`
+      : 'Member swapped. The new member has been sent a ticket.';
+
+    res.status(200).json({
+      success: true,
+      message: change.type === 'transfer' ? 'Leadership transferred' : swapMessage,
+      data: result.team
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get invite details by token
+// @route   GET /api/registrations/team/invite/:token
+// @access  Private (Participant)
+exports.getInviteByToken = async (req, res, next) => {
+  try {
+    const team = await Team.findOne({ 'invites.token': req.params.token })
+      .populate('event', 'title date endDate venue location')
+      .populate('leader', 'firstName lastName email')
+      .populate('members', 'firstName lastName email');
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    }
+
+    const invite = team.invites.find(existingInvite => existingInvite.token === req.params.token);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        teamId: team._id,
+        teamName: team.teamName,
+        teamStatus: team.status,
+        desiredTeamSize: team.desiredTeamSize,
+        event: team.event,
+        leader: team.leader,
+        invite: {
+          id: invite._id,
+          email: invite.email,
+          status: isInviteExpired(invite) ? 'expired' : invite.status,
+          respondedAt: invite.respondedAt,
+          expiresAt: invite.status === 'pending' ? getInviteExpiresAt(invite) : undefined
+        },
+        members: team.members,
+        inviteTracking: (team.invites || []).map(existingInvite => ({
+          email: existingInvite.email,
+          status: existingInvite.status,
+          respondedAt: existingInvite.respondedAt
+        }))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Accept team invite
+// @route   PUT /api/registrations/team/invite/:token/accept
+// @access  Private (Participant)
+exports.acceptTeamInvite = async (req, res, next) => {
+  try {
+    const team = await Team.findOne({ 'invites.token': req.params.token })
+      .populate('event')
+      .populate('leader', 'firstName lastName email')
+      .populate('members', 'firstName lastName email');
+
+    if (!team) {
+      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    }
+
+    if (team.status !== 'forming') {
+      return res.status(400).json({ success: false, message: 'This team is no longer accepting members' });
+    }
+
+    const invite = team.invites.find(existingInvite => existingInvite.token === req.params.token);
+    if (!invite) {
+      return res.status(404).json({ success: false, message: 'Invite not found or expired' });
+    }
+
+    if (invite.email !== req.user.email.toLowerCase()) {
+      return res.status(403).json({ success: false, message: 'This invite is for a different email address' });
+    }
+
+    if (invite.status === 'accepted') {
+      return res.status(400).json({ success: false, message: 'Invite already accepted' });
+    }
+
+    const inviteError = getInviteResponseError(invite, team.event);
+    if (inviteError) {
+      return res.status(400).json({ success: false, message: inviteError });
+    }
+
+    const existingRegistration = await Registration.findOne({
+      event: team.event._id,
+      user: req.user.id,
+      status: { $ne: 'rejected' }
+    });
+
+    if (existingRegistration) {
+      return res.status(400).json({ success: false, message: 'You are already registered for this event' });
+    }
+
+    const existingTeamMembership = await Team.findOne({
+      event: team.event._id,
+      members: req.user.id,
+      status: { $ne: 'cancelled' }
+    });
     if (existingTeamMembership && existingTeamMembership._id.toString() !== team._id.toString()) {
       return res.status(400).json({ success: false, message: 'You are already part of another team for this event' });
     }
@@ -593,7 +1631,7 @@ exports.acceptTeamInvite = async (req, res, next) => {
     res.status(200).json({
       success: true,
       message: completion.completed
-        ? 'Invite accepted and team registration completed. Tickets issued to all members.'
+        ? `Invite accepted. ${describeTeamCompletion(completion)}`
         : 'Invite accepted successfully',
       data: {
         ...team.toObject(),
@@ -640,7 +1678,7 @@ exports.declineTeamInvite = async (req, res, next) => {
 // @access  Private (Participant)
 exports.registerForEvent = async (req, res, next) => {
   try {
-    const { eventId, teamName, teamMembers, customFields, teamLeader } = req.body;
+    const { eventId, teamName, teamMembers, customFields, teamLeader, discountCode } = req.body;
 
     // Check if event exists
     const event = await Event.findById(eventId);
@@ -659,6 +1697,13 @@ exports.registerForEvent = async (req, res, next) => {
       });
     }
 
+    if (event.cancelledAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This event has been cancelled'
+      });
+    }
+
     // Check registration deadline
     if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
       return res.status(400).json({
@@ -698,19 +1743,6 @@ exports.registerForEvent = async (req, res, next) => {
       }
     }
 
-    // Check capacity
-    const registrationCount = await Registration.countDocuments({
-      event: eventId,
-      status: { $in: ['pending', 'confirmed'] }
-    });
-
-    if (registrationCount >= (event.capacity || event.maxParticipants)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Event is full'
-      });
-    }
-
     // Team validation
     const hasTeamMembers = Array.isArray(teamMembers) && teamMembers.length > 0;
     const isTeamRegistration = Boolean(teamName || hasTeamMembers || teamLeader);
@@ -749,9 +1781,56 @@ exports.registerForEvent = async (req, res, next) => {
       });
     }
 
+    // Ticket tier selection: the tier price replaces the flat registration fee
+    let ticketTierPayload = null;
+    if (event.type !== 'Merchandise' && event.ticketTiers?.length) {
+      const { ticketTierId } = req.body;
+      const tier = ticketTierId ? event.ticketTiers.id(ticketTierId) : null;
+
+      if (!tier) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please select a valid ticket type'
+        });
+      }
+
+      if (!isTierOnSale(tier)) {
+        return res.status(400).json({
+          success: false,
+          message: `${tier.name} tickets are not on sale right now`
+        });
+      }
+
+      if (!isEligibleForTier(tier, req.user)) {
+        return res.status(403).json({
+          success: false,
+          message: `You are not eligible for ${tier.name} tickets`
+        });
+      }
+
+      ticketTierPayload = {
+        tierId: tier._id,
+        name: tier.name,
+        price: tier.price || 0
+      };
+    }
+
+    // Agenda sessions picked at registration
+    let sessionsPayload = [];
+    if (event.type !== 'Merchandise' && event.sessions?.length && Array.isArray(req.body.sessionIds)) {
+      const selection = await resolveSessionSelection(event, req.body.sessionIds);
+      if (selection.error) {
+        return res.status(400).json({
+          success: false,
+          message: selection.error
+        });
+      }
+      sessionsPayload = selection.sessions;
+    }
+
     // Merchandise validation and pricing
     let merchandisePayload = null;
-    let paymentAmount = event.registrationFee || 0;
+    let paymentAmount = ticketTierPayload ? ticketTierPayload.price : (event.registrationFee || 0);
     let paymentStatus = (paymentAmount > 0) ? 'pending' : 'free';
     let paymentApprovalStatus = paymentAmount > 0 ? 'pending' : 'not-required';
     let registrationStatus = (paymentAmount > 0) ? 'pending' : 'confirmed';
@@ -761,8 +1840,8 @@ exports.registerForEvent = async (req, res, next) => {
       const quantity = Math.max(1, Number(payload.quantity || req.body.quantity || 1));
       const purchaseLimit = event.merchandise?.purchaseLimit || 1;
 
-      // Enforce per-participant purchase limit
-      const previous = await Registration.find({ event: eventId, user: req.user.id });
+      // Enforce per-participant purchase limit; cancelled and expired orders don't count
+      const previous = await Registration.find({ event: eventId, user: req.user.id, status: { $ne: 'rejected' } });
       const purchased = previous.reduce((sum, reg) => sum + (reg.merchandise?.quantity || 0), 0);
       if (purchased + quantity > purchaseLimit) {
         return res.status(400).json({
@@ -825,28 +1904,173 @@ exports.registerForEvent = async (req, res, next) => {
       };
     }
 
+    // Discount codes reduce the amount due (the order total for merchandise)
+    let discountPayload = null;
+    let appliedCode = null;
+    if (discountCode && String(discountCode).trim()) {
+      appliedCode = await findCodeForEvent(discountCode, event);
+      if (!appliedCode) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid discount code'
+        });
+      }
+
+      if (paymentAmount <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount codes can only be applied to paid registrations'
+        });
+      }
+
+      const usageError = await getCodeUsageError(appliedCode, req.user.id);
+      if (usageError) {
+        return res.status(400).json({
+          success: false,
+          message: usageError
+        });
+      }
+
+      const discountAmount = calculateDiscount(appliedCode, paymentAmount);
+      discountPayload = {
+        codeId: appliedCode._id,
+        code: appliedCode.code,
+        amount: discountAmount,
+        originalAmount: paymentAmount
+      };
+
+      paymentAmount = Math.max(paymentAmount - discountAmount, 0);
+      paymentStatus = paymentAmount > 0 ? 'pending' : 'free';
+      registrationStatus = paymentAmount > 0 ? 'pending' : 'confirmed';
+      if (event.type === 'Merchandise') {
+        paymentApprovalStatus = paymentAmount > 0 ? 'awaiting-proof' : 'not-required';
+        merchandisePayload.totalPrice = paymentAmount;
+      } else {
+        paymentApprovalStatus = paymentAmount > 0 ? 'pending' : 'not-required';
+      }
+    }
+
+    // Tier tickets, session places, seats and stock are claimed atomically,
+    // so the last one goes to exactly one request. A tier's ticket is kept
+    // on the waitlist.
+    if (ticketTierPayload) {
+      if (!(await claimTier(event, event.ticketTiers.id(ticketTierPayload.tierId)))) {
+        return res.status(400).json({
+          success: false,
+          message: `${ticketTierPayload.name} tickets are sold out`
+        });
+      }
+      ticketTierPayload.reserved = true;
+    }
+
+    // Session places are held the same way, waitlist included
+    const sessionError = sessionsPayload.length ? await claimSessions(event, sessionsPayload) : null;
+    if (sessionError) {
+      if (ticketTierPayload) await releaseTier(event._id, ticketTierPayload.tierId);
+      return res.status(400).json({
+        success: false,
+        message: sessionError
+      });
+    }
+
+    // Full non-merchandise events put new registrations on the waitlist
+    const isFull = !(await claimSeats(event));
+    if (isFull && event.type === 'Merchandise') {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is full'
+      });
+    }
+
+    if (event.type === 'Merchandise') {
+      const stockError = await claimStock(event, merchandisePayload);
+      if (stockError) {
+        await releaseSeats(event._id);
+        return res.status(400).json({
+          success: false,
+          message: stockError
+        });
+      }
+      merchandisePayload.stockReserved = true;
+    }
+
+    // Hand back what was claimed when the registration doesn't go through
+    const releaseClaims = async () => {
+      if (!isFull) await releaseSeats(event._id);
+      if (ticketTierPayload) await releaseTier(event._id, ticketTierPayload.tierId);
+      if (sessionsPayload.length) await releaseSessions(event._id, sessionsPayload.map(session => session.sessionId));
+      if (merchandisePayload?.stockReserved) await releaseStock(event, merchandisePayload);
+    };
+
+    const codeError = appliedCode ? await redeemCode(appliedCode, req.user.id) : null;
+    if (codeError) {
+      await releaseClaims();
+      return res.status(400).json({
+        success: false,
+        message: codeError
+      });
+    }
+
+    const waitlistPayload = isFull
+      ? {
+        status: 'waitlisted',
+        waitlistPosition: await getNextWaitlistPosition(event._id),
+        waitlistedAt: new Date()
+      }
+      : {};
+
+    // Events that require approval hold registrations for organizer screening
+    const requiresScreening = Boolean(event.requiresApproval) && event.type !== 'Merchandise';
+    if (requiresScreening) {
+      registrationStatus = 'pending';
+    }
+
+    // Unpaid reservations are released if payment proof doesn't arrive in time
+    const holdsPayment = !isFull && paymentAmount > 0 && !requiresScreening;
+
     // Create registration
-    const registration = await Registration.create({
-      event: eventId,
-      user: req.user.id,
-      participantName: `${req.user.firstName} ${req.user.lastName}`.trim(),
-      email: req.user.email,
-      isTeam: isTeamRegistration,
-      teamName,
-      teamLeader,
-      teamMembers,
-      customFieldResponses: customFields,
-      merchandise: merchandisePayload,
-      paymentAmount,
-      paymentStatus,
-      paymentApprovalStatus,
-      amountPaid: paymentStatus === 'paid' ? paymentAmount : 0,
-      status: registrationStatus
-    });
+    let registration;
+    try {
+      registration = await Registration.create({
+        event: eventId,
+        user: req.user.id,
+        participantName: `${req.user.firstName} ${req.user.lastName}`.trim(),
+        email: req.user.email,
+        isTeam: isTeamRegistration,
+        teamName,
+        teamLeader,
+        teamMembers,
+        customFieldResponses: customFields,
+        merchandise: merchandisePayload,
+        ticketTier: ticketTierPayload,
+        sessions: sessionsPayload,
+        sessionsReserved: sessionsPayload.length > 0,
+        discount: discountPayload,
+        paymentAmount,
+        paymentStatus,
+        paymentApprovalStatus,
+        screeningStatus: requiresScreening ? 'pending' : 'not-required',
+        amountPaid: paymentStatus === 'paid' ? paymentAmount : 0,
+        status: registrationStatus,
+        ...waitlistPayload,
+        ...(holdsPayment && { holdExpiresAt: getHoldExpiry() })
+      });
+    } catch (err) {
+      await releaseClaims();
+      throw err;
+    }
+
+    await closeRegisteredPosts(eventId, req.user.id);
 
-    // Update registered count on the event
-    event.registered = (event.registered || 0) + 1;
-    await event.save();
+    if (isFull) {
+      await registration.populate('event', 'title date venue');
+      return res.status(201).json({
+        success: true,
+        waitlisted: true,
+        message: `Event is full. You have been added to the waitlist at position ${registration.waitlistPosition}.`,
+        data: registration
+      });
+    }
 
     await registration.populate('event', 'title date venue');
 
@@ -854,13 +2078,16 @@ exports.registerForEvent = async (req, res, next) => {
     const shouldIssueTicket =
       event.type === 'Merchandise'
         ? paymentApprovalStatus === 'approved' || paymentStatus === 'free'
-        : ['paid', 'free'].includes(paymentStatus);
+        : ['paid', 'free'].includes(paymentStatus) && !requiresScreening;
     if (shouldIssueTicket) {
       issued = await issueTicket(registration, event);
     }
 
     res.status(201).json({
       success: true,
+      ...(requiresScreening && {
+        message: 'Registration submitted. The organizers will review it and email you the outcome.'
+      }),
       data: issued
     });
   } catch (error) {
@@ -868,6 +2095,133 @@ exports.registerForEvent = async (req, res, next) => {
   }
 };
 
+// @desc    Register for every upcoming occurrence of an event series
+// @route   POST /api/registrations/series/:seriesId
+// @access  Private (Participant)
+exports.registerForSeries = async (req, res, next) => {
+  try {
+    const series = await EventSeries.findById(req.params.seriesId);
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event series not found'
+      });
+    }
+
+    const occurrences = await Event.find({
+      series: series._id,
+      status: 'approved',
+      isClosed: { $ne: true },
+      cancelledAt: null,
+      date: { $gte: new Date() }
+    }).sort('date');
+
+    if (occurrences.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This series has no upcoming occurrences open for registration'
+      });
+    }
+
+    const registered = [];
+    const skipped = [];
+    const skip = (event, reason) => skipped.push({ event: event._id, title: event.title, date: event.date, reason });
+
+    for (const event of occurrences) {
+      if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
+        skip(event, 'Registration deadline has passed');
+        continue;
+      }
+
+      const eligibility = normalizeEligibility(event.eligibility);
+      if (
+        (eligibility === 'IIIT' && req.user.participantType !== 'IIIT') ||
+        (eligibility === 'Non-IIIT' && req.user.participantType === 'IIIT')
+      ) {
+        skip(event, 'Not eligible');
+        continue;
+      }
+
+      // Series signup covers plain individual registrations only
+      if (event.type === 'Merchandise') {
+        skip(event, 'Order merchandise from the item page');
+        continue;
+      }
+      if (event.participantType === 'Team' || event.allowTeams) {
+        skip(event, 'Requires team registration');
+        continue;
+      }
+      if (event.ticketTiers?.length || event.customFields?.length) {
+        skip(event, 'Register for this occurrence individually to choose a ticket type or fill in the form');
+        continue;
+      }
+
+      const existing = await Registration.findOne({
+        event: event._id,
+        user: req.user.id,
+        status: { $ne: 'rejected' }
+      });
+      if (existing) {
+        skip(event, 'Already registered');
+        continue;
+      }
+
+      const isFull = !(await claimSeats(event));
+
+      const paymentAmount = event.registrationFee || 0;
+      const requiresScreening = Boolean(event.requiresApproval);
+      const paymentStatus = paymentAmount > 0 ? 'pending' : 'free';
+      const holdsPayment = !isFull && paymentAmount > 0 && !requiresScreening;
+
+      let registration;
+      try {
+        registration = await Registration.create({
+          event: event._id,
+          user: req.user.id,
+          series: series._id,
+          participantName: `${req.user.firstName} ${req.user.lastName}`.trim(),
+          email: req.user.email,
+          paymentAmount,
+          paymentStatus,
+          paymentApprovalStatus: paymentAmount > 0 ? 'pending' : 'not-required',
+          screeningStatus: requiresScreening ? 'pending' : 'not-required',
+          status: isFull
+            ? 'waitlisted'
+            : paymentAmount > 0 || requiresScreening ? 'pending' : 'confirmed',
+          ...(isFull && {
+            waitlistPosition: await getNextWaitlistPosition(event._id),
+            waitlistedAt: new Date()
+          }),
+          ...(holdsPayment && { holdExpiresAt: getHoldExpiry() })
+        });
+      } catch (err) {
+        if (!isFull) await releaseSeats(event._id);
+        throw err;
+      }
+
+      if (registration.status === 'confirmed') {
+        await issueTicket(registration, event);
+      }
+
+      registered.push(registration);
+    }
+
+    res.status(registered.length > 0 ? 201 : 200).json({
+      success: true,
+      message: registered.length > 0
+        ? `Registered for ${registered.length} of ${occurrences.length} upcoming occurrences`
+        : 'No occurrences could be registered',
+      count: registered.length,
+      data: {
+        registered,
+        skipped
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get my registrations
 // @route   GET /api/registrations/my-registrations
 // @access  Private (Participant)
@@ -894,7 +2248,7 @@ exports.getRegistration = async (req, res, next) => {
   try {
     const registration = await Registration.findById(req.params.id)
       .populate('user', 'firstName lastName email contactNumber')
-      .populate('event', 'title date venue organizer');
+      .populate('event', TICKET_EVENT_FIELDS);
 
     if (!registration) {
       return res.status(404).json({
@@ -955,7 +2309,10 @@ exports.getEventRegistrations = async (req, res, next) => {
       confirmed: registrations.filter(r => r.status === 'confirmed').length,
       pending: registrations.filter(r => r.status === 'pending').length,
       cancelled: registrations.filter(r => r.status === 'rejected').length,
+      waitlisted: registrations.filter(r => r.status === 'waitlisted').length,
+      awaitingScreening: registrations.filter(r => r.screeningStatus === 'pending' && r.status !== 'rejected').length,
       checkedIn: registrations.filter(r => r.checkedIn).length,
+      attendance: summarizeAttendance(registrations.filter(r => r.status === 'confirmed'), event),
       paymentPending: registrations.filter(r => r.paymentStatus === 'pending').length,
       paymentCompleted: registrations.filter(r => r.paymentStatus === 'paid').length
     };
@@ -1010,25 +2367,60 @@ exports.cancelRegistration = async (req, res, next) => {
       });
     }
 
-    if (registration.status !== 'rejected') {
-      await Event.findByIdAndUpdate(registration.event, { $inc: { registered: -1 } });
+    // While swaps are possible, a member leaving goes through the leader
+    // rather than cancelling the whole team
+    if (registration.team) {
+      const team = await Team.findById(registration.team).select('leader status');
+      if (team && team.status === 'completed' && team.leader.toString() !== req.user.id && !getTeamChangeWindowError(event)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Ask your team leader to swap you out of the team instead'
+        });
+      }
+    }
+
+    const previousStatus = registration.status;
+    if (SEAT_HOLDING_STATUSES.includes(previousStatus)) {
+      await releaseSeats(registration.event);
     }
 
     registration.status = 'rejected';
+    registration.waitlistPosition = undefined;
+    registration.holdExpiresAt = undefined;
+    await releaseTierFor(registration);
+    await releaseSessionsFor(registration);
+    await releaseStockFor(registration, event);
     await registration.save();
+    await releaseCode(registration);
+
+    const refund = await createRefundRequest(registration, event, 'registration-cancelled');
 
     // If this registration belongs to a team, update team status
     if (registration.team) {
       const team = await Team.findById(registration.team);
-      if (team && team.status !== 'cancelled') {
+      if (team && team.status === 'awaiting-payment') {
+        // An unpaid team can't go ahead without this member
+        await cancelUnpaidTeam(team._id, event);
+      } else if (team && team.status !== 'cancelled') {
         team.status = 'cancelled';
         await team.save();
+        await closeFilledPosts(team);
       }
     }
 
+    if (previousStatus === 'waitlisted') {
+      await compactWaitlist(event._id);
+    } else {
+      await promoteFromWaitlist(event);
+    }
+
     res.status(200).json({
       success: true,
-      data: registration
+      message: refund
+        ? `Registration cancelled. A refund of Rs. ${refund.amount} has been requested.`
+        : 'Registration cancelled',
+      data: registration,
+      refund
     });
   } catch (error) {
     next(error);
@@ -1087,74 +2479,138 @@ exports.updatePaymentStatus = async (req, res, next) => {
       });
     }
 
-    const previousPaymentStatus = registration.paymentStatus;
-    const previousApprovalStatus = registration.paymentApprovalStatus;
-    registration.paymentStatus = paymentStatus;
-    if (paymentApprovalStatus) {
-      registration.paymentApprovalStatus = paymentApprovalStatus;
+    const result = await applyPaymentUpdate(registration, {
+      paymentStatus,
+      paymentApprovalStatus,
+      paymentMethod,
+      transactionId,
+      amountPaid
+    });
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
     }
 
-    if (paymentMethod) registration.paymentMethod = paymentMethod;
-    if (transactionId) registration.transactionId = transactionId;
-    if (amountPaid !== undefined) registration.amountPaid = amountPaid;
+    res.status(200).json({
+      success: true,
+      data: registration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the payment receipt PDF for a paid registration
+// @route   GET /api/registrations/:id/receipt-pdf
+// @access  Private (Owner/Organizer/Admin)
+exports.downloadReceiptPdf = async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.id).populate('event');
 
-    // Map payment status to approval status for merchandise
-    if (registration.event.type === 'Merchandise' && !paymentApprovalStatus) {
-      if (paymentStatus === 'paid') registration.paymentApprovalStatus = 'approved';
-      if (paymentStatus === 'failed') registration.paymentApprovalStatus = 'rejected';
-      if (paymentStatus === 'pending') registration.paymentApprovalStatus = 'pending';
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
     }
 
-    // Update registration status if payment completed
-    if (paymentStatus === 'paid' && registration.status === 'pending') {
-      registration.status = 'confirmed';
-      // Default amountPaid to expected paymentAmount when not provided
-      if (registration.amountPaid === 0) {
-        registration.amountPaid = registration.paymentAmount || 0;
-      }
+    const isOwner = registration.user.toString() === req.user.id;
+    const isOrganizer = registration.event.organizer?.toString() === req.user.id;
+    if (!isOwner && !isOrganizer && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this receipt'
+      });
     }
 
-    if (paymentStatus === 'failed' && registration.event.type === 'Merchandise') {
-      registration.status = 'pending';
+    if (!['paid', 'refunded'].includes(registration.paymentStatus) || !(registration.amountPaid > 0)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No payment has been approved for this registration'
+      });
     }
 
-    if (registration.event.type === 'Merchandise' && registration.paymentApprovalStatus === 'approved' && previousApprovalStatus !== 'approved') {
-      const quantity = registration.merchandise?.quantity || 1;
-      if (registration.merchandise?.variantSku && registration.event.merchandise?.variants?.length) {
-        const variant = registration.event.merchandise.variants.find(v => v.sku === registration.merchandise.variantSku);
-        if (!variant || (variant.stock || 0) < quantity) {
-          return res.status(400).json({
-            success: false,
-            message: 'Insufficient stock for selected variant'
-          });
-        }
-        variant.stock -= quantity;
-      } else {
-        const currentStock = registration.event.merchandise?.stock || 0;
-        if (currentStock < quantity) {
-          return res.status(400).json({
-            success: false,
-            message: 'Insufficient stock for this item'
-          });
-        }
-        registration.event.merchandise.stock = currentStock - quantity;
-      }
+    // Payments approved before receipts existed get one on first download
+    const receipt = await issueReceipt(registration, registration.event);
+    if (!receipt.receiptNumber) {
+      return res.status(400).json({
+        success: false,
+        message: 'This receipt is still being issued. Please try again in a moment.'
+      });
+    }
+    const pdf = await renderReceiptPdf(receipt);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${receipt.receiptNumber}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the public key scanners use to verify signed tickets
+// @route   GET /api/registrations/tickets/public-key
+// @access  Private (Organizer/Admin)
+exports.getTicketPublicKey = async (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: readTicketPublicKey()
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Verify a scanned ticket's signature and revocation state
+// @route   POST /api/registrations/tickets/verify
+// @access  Private (Organizer/Admin)
+exports.verifyTicket = async (req, res, next) => {
+  try {
+    const { token, eventId } = req.body || {};
+    const { payload, error } = verifyTicketToken(token);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
 
-      await registration.event.save();
+    if (eventId && payload.e !== eventId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket is for a different event'
+      });
     }
 
-    await registration.save();
+    const registration = await Registration.findById(payload.r).populate('event', 'title organizer');
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ticket does not match any registration'
+      });
+    }
 
-    const shouldIssueForMerchandise = registration.event.type !== 'Merchandise'
-      || registration.paymentApprovalStatus === 'approved'
-      || paymentStatus === 'free';
+    if (registration.event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to verify tickets for this event'
+      });
+    }
 
-    if (paymentStatus === 'paid' && previousPaymentStatus !== 'paid' && shouldIssueForMerchandise) {
-      await issueTicket(registration, registration.event, { forceEmail: true });
+    const revocationError = getTicketRevocationError(registration, payload);
+    if (revocationError) {
+      return res.status(400).json({
+        success: false,
+        message: revocationError
+      });
     }
 
     res.status(200).json({
       success: true,
+      message: 'Ticket is valid',
       data: registration
     });
   } catch (error) {
@@ -1168,7 +2624,7 @@ exports.updatePaymentStatus = async (req, res, next) => {
 exports.resendTicketEmail = async (req, res, next) => {
   try {
     const registration = await Registration.findById(req.params.id)
-      .populate('event', 'title date venue organizer');
+      .populate('event', TICKET_EVENT_FIELDS);
 
     if (!registration) {
       return res.status(404).json({
@@ -1195,72 +2651,299 @@ exports.resendTicketEmail = async (req, res, next) => {
     ) {
       return res.status(400).json({
         success: false,
-        message: 'Ticket can be sent only after merchandise payment approval'
+        message: 'Ticket can be sent only after merchandise payment approval'
+      });
+    }
+
+    if (registration.status === 'waitlisted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket can be sent only after the registration is promoted from the waitlist'
+      });
+    }
+
+    await issueTicket(registration, registration.event, { forceEmail: true });
+
+    res.status(200).json({
+      success: true,
+      message: 'Ticket email sent successfully',
+      data: registration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Download the printable PDF ticket
+// @route   GET /api/registrations/:id/ticket-pdf
+// @access  Private (Owner or Organizer/Admin)
+exports.downloadTicketPdf = async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.id)
+      .populate('event', TICKET_EVENT_FIELDS);
+
+    if (!registration || !registration.event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    const isOwner = registration.user.toString() === req.user.id;
+    const isOrganizer = registration.event.organizer?.toString() === req.user.id;
+    if (!isOwner && !isOrganizer && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to download this ticket'
+      });
+    }
+
+    if (registration.status !== 'confirmed' || !registration.ticketQr) {
+      return res.status(400).json({
+        success: false,
+        message: 'Ticket has not been issued for this registration'
+      });
+    }
+
+    const pdf = await renderTicketPdf(registration, registration.event);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="ticket-${registration.ticketId}.pdf"`);
+    res.status(200).send(pdf);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a participant's entry, exit or session check-in
+// @route   PUT /api/registrations/:id/checkin
+// @access  Private (Organizer/Admin)
+exports.checkInParticipant = async (req, res, next) => {
+  try {
+    const registration = await Registration.findById(req.params.id).populate('event');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    // Check authorization
+    if (
+      registration.event.organizer.toString() !== req.user.id &&
+      req.user.role !== 'Admin'
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to check-in participants'
+      });
+    }
+
+    const result = recordCheckIn(registration, registration.event, {
+      sessionId: req.body?.sessionId,
+      direction: req.body?.direction,
+      gate: req.body?.gate,
+      userId: req.user.id
+    });
+
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    if (result.duplicate) {
+      return res.status(400).json({
+        success: false,
+        message: result.message,
+        checkInTime: result.checkedInAt
+      });
+    }
+
+    await registration.save();
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: registration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get live occupancy for an event's gates
+// @route   GET /api/registrations/event/:eventId/occupancy
+// @access  Private (Organizer/Admin)
+exports.getEventOccupancy = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view event attendance'
       });
     }
 
-    await issueTicket(registration, registration.event, { forceEmail: true });
+    const registrations = await Registration.find({
+      event: event._id,
+      status: 'confirmed',
+      'attendanceLog.0': { $exists: true }
+    }).select('attendanceLog');
 
     res.status(200).json({
       success: true,
-      message: 'Ticket email sent successfully',
-      data: registration
+      data: summarizeAttendance(registrations, event)
     });
   } catch (error) {
     next(error);
   }
 };
 
-// @desc    Check-in participant
-// @route   PUT /api/registrations/:id/checkin
+// @desc    Sync check-ins recorded offline by one or more gates
+// @route   POST /api/registrations/event/:eventId/checkin/batch
 // @access  Private (Organizer/Admin)
-exports.checkInParticipant = async (req, res, next) => {
+exports.batchCheckIn = async (req, res, next) => {
   try {
-    const registration = await Registration.findById(req.params.id).populate('event');
+    const event = await Event.findById(req.params.eventId);
 
-    if (!registration) {
+    if (!event) {
       return res.status(404).json({
         success: false,
-        message: 'Registration not found'
+        message: 'Event not found'
       });
     }
 
-    // Check authorization
-    if (
-      registration.event.organizer.toString() !== req.user.id &&
-      req.user.role !== 'Admin'
-    ) {
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to check-in participants'
       });
     }
 
-    // Check if registration is confirmed
-    if (registration.status !== 'confirmed') {
+    const checkIns = Array.isArray(req.body?.checkIns) ? req.body.checkIns : [];
+    if (checkIns.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Can only check-in confirmed registrations'
+        message: 'No check-ins to sync'
       });
     }
-
-    // Check if already checked in
-    if (registration.checkedIn) {
+    if (checkIns.length > MAX_BATCH_CHECK_INS) {
       return res.status(400).json({
         success: false,
-        message: 'Participant already checked in',
-        checkInTime: registration.checkInTime
+        message: `A batch can hold at most ${MAX_BATCH_CHECK_INS} check-ins`
       });
     }
 
-    registration.checkedIn = true;
-    registration.checkInTime = new Date();
-    await registration.save();
+    const now = new Date();
+    const entries = checkIns.map((entry, index) => {
+      const scannedAt = new Date(entry?.checkedInAt);
+      return {
+        ...entry,
+        index,
+        ticket: entry?.token ? verifyTicketToken(entry.token) : null,
+        // Device clocks drift; never accept a scan time from the future
+        checkedInAt: Number.isNaN(scannedAt.getTime()) || scannedAt > now ? now : scannedAt
+      };
+    });
+
+    const registrationIds = entries
+      .flatMap(entry => [entry.registrationId, entry.ticket?.payload?.r])
+      .filter(id => id && isValidObjectId(id));
+    const ticketIds = entries.map(entry => entry.ticketId).filter(Boolean);
+    const registrations = await Registration.find({
+      event: event._id,
+      $or: [{ _id: { $in: registrationIds } }, { ticketId: { $in: ticketIds } }]
+    });
+    const byId = new Map(registrations.map(reg => [reg._id.toString(), reg]));
+    const byTicket = new Map(registrations.map(reg => [reg.ticketId, reg]));
+
+    const results = new Array(entries.length);
+    const changed = new Set();
+
+    // Replay scans in the order they happened so the earliest gate wins
+    const ordered = [...entries].sort((a, b) => a.checkedInAt - b.checkedInAt);
+    for (const entry of ordered) {
+      const base = { localId: entry.localId, ticketId: entry.ticketId, registrationId: entry.registrationId };
+      let registration = byId.get(String(entry.registrationId)) || byTicket.get(entry.ticketId);
+
+      if (entry.ticket) {
+        const { payload, error } = entry.ticket;
+        const tokenError = error
+          || (payload.e !== event._id.toString() && 'Ticket is for a different event')
+          || getTicketRevocationError(byId.get(payload.r), payload);
+        if (tokenError) {
+          results[entry.index] = { ...base, status: 'rejected', message: tokenError };
+          continue;
+        }
+        registration = byId.get(payload.r);
+      }
+
+      if (!registration) {
+        results[entry.index] = { ...base, status: 'rejected', message: 'Ticket does not match any registration for this event' };
+        continue;
+      }
+
+      const outcome = recordCheckIn(registration, event, {
+        sessionId: entry.sessionId,
+        direction: entry.direction,
+        gate: entry.gate,
+        userId: req.user.id,
+        checkedInAt: entry.checkedInAt,
+        keepEarliest: true
+      });
+
+      const resolved = {
+        ...base,
+        registrationId: registration._id,
+        ticketId: registration.ticketId,
+        participantName: registration.participantName
+      };
+      if (outcome.error) {
+        results[entry.index] = { ...resolved, status: 'rejected', message: outcome.error };
+        continue;
+      }
+
+      changed.add(registration);
+      results[entry.index] = outcome.duplicate
+        ? {
+          ...resolved,
+          status: 'conflict',
+          message: `${outcome.message}; keeping the earliest scan`,
+          checkedInAt: outcome.checkedInAt,
+          scannedAt: entry.checkedInAt
+        }
+        : { ...resolved, status: 'applied', message: outcome.message, checkedInAt: outcome.checkedInAt };
+    }
+
+    for (const registration of changed) {
+      await registration.save();
+    }
+
+    const summary = {
+      applied: results.filter(r => r.status === 'applied').length,
+      conflicts: results.filter(r => r.status === 'conflict').length,
+      rejected: results.filter(r => r.status === 'rejected').length
+    };
 
     res.status(200).json({
       success: true,
-      message: 'Check-in successful',
-      data: registration
+      message: `Synced ${summary.applied} check-in(s), ${summary.conflicts} conflict(s), ${summary.rejected} rejected`,
+      summary,
+      data: {
+        results,
+        registrations: [...changed]
+      }
     });
   } catch (error) {
     next(error);
@@ -1317,10 +3000,17 @@ exports.getOrganizerRegistrations = async (req, res, next) => {
       .populate('user', 'firstName lastName email contactNumber')
       .populate('event', 'title date venue');
 
+    // Flag payment proofs that also appear on other registrations
+    const proofMatches = await findProofMatches(regs);
+    const data = regs.map(reg => {
+      const matches = proofMatches.get(reg._id.toString());
+      return matches ? { ...reg.toObject(), proofMatches: matches } : reg;
+    });
+
     res.status(200).json({
       success: true,
       count: regs.length,
-      data: regs
+      data
     });
   } catch (error) {
     next(error);
@@ -1379,14 +3069,63 @@ exports.updateRegistrationStatus = async (req, res, next) => {
       });
     }
 
+    if ((status === 'confirmed' || status === 'approved') && registration.screeningStatus === 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'This registration is awaiting screening. Approve it from the screening queue.'
+      });
+    }
+
+    // Taking a seat or ticket back goes through the same checks as registering
+    const heldSeat = SEAT_HOLDING_STATUSES.includes(previousStatus);
+    const holdsSeat = SEAT_HOLDING_STATUSES.includes(status);
+    if (!heldSeat && holdsSeat && event && !(await claimSeats(event))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Event is full'
+      });
+    }
+    if (previousStatus === 'rejected' && status !== 'rejected' && event) {
+      const tierError = await reserveTierFor(registration, event);
+      const sessionError = tierError || await reserveSessionsFor(registration, event);
+      if (sessionError) {
+        if (holdsSeat) await releaseSeats(event._id);
+        await releaseTierFor(registration);
+        return res.status(400).json({
+          success: false,
+          message: sessionError
+        });
+      }
+    }
+
     registration.status = status;
+    if (previousStatus === 'waitlisted') {
+      registration.waitlistPosition = undefined;
+    }
+    if (status !== 'pending') {
+      registration.holdExpiresAt = undefined;
+    } else if (!registration.holdExpiresAt && needsPaymentHold(registration)) {
+      registration.holdExpiresAt = getHoldExpiry();
+    }
+    if (status === 'rejected' && event) {
+      await releaseTierFor(registration);
+      await releaseSessionsFor(registration);
+      await releaseStockFor(registration, event);
+    }
     await registration.save();
 
-    if (previousStatus !== 'rejected' && status === 'rejected') {
-      await Event.findByIdAndUpdate(registration.event, { $inc: { registered: -1 } });
+    if (heldSeat && !holdsSeat) {
+      await releaseSeats(registration.event);
     }
-    if (previousStatus === 'rejected' && status !== 'rejected') {
-      await Event.findByIdAndUpdate(registration.event, { $inc: { registered: 1 } });
+
+    if (status === 'rejected') {
+      await releaseCode(registration);
+    }
+    if (previousStatus === 'waitlisted') {
+      await compactWaitlist(registration.event);
+    }
+    if (heldSeat && status === 'rejected' && event) {
+      await promoteFromWaitlist(event);
     }
 
     if (
@@ -1441,7 +3180,47 @@ exports.uploadPaymentProof = async (req, res, next) => {
       });
     }
 
+    // A waitlisted registration holds no seat to pay for yet
+    if (registration.status === 'waitlisted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Payment opens once you are promoted from the waitlist'
+      });
+    }
+
+    // Clearing the hold in one conditional update means the expiry sweep
+    // can't release the reservation while this proof is being saved
+    const expiredMessage = 'Your reservation expired before the payment proof arrived. Please register again.';
+    if (registration.holdExpiredAt && registration.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: expiredMessage
+      });
+    }
+    if (registration.holdExpiresAt) {
+      const held = await Registration.findOneAndUpdate(
+        { _id: registration._id, status: 'pending', holdExpiresAt: { $gt: new Date() } },
+        { $unset: { holdExpiresAt: 1 } }
+      );
+      if (!held) {
+        return res.status(400).json({
+          success: false,
+          message: expiredMessage
+        });
+      }
+      registration.holdExpiresAt = undefined;
+    }
+
+    const { contentHash, perceptualHash } = fingerprintProof(await fs.promises.readFile(req.file.path));
     registration.paymentScreenshot = `/uploads/${req.file.filename}`;
+    registration.paymentProofHash = contentHash;
+    registration.paymentProofPerceptualHash = perceptualHash || undefined;
+    registration.paymentProofUploadedAt = new Date();
+    registration.paymentProvider = 'manual';
+    // The UPI transaction ID lets statement reconciliation match the payment
+    if (req.body?.transactionId) {
+      registration.transactionId = String(req.body.transactionId).trim().slice(0, 100);
+    }
     if (registration.paymentStatus === 'pending' || registration.paymentStatus === 'failed') {
       registration.paymentStatus = 'pending';
     }
@@ -1459,3 +3238,233 @@ exports.uploadPaymentProof = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Reorder the waitlist queue for an event
+// @route   PUT /api/registrations/event/:eventId/waitlist
+// @access  Private (Organizer/Admin)
+exports.reorderWaitlist = async (req, res, next) => {
+  try {
+    const { order } = req.body;
+
+    if (!Array.isArray(order) || order.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the waitlist order as a list of registration IDs'
+      });
+    }
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check authorization
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to manage this waitlist'
+      });
+    }
+
+    const queue = await Registration.find({ event: event._id, status: 'waitlisted' });
+    const queueMap = new Map(queue.map(registration => [registration._id.toString(), registration]));
+    const requestedIds = [...new Set(order.map(id => String(id)))];
+
+    if (requestedIds.length !== queue.length || requestedIds.some(id => !queueMap.has(id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Order must list every waitlisted registration for this event exactly once'
+      });
+    }
+
+    for (const [index, id] of requestedIds.entries()) {
+      const registration = queueMap.get(id);
+      if (registration.waitlistPosition !== index + 1) {
+        registration.waitlistPosition = index + 1;
+        await registration.save();
+      }
+    }
+
+    const data = requestedIds.map(id => queueMap.get(id));
+
+    res.status(200).json({
+      success: true,
+      count: data.length,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get registrations awaiting organizer screening for an event
+// @route   GET /api/registrations/event/:eventId/screening
+// @access  Private (Organizer/Admin)
+exports.getScreeningQueue = async (req, res, next) => {
+  try {
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check authorization
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review registrations for this event'
+      });
+    }
+
+    const registrations = await Registration.find({
+      event: event._id,
+      screeningStatus: 'pending',
+      status: { $ne: 'rejected' }
+    })
+      .populate('user', 'firstName lastName email contactNumber participantType college')
+      .sort('createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: registrations.length,
+      data: registrations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject a registration in screening
+// @route   PUT /api/registrations/:id/screening
+// @access  Private (Organizer/Admin)
+exports.reviewRegistration = async (req, res, next) => {
+  try {
+    const { decision, reason } = req.body;
+    const normalizedDecision = String(decision || '').trim().toLowerCase();
+    const trimmedReason = String(reason || '').trim();
+
+    if (!['approve', 'reject'].includes(normalizedDecision)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Decision must be approve or reject'
+      });
+    }
+
+    if (normalizedDecision === 'reject' && !trimmedReason) {
+      return res.status(400).json({
+        success: false,
+        message: 'Rejection reason is required'
+      });
+    }
+
+    const registration = await Registration.findById(req.params.id).populate('event');
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registration not found'
+      });
+    }
+
+    // Check authorization
+    if (
+      registration.event.organizer.toString() !== req.user.id &&
+      req.user.role !== 'Admin'
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review this registration'
+      });
+    }
+
+    if (registration.screeningStatus !== 'pending' || registration.status === 'rejected') {
+      return res.status(400).json({
+        success: false,
+        message: 'Registration is not awaiting screening'
+      });
+    }
+
+    await applyScreeningDecision(registration, registration.event, {
+      approved: normalizedDecision === 'approve',
+      reason: trimmedReason,
+      reviewerId: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: normalizedDecision === 'approve' ? 'Registration approved' : 'Registration rejected',
+      data: registration
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve several registrations in screening at once
+// @route   PUT /api/registrations/event/:eventId/screening/approve
+// @access  Private (Organizer/Admin)
+exports.bulkApproveRegistrations = async (req, res, next) => {
+  try {
+    const { registrationIds, reason } = req.body;
+
+    const event = await Event.findById(req.params.eventId);
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Event not found'
+      });
+    }
+
+    // Check authorization
+    if (event.organizer.toString() !== req.user.id && req.user.role !== 'Admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to review registrations for this event'
+      });
+    }
+
+    const query = {
+      event: event._id,
+      screeningStatus: 'pending',
+      status: { $ne: 'rejected' }
+    };
+
+    // Without an explicit list, approve everything still in the queue
+    if (Array.isArray(registrationIds)) {
+      if (registrationIds.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please select at least one registration to approve'
+        });
+      }
+      query._id = { $in: registrationIds };
+    }
+
+    const registrations = await Registration.find(query).sort('createdAt');
+
+    for (const registration of registrations) {
+      await applyScreeningDecision(registration, event, {
+        approved: true,
+        reason: String(reason || '').trim(),
+        reviewerId: req.user.id
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${registrations.length} registration(s) approved`,
+      count: registrations.length,
+      data: registrations
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,328 @@
+const crypto = require('crypto');
+const TeammatePost = require('../models/TeammatePost');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { normalizeEligibility } = require('../utils/eligibility');
+const { isValidObjectId } = require('../utils/validators');
+const { getInviteExpiry } = require('../utils/teamExpiry');
+const { closeFilledPosts } = require('../utils/teammatePosts');
+const { sendTeamInviteMail } = require('../utils/mailer');
+
+const POST_TYPES = ['looking-for-team', 'looking-for-members'];
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+const AUTHOR_FIELDS = 'firstName lastName participantType';
+const TEAM_FIELDS = 'teamName desiredTeamSize members invites inviteCode inviteCodeEnabled status';
+
+// Skills and roles arrive as an array or a comma-separated string
+const normalizeTags = (value) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const seen = new Set();
+  return items
+    .map(item => String(item || '').trim().slice(0, MAX_TAG_LENGTH))
+    .filter(item => {
+      const key = item.toLowerCase();
+      if (!item || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_TAGS);
+};
+
+const isTeamEvent = (event) => (event.participantType === 'Both' || event.participantType === 'Team' || event.allowTeams)
+  && event.type !== 'Merchandise';
+
+// The board is open while the event still takes team registrations
+const getBoardError = (event) => {
+  if (!isTeamEvent(event)) {
+    return 'This event does not support team registration';
+  }
+  if (event.status !== 'approved' || event.cancelledAt) {
+    return 'This event is not open for registration';
+  }
+  if (event.registrationDeadline && new Date(event.registrationDeadline) < new Date()) {
+    return 'Registration deadline has passed';
+  }
+  return null;
+};
+
+const isEligible = (event, user) => {
+  const eligibility = normalizeEligibility(event.eligibility);
+  if (eligibility === 'IIIT') return user.participantType === 'IIIT';
+  if (eligibility === 'Non-IIIT') return user.participantType !== 'IIIT';
+  return true;
+};
+
+// Spots not already taken by members or held by pending invites
+const getOpenSpots = (team) => team.desiredTeamSize
+  - team.members.length
+  - (team.invites || []).filter(invite => invite.status === 'pending').length;
+
+// Invite codes are only shown while the leader lets the code be used
+const toPostOutput = (post) => {
+  const data = post.toObject();
+  if (data.team && post.team?.members) {
+    data.team = {
+      _id: post.team._id,
+      teamName: post.team.teamName,
+      desiredTeamSize: post.team.desiredTeamSize,
+      memberCount: post.team.members.length,
+      openSpots: Math.max(getOpenSpots(post.team), 0),
+      inviteCode: post.team.inviteCodeEnabled === false ? undefined : post.team.inviteCode
+    };
+  }
+  return data;
+};
+
+// @desc    Get open teammate finder posts for an event
+// @route   GET /api/teammates/event/:eventId
+// @access  Private
+exports.getEventPosts = async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.eventId)) {
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
+
+    const query = { event: req.params.eventId, status: 'open' };
+    if (POST_TYPES.includes(req.query.type)) {
+      query.type = req.query.type;
+    }
+
+    const posts = await TeammatePost.find(query)
+      .populate('author', AUTHOR_FIELDS)
+      .populate('team', TEAM_FIELDS)
+      .sort('-createdAt');
+
+    const data = posts.map(toPostOutput);
+
+    res.status(200).json({ success: true, count: data.length, data });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Post on an event's teammate finder board
+// @route   POST /api/teammates
+// @access  Private (Participant)
+exports.createPost = async (req, res, next) => {
+  try {
+    const { eventId, type } = req.body;
+    const message = String(req.body.message || '').trim();
+    const skills = normalizeTags(req.body.skills);
+    const roles = normalizeTags(req.body.roles);
+
+    if (!POST_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: 'Post type must be looking-for-team or looking-for-members' });
+    }
+
+    if (!isValidObjectId(eventId)) {
+      return res.status(400).json({ success: false, message: 'Invalid event ID' });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Event not found' });
+    }
+
+    const boardError = getBoardError(event);
+    if (boardError) {
+      return res.status(400).json({ success: false, message: boardError });
+    }
+
+    if (!skills.length && !roles.length && !message) {
+      return res.status(400).json({ success: false, message: 'Add some skills, roles or a message so others know what you are after' });
+    }
+
+    const existingPost = await TeammatePost.findOne({ event: event._id, author: req.user.id, status: 'open' });
+    if (existingPost) {
+      return res.status(400).json({ success: false, message: 'You already have an open post for this event. Close it before posting again.' });
+    }
+
+    let team = null;
+    if (type === 'looking-for-team') {
+      if (!isEligible(event, req.user)) {
+        return res.status(400).json({ success: false, message: 'You are not eligible for this event' });
+      }
+
+      const existingRegistration = await Registration.findOne({
+        event: event._id,
+        user: req.user.id,
+        status: { $ne: 'rejected' }
+      });
+      if (existingRegistration) {
+        return res.status(400).json({ success: false, message: 'You are already registered for this event' });
+      }
+
+      const existingTeam = await Team.findOne({ event: event._id, members: req.user.id, status: { $ne: 'cancelled' } });
+      if (existingTeam) {
+        return res.status(400).json({ success: false, message: 'You are already part of a team for this event' });
+      }
+    } else {
+      team = await Team.findOne({ event: event._id, leader: req.user.id, status: 'forming' });
+      if (!team) {
+        return res.status(400).json({ success: false, message: 'Create a team for this event before looking for members' });
+      }
+      if (getOpenSpots(team) <= 0) {
+        return res.status(400).json({ success: false, message: 'Your team has no open spots' });
+      }
+    }
+
+    let post;
+    try {
+      post = await TeammatePost.create({
+        event: event._id,
+        author: req.user.id,
+        type,
+        team: team?._id,
+        skills,
+        roles,
+        message: message || undefined
+      });
+    } catch (err) {
+      if (err.code === 11000) {
+        return res.status(400).json({ success: false, message: 'You already have an open post for this event. Close it before posting again.' });
+      }
+      throw err;
+    }
+
+    await post.populate('author', AUTHOR_FIELDS);
+    await post.populate('team', TEAM_FIELDS);
+
+    res.status(201).json({
+      success: true,
+      message: 'Post added to the teammate board',
+      data: toPostOutput(post)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close a teammate finder post
+// @route   PUT /api/teammates/:id/close
+// @access  Private (Post author/Organizer/Admin)
+exports.closePost = async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid post ID' });
+    }
+
+    const post = await TeammatePost.findById(req.params.id).populate('event', 'organizer');
+    if (!post) {
+      return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    const isAuthor = post.author.toString() === req.user.id;
+    const isOrganizer = post.event?.organizer?.toString() === req.user.id;
+    if (!isAuthor && !isOrganizer && req.user.role !== 'Admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to close this post' });
+    }
+
+    if (post.status !== 'open') {
+      return res.status(400).json({ success: false, message: 'This post is already closed' });
+    }
+
+    post.status = 'closed';
+    post.closedAt = new Date();
+    post.closeReason = 'withdrawn';
+    await post.save();
+
+    res.status(200).json({ success: true, message: 'Post closed', data: post });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Invite a post's author to the leader's forming team
+// @route   POST /api/teammates/:id/invite
+// @access  Private (Participant leader)
+exports.inviteFromPost = async (req, res, next) => {
+  try {
+    if (!isValidObjectId(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid post ID' });
+    }
+
+    const post = await TeammatePost.findById(req.params.id);
+    if (!post || post.status !== 'open') {
+      return res.status(404).json({ success: false, message: 'Post not found or already closed' });
+    }
+
+    if (post.type !== 'looking-for-team') {
+      return res.status(400).json({ success: false, message: 'Only participants looking for a team can be invited' });
+    }
+
+    if (post.author.toString() === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot invite yourself' });
+    }
+
+    const team = await Team.findOne({ event: post.event, leader: req.user.id, status: 'forming' })
+      .populate('event', 'title eligibility participantType allowTeams type status cancelledAt registrationDeadline');
+    if (!team) {
+      return res.status(400).json({ success: false, message: 'You need a forming team for this event to send invites' });
+    }
+
+    const boardError = getBoardError(team.event);
+    if (boardError) {
+      return res.status(400).json({ success: false, message: boardError });
+    }
+
+    const author = await User.findById(post.author).select('firstName lastName email participantType');
+    if (!author) {
+      return res.status(404).json({ success: false, message: 'This participant no longer has an account' });
+    }
+
+    if (!isEligible(team.event, author)) {
+      return res.status(400).json({ success: false, message: 'This participant is not eligible for the event' });
+    }
+
+    // Someone who has found a team since posting takes the post down with them
+    const authorTeam = await Team.findOne({ event: post.event, members: author._id, status: { $ne: 'cancelled' } });
+    if (authorTeam) {
+      await closeFilledPosts(authorTeam);
+      return res.status(400).json({ success: false, message: 'This participant has already joined a team' });
+    }
+
+    const email = author.email.toLowerCase();
+    const existingInvite = (team.invites || []).find(invite => invite.email === email);
+    if (existingInvite?.status === 'pending') {
+      return res.status(400).json({ success: false, message: 'This participant already has a pending invite to your team' });
+    }
+
+    if (getOpenSpots(team) <= 0) {
+      return res.status(400).json({ success: false, message: 'Your team has no open spots for another invite' });
+    }
+
+    const token = crypto.randomBytes(24).toString('hex');
+    if (existingInvite) {
+      existingInvite.status = 'pending';
+      existingInvite.token = token;
+      existingInvite.expiresAt = getInviteExpiry();
+      existingInvite.respondedAt = undefined;
+    } else {
+      team.invites.push({ email, token, status: 'pending', expiresAt: getInviteExpiry() });
+    }
+    await team.save();
+
+    await TeammatePost.updateOne({ _id: post._id }, { $addToSet: { invitedTeams: team._id } });
+
+    const base = (process.env.FRONTEND_URL || 'http://localhost:5174').replace(/\/$/, '');
+    await sendTeamInviteMail({
+      to: email,
+      invitedBy: `${req.user.firstName} ${req.user.lastName}`.trim(),
+      teamName: team.teamName,
+      eventTitle: team.event.title,
+      inviteLink: `${base}/dashboard/teams`,
+      inviteCode: team.inviteCode
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${author.firstName} has been invited to ${team.teamName}. They can respond from Team Management.`
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,20 @@
+const path = require('path');
+const multer = require('multer');
+
+// Statements are parsed straight from memory and never written to disk
+const fileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  const csvMimeTypes = ['text/csv', 'application/csv', 'application/vnd.ms-excel', 'text/plain'];
+  if (ext !== '.csv' && !csvMimeTypes.includes(file.mimetype)) {
+    return cb(new Error('Only CSV statement files are allowed'), false);
+  }
+  cb(null, true);
+};
+
+module.exports = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: Number(process.env.MAX_FILE_SIZE || 5 * 1024 * 1024)
+  }
+});
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Issued participation certificate. Names and dates are snapshotted at issue
+// time so verification keeps matching the PDF the participant holds.
+const certificateSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  participantName: {
+    type: String,
+    required: true
+  },
+  eventTitle: {
+    type: String,
+    required: true
+  },
+  eventDate: {
+    type: Date
+  },
+  organizerName: {
+    type: String
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  emailedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+certificateSchema.index({ event: 1 });
+certificateSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Certificate', certificateSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const discountCodeSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Code is required'],
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Code cannot exceed 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // 'event' codes apply to a single event; 'club' codes apply to every event
+  // run by the owning organizer
+  scope: {
+    type: String,
+    enum: ['event', 'club'],
+    default: 'event'
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: [true, 'Discount value is required'],
+    min: [0, 'Discount value cannot be negative']
+  },
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  expiresAt: {
+    type: Date
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+discountCodeSchema.index({ organizer: 1, code: 1 }, { unique: true });
+discountCodeSchema.index({ event: 1 });
+
+module.exports = mongoose.model('DiscountCode', discountCodeSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Uses of a discount code held by one participant, claimed and released
+// atomically so concurrent registrations cannot exceed the per-user limit
+const discountUsageSchema = new mongoose.Schema({
+  code: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DiscountCode',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  used: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+discountUsageSchema.index({ code: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('DiscountUsage', discountUsageSchema);
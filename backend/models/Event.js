@@ -1,5 +1,75 @@
 const mongoose = require('mongoose');
 
+const ticketTierSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Ticket tier name is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  price: {
+    type: Number,
+    min: [0, 'Ticket tier price cannot be negative'],
+    default: 0
+  },
+  quantity: {
+    type: Number,
+    required: [true, 'Ticket tier quantity is required'],
+    min: [1, 'Ticket tier quantity must be at least 1']
+  },
+  saleStart: {
+    type: Date
+  },
+  saleEnd: {
+    type: Date
+  },
+  eligibility: {
+    type: String,
+    enum: ['All', 'IIIT', 'Non-IIIT'],
+    default: 'All'
+  }
+}, { _id: true });
+
+const sessionSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Session title is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  speaker: {
+    type: String,
+    trim: true
+  },
+  room: {
+    type: String,
+    trim: true
+  },
+  track: {
+    type: String,
+    trim: true
+  },
+  startTime: {
+    type: Date,
+    required: [true, 'Session start time is required']
+  },
+  endTime: {
+    type: Date,
+    required: [true, 'Session end time is required']
+  },
+  // Leave empty for sessions anyone registered for the event can attend
+  capacity: {
+    type: Number,
+    min: [1, 'Session capacity must be at least 1']
+  }
+}, { _id: true });
+
 const eventSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -95,6 +165,32 @@ const eventSchema = new mongoose.Schema({
     type: Number,
     default: 5
   },
+  // Entry fee for team registrations, charged once per team or per member;
+  // zero keeps team registrations free
+  teamFee: {
+    mode: {
+      type: String,
+      enum: ['per-team', 'per-member'],
+      default: 'per-member'
+    },
+    amount: {
+      type: Number,
+      min: 0,
+      default: 0
+    }
+  },
+  // Roster changes on completed teams (member swaps, leader transfers),
+  // each approved by the organizer, up to the cutoff or the event start
+  // when unset
+  teamChanges: {
+    allowed: {
+      type: Boolean,
+      default: false
+    },
+    cutoff: {
+      type: Date
+    }
+  },
   requiresApproval: {
     type: Boolean,
     default: false
@@ -108,6 +204,24 @@ const eventSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Refunds for participant cancellations made up to the deadline (or the
+  // event start when unset); cancelling the event always refunds in full
+  refundPolicy: {
+    mode: {
+      type: String,
+      enum: ['full', 'partial', 'none'],
+      default: 'full'
+    },
+    partialPercent: {
+      type: Number,
+      min: [1, 'Partial refund must be at least 1%'],
+      max: [99, 'Partial refund must be below 100%'],
+      default: 50
+    },
+    deadline: {
+      type: Date
+    }
+  },
   merchandise: {
     itemName: {
       type: String,
@@ -131,6 +245,35 @@ const eventSchema = new mongoose.Schema({
     stock: { type: Number, min: 0, default: 0 },
     purchaseLimit: { type: Number, min: 1, default: 1 }
   },
+  ticketTiers: [ticketTierSchema],
+  sessions: [sessionSchema],
+  // Participation certificate template; {{name}}, {{event}}, {{date}} and
+  // {{organizer}} are filled in per participant
+  certificate: {
+    enabled: { type: Boolean, default: false },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Certificate title cannot exceed 100 characters'],
+      default: 'Certificate of Participation'
+    },
+    body: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Certificate text cannot exceed 1000 characters'],
+      default: 'This is to certify that {{name}} participated in {{event}} held on {{date}}.'
+    },
+    signatoryName: { type: String, trim: true, maxlength: 100 },
+    signatoryTitle: { type: String, trim: true, maxlength: 100 }
+  },
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  seriesIndex: {
+    type: Number,
+    min: 1
+  },
   paymentAmount: {
     type: Number,
     default: 0
@@ -164,6 +307,14 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -186,5 +337,6 @@ const eventSchema = new mongoose.Schema({
 eventSchema.index({ date: 1, status: 1 });
 eventSchema.index({ organizer: 1 });
 eventSchema.index({ category: 1 });
+eventSchema.index({ series: 1, date: 1 });
 
 module.exports = mongoose.model('Event', eventSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+const eventSeriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: [true, 'Recurrence frequency is required']
+    },
+    interval: {
+      type: Number,
+      min: [1, 'Interval must be at least 1'],
+      default: 1
+    },
+    count: {
+      type: Number,
+      min: [1, 'Occurrence count must be at least 1']
+    },
+    until: {
+      type: Date
+    },
+    exceptions: [{
+      type: Date
+    }]
+  }
+}, {
+  timestamps: true
+});
+
+eventSeriesSchema.index({ organizer: 1 });
+
+module.exports = mongoose.model('EventSeries', eventSeriesSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// One line in a club's (organizer's) books. Amounts are signed: credits are
+// positive, debits negative, adjustments either. Entries are never edited;
+// mistakes are corrected with an adjustment.
+const ledgerEntrySchema = new mongoose.Schema({
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event'
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'debit', 'adjustment'],
+    required: true
+  },
+  category: {
+    type: String,
+    enum: ['payment', 'refund', 'expense', 'adjustment'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [300, 'Description cannot exceed 300 characters']
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration'
+  },
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Refund'
+  },
+  // Set on entries recorded automatically so they are only recorded once
+  sourceKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  occurredAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ organizer: 1, occurredAt: 1 });
+ledgerEntrySchema.index({ event: 1, occurredAt: 1 });
+ledgerEntrySchema.index({ registration: 1 });
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
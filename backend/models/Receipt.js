@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// Payment receipt for a paid registration. Numbers run per club (organizer)
+// and every detail is snapshotted so the receipt never changes once issued.
+// A receipt is claimed for its registration before it is numbered, so the
+// number and sequence are briefly unset.
+const receiptItemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sku: {
+    type: String
+  },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  unitPrice: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+}, { _id: false });
+
+const receiptSchema = new mongoose.Schema({
+  receiptNumber: {
+    type: String
+  },
+  sequence: {
+    type: Number
+  },
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  club: {
+    name: String,
+    category: String,
+    email: String,
+    phone: String
+  },
+  participantName: {
+    type: String
+  },
+  email: {
+    type: String
+  },
+  ticketId: {
+    type: String
+  },
+  eventTitle: {
+    type: String
+  },
+  eventDate: {
+    type: Date
+  },
+  items: [receiptItemSchema],
+  subtotal: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  discount: {
+    code: String,
+    amount: { type: Number, min: 0, default: 0 }
+  },
+  total: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  paymentMethod: {
+    type: String
+  },
+  transactionId: {
+    type: String
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+receiptSchema.index(
+  { organizer: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+receiptSchema.index({ event: 1 });
+
+module.exports = mongoose.model('Receipt', receiptSchema);
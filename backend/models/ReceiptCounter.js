@@ -0,0 +1,17 @@
+const mongoose = require('mongoose');
+
+// Last receipt number handed out per club, incremented atomically
+const receiptCounterSchema = new mongoose.Schema({
+  organizer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  sequence: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('ReceiptCounter', receiptCounterSchema);
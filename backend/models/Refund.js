@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Money owed back on a cancelled paid registration. The amount is fixed by
+// the event's refund policy when the request is raised; late-payment covers a
+// gateway payment that landed after the registration was cancelled.
+const refundSchema = new mongoose.Schema({
+  registration: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Registration',
+    required: true,
+    unique: true
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  participantName: {
+    type: String
+  },
+  email: {
+    type: String
+  },
+  reason: {
+    type: String,
+    enum: ['registration-cancelled', 'event-cancelled', 'late-payment'],
+    required: true
+  },
+  amountPaid: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'issued', 'rejected'],
+    default: 'pending'
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  processedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  processedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ event: 1, status: 1 });
+refundSchema.index({ user: 1 });
+
+module.exports = mongoose.model('Refund', refundSchema);
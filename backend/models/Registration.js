@@ -31,9 +31,19 @@ const registrationSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'approved', 'rejected', 'confirmed'],
+    enum: ['pending', 'approved', 'rejected', 'confirmed', 'waitlisted'],
     default: 'pending'
   },
+  waitlistPosition: {
+    type: Number,
+    min: 1
+  },
+  waitlistedAt: {
+    type: Date
+  },
+  promotedAt: {
+    type: Date
+  },
   paymentStatus: {
     type: String,
     enum: ['pending', 'paid', 'failed', 'free', 'refunded'],
@@ -44,6 +54,55 @@ const registrationSchema = new mongoose.Schema({
     enum: ['awaiting-proof', 'pending', 'approved', 'rejected', 'not-required'],
     default: 'not-required'
   },
+  screeningStatus: {
+    type: String,
+    enum: ['not-required', 'pending', 'approved', 'rejected'],
+    default: 'not-required'
+  },
+  screeningReason: {
+    type: String,
+    trim: true
+  },
+  screenedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  screenedAt: {
+    type: Date
+  },
+  ticketTier: {
+    tierId: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String, trim: true },
+    price: { type: Number, min: 0, default: 0 },
+    // Set once a ticket has been taken from the tier's quantity
+    reserved: { type: Boolean, default: false }
+  },
+  sessions: [{
+    sessionId: { type: mongoose.Schema.Types.ObjectId },
+    title: { type: String }
+  }],
+  // Set once places have been taken in the picked sessions' capacities
+  sessionsReserved: {
+    type: Boolean,
+    default: false
+  },
+  sessionAttendance: [{
+    sessionId: { type: mongoose.Schema.Types.ObjectId },
+    checkedInAt: { type: Date, default: Date.now },
+    checkedInBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }],
+  // Set when the registration was created by a whole-series signup
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EventSeries'
+  },
+  discount: {
+    codeId: { type: mongoose.Schema.Types.ObjectId, ref: 'DiscountCode' },
+    code: { type: String },
+    amount: { type: Number, min: 0, default: 0 },
+    originalAmount: { type: Number, min: 0 },
+    releasedAt: { type: Date }
+  },
   paymentAmount: {
     type: Number,
     default: 0
@@ -56,20 +115,57 @@ const registrationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Short code participants put in the UPI note so organizers can match payments
+  paymentReference: {
+    type: String,
+    trim: true
+  },
   paymentScreenshot: {
     type: String
   },
+  // Fingerprints of the uploaded proof, used to spot screenshots reused across orders
+  paymentProofHash: {
+    type: String
+  },
+  paymentProofPerceptualHash: {
+    type: String
+  },
+  paymentProofUploadedAt: {
+    type: Date
+  },
   merchandise: {
     size: { type: String, trim: true },
     color: { type: String, trim: true },
     variantSku: { type: String, trim: true },
     quantity: { type: Number, min: 1, default: 1 },
     unitPrice: { type: Number, min: 0, default: 0 },
-    totalPrice: { type: Number, min: 0, default: 0 }
+    totalPrice: { type: Number, min: 0, default: 0 },
+    // Set once the ordered quantity has been taken out of the event's stock
+    stockReserved: { type: Boolean, default: false }
+  },
+  // Unpaid reservations are released at this time unless payment proof arrives
+  holdExpiresAt: {
+    type: Date
+  },
+  holdExpiredAt: {
+    type: Date
   },
   transactionId: {
     type: String
   },
+  // Number of the receipt issued once the payment was approved
+  receiptNumber: {
+    type: String
+  },
+  // Online payments: the gateway that took the payment and its order ID
+  paymentProvider: {
+    type: String,
+    trim: true
+  },
+  paymentOrderId: {
+    type: String,
+    trim: true
+  },
   isTeam: {
     type: Boolean,
     default: false
@@ -102,9 +198,41 @@ const registrationSchema = new mongoose.Schema({
   checkInTime: {
     type: Date
   },
+  // Entry/exit scans across event days; checkedIn/checkInTime mark the first entry
+  attendanceLog: [{
+    type: {
+      type: String,
+      enum: ['entry', 'exit'],
+      required: true
+    },
+    day: {
+      type: String,
+      required: true
+    },
+    gate: {
+      type: String,
+      trim: true
+    },
+    scannedAt: {
+      type: Date,
+      default: Date.now
+    },
+    scannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   ticketQr: {
     type: String
   },
+  // Signed token encoded in the QR; bumping the version revokes older copies
+  ticketToken: {
+    type: String
+  },
+  ticketVersion: {
+    type: Number,
+    default: 1
+  },
   ticketIssuedAt: {
     type: Date
   },
@@ -116,15 +244,34 @@ const registrationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// EVT-<ms>-<random> becomes EH<ms in base36><random>, short enough for a UPI note
+const toPaymentReference = (ticketId) => {
+  const [, timestamp, suffix] = String(ticketId).split('-');
+  const stamp = Number(timestamp);
+  if (!Number.isFinite(stamp) || !suffix) {
+    return `EH${String(ticketId).replace(/[^A-Z0-9]/gi, '').toUpperCase()}`;
+  }
+  return `EH${stamp.toString(36).toUpperCase()}${suffix.toUpperCase()}`;
+};
+
 // Index for better query performance
 registrationSchema.index({ event: 1, user: 1 });
 registrationSchema.index({ status: 1 });
+registrationSchema.index({ paymentOrderId: 1 }, { sparse: true });
+registrationSchema.index({ paymentReference: 1 }, { sparse: true });
+registrationSchema.index({ paymentProofHash: 1 }, { sparse: true });
+registrationSchema.index({ paymentProofUploadedAt: -1 }, { sparse: true });
+registrationSchema.index({ event: 1, status: 1, waitlistPosition: 1 });
+registrationSchema.index({ holdExpiresAt: 1 }, { sparse: true });
 
 // Generate unique ticket ID before validation
 registrationSchema.pre('validate', function() {
   if (this.isNew && !this.ticketId) {
     this.ticketId = `EVT-${Date.now()}-${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
   }
+  if (!this.paymentReference && this.ticketId) {
+    this.paymentReference = toPaymentReference(this.ticketId);
+  }
 });
 
 module.exports = mongoose.model('Registration', registrationSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Places currently held in one of an event's capped agenda sessions,
+// claimed and released atomically. Kept apart from the event so editing
+// its agenda never touches the count.
+const sessionCounterSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  taken: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+sessionCounterSchema.index({ event: 1, session: 1 }, { unique: true });
+
+module.exports = mongoose.model('SessionCounter', sessionCounterSchema);
@@ -15,9 +15,13 @@ const teamInviteSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'declined'],
+    enum: ['pending', 'accepted', 'declined', 'expired'],
     default: 'pending'
   },
+  // Pending invites lapse after TEAM_INVITE_TTL_HOURS
+  expiresAt: {
+    type: Date
+  },
   acceptedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
@@ -27,6 +31,74 @@ const teamInviteSchema = new mongoose.Schema({
   }
 }, { _id: true });
 
+const joinRequestSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected'],
+    default: 'pending'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  respondedAt: {
+    type: Date
+  }
+}, { _id: true });
+
+// A leader's proposal to change a completed team: swap a member for someone
+// new, or hand leadership to another member. The organizer decides.
+const changeRequestSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['swap', 'transfer'],
+    required: true
+  },
+  outgoingMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  incomingMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  newLeader: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Reason cannot exceed 300 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  requestedAt: {
+    type: Date,
+    default: Date.now
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Note cannot exceed 300 characters']
+  }
+}, { _id: true });
+
 const teamSchema = new mongoose.Schema({
   event: {
     type: mongoose.Schema.Types.ObjectId,
@@ -56,14 +128,34 @@ const teamSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Whether the invite code can be used to join, and whether joiners need
+  // the leader's approval
+  inviteCodeEnabled: {
+    type: Boolean,
+    default: true
+  },
+  codeJoinMode: {
+    type: String,
+    enum: ['auto', 'approval'],
+    default: 'approval'
+  },
   invites: [teamInviteSchema],
+  joinRequests: [joinRequestSchema],
+  changeRequests: [changeRequestSchema],
   members: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Who pays the team fee: the leader for everyone, or each member a share
+  paymentMode: {
+    type: String,
+    enum: ['leader', 'split'],
+    default: 'leader'
+  },
+  // A full team with a fee waits in awaiting-payment until every share is paid
   status: {
     type: String,
-    enum: ['forming', 'completed', 'cancelled'],
+    enum: ['forming', 'awaiting-payment', 'completed', 'cancelled'],
     default: 'forming',
     index: true
   },
@@ -73,6 +165,21 @@ const teamSchema = new mongoose.Schema({
   }],
   completedAt: {
     type: Date
+  },
+  // While awaiting payment, when the team is cancelled if its fee is still unpaid
+  paymentDueAt: {
+    type: Date
+  },
+  // Set once the leader has been told registration is about to close
+  deadlineWarningSentAt: {
+    type: Date
+  },
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String,
+    trim: true
   }
 }, {
   timestamps: true
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// A post on an event's teammate finder board: a participant looking for a
+// team to join, or a forming team's leader looking for members.
+const teammatePostSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['looking-for-team', 'looking-for-members'],
+    required: true
+  },
+  // Only set on looking-for-members posts
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  // What the author brings, or what the team is after
+  skills: {
+    type: [String],
+    default: []
+  },
+  roles: {
+    type: [String],
+    default: []
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Message cannot exceed 500 characters']
+  },
+  // Teams whose leaders have invited the author from this post
+  invitedTeams: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  }],
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open'
+  },
+  closedAt: {
+    type: Date
+  },
+  closeReason: {
+    type: String,
+    enum: ['withdrawn', 'joined-team', 'registered', 'filled', 'team-cancelled', 'event-closed']
+  }
+}, {
+  timestamps: true
+});
+
+teammatePostSchema.index({ event: 1, status: 1, createdAt: -1 });
+// One open post per participant per event
+teammatePostSchema.index(
+  { event: 1, author: 1 },
+  { unique: true, partialFilterExpression: { status: 'open' } }
+);
+
+module.exports = mongoose.model('TeammatePost', teammatePostSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Tickets currently held against one of an event's ticket tiers, claimed
+// and released atomically. Kept apart from the event so editing its tiers
+// never touches the count.
+const ticketTierCounterSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Event',
+    required: true
+  },
+  tier: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  sold: {
+    type: Number,
+    min: 0,
+    default: 0
+  }
+});
+
+ticketTierCounterSchema.index({ event: 1, tier: 1 }, { unique: true });
+
+module.exports = mongoose.model('TicketTierCounter', ticketTierCounterSchema);
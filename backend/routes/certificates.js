@@ -0,0 +1,24 @@
+const express = require('express');
+const {
+  getMyCertificates,
+  downloadCertificate,
+  getEventCertificates,
+  emailEventCertificates,
+  verifyCertificate
+} = require('../controllers/certificateController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Public verification
+router.get('/verify/:code', verifyCertificate);
+
+// Participant routes
+router.get('/my', protect, authorize('Participant'), getMyCertificates);
+router.get('/registration/:registrationId/pdf', protect, downloadCertificate);
+
+// Organizer routes
+router.get('/event/:eventId', protect, authorize('Organizer', 'Admin'), getEventCertificates);
+router.post('/event/:eventId/email', protect, authorize('Organizer', 'Admin'), emailEventCertificates);
+
+module.exports = router;
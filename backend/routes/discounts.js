@@ -0,0 +1,22 @@
+const express = require('express');
+const {
+  createDiscountCode,
+  getDiscountCodes,
+  updateDiscountCode,
+  deleteDiscountCode,
+  validateDiscountCode
+} = require('../controllers/discountController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Participant preview
+router.post('/validate', protect, validateDiscountCode);
+
+// Organizer routes
+router.get('/', protect, authorize('Organizer', 'Admin'), getDiscountCodes);
+router.post('/', protect, authorize('Organizer', 'Admin'), createDiscountCode);
+router.put('/:id', protect, authorize('Organizer', 'Admin'), updateDiscountCode);
+router.delete('/:id', protect, authorize('Organizer', 'Admin'), deleteDiscountCode);
+
+module.exports = router;
@@ -8,7 +8,9 @@ const {
   approveEvent,
   getMyEvents,
   getEventStats,
-  publishEvent
+  publishEvent,
+  cancelEvent,
+  getEventSeries
 } = require('../controllers/eventController');
 const { protect, authorize, optionalAuth } = require('../middleware/auth');
 
@@ -16,11 +18,13 @@ const router = express.Router();
 
 // Public routes (with optional auth to differentiate admin)
 router.get('/', optionalAuth, getEvents);
+router.get('/series/:seriesId', getEventSeries);
 
 // Organizer routes (specific routes before :id parameter routes)
 router.post('/', protect, authorize('Organizer', 'Admin'), createEvent);
 router.get('/organizer/my-events', protect, authorize('Organizer', 'Admin'), getMyEvents);
 router.put('/:id/publish', protect, authorize('Organizer', 'Admin'), publishEvent);
+router.put('/:id/cancel', protect, authorize('Organizer', 'Admin'), cancelEvent);
 
 // Routes with :id parameter (must come after specific routes)
 router.get('/:id', getEvent);
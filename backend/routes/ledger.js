@@ -0,0 +1,20 @@
+const express = require('express');
+const {
+  getLedger,
+  exportLedger,
+  createLedgerEntry,
+  getClubBalances
+} = require('../controllers/ledgerController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Organizer routes
+router.get('/', protect, authorize('Organizer', 'Admin'), getLedger);
+router.get('/export', protect, authorize('Organizer', 'Admin'), exportLedger);
+router.post('/entries', protect, authorize('Organizer', 'Admin'), createLedgerEntry);
+
+// Admin routes
+router.get('/clubs', protect, authorize('Admin'), getClubBalances);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  getPaymentProviders,
+  createCheckout,
+  getUpiPayment,
+  previewReconciliation,
+  confirmReconciliation,
+  handlePaymentWebhook,
+  getMockOrder,
+  completeMockOrder
+} = require('../controllers/paymentController');
+const { protect, authorize } = require('../middleware/auth');
+const uploadStatement = require('../middleware/uploadStatement');
+
+const router = express.Router();
+
+// Gateway callbacks (authenticated by their signature)
+router.post('/webhook/:provider', handlePaymentWebhook);
+
+// Participant routes
+router.get('/providers', protect, getPaymentProviders);
+router.post('/registrations/:registrationId/checkout', protect, authorize('Participant'), createCheckout);
+router.get('/registrations/:registrationId/upi', protect, authorize('Participant'), getUpiPayment);
+router.get('/mock/orders/:orderId', protect, authorize('Participant'), getMockOrder);
+router.post('/mock/orders/:orderId/complete', protect, authorize('Participant'), completeMockOrder);
+
+// Organizer routes
+router.post(
+  '/reconcile/event/:eventId',
+  protect,
+  authorize('Organizer', 'Admin'),
+  uploadStatement.single('statement'),
+  previewReconciliation
+);
+router.post('/reconcile/event/:eventId/confirm', protect, authorize('Organizer', 'Admin'), confirmReconciliation);
+
+module.exports = router;
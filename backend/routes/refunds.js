@@ -0,0 +1,18 @@
+const express = require('express');
+const {
+  getOrganizerRefunds,
+  getMyRefunds,
+  processRefund
+} = require('../controllers/refundController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Participant routes
+router.get('/my', protect, authorize('Participant'), getMyRefunds);
+
+// Organizer routes
+router.get('/organizer', protect, authorize('Organizer', 'Admin'), getOrganizerRefunds);
+router.put('/:id', protect, authorize('Organizer', 'Admin'), processRefund);
+
+module.exports = router;
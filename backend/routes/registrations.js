@@ -1,6 +1,7 @@
 const express = require('express');
 const {
   registerForEvent,
+  registerForSeries,
   getMyRegistrations,
   getRegistration,
   getEventRegistrations,
@@ -8,7 +9,13 @@ const {
   updateRegistrationStatus,
   updatePaymentStatus,
   resendTicketEmail,
+  downloadTicketPdf,
+  downloadReceiptPdf,
+  getTicketPublicKey,
+  verifyTicket,
   checkInParticipant,
+  batchCheckIn,
+  getEventOccupancy,
   getRegistrationStats,
   getOrganizerRegistrations,
   uploadPaymentProof,
@@ -17,7 +24,19 @@ const {
   getMyPendingTeamInvites,
   addTeamInvites,
   removeTeamInvite,
-  respondToMyTeamInvite
+  respondToMyTeamInvite,
+  joinTeamByCode,
+  getMyJoinRequests,
+  respondToJoinRequest,
+  updateTeamCode,
+  requestTeamChange,
+  withdrawTeamChange,
+  getTeamChangeRequests,
+  reviewTeamChange,
+  reorderWaitlist,
+  getScreeningQueue,
+  reviewRegistration,
+  bulkApproveRegistrations
 } = require('../controllers/registrationController');
 const { protect, authorize } = require('../middleware/auth');
 const upload = require('../middleware/upload');
@@ -31,16 +50,35 @@ router.get('/team/invites/me', protect, authorize('Participant'), getMyPendingTe
 router.post('/team/:teamId/invites', protect, authorize('Participant'), addTeamInvites);
 router.delete('/team/:teamId/invites/:inviteId', protect, authorize('Participant'), removeTeamInvite);
 router.put('/team/:teamId/invites/respond', protect, authorize('Participant'), respondToMyTeamInvite);
+router.post('/team/join', protect, authorize('Participant'), joinTeamByCode);
+router.get('/team/join-requests/me', protect, authorize('Participant'), getMyJoinRequests);
+router.put('/team/:teamId/join-requests/:requestId', protect, authorize('Participant'), respondToJoinRequest);
+router.put('/team/:teamId/code', protect, authorize('Participant'), updateTeamCode);
+router.post('/team/:teamId/changes', protect, authorize('Participant'), requestTeamChange);
+router.delete('/team/:teamId/changes/:changeId', protect, authorize('Participant'), withdrawTeamChange);
+router.get('/team/changes/event/:eventId', protect, authorize('Organizer', 'Admin'), getTeamChangeRequests);
+router.put('/team/:teamId/changes/:changeId/review', protect, authorize('Organizer', 'Admin'), reviewTeamChange);
 
 // Participant routes
 router.post('/', protect, authorize('Participant', 'Organizer', 'Admin'), registerForEvent);
+router.post('/series/:seriesId', protect, authorize('Participant'), registerForSeries);
 router.get('/my-registrations', protect, authorize('Participant', 'Organizer', 'Admin'), getMyRegistrations);
 router.put('/:id/cancel', protect, authorize('Participant', 'Organizer', 'Admin'), cancelRegistration);
 router.post('/:id/payment-proof', protect, upload.single('proof'), uploadPaymentProof);
 // Organizer routes (more specific paths must be registered before :id)
+router.get('/tickets/public-key', protect, authorize('Organizer', 'Admin'), getTicketPublicKey);
+router.post('/tickets/verify', protect, authorize('Organizer', 'Admin'), verifyTicket);
 router.get('/event/:eventId', protect, authorize('Organizer', 'Admin'), getEventRegistrations);
+router.put('/event/:eventId/waitlist', protect, authorize('Organizer', 'Admin'), reorderWaitlist);
+router.get('/event/:eventId/occupancy', protect, authorize('Organizer', 'Admin'), getEventOccupancy);
+router.post('/event/:eventId/checkin/batch', protect, authorize('Organizer', 'Admin'), batchCheckIn);
+router.get('/event/:eventId/screening', protect, authorize('Organizer', 'Admin'), getScreeningQueue);
+router.put('/event/:eventId/screening/approve', protect, authorize('Organizer', 'Admin'), bulkApproveRegistrations);
+router.put('/:id/screening', protect, authorize('Organizer', 'Admin'), reviewRegistration);
 router.put('/:id/payment', protect, authorize('Organizer', 'Admin'), updatePaymentStatus);
 router.put('/:id/resend-ticket', protect, authorize('Participant', 'Organizer', 'Admin'), resendTicketEmail);
+router.get('/:id/ticket-pdf', protect, authorize('Participant', 'Organizer', 'Admin'), downloadTicketPdf);
+router.get('/:id/receipt-pdf', protect, authorize('Participant', 'Organizer', 'Admin'), downloadReceiptPdf);
 router.put('/:id/checkin', protect, authorize('Organizer', 'Admin'), checkInParticipant);
 router.put('/:id/status', protect, authorize('Organizer', 'Admin'), updateRegistrationStatus);
 router.get('/organizer/my-registrations', protect, authorize('Organizer', 'Admin'), getOrganizerRegistrations);
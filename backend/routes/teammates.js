@@ -0,0 +1,17 @@
+const express = require('express');
+const {
+  getEventPosts,
+  createPost,
+  closePost,
+  inviteFromPost
+} = require('../controllers/teammateController');
+const { protect, authorize } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.get('/event/:eventId', protect, getEventPosts);
+router.post('/', protect, authorize('Participant'), createPost);
+router.put('/:id/close', protect, closePost);
+router.post('/:id/invite', protect, authorize('Participant'), inviteFromPost);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Registration = require('../models/Registration');
+const Refund = require('../models/Refund');
+const { recordPaymentCredit, recordRefundDebit } = require('../utils/ledger');
+
+// Put payments and refunds from before the ledger existed on the books.
+// Entries already recorded are skipped, so it is safe to run again.
+const backfillLedger = async () => {
+  try {
+    await connectDB();
+
+    const registrations = await Registration.find({
+      paymentStatus: { $in: ['paid', 'refunded'] },
+      amountPaid: { $gt: 0 }
+    }).populate('event', 'title organizer');
+
+    let credited = 0;
+    for (const registration of registrations) {
+      if (!registration.event) continue;
+      const entry = await recordPaymentCredit(registration, registration.event, {
+        occurredAt: registration.updatedAt
+      });
+      if (entry) credited += 1;
+    }
+
+    const refunds = await Refund.find({ status: 'issued' }).populate('event', 'title organizer');
+
+    let debited = 0;
+    for (const refund of refunds) {
+      if (!refund.event) continue;
+      const entry = await recordRefundDebit(refund);
+      if (entry) debited += 1;
+    }
+
+    console.log(`Recorded ${credited} payment(s) and ${debited} refund(s)`);
+  } catch (err) {
+    console.error('Ledger backfill failed:', err.message);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+backfillLedger();
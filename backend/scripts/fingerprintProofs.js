@@ -0,0 +1,58 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Registration = require('../models/Registration');
+const { fingerprintProof } = require('../utils/proofFingerprint');
+
+// Fingerprint payment proofs uploaded before duplicate detection existed so
+// they are compared against new uploads too.
+const fingerprintProofs = async () => {
+  const uploadPath = process.env.UPLOAD_PATH || 'uploads';
+
+  try {
+    await connectDB();
+
+    const registrations = await Registration.find({
+      paymentScreenshot: { $exists: true, $ne: null },
+      paymentProofHash: { $exists: false }
+    });
+
+    let fingerprinted = 0;
+    let missing = 0;
+    for (const registration of registrations) {
+      const filePath = path.join(uploadPath, path.basename(registration.paymentScreenshot));
+      if (!fs.existsSync(filePath)) {
+        missing += 1;
+        console.log(`Skipping ${registration.ticketId} (proof file not found)`);
+        continue;
+      }
+
+      const { contentHash, perceptualHash } = fingerprintProof(fs.readFileSync(filePath));
+      registration.paymentProofHash = contentHash;
+      registration.paymentProofPerceptualHash = perceptualHash || undefined;
+      registration.paymentProofUploadedAt = registration.paymentProofUploadedAt || registration.updatedAt;
+      await registration.save();
+      fingerprinted += 1;
+    }
+
+    // Proofs fingerprinted before upload times were kept fall back to the
+    // registration's last update for the look-alike window
+    const dated = await Registration.updateMany(
+      { paymentProofHash: { $exists: true, $ne: null }, paymentProofUploadedAt: { $exists: false } },
+      [{ $set: { paymentProofUploadedAt: '$updatedAt' } }]
+    );
+
+    console.log(`Fingerprinted ${fingerprinted} proof(s)${missing ? `, ${missing} missing` : ''}`);
+    if (dated.modifiedCount) {
+      console.log(`Dated ${dated.modifiedCount} earlier proof(s)`);
+    }
+  } catch (err) {
+    console.error('Fingerprinting failed:', err.message);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+fingerprintProofs();
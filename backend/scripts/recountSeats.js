@@ -0,0 +1,40 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const { SEAT_HOLDING_STATUSES } = require('../utils/waitlist');
+
+// Seat claims trust each event's `registered` counter, so bring counters
+// that drifted before claims were atomic back in line with the
+// registrations actually holding seats.
+const recountSeats = async () => {
+  try {
+    await connectDB();
+
+    const counts = await Registration.aggregate([
+      { $match: { status: { $in: SEAT_HOLDING_STATUSES } } },
+      { $group: { _id: '$event', seats: { $sum: 1 } } }
+    ]);
+    const seatsByEvent = new Map(counts.map(row => [row._id.toString(), row.seats]));
+
+    const events = await Event.find().select('title registered');
+    let corrected = 0;
+    for (const event of events) {
+      const seats = seatsByEvent.get(event._id.toString()) || 0;
+      if ((event.registered || 0) !== seats) {
+        console.log(`${event.title}: ${event.registered || 0} -> ${seats}`);
+        await Event.updateOne({ _id: event._id }, { $set: { registered: seats } });
+        corrected += 1;
+      }
+    }
+
+    console.log(`Corrected ${corrected} of ${events.length} event(s)`);
+  } catch (err) {
+    console.error('Recount failed:', err.message);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+recountSeats();
@@ -0,0 +1,47 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+require('../models/Event');
+const Registration = require('../models/Registration');
+const { TICKET_EVENT_FIELDS, issueTicket } = require('../utils/tickets');
+
+// Re-sign every issued ticket with the current key. Older QR codes stop
+// verifying; pass --email to send participants their replacement tickets.
+const resignTickets = async () => {
+  const sendEmail = process.argv.includes('--email');
+
+  try {
+    await connectDB();
+
+    const registrations = await Registration.find({ ticketQr: { $exists: true, $ne: null } })
+      .populate('event', TICKET_EVENT_FIELDS);
+
+    let resigned = 0;
+    let failed = 0;
+    for (const registration of registrations) {
+      if (!registration.event) {
+        console.log(`Skipping ${registration.ticketId} (event no longer exists)`);
+        continue;
+      }
+
+      try {
+        await issueTicket(registration, registration.event, {
+          reissue: true,
+          skipEmail: !sendEmail
+        });
+        resigned += 1;
+      } catch (err) {
+        failed += 1;
+        console.error(`Failed to re-sign ${registration.ticketId}:`, err.message);
+      }
+    }
+
+    console.log(`Re-signed ${resigned} ticket(s)${failed ? `, ${failed} failed` : ''}`);
+  } catch (err) {
+    console.error('Re-signing failed:', err.message);
+  } finally {
+    mongoose.connection.close();
+  }
+};
+
+resignTickets();
@@ -3,14 +3,21 @@ const express = require('express');
 const cors = require('cors');
 const connectDB = require('./config/db');
 const errorHandler = require('./middleware/error');
+const { scheduleJob } = require('./utils/scheduler');
+const { expireHolds } = require('./utils/holdExpiry');
+const { expireTeams } = require('./utils/teamExpiry');
 
 // Connect to database
 connectDB();
 
 const app = express();
 
-// Body parser middleware
-app.use(express.json());
+// Body parser middleware (the raw body is kept for payment webhook signatures)
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 app.use('/uploads', express.static(process.env.UPLOAD_PATH || 'uploads'));
 
@@ -30,6 +37,12 @@ app.use('/api/clubs', require('./routes/clubs'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/discussions', require('./routes/discussions'));
 app.use('/api/feedback', require('./routes/feedback'));
+app.use('/api/discounts', require('./routes/discounts'));
+app.use('/api/certificates', require('./routes/certificates'));
+app.use('/api/refunds', require('./routes/refunds'));
+app.use('/api/payments', require('./routes/payments'));
+app.use('/api/ledger', require('./routes/ledger'));
+app.use('/api/teammates', require('./routes/teammates'));
 
 // Health check route
 app.get('/health', (req, res) => {
@@ -68,6 +81,12 @@ const server = app.listen(PORT, () => {
   console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
 });
 
+// Release unpaid reservations whose payment hold has run out
+scheduleJob('expire-holds', Number(process.env.HOLD_SWEEP_INTERVAL_SECONDS || 60) * 1000, expireHolds);
+
+// Lapse stale team invites, warn leaders and cancel teams left incomplete at the deadline
+scheduleJob('expire-teams', Number(process.env.TEAM_SWEEP_INTERVAL_SECONDS || 300) * 1000, expireTeams);
+
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`Error: ${err.message}`);
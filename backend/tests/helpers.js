@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const Event = require('../models/Event');
+const User = require('../models/User');
+
+let server;
+
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+  await mongoose.connection.syncIndexes();
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) {
+    await server.stop();
+  }
+};
+
+const clearDatabase = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const createUser = (overrides = {}) => {
+  const suffix = new mongoose.Types.ObjectId().toString();
+  return User.create({
+    firstName: 'Test',
+    lastName: suffix.slice(-6),
+    email: `user-${suffix}@example.com`,
+    password: 'password123',
+    role: 'Participant',
+    participantType: 'IIIT',
+    ...overrides
+  });
+};
+
+const createParticipants = (count) => Promise.all(Array.from({ length: count }, () => createUser()));
+
+const createEvent = (organizer, overrides = {}) => Event.create({
+  title: 'Concurrency Test Event',
+  description: 'An event used to exercise seat and stock reservations',
+  date: new Date(Date.now() + 7 * DAY_MS),
+  endDate: new Date(Date.now() + 8 * DAY_MS),
+  time: '10:00',
+  location: 'Main Hall',
+  type: 'Event',
+  category: 'Technical',
+  organizer: organizer._id,
+  organizerName: `${organizer.firstName} ${organizer.lastName}`,
+  capacity: 10,
+  maxParticipants: 10,
+  registrationDeadline: new Date(Date.now() + 6 * DAY_MS),
+  status: 'approved',
+  ...overrides
+});
+
+// The fields handlers read from req.user, as the auth middleware sets them
+const asRequestUser = (user) => ({
+  id: user._id.toString(),
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  email: user.email,
+  role: user.role,
+  participantType: user.participantType
+});
+
+/**
+ * Run an Express handler without a server. Resolves to { statusCode, body };
+ * errors passed to next() are rethrown.
+ */
+const callHandler = (handler, { user, body = {}, params = {}, query = {} }) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(payload) {
+      resolve({ statusCode: this.statusCode, body: payload });
+      return this;
+    }
+  };
+  const req = { user: user && asRequestUser(user), body, params, query };
+
+  Promise.resolve(handler(req, res, reject)).catch(reject);
+});
+
+module.exports = {
+  connect,
+  disconnect,
+  clearDatabase,
+  createUser,
+  createParticipants,
+  createEvent,
+  callHandler
+};
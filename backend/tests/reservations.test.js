@@ -0,0 +1,288 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const TicketTierCounter = require('../models/TicketTierCounter');
+const DiscountCode = require('../models/DiscountCode');
+const SessionCounter = require('../models/SessionCounter');
+const { registerForEvent, updateRegistrationStatus } = require('../controllers/registrationController');
+const { expireHolds } = require('../utils/holdExpiry');
+const { HOLD_MINUTES } = require('../utils/reservations');
+const { applyPaymentUpdate } = require('../utils/payments');
+const { SEAT_HOLDING_STATUSES, promoteFromWaitlist } = require('../utils/waitlist');
+const {
+  connect,
+  disconnect,
+  clearDatabase,
+  createUser,
+  createParticipants,
+  createEvent,
+  callHandler
+} = require('./helpers');
+
+const register = (user, body) => callHandler(registerForEvent, { user, body });
+
+const countSeatHolders = (eventId) => Registration.countDocuments({
+  event: eventId,
+  status: { $in: SEAT_HOLDING_STATUSES }
+});
+
+describe('reservations', () => {
+  let organizer;
+
+  before(connect);
+  after(disconnect);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    organizer = await createUser({ role: 'Organizer' });
+  });
+
+  it('gives the last seat to exactly one of many parallel registrations', async () => {
+    const event = await createEvent(organizer, { capacity: 1, maxParticipants: 1 });
+    const participants = await createParticipants(8);
+
+    const results = await Promise.all(participants.map(user => register(user, { eventId: event._id.toString() })));
+
+    assert.ok(results.every(result => result.statusCode === 201));
+    assert.equal(results.filter(result => !result.body.waitlisted).length, 1);
+
+    const updated = await Event.findById(event._id);
+    assert.equal(updated.registered, 1);
+    assert.equal(await countSeatHolders(event._id), 1);
+    assert.equal(await Registration.countDocuments({ event: event._id, status: 'waitlisted' }), 7);
+  });
+
+  it('keeps the seat counter in line with registrations under parallel load', async () => {
+    const event = await createEvent(organizer, { capacity: 3, maxParticipants: 3 });
+    const participants = await createParticipants(10);
+
+    await Promise.all(participants.map(user => register(user, { eventId: event._id.toString() })));
+
+    const updated = await Event.findById(event._id);
+    assert.equal(updated.registered, 3);
+    assert.equal(await countSeatHolders(event._id), 3);
+  });
+
+  it('sells the last variant unit to exactly one of many parallel orders', async () => {
+    const event = await createEvent(organizer, {
+      type: 'Merchandise',
+      capacity: 50,
+      maxParticipants: 50,
+      merchandise: {
+        itemName: 'Club T-Shirt',
+        variants: [
+          { sku: 'TEE-M-BLK', size: 'M', color: 'Black', price: 300, stock: 1 },
+          { sku: 'TEE-L-BLK', size: 'L', color: 'Black', price: 300, stock: 5 }
+        ]
+      }
+    });
+    const participants = await createParticipants(6);
+
+    const results = await Promise.all(participants.map(user => register(user, {
+      eventId: event._id.toString(),
+      merchandise: { variantSku: 'TEE-M-BLK', quantity: 1 }
+    })));
+
+    assert.equal(results.filter(result => result.statusCode === 201).length, 1);
+    assert.ok(results.filter(result => result.statusCode !== 201).every(result => result.statusCode === 400));
+
+    const updated = await Event.findById(event._id);
+    const sold = updated.merchandise.variants.find(variant => variant.sku === 'TEE-M-BLK');
+    const untouched = updated.merchandise.variants.find(variant => variant.sku === 'TEE-L-BLK');
+    assert.equal(sold.stock, 0);
+    assert.equal(untouched.stock, 5);
+
+    const orders = await Registration.find({ event: event._id, status: { $ne: 'rejected' } });
+    assert.equal(orders.length, 1);
+    assert.equal(orders[0].merchandise.stockReserved, true);
+    assert.equal(updated.registered, 1);
+  });
+
+  it('sells a ticket tier only up to its quantity under parallel load', async () => {
+    const event = await createEvent(organizer, {
+      ticketTiers: [
+        { name: 'Early Bird', price: 0, quantity: 2 },
+        { name: 'Regular', price: 0, quantity: 8 }
+      ]
+    });
+    const earlyBird = event.ticketTiers.find(tier => tier.name === 'Early Bird');
+    const participants = await createParticipants(6);
+
+    const results = await Promise.all(participants.map(user => register(user, {
+      eventId: event._id.toString(),
+      ticketTierId: earlyBird._id.toString()
+    })));
+
+    assert.equal(results.filter(result => result.statusCode === 201).length, 2);
+    assert.equal(await Registration.countDocuments({ event: event._id, 'ticketTier.tierId': earlyBird._id }), 2);
+
+    const counter = await TicketTierCounter.findOne({ event: event._id, tier: earlyBird._id });
+    assert.equal(counter.sold, 2);
+    assert.equal((await Event.findById(event._id)).registered, 2);
+  });
+
+  // A one-hour session on the first day of an event made by createEvent
+  const buildSession = (title, capacity) => {
+    const startTime = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    return { title, startTime, endTime: new Date(startTime.getTime() + 60 * 60 * 1000), capacity };
+  };
+
+  it('fills a session only up to its capacity under parallel load', async () => {
+    const event = await createEvent(organizer, { sessions: [buildSession('Workshop', 2)] });
+    const workshop = event.sessions[0];
+    const participants = await createParticipants(6);
+
+    const results = await Promise.all(participants.map(user => register(user, {
+      eventId: event._id.toString(),
+      sessionIds: [workshop._id.toString()]
+    })));
+
+    assert.equal(results.filter(result => result.statusCode === 201).length, 2);
+    assert.equal(await Registration.countDocuments({ event: event._id, 'sessions.sessionId': workshop._id }), 2);
+
+    const counter = await SessionCounter.findOne({ event: event._id, session: workshop._id });
+    assert.equal(counter.taken, 2);
+    assert.equal((await Event.findById(event._id)).registered, 2);
+  });
+
+  it('keeps a waitlisted registration queued when its session has filled up', async () => {
+    const event = await createEvent(organizer, {
+      capacity: 2,
+      maxParticipants: 2,
+      sessions: [buildSession('Workshop', 1)]
+    });
+    const workshop = event.sessions[0];
+    const [first, second, legacy, waiting] = await createParticipants(4);
+
+    await register(first, { eventId: event._id.toString(), sessionIds: [workshop._id.toString()] });
+    await register(second, { eventId: event._id.toString() });
+
+    // Queued before session places were held on the waitlist
+    const stale = await Registration.create({
+      event: event._id,
+      user: legacy._id,
+      participantName: 'Legacy Queue',
+      email: legacy.email,
+      sessions: [{ sessionId: workshop._id, title: workshop.title }],
+      status: 'waitlisted',
+      waitlistPosition: 1,
+      waitlistedAt: new Date()
+    });
+    const queued = await register(waiting, { eventId: event._id.toString() });
+    assert.equal(queued.body.waitlisted, true);
+
+    await Registration.updateOne({ user: second._id, event: event._id }, { $set: { status: 'rejected' } });
+    await Event.updateOne({ _id: event._id }, { $inc: { registered: -1 } });
+
+    const promoted = await promoteFromWaitlist(await Event.findById(event._id));
+
+    assert.deepEqual(promoted.map(registration => registration._id.toString()), [queued.body.data._id.toString()]);
+    const kept = await Registration.findById(stale._id);
+    assert.equal(kept.status, 'waitlisted');
+    assert.equal(kept.waitlistPosition, 1);
+    assert.equal((await SessionCounter.findOne({ event: event._id, session: workshop._id })).taken, 1);
+    assert.equal((await Event.findById(event._id)).registered, 2);
+  });
+
+  it('releases the seat of a registration whose payment hold expired', async () => {
+    const event = await createEvent(organizer, { capacity: 1, maxParticipants: 1, registrationFee: 200 });
+    const [holder, waiting] = await createParticipants(2);
+
+    const held = await register(holder, { eventId: event._id.toString() });
+    assert.equal(held.statusCode, 201);
+    assert.ok(held.body.data.holdExpiresAt);
+    const queued = await register(waiting, { eventId: event._id.toString() });
+    assert.equal(queued.body.waitlisted, true);
+
+    const afterHold = new Date(Date.now() + (HOLD_MINUTES + 1) * 60 * 1000);
+    assert.equal(await expireHolds(afterHold), 1);
+
+    const expired = await Registration.findById(held.body.data._id);
+    assert.equal(expired.status, 'rejected');
+    assert.ok(expired.holdExpiredAt);
+    assert.equal(expired.holdExpiresAt, undefined);
+
+    // The freed seat goes to the next person on the waitlist
+    const promoted = await Registration.findById(queued.body.data._id);
+    assert.equal(promoted.status, 'pending');
+    assert.equal((await Event.findById(event._id)).registered, 1);
+    assert.equal(await countSeatHolders(event._id), 1);
+  });
+
+  it('keeps a lapsed hold released when its discount code has run out', async () => {
+    const event = await createEvent(organizer, { capacity: 5, maxParticipants: 5, registrationFee: 200 });
+    const code = await DiscountCode.create({
+      code: 'ONCE',
+      event: event._id,
+      organizer: organizer._id,
+      discountType: 'flat',
+      value: 50,
+      usageLimit: 1
+    });
+    const [late, other] = await createParticipants(2);
+
+    const held = await register(late, { eventId: event._id.toString(), discountCode: 'ONCE' });
+    assert.equal(held.statusCode, 201);
+
+    const afterHold = new Date(Date.now() + (HOLD_MINUTES + 1) * 60 * 1000);
+    assert.equal(await expireHolds(afterHold), 1);
+    assert.equal((await DiscountCode.findById(code._id)).usedCount, 0);
+
+    // Someone else takes the only use before the late payment lands
+    const taken = await register(other, { eventId: event._id.toString(), discountCode: 'ONCE' });
+    assert.equal(taken.statusCode, 201);
+
+    const registration = await Registration.findById(held.body.data._id).populate('event');
+    const result = await applyPaymentUpdate(registration, { paymentStatus: 'paid', paymentApprovalStatus: 'approved' });
+
+    assert.ok(result.error);
+    assert.equal((await Registration.findById(held.body.data._id)).status, 'rejected');
+    assert.equal((await DiscountCode.findById(code._id)).usedCount, 1);
+    assert.equal((await Event.findById(event._id)).registered, 1);
+  });
+
+  it('holds a participant to a club code\'s per-user limit across parallel registrations', async () => {
+    const events = await Promise.all([1, 2, 3].map(() => createEvent(organizer, { registrationFee: 200 })));
+    await DiscountCode.create({
+      code: 'CLUBONE',
+      scope: 'club',
+      organizer: organizer._id,
+      discountType: 'percentage',
+      value: 50,
+      perUserLimit: 1
+    });
+    const [participant] = await createParticipants(1);
+
+    const results = await Promise.all(events.map(event => register(participant, {
+      eventId: event._id.toString(),
+      discountCode: 'CLUBONE'
+    })));
+
+    assert.equal(results.filter(result => result.statusCode === 201).length, 1);
+    assert.equal(await Registration.countDocuments({ user: participant._id, 'discount.code': 'CLUBONE' }), 1);
+    assert.equal((await DiscountCode.findOne({ code: 'CLUBONE' })).usedCount, 1);
+    // Seats claimed by the refused registrations went back
+    const registered = await Event.find({ _id: { $in: events.map(event => event._id) } }).select('registered');
+    assert.equal(registered.reduce((total, event) => total + event.registered, 0), 1);
+  });
+
+  it('refuses to confirm a waitlisted registration on a full event', async () => {
+    const event = await createEvent(organizer, { capacity: 1, maxParticipants: 1 });
+    const [first, second] = await createParticipants(2);
+
+    await register(first, { eventId: event._id.toString() });
+    const queued = await register(second, { eventId: event._id.toString() });
+
+    const result = await callHandler(updateRegistrationStatus, {
+      user: organizer,
+      params: { id: queued.body.data._id.toString() },
+      body: { status: 'confirmed' }
+    });
+
+    assert.equal(result.statusCode, 400);
+    assert.equal((await Registration.findById(queued.body.data._id)).status, 'waitlisted');
+    assert.equal((await Event.findById(event._id)).registered, 1);
+    assert.equal(await countSeatHolders(event._id), 1);
+  });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Event = require('../models/Event');
+const { updateEvent } = require('../controllers/eventController');
+const {
+  connect,
+  disconnect,
+  clearDatabase,
+  createUser,
+  createEvent,
+  callHandler
+} = require('./helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('series edits', () => {
+  let organizer;
+
+  before(connect);
+  after(disconnect);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    organizer = await createUser({ role: 'Organizer' });
+  });
+
+  // An occurrence of the series starting the given number of days from now
+  const createOccurrence = (series, days, overrides = {}) => createEvent(organizer, {
+    series,
+    date: new Date(Date.now() + days * DAY_MS),
+    endDate: new Date(Date.now() + (days + 1) * DAY_MS),
+    registrationDeadline: new Date(Date.now() + (days - 1) * DAY_MS),
+    status: 'draft',
+    lifecycleStatus: 'draft',
+    ...overrides
+  });
+
+  it('applies future edits only to occurrences whose own rules allow them', async () => {
+    const series = new mongoose.Types.ObjectId();
+    const edited = await createOccurrence(series, 7);
+    const draft = await createOccurrence(series, 14);
+    const published = await createOccurrence(series, 21, {
+      status: 'approved',
+      lifecycleStatus: 'published',
+      registrationFee: 100,
+      capacity: 10,
+      maxParticipants: 10,
+      registered: 6
+    });
+
+    const result = await callHandler(updateEvent, {
+      user: organizer,
+      params: { id: edited._id.toString() },
+      body: { applyTo: 'future', registrationFee: 250, capacity: 5, maxParticipants: 5 }
+    });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.body.updatedOccurrences, 1);
+    assert.deepEqual(result.body.skippedOccurrences.map(skipped => skipped._id.toString()), [published._id.toString()]);
+
+    assert.equal((await Event.findById(draft._id)).registrationFee, 250);
+    const untouched = await Event.findById(published._id);
+    assert.equal(untouched.registrationFee, 100);
+    assert.equal(untouched.capacity, 10);
+  });
+
+  it('never takes an occurrence below the seats already taken', async () => {
+    const series = new mongoose.Types.ObjectId();
+    const edited = await createOccurrence(series, 7);
+    const busy = await createOccurrence(series, 14, { registered: 4 });
+
+    const result = await callHandler(updateEvent, {
+      user: await createUser({ role: 'Admin' }),
+      params: { id: edited._id.toString() },
+      body: { applyTo: 'future', capacity: 3, maxParticipants: 3 }
+    });
+
+    assert.equal(result.statusCode, 200);
+    assert.equal(result.body.updatedOccurrences, 0);
+    assert.equal((await Event.findById(busy._id)).capacity, 10);
+    assert.equal((await Event.findById(edited._id)).capacity, 3);
+  });
+});
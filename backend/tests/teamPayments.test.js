@@ -0,0 +1,104 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const {
+  registerForEvent,
+  createTeamRegistration,
+  joinTeamByCode
+} = require('../controllers/registrationController');
+const { expireTeams } = require('../utils/teamExpiry');
+const { TEAM_PAYMENT_HOURS } = require('../utils/teamPayments');
+const {
+  connect,
+  disconnect,
+  clearDatabase,
+  createUser,
+  createParticipants,
+  createEvent,
+  callHandler
+} = require('./helpers');
+
+describe('team payments', () => {
+  let organizer;
+
+  before(connect);
+  after(disconnect);
+
+  beforeEach(async () => {
+    await clearDatabase();
+    organizer = await createUser({ role: 'Organizer' });
+  });
+
+  // Build a full two-member team on the event, left awaiting its fee
+  const formPaidTeam = async (event, leader, member) => {
+    const created = await callHandler(createTeamRegistration, {
+      user: leader,
+      body: { eventId: event._id.toString(), teamName: 'Night Owls', desiredTeamSize: 2 }
+    });
+    assert.equal(created.statusCode, 201);
+    await Team.updateOne({ _id: created.body.data._id }, { $set: { codeJoinMode: 'auto' } });
+
+    const joined = await callHandler(joinTeamByCode, {
+      user: member,
+      body: { code: created.body.data.inviteCode }
+    });
+    assert.equal(joined.body.data.completion.awaitingPayment, true);
+
+    return Team.findById(created.body.data._id);
+  };
+
+  it('cancels a full team that misses its payment deadline and frees its seats', async () => {
+    const event = await createEvent(organizer, {
+      capacity: 2,
+      maxParticipants: 2,
+      participantType: 'Both',
+      teamFee: { mode: 'per-team', amount: 400 }
+    });
+    const [leader, member, waiting] = await createParticipants(3);
+
+    const team = await formPaidTeam(event, leader, member);
+    assert.equal(team.status, 'awaiting-payment');
+    assert.ok(team.paymentDueAt);
+    assert.equal((await Event.findById(event._id)).registered, 2);
+
+    const queued = await callHandler(registerForEvent, { user: waiting, body: { eventId: event._id.toString() } });
+    assert.equal(queued.body.waitlisted, true);
+
+    // Nothing happens before the deadline
+    assert.equal((await expireTeams(new Date())).unpaidTeamsCancelled, 0);
+
+    const afterDeadline = new Date(Date.now() + (TEAM_PAYMENT_HOURS + 1) * 60 * 60 * 1000);
+    const summary = await expireTeams(afterDeadline);
+    assert.equal(summary.unpaidTeamsCancelled, 1);
+
+    const cancelled = await Team.findById(team._id);
+    assert.equal(cancelled.status, 'cancelled');
+    assert.equal(cancelled.paymentDueAt, undefined);
+    assert.equal(await Registration.countDocuments({ team: team._id, status: { $ne: 'rejected' } }), 0);
+
+    // The released seats go to the waitlist
+    assert.equal((await Registration.findById(queued.body.data._id)).status, 'pending');
+    assert.equal((await Event.findById(event._id)).registered, 1);
+  });
+
+  it('leaves a team alone while every share is paid or under review', async () => {
+    const event = await createEvent(organizer, {
+      participantType: 'Team',
+      teamFee: { mode: 'per-member', amount: 150 }
+    });
+    const [leader, member] = await createParticipants(2);
+
+    const team = await formPaidTeam(event, leader, member);
+    await Registration.updateMany(
+      { team: team._id },
+      { $set: { paymentProofUploadedAt: new Date(), paymentApprovalStatus: 'pending' } }
+    );
+
+    const afterDeadline = new Date(Date.now() + (TEAM_PAYMENT_HOURS + 1) * 60 * 60 * 1000);
+    assert.equal((await expireTeams(afterDeadline)).unpaidTeamsCancelled, 0);
+    assert.equal((await Team.findById(team._id)).status, 'awaiting-payment');
+    assert.equal((await Event.findById(event._id)).registered, 2);
+  });
+});
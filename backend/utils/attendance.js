@@ -0,0 +1,111 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Attendance days are UTC calendar dates, matching how event dates are stored
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+// Calendar days (YYYY-MM-DD) the event runs on
+const getEventDays = (event) => {
+  const days = [];
+  const end = new Date(toDayKey(event.endDate || event.date));
+  for (let day = new Date(toDayKey(event.date)); day <= end; day = new Date(day.getTime() + DAY_MS)) {
+    days.push(toDayKey(day));
+  }
+  return days;
+};
+
+// Day key for a scan, or null when the event is not running that day
+const getAttendanceDay = (event, at = new Date()) => {
+  const day = toDayKey(at);
+  return getEventDays(event).includes(day) ? day : null;
+};
+
+// One day's log in scan order (offline gates can sync entries out of order)
+const getDayLog = (registration, day) => (registration.attendanceLog || [])
+  .filter(entry => entry.day === day)
+  .sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt));
+
+const isInside = (registration, day, at = new Date()) => {
+  const last = getDayLog(registration, day).filter(entry => new Date(entry.scannedAt) <= at).pop();
+  return last?.type === 'entry';
+};
+
+/**
+ * Record an entry or exit scan without saving. Returns { error, statusCode },
+ * { duplicate, message, checkedInAt } or { message, checkedInAt }. With
+ * keepEarliest, two gates logging the same movement collapse into the
+ * earlier scan instead of stacking.
+ */
+const recordAttendance = (registration, event, { direction = 'entry', gate, userId, at = new Date(), keepEarliest = false }) => {
+  const day = getAttendanceDay(event, at);
+  if (!day) {
+    return { statusCode: 400, error: 'Check-in is only open on event days' };
+  }
+
+  const type = direction === 'exit' ? 'exit' : 'entry';
+  const log = getDayLog(registration, day);
+  const previous = log.filter(entry => new Date(entry.scannedAt) <= at).pop();
+  const next = log.find(entry => new Date(entry.scannedAt) > at);
+
+  if (type === 'entry' && previous?.type === 'entry') {
+    return {
+      duplicate: true,
+      message: 'Participant is already inside',
+      checkedInAt: previous.scannedAt
+    };
+  }
+  if (type === 'exit' && previous?.type !== 'entry') {
+    return { statusCode: 400, error: 'Participant is not inside' };
+  }
+
+  if (keepEarliest && next?.type === type) {
+    next.scannedAt = at;
+    next.gate = gate || next.gate;
+    next.scannedBy = userId;
+    return {
+      duplicate: true,
+      message: type === 'entry' ? 'Entry already recorded by another gate' : 'Exit already recorded by another gate',
+      checkedInAt: at
+    };
+  }
+
+  registration.attendanceLog.push({ type, day, gate, scannedAt: at, scannedBy: userId });
+
+  if (type === 'exit') {
+    return { message: 'Check-out recorded', checkedInAt: at };
+  }
+
+  if (!registration.checkedIn || at < registration.checkInTime) {
+    registration.checkedIn = true;
+    registration.checkInTime = at;
+  }
+  return { message: previous ? 'Re-entry recorded' : 'Check-in successful', checkedInAt: at };
+};
+
+// Live occupancy plus unique attendees per event day
+const summarizeAttendance = (registrations, event, at = new Date()) => {
+  const today = getAttendanceDay(event, at);
+  const inside = today ? registrations.filter(reg => isInside(reg, today, at)) : [];
+
+  const byGate = {};
+  inside.forEach((reg) => {
+    const lastEntry = getDayLog(reg, today).filter(entry => entry.type === 'entry').pop();
+    const gate = lastEntry?.gate || 'Unspecified';
+    byGate[gate] = (byGate[gate] || 0) + 1;
+  });
+
+  return {
+    today,
+    inside: inside.length,
+    insideByGate: byGate,
+    days: getEventDays(event).map(day => ({
+      day,
+      attendees: registrations.filter(reg => (reg.attendanceLog || []).some(entry => entry.day === day && entry.type === 'entry')).length
+    }))
+  };
+};
+
+module.exports = {
+  getAttendanceDay,
+  recordAttendance,
+  summarizeAttendance
+};
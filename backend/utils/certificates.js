@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const Certificate = require('../models/Certificate');
+
+const DEFAULT_TITLE = 'Certificate of Participation';
+const DEFAULT_BODY = 'This is to certify that {{name}} participated in {{event}} held on {{date}}.';
+
+const generateCertificateCode = () => {
+  const raw = crypto.randomBytes(5).toString('hex').toUpperCase();
+  return `CERT-${raw.slice(0, 5)}-${raw.slice(5)}`;
+};
+
+const getCertificateVerifyUrl = (code) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:5174').replace(/\/$/, '');
+  return `${base}/certificates/verify/${code}`;
+};
+
+const getOrganizerName = (organizer) => {
+  if (!organizer || !organizer.firstName) return '';
+  return organizer.organizerProfile?.name || `${organizer.firstName} ${organizer.lastName || ''}`.trim();
+};
+
+const formatCertificateDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : '');
+
+// Returns an error message, or null when the registration earns a certificate
+const getCertificateEligibilityError = (registration, event) => {
+  if (!event?.certificate?.enabled) {
+    return 'Certificates are not enabled for this event';
+  }
+  if (registration.status !== 'confirmed' || !registration.checkedIn) {
+    return 'Certificates are only issued to checked-in participants';
+  }
+  return null;
+};
+
+/**
+ * Find or create the certificate for a registration. Expects the event with
+ * its organizer populated; callers check eligibility first.
+ */
+const issueCertificate = async (registration, event) => {
+  const existing = await Certificate.findOne({ registration: registration._id });
+  if (existing) return existing;
+
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      return await Certificate.create({
+        code: generateCertificateCode(),
+        registration: registration._id,
+        event: event._id,
+        user: registration.user?._id || registration.user,
+        participantName: registration.participantName,
+        eventTitle: event.title,
+        eventDate: event.date,
+        organizerName: getOrganizerName(event.organizer)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Either a concurrent request issued it first or the code collided
+      const raced = await Certificate.findOne({ registration: registration._id });
+      if (raced) return raced;
+    }
+  }
+
+  throw new Error('Could not generate a unique certificate code');
+};
+
+const fillTemplate = (text, values) => text.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => values[key] ?? match);
+
+// Render a landscape A4 certificate; resolves to a PDF buffer
+const renderCertificatePdf = (certificate, event) => new Promise((resolve, reject) => {
+  const template = event?.certificate || {};
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const { width, height } = doc.page;
+  const contentWidth = width - 200;
+
+  doc.lineWidth(3).rect(20, 20, width - 40, height - 40).stroke('#1e3a8a');
+  doc.lineWidth(1).rect(30, 30, width - 60, height - 60).stroke('#93c5fd');
+
+  doc.font('Helvetica-Bold').fontSize(32).fillColor('#1e3a8a')
+    .text(template.title || DEFAULT_TITLE, 100, 100, { align: 'center', width: contentWidth });
+
+  doc.moveDown(1.2).font('Helvetica').fontSize(14).fillColor('#4b5563')
+    .text('This certificate is presented to', { align: 'center', width: contentWidth });
+
+  doc.moveDown(0.6).font('Helvetica-Bold').fontSize(28).fillColor('#111827')
+    .text(certificate.participantName, { align: 'center', width: contentWidth });
+
+  const body = fillTemplate(template.body || DEFAULT_BODY, {
+    name: certificate.participantName,
+    event: certificate.eventTitle,
+    date: formatCertificateDate(certificate.eventDate),
+    organizer: certificate.organizerName || ''
+  });
+  doc.moveDown(1).font('Helvetica').fontSize(14).fillColor('#374151')
+    .text(body, { align: 'center', width: contentWidth, lineGap: 4 });
+
+  const footerY = height - 140;
+  if (template.signatoryName) {
+    doc.lineWidth(1).moveTo(90, footerY).lineTo(290, footerY).stroke('#9ca3af');
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827')
+      .text(template.signatoryName, 90, footerY + 8, { width: 200, align: 'center' });
+    if (template.signatoryTitle) {
+      doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+        .text(template.signatoryTitle, 90, footerY + 24, { width: 200, align: 'center' });
+    }
+  }
+
+  doc.font('Helvetica').fontSize(10).fillColor('#6b7280')
+    .text(`Issued ${formatCertificateDate(certificate.issuedAt)}`, width - 350, footerY - 4, { width: 260, align: 'right' })
+    .text(`Verification code: ${certificate.code}`, { width: 260, align: 'right' })
+    .text(getCertificateVerifyUrl(certificate.code), { width: 260, align: 'right', link: getCertificateVerifyUrl(certificate.code) });
+
+  doc.end();
+});
+
+module.exports = {
+  getCertificateEligibilityError,
+  getCertificateVerifyUrl,
+  issueCertificate,
+  renderCertificatePdf
+};
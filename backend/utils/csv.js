@@ -0,0 +1,73 @@
+/**
+ * Parse CSV text into an array of rows (arrays of trimmed cells). Handles
+ * quoted cells with embedded commas, quotes and newlines, CRLF line endings
+ * and a leading byte order mark. Blank lines are skipped.
+ */
+const parseCsv = (text) => {
+  const input = String(text || '').replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  const endCell = () => {
+    row.push(cell.trim());
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.some(value => value !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+const PLAIN_NUMBER = /^-?\d+(\.\d+)?$/;
+
+// Spreadsheets run cells starting with =, +, -, @, tab or CR as formulas;
+// a leading quote keeps them as text. Plain numbers are left alone.
+const escapeFormula = (text) => (FORMULA_START.test(text) && !PLAIN_NUMBER.test(text) ? `'${text}` : text);
+
+// Serialize rows of cells back to CSV, quoting every cell
+const toCsv = (rows) => rows
+  .map(row => row.map(value => `"${escapeFormula(String(value ?? '')).replace(/"/g, '""')}"`).join(','))
+  .join('\n');
+
+module.exports = {
+  parseCsv,
+  toCsv
+};
@@ -0,0 +1,167 @@
+const DiscountCode = require('../models/DiscountCode');
+const DiscountUsage = require('../models/DiscountUsage');
+const Registration = require('../models/Registration');
+
+// Registrations in these statuses no longer count against a code's limits
+const RELEASED_STATUSES = ['cancelled', 'rejected'];
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Event-scoped codes for this event, or club-scoped codes from its organizer
+const findCodeForEvent = (code, event) => DiscountCode.findOne({
+  code: normalizeCode(code),
+  isActive: true,
+  $or: [
+    { scope: 'event', event: event._id },
+    { scope: 'club', organizer: event.organizer }
+  ]
+});
+
+const calculateDiscount = (discountCode, amount) => {
+  if (!amount || amount <= 0) return 0;
+
+  const raw = discountCode.discountType === 'percentage'
+    ? (amount * Math.min(discountCode.value, 100)) / 100
+    : discountCode.value;
+
+  return Math.round(Math.min(raw, amount) * 100) / 100;
+};
+
+/**
+ * Check expiry, overall usage and per-user limits. Returns an error message,
+ * or null when the user may redeem the code. This is an early answer for
+ * forms; redeemCode enforces the limits when the use is actually claimed.
+ */
+const getCodeUsageError = async (discountCode, userId, now = new Date()) => {
+  if (discountCode.expiresAt && new Date(discountCode.expiresAt) < now) {
+    return 'This discount code has expired';
+  }
+
+  if (discountCode.usageLimit && discountCode.usedCount >= discountCode.usageLimit) {
+    return 'This discount code has reached its usage limit';
+  }
+
+  const userRedemptions = await Registration.countDocuments({
+    user: userId,
+    'discount.codeId': discountCode._id,
+    status: { $nin: RELEASED_STATUSES }
+  });
+  if (userRedemptions >= (discountCode.perUserLimit || 1)) {
+    return 'You have already used this discount code';
+  }
+
+  return null;
+};
+
+/**
+ * Create a participant's usage counter the first time they redeem a code,
+ * starting at the registrations that already use it.
+ */
+const seedUsage = async (codeId, userId) => {
+  if (await DiscountUsage.exists({ code: codeId, user: userId })) {
+    return;
+  }
+
+  const used = await Registration.countDocuments({
+    user: userId,
+    'discount.codeId': codeId,
+    'discount.releasedAt': { $exists: false },
+    status: { $nin: RELEASED_STATUSES }
+  });
+
+  try {
+    await DiscountUsage.create({ code: codeId, user: userId, used });
+  } catch (err) {
+    // Another redemption seeded it first
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+// Give a participant's use back; the counter never drops below zero
+const releaseUsage = (codeId, userId) => DiscountUsage.updateOne(
+  { code: codeId, user: userId, used: { $gt: 0 } },
+  { $inc: { used: -1 } }
+);
+
+/**
+ * Atomically claim one use for a participant, against both the code's
+ * per-user limit and its overall limit, so concurrent registrations cannot
+ * overshoot either. Returns an error message, or null when the use was
+ * claimed.
+ */
+const redeemCode = async (discountCode, userId) => {
+  await seedUsage(discountCode._id, userId);
+
+  const claimed = await DiscountUsage.updateOne(
+    { code: discountCode._id, user: userId, used: { $lt: discountCode.perUserLimit || 1 } },
+    { $inc: { used: 1 } }
+  );
+  if (claimed.modifiedCount !== 1) {
+    return 'You have already used this discount code';
+  }
+
+  const redeemed = await DiscountCode.updateOne(
+    {
+      _id: discountCode._id,
+      $or: [
+        { usageLimit: { $exists: false } },
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    },
+    { $inc: { usedCount: 1 } }
+  );
+  if (redeemed.modifiedCount !== 1) {
+    await releaseUsage(discountCode._id, userId);
+    return 'This discount code has reached its usage limit';
+  }
+
+  return null;
+};
+
+// Give a use back when the registration that redeemed it is cancelled or rejected
+const releaseCode = async (registration) => {
+  if (!registration.discount?.codeId || registration.discount.releasedAt) {
+    return;
+  }
+
+  await DiscountCode.updateOne(
+    { _id: registration.discount.codeId, usedCount: { $gt: 0 } },
+    { $inc: { usedCount: -1 } }
+  );
+  await releaseUsage(registration.discount.codeId, registration.user?._id || registration.user);
+  registration.discount.releasedAt = new Date();
+  await registration.save();
+};
+
+/**
+ * Take a released use back for a registration that is being revived, such
+ * as a late payment for a lapsed hold. Marks it without saving; returns an
+ * error message when the code has since run out of uses.
+ */
+const reclaimCode = async (registration) => {
+  if (!registration.discount?.codeId || !registration.discount.releasedAt) {
+    return null;
+  }
+
+  const discountCode = await DiscountCode.findById(registration.discount.codeId);
+  const codeError = discountCode
+    ? await redeemCode(discountCode, registration.user?._id || registration.user)
+    : 'This discount code no longer exists';
+  if (!codeError) {
+    registration.discount.releasedAt = undefined;
+  }
+  return codeError;
+};
+
+module.exports = {
+  normalizeCode,
+  findCodeForEvent,
+  calculateDiscount,
+  getCodeUsageError,
+  redeemCode,
+  releaseCode,
+  reclaimCode
+};
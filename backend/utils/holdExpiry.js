@@ -0,0 +1,68 @@
+const Registration = require('../models/Registration');
+const Event = require('../models/Event');
+const { releaseSeats, releaseStockFor } = require('./reservations');
+const { releaseTierFor } = require('./ticketTiers');
+const { releaseSessionsFor } = require('./sessions');
+const { promoteFromWaitlist } = require('./waitlist');
+const { releaseCode } = require('./discounts');
+const { sendHoldExpiredMail } = require('./mailer');
+
+/**
+ * Release every reservation whose payment hold has run out: the seat and
+ * any merchandise stock go back and the next people on the waitlist are
+ * promoted. Each registration is flipped with a conditional update, so a
+ * proof uploaded at the last moment (which clears the hold) always wins.
+ * Returns the number of reservations released.
+ */
+const expireHolds = async (now = new Date()) => {
+  const due = await Registration.find({ holdExpiresAt: { $lte: now }, status: 'pending' }).select('_id');
+  const events = new Map();
+  let expired = 0;
+
+  for (const { _id } of due) {
+    const registration = await Registration.findOneAndUpdate(
+      { _id, holdExpiresAt: { $lte: now }, status: 'pending' },
+      { $set: { status: 'rejected', holdExpiredAt: now }, $unset: { holdExpiresAt: 1 } },
+      { new: true }
+    );
+    if (!registration) {
+      continue;
+    }
+
+    const eventId = registration.event.toString();
+    if (!events.has(eventId)) {
+      events.set(eventId, await Event.findById(registration.event));
+    }
+    const event = events.get(eventId);
+
+    await releaseSeats(registration.event);
+    await releaseTierFor(registration);
+    await releaseSessionsFor(registration);
+    if (event) {
+      await releaseStockFor(registration, event);
+    }
+    await registration.save();
+    await releaseCode(registration);
+    expired += 1;
+
+    await sendHoldExpiredMail({
+      to: registration.email,
+      participantName: registration.participantName,
+      eventTitle: event?.title || 'your event',
+      ticketId: registration.ticketId,
+      merchandise: event?.type === 'Merchandise'
+    });
+  }
+
+  for (const event of events.values()) {
+    if (event && event.type !== 'Merchandise') {
+      await promoteFromWaitlist(event);
+    }
+  }
+
+  return expired;
+};
+
+module.exports = {
+  expireHolds
+};
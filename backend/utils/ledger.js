@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+
+const isDuplicateSource = (err) => err.code === 11000 && err.keyPattern?.sourceKey;
+
+// Net amount currently on the books for a registration's payment, counting
+// its credits and any reversals of them
+const getPaymentEntries = async (registrationId) => {
+  const entries = await LedgerEntry.find({
+    registration: registrationId,
+    category: { $in: ['payment', 'adjustment'] }
+  }).select('category amount');
+  const net = entries.reduce((sum, entry) => sum + entry.amount, 0);
+  return { entries, net };
+};
+
+const getParticipantLabel = (registration) => registration.participantName
+  || registration.email
+  || registration.ticketId
+  || 'participant';
+
+/**
+ * Credit the club for an approved payment. Does nothing when the payment is
+ * already on the books, so it is safe to call again. Each credit after a
+ * reversal gets its own source key, keeping concurrent calls from doubling it.
+ */
+const recordPaymentCredit = async (registration, event, { occurredAt } = {}) => {
+  const amount = registration.amountPaid || 0;
+  if (amount <= 0) {
+    return null;
+  }
+
+  const { entries, net } = await getPaymentEntries(registration._id);
+  if (net > 0) {
+    return null;
+  }
+
+  const credits = entries.filter(entry => entry.category === 'payment').length;
+  try {
+    return await LedgerEntry.create({
+      organizer: event.organizer,
+      event: event._id,
+      type: 'credit',
+      category: 'payment',
+      amount,
+      description: `Payment from ${getParticipantLabel(registration)}`,
+      reference: registration.transactionId || registration.receiptNumber,
+      registration: registration._id,
+      sourceKey: `payment:${registration._id}:${credits + 1}`,
+      occurredAt: occurredAt || new Date()
+    });
+  } catch (err) {
+    if (isDuplicateSource(err)) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Take a payment back off the books when an approved payment is moved back
+ * to pending, failed or refunded by hand.
+ */
+const recordPaymentReversal = async (registration, event) => {
+  const { entries, net } = await getPaymentEntries(registration._id);
+  if (net <= 0) {
+    return null;
+  }
+
+  const reversals = entries.filter(entry => entry.category === 'adjustment').length;
+  try {
+    return await LedgerEntry.create({
+      organizer: event.organizer,
+      event: event._id,
+      type: 'adjustment',
+      category: 'adjustment',
+      amount: -net,
+      description: `Payment from ${getParticipantLabel(registration)} reversed (marked ${registration.paymentStatus})`,
+      reference: registration.transactionId,
+      registration: registration._id,
+      sourceKey: `reversal:${registration._id}:${reversals + 1}`
+    });
+  } catch (err) {
+    if (isDuplicateSource(err)) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Debit the club for an issued refund. Expects the refund's event populated
+ * with its organizer.
+ */
+const recordRefundDebit = async (refund) => {
+  if (!(refund.amount > 0)) {
+    return null;
+  }
+
+  try {
+    return await LedgerEntry.create({
+      organizer: refund.event.organizer,
+      event: refund.event._id,
+      type: 'debit',
+      category: 'refund',
+      amount: -refund.amount,
+      description: `Refund to ${refund.participantName || refund.email || 'participant'}`,
+      reference: refund.reference,
+      registration: refund.registration,
+      refund: refund._id,
+      sourceKey: `refund:${refund._id}`,
+      recordedBy: refund.processedBy,
+      occurredAt: refund.processedAt || new Date()
+    });
+  } catch (err) {
+    if (isDuplicateSource(err)) {
+      return null;
+    }
+    throw err;
+  }
+};
+
+const emptyTotals = () => ({ credits: 0, debits: 0, adjustments: 0, net: 0, entryCount: 0 });
+
+// Debits are reported as positive amounts; net and balances stay signed
+const addToTotals = (totals, entry) => {
+  if (entry.type === 'credit') totals.credits += entry.amount;
+  if (entry.type === 'debit') totals.debits -= entry.amount;
+  if (entry.type === 'adjustment') totals.adjustments += entry.amount;
+  totals.net += entry.amount;
+  totals.entryCount += 1;
+  return totals;
+};
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Build a ledger view for the given filters: entries oldest first with a
+ * running balance, totals for the period and a breakdown per event. The
+ * balance opens at everything recorded before `from` under the same filters.
+ */
+const getLedger = async ({ organizer, event, from, to } = {}) => {
+  const query = {};
+  if (organizer) query.organizer = organizer;
+  if (event) query.event = event;
+
+  let openingBalance = 0;
+  if (from) {
+    const [opening] = await LedgerEntry.aggregate([
+      {
+        $match: {
+          ...(organizer ? { organizer: toObjectId(organizer) } : {}),
+          ...(event ? { event: toObjectId(event) } : {}),
+          occurredAt: { $lt: from }
+        }
+      },
+      { $group: { _id: null, total: { $sum: '$amount' } } }
+    ]);
+    openingBalance = opening?.total || 0;
+  }
+
+  if (from || to) {
+    query.occurredAt = {};
+    if (from) query.occurredAt.$gte = from;
+    if (to) query.occurredAt.$lt = to;
+  }
+
+  const entries = await LedgerEntry.find(query)
+    .populate('event', 'title date')
+    .populate('organizer', 'firstName lastName organizerProfile.name')
+    .populate('recordedBy', 'firstName lastName')
+    .sort({ occurredAt: 1, _id: 1 })
+    .lean();
+
+  const summary = emptyTotals();
+  const byEvent = new Map();
+  let balance = openingBalance;
+
+  entries.forEach(entry => {
+    balance += entry.amount;
+    entry.balance = balance;
+    addToTotals(summary, entry);
+
+    const key = entry.event?._id?.toString() || 'general';
+    if (!byEvent.has(key)) {
+      byEvent.set(key, {
+        event: entry.event ? { _id: entry.event._id, title: entry.event.title, date: entry.event.date } : null,
+        ...emptyTotals()
+      });
+    }
+    addToTotals(byEvent.get(key), entry);
+  });
+
+  return {
+    summary: {
+      ...summary,
+      openingBalance,
+      closingBalance: balance
+    },
+    entries,
+    events: [...byEvent.values()].sort((a, b) => b.net - a.net)
+  };
+};
+
+/**
+ * Totals and balance for every club with ledger entries, largest balance
+ * first.
+ */
+const getClubBalances = async () => {
+  const rows = await LedgerEntry.aggregate([
+    {
+      $group: {
+        _id: '$organizer',
+        credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, { $multiply: ['$amount', -1] }, 0] } },
+        adjustments: { $sum: { $cond: [{ $eq: ['$type', 'adjustment'] }, '$amount', 0] } },
+        net: { $sum: '$amount' },
+        entryCount: { $sum: 1 },
+        lastEntryAt: { $max: '$occurredAt' }
+      }
+    },
+    {
+      $lookup: {
+        from: 'users',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'organizer'
+      }
+    },
+    { $unwind: { path: '$organizer', preserveNullAndEmptyArrays: true } },
+    { $sort: { net: -1 } }
+  ]);
+
+  return rows.map(row => ({
+    organizer: {
+      _id: row._id,
+      name: row.organizer?.organizerProfile?.name
+        || [row.organizer?.firstName, row.organizer?.lastName].filter(Boolean).join(' ')
+        || 'Unknown club',
+      email: row.organizer?.email
+    },
+    credits: row.credits,
+    debits: row.debits,
+    adjustments: row.adjustments,
+    net: row.net,
+    entryCount: row.entryCount,
+    lastEntryAt: row.lastEntryAt
+  }));
+};
+
+module.exports = {
+  recordPaymentCredit,
+  recordPaymentReversal,
+  recordRefundDebit,
+  getLedger,
+  getClubBalances
+};
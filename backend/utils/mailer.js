@@ -84,11 +84,315 @@ const sendTeamInviteMail = async ({
   return sendMail({ to, subject, text, html });
 };
 
+const sendWaitlistPromotionMail = async ({
+  to,
+  participantName,
+  eventTitle,
+  ticketId,
+  paymentRequired,
+  paymentAmount,
+  awaitingScreening,
+  holdExpiresAt
+}) => {
+  const subject = `You're off the waitlist: ${eventTitle}`;
+  const holdLine = holdExpiresAt
+    ? ` Your seat is held until ${new Date(holdExpiresAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}; upload your payment proof before then or it will go to the next person in line.`
+    : '';
+  const nextStep = awaitingScreening
+    ? 'The organizers review registrations for this event. We will email you once your registration has been reviewed.'
+    : paymentRequired
+      ? `Please complete the payment of Rs. ${paymentAmount} to confirm your seat.${holdLine} Your ticket will be issued once the payment is approved.`
+      : 'Your ticket has been issued and sent in a separate email.';
+  const text = `Hello ${participantName},\n\nA seat opened up for "${eventTitle}" and you have been promoted from the waitlist.\nTicket ID: ${ticketId}\n\n${nextStep}\n\n- EventHub`;
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>A seat opened up for <strong>${eventTitle}</strong> and you have been promoted from the waitlist.</p>
+    <p><strong>Ticket ID:</strong> ${ticketId}</p>
+    <p>${nextStep}</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendScreeningDecisionMail = async ({
+  to,
+  participantName,
+  eventTitle,
+  approved,
+  reason,
+  paymentRequired,
+  waitlisted
+}) => {
+  const subject = approved
+    ? `Registration Approved: ${eventTitle}`
+    : `Registration Not Approved: ${eventTitle}`;
+  const outcome = approved
+    ? `Your registration for "${eventTitle}" has been approved by the organizers.`
+    : `Your registration for "${eventTitle}" was not approved by the organizers.`;
+  const nextStep = approved
+    ? (waitlisted
+      ? 'You are still on the waitlist. We will email you as soon as a seat opens up.'
+      : paymentRequired
+        ? 'Please complete the payment to confirm your seat. Your ticket will be issued once the payment is approved.'
+        : 'Your ticket has been issued and sent in a separate email.')
+    : '';
+  const reasonLine = reason ? `Reason: ${reason}` : '';
+  const text = [`Hello ${participantName},`, outcome, reasonLine, nextStep, '- EventHub'].filter(Boolean).join('\n\n');
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${outcome}</p>
+    ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+    ${nextStep ? `<p>${nextStep}</p>` : ''}
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendCertificateMail = async ({ to, participantName, eventTitle, code, verifyUrl, pdf }) => {
+  const subject = `Your Certificate: ${eventTitle}`;
+  const text = `Hello ${participantName},\n\nThank you for attending "${eventTitle}". Your participation certificate is attached.\nVerification code: ${code}\nVerify at: ${verifyUrl}\n\n- EventHub`;
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>Thank you for attending <strong>${eventTitle}</strong>. Your participation certificate is attached.</p>
+    <p><strong>Verification code:</strong> ${code}</p>
+    <p>Anyone can confirm it at <a href="${verifyUrl}">${verifyUrl}</a>.</p>
+    <p>- EventHub</p>
+  `;
+  return sendMail({
+    to,
+    subject,
+    text,
+    html,
+    attachments: [{
+      filename: `certificate-${code}.pdf`,
+      content: pdf,
+      contentType: 'application/pdf'
+    }]
+  });
+};
+
+const sendRefundUpdateMail = async ({
+  to,
+  participantName,
+  eventTitle,
+  amount,
+  status,
+  eventCancelled,
+  latePayment,
+  reference,
+  note
+}) => {
+  const formattedAmount = `Rs. ${Number(amount || 0).toFixed(2)}`;
+  const pendingMessage = eventCancelled
+    ? `"${eventTitle}" has been cancelled by the organizers. A refund of ${formattedAmount} has been requested for you and will be processed shortly.`
+    : latePayment
+      ? `Your payment for "${eventTitle}" arrived after your registration was cancelled, so it could not be used. A full refund of ${formattedAmount} has been requested and will be processed shortly.`
+      : `Your registration for "${eventTitle}" was cancelled. Under the event's refund policy you are due ${formattedAmount}, which the organizers will process shortly.`;
+  const subjects = {
+    pending: `Refund Requested: ${eventTitle}`,
+    issued: `Refund Issued: ${eventTitle}`,
+    rejected: `Refund Update: ${eventTitle}`
+  };
+  const messages = {
+    pending: pendingMessage,
+    issued: `Your refund of ${formattedAmount} for "${eventTitle}" has been issued.`,
+    rejected: `The organizers could not issue your refund of ${formattedAmount} for "${eventTitle}".`
+  };
+  const referenceLine = reference ? `Reference: ${reference}` : '';
+  const noteLine = note ? `Note: ${note}` : '';
+  const text = [`Hello ${participantName},`, messages[status], referenceLine, noteLine, '- EventHub'].filter(Boolean).join('\n\n');
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${messages[status]}</p>
+    ${reference ? `<p><strong>Reference:</strong> ${reference}</p>` : ''}
+    ${note ? `<p><strong>Note:</strong> ${note}</p>` : ''}
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject: subjects[status], text, html });
+};
+
+const sendEventCancelledMail = async ({
+  to,
+  participantName,
+  eventTitle,
+  reason
+}) => {
+  const subject = `Event Cancelled: ${eventTitle}`;
+  const message = `"${eventTitle}" has been cancelled by the organizers, and your registration or team for it has been cancelled too.`;
+  const reasonLine = reason ? `Reason: ${reason}` : '';
+  const text = [`Hello ${participantName},`, message, reasonLine, '- EventHub'].filter(Boolean).join('\n\n');
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${message}</p>
+    ${reason ? `<p><strong>Reason:</strong> ${reason}</p>` : ''}
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendHoldExpiredMail = async ({
+  to,
+  participantName,
+  eventTitle,
+  ticketId,
+  merchandise
+}) => {
+  const subject = `Reservation Expired: ${eventTitle}`;
+  const held = merchandise ? 'order' : 'seat';
+  const message = `We held your ${held} for "${eventTitle}" while waiting for your payment, but no payment proof arrived in time, so the reservation has been released.`;
+  const text = `Hello ${participantName},\n\n${message}\nTicket ID: ${ticketId}\n\nYou are welcome to register again if ${merchandise ? 'stock' : 'seats'} are still available.\n\n- EventHub`;
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${message}</p>
+    <p><strong>Ticket ID:</strong> ${ticketId}</p>
+    <p>You are welcome to register again if ${merchandise ? 'stock' : 'seats'} are still available.</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendTeamChangeMail = async ({
+  to,
+  participantName,
+  teamName,
+  eventTitle,
+  change,
+  amount
+}) => {
+  const messages = {
+    added: `You have been swapped into team "${teamName}" for "${eventTitle}". Pay your share of Rs. ${Number(amount || 0).toFixed(2)} from your registrations to receive your ticket.`,
+    removed: `You have been swapped out of team "${teamName}" for "${eventTitle}" at your team leader's request. Your ticket is no longer valid.`,
+    leader: `You are now the leader of team "${teamName}" for "${eventTitle}".`
+  };
+  const subject = `Team Update: ${teamName} (${eventTitle})`;
+  const text = `Hello ${participantName},\n\n${messages[change]}\n\n- EventHub`;
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${messages[change]}</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendTeamDeadlineWarningMail = async ({
+  to,
+  leaderName,
+  teamName,
+  eventTitle,
+  deadline,
+  memberCount,
+  desiredTeamSize
+}) => {
+  const closes = new Date(deadline).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
+  const subject = `Team Incomplete: ${teamName} (${eventTitle})`;
+  const message = `Your team "${teamName}" for "${eventTitle}" has ${memberCount} of ${desiredTeamSize} members. Registration closes on ${closes}; if the team is not complete by then it will be cancelled.`;
+  const text = `Hello ${leaderName},\n\n${message}\n\nInvite more members or share your team code from Team Management.\n\n- EventHub`;
+  const html = `
+    <p>Hello ${leaderName},</p>
+    <p>${message}</p>
+    <p>Invite more members or share your team code from Team Management.</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendTeamExpiredMail = async ({
+  to,
+  participantName,
+  teamName,
+  eventTitle
+}) => {
+  const subject = `Team Cancelled: ${teamName} (${eventTitle})`;
+  const message = `Team "${teamName}" for "${eventTitle}" was not complete when registration closed, so it has been cancelled and any pending invites have expired.`;
+  const text = `Hello ${participantName},\n\n${message}\n\n- EventHub`;
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${message}</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendTeamPaymentExpiredMail = async ({
+  to,
+  participantName,
+  teamName,
+  eventTitle
+}) => {
+  const subject = `Team Cancelled: ${teamName} (${eventTitle})`;
+  const message = `The team fee for "${teamName}" at "${eventTitle}" was not paid in time, so the team has been cancelled and its seats released. Any share already paid will be refunded under the event's refund policy.`;
+  const text = `Hello ${participantName},\n\n${message}\n\n- EventHub`;
+  const html = `
+    <p>Hello ${participantName},</p>
+    <p>${message}</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendTeamInviteExpiredMail = async ({
+  to,
+  teamName,
+  eventTitle
+}) => {
+  const subject = `Team Invite Expired: ${teamName} (${eventTitle})`;
+  const text = `Hello,\n\nYour invite to join team "${teamName}" for "${eventTitle}" has expired. Ask the team leader to invite you again if you still want to join.\n\n- EventHub`;
+  const html = `
+    <p>Hello,</p>
+    <p>Your invite to join team <strong>${teamName}</strong> for <strong>${eventTitle}</strong> has expired.</p>
+    <p>Ask the team leader to invite you again if you still want to join.</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
+const sendTeamInvitesLapsedMail = async ({
+  to,
+  leaderName,
+  teamName,
+  eventTitle,
+  emails
+}) => {
+  const subject = `Invites Expired: ${teamName} (${eventTitle})`;
+  const text = `Hello ${leaderName},\n\nThese invites to team "${teamName}" for "${eventTitle}" expired without an answer:\n${emails.join('\n')}\n\nTheir spots are open again; invite someone else or share your team code.\n\n- EventHub`;
+  const html = `
+    <p>Hello ${leaderName},</p>
+    <p>These invites to team <strong>${teamName}</strong> for <strong>${eventTitle}</strong> expired without an answer:</p>
+    <ul>${emails.map(email => `<li>${email}</li>`).join('')}</ul>
+    <p>Their spots are open again; invite someone else or share your team code.</p>
+    <p>- EventHub</p>
+  `;
+
+  return sendMail({ to, subject, text, html });
+};
+
 module.exports = {
   sendMail,
   transporter,
   hasMailerConfig,
   sendOrganizerProvisionMail,
   sendOrganizerResetMail,
-  sendTeamInviteMail
+  sendTeamInviteMail,
+  sendWaitlistPromotionMail,
+  sendScreeningDecisionMail,
+  sendCertificateMail,
+  sendRefundUpdateMail,
+  sendEventCancelledMail,
+  sendHoldExpiredMail,
+  sendTeamChangeMail,
+  sendTeamDeadlineWarningMail,
+  sendTeamExpiredMail,
+  sendTeamPaymentExpiredMail,
+  sendTeamInviteExpiredMail,
+  sendTeamInvitesLapsedMail
 };
\ No newline at end of file
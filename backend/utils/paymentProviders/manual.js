@@ -0,0 +1,16 @@
+// Fallback provider: the participant uploads a payment screenshot and an
+// organizer approves it from the payment queue. There is no gateway webhook.
+module.exports = {
+  name: 'manual',
+  label: 'Upload payment proof',
+
+  createOrder: async () => ({
+    orderId: null,
+    checkoutUrl: null,
+    requiresProof: true
+  }),
+
+  parseWebhook: () => ({
+    error: 'Manual payments are confirmed by organizers, not webhooks'
+  })
+};
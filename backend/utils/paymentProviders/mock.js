@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-mock-signature';
+// Reject replayed webhooks older than this
+const SIGNATURE_TOLERANCE_SECONDS = 300;
+
+const WEBHOOK_STATUSES = {
+  'payment.captured': 'paid',
+  'payment.failed': 'failed'
+};
+
+const getWebhookSecret = () => process.env.PAYMENT_WEBHOOK_SECRET
+  || crypto.createHash('sha256').update(`eventhub-payments:${process.env.JWT_SECRET || ''}`).digest('hex');
+
+const computeSignature = (timestamp, rawBody) => crypto
+  .createHmac('sha256', getWebhookSecret())
+  .update(`${timestamp}.${rawBody}`)
+  .digest('hex');
+
+/**
+ * Local stand-in for a hosted gateway. Checkout happens on the frontend's
+ * mock checkout page, which asks the backend to fire the signed webhook a
+ * real gateway would send.
+ */
+module.exports = {
+  name: 'mock',
+  label: 'Pay online (test gateway)',
+
+  createOrder: async () => {
+    const orderId = `mock_order_${crypto.randomBytes(8).toString('hex')}`;
+    const base = (process.env.FRONTEND_URL || 'http://localhost:5174').replace(/\/$/, '');
+    return {
+      orderId,
+      checkoutUrl: `${base}/payments/mock/${orderId}`
+    };
+  },
+
+  // Sign a webhook body exactly as the gateway would deliver it
+  signWebhook: (payload) => {
+    const rawBody = JSON.stringify(payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    return {
+      rawBody,
+      headers: { [SIGNATURE_HEADER]: `t=${timestamp},v1=${computeSignature(timestamp, rawBody)}` }
+    };
+  },
+
+  /**
+   * Verify a webhook's signature. Returns { event } with a normalized
+   * { status, orderId, paymentId, amount }, { ignored } for event types we
+   * do not handle, or { error }.
+   */
+  parseWebhook: ({ rawBody, headers }) => {
+    const parts = Object.fromEntries(String(headers[SIGNATURE_HEADER] || '')
+      .split(',')
+      .map(part => part.trim().split('=')));
+    const timestamp = Number(parts.t);
+    if (!timestamp || !parts.v1) {
+      return { error: 'Missing webhook signature' };
+    }
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) {
+      return { error: 'Webhook signature has expired' };
+    }
+
+    const expected = Buffer.from(computeSignature(timestamp, rawBody));
+    const received = Buffer.from(parts.v1);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { error: 'Webhook signature is invalid' };
+    }
+
+    let body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      return { error: 'Webhook body is not valid JSON' };
+    }
+
+    const status = WEBHOOK_STATUSES[body.event];
+    if (!status) {
+      return { ignored: true };
+    }
+
+    return {
+      event: {
+        status,
+        orderId: body.orderId,
+        paymentId: body.paymentId,
+        amount: Number(body.amount)
+      }
+    };
+  }
+};
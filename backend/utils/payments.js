@@ -0,0 +1,257 @@
+const Registration = require('../models/Registration');
+const { issueTicket } = require('./tickets');
+const { issueReceipt } = require('./receipts');
+const { recordPaymentCredit, recordPaymentReversal } = require('./ledger');
+const { getHoldExpiry, reserveStockFor, restoreExpiredHold, needsPaymentHold } = require('./reservations');
+const { confirmTeamIfPaid } = require('./teamPayments');
+const { createRefundRequest } = require('./refunds');
+const manualProvider = require('./paymentProviders/manual');
+const mockProvider = require('./paymentProviders/mock');
+
+// Every provider implements name, label, createOrder() and parseWebhook()
+const PROVIDERS = {
+  [manualProvider.name]: manualProvider,
+  [mockProvider.name]: mockProvider
+};
+
+const getPaymentProvider = (name) => PROVIDERS[String(name || '').toLowerCase()] || null;
+
+// The online gateway picked by PAYMENT_PROVIDER, or null when only manual proof is enabled
+const getGatewayProvider = () => {
+  const provider = getPaymentProvider(process.env.PAYMENT_PROVIDER);
+  return provider && provider.name !== manualProvider.name ? provider : null;
+};
+
+// Providers participants can choose from; manual proof is always the fallback
+const getAvailableProviders = () => [getGatewayProvider(), manualProvider]
+  .filter(Boolean)
+  .map(provider => ({ name: provider.name, label: provider.label }));
+
+/**
+ * Apply an organizer's payment decision: approval, merchandise stock, seat
+ * confirmation and the ticket email. Expects the registration with its event
+ * populated. Returns { registration } or { error } when stock has run out.
+ */
+const applyPaymentUpdate = async (registration, {
+  paymentStatus,
+  paymentApprovalStatus,
+  paymentMethod,
+  transactionId,
+  amountPaid
+}) => {
+  const event = registration.event;
+  const previousPaymentStatus = registration.paymentStatus;
+  const previousApprovalStatus = registration.paymentApprovalStatus;
+
+  // Payment is only taken once a waitlisted registration is offered a seat
+  if (paymentStatus === 'paid' && registration.status === 'waitlisted') {
+    return { error: 'Waitlisted registrations can only be marked paid once they are promoted' };
+  }
+
+  // A payment confirmed after the hold ran out needs its seat and stock back
+  if (paymentStatus === 'paid' && registration.holdExpiredAt && registration.status === 'rejected') {
+    const holdError = await restoreExpiredHold(registration, event);
+    if (holdError) {
+      return { error: holdError };
+    }
+  }
+
+  registration.paymentStatus = paymentStatus;
+  if (paymentApprovalStatus) {
+    registration.paymentApprovalStatus = paymentApprovalStatus;
+  }
+
+  if (paymentMethod) registration.paymentMethod = paymentMethod;
+  if (transactionId) registration.transactionId = transactionId;
+  if (amountPaid !== undefined) registration.amountPaid = amountPaid;
+
+  // Map payment status to approval status for merchandise
+  if (event.type === 'Merchandise' && !paymentApprovalStatus) {
+    if (paymentStatus === 'paid') registration.paymentApprovalStatus = 'approved';
+    if (paymentStatus === 'failed') registration.paymentApprovalStatus = 'rejected';
+    if (paymentStatus === 'pending') registration.paymentApprovalStatus = 'pending';
+  }
+
+  // Registrations still in organizer screening stay pending after payment
+  const screeningCleared = !['pending', 'rejected'].includes(registration.screeningStatus);
+
+  // Update registration status if payment completed; team members are
+  // confirmed together once the whole team fee is in
+  if (paymentStatus === 'paid' && registration.status === 'pending' && screeningCleared) {
+    if (!registration.team) {
+      registration.status = 'confirmed';
+    }
+    // Default amountPaid to expected paymentAmount when not provided
+    if (registration.amountPaid === 0) {
+      registration.amountPaid = registration.paymentAmount || 0;
+    }
+  }
+
+  if (paymentStatus === 'failed' && event.type === 'Merchandise') {
+    registration.status = 'pending';
+  }
+
+  // Nothing left to hold once paid; a rejected proof gets a fresh hold to send another
+  if (['paid', 'free'].includes(paymentStatus)) {
+    registration.holdExpiresAt = undefined;
+  } else if (paymentStatus === 'failed' && needsPaymentHold(registration)) {
+    registration.holdExpiresAt = getHoldExpiry();
+  }
+
+  // Orders placed before reservations existed take their stock on approval
+  if (event.type === 'Merchandise' && registration.paymentApprovalStatus === 'approved' && previousApprovalStatus !== 'approved') {
+    const stockError = await reserveStockFor(registration, event);
+    if (stockError) {
+      return { error: stockError };
+    }
+  }
+
+  await registration.save();
+
+  if (paymentStatus === 'paid' && previousPaymentStatus !== 'paid' && (registration.amountPaid || 0) > 0) {
+    await issueReceipt(registration, event);
+    await recordPaymentCredit(registration, event);
+  }
+
+  if (previousPaymentStatus === 'paid' && paymentStatus !== 'paid') {
+    await recordPaymentReversal(registration, event);
+  }
+
+  const shouldIssueForMerchandise = event.type !== 'Merchandise'
+    || registration.paymentApprovalStatus === 'approved'
+    || paymentStatus === 'free';
+
+  if (paymentStatus === 'paid' && previousPaymentStatus !== 'paid' && registration.team) {
+    await confirmTeamIfPaid(registration.team, event);
+  } else if (paymentStatus === 'paid' && previousPaymentStatus !== 'paid' && shouldIssueForMerchandise && screeningCleared) {
+    await issueTicket(registration, event, { forceEmail: true });
+  }
+
+  return { registration };
+};
+
+/**
+ * Start a checkout with the given provider and remember the order on the
+ * registration so the webhook can find it.
+ */
+const startCheckout = async (registration, event, provider) => {
+  const order = await provider.createOrder({
+    registration,
+    event,
+    amount: registration.paymentAmount
+  });
+
+  registration.paymentProvider = provider.name;
+  registration.paymentOrderId = order.orderId || undefined;
+  if (registration.paymentStatus === 'failed') {
+    registration.paymentStatus = 'pending';
+  }
+  // Keep the reservation while the participant is at the gateway
+  if (registration.holdExpiresAt) {
+    registration.holdExpiresAt = getHoldExpiry();
+  }
+  await registration.save();
+
+  return order;
+};
+
+/**
+ * Record a confirmed gateway payment: approve it, confirm the seat and email
+ * the ticket. A payment for a registration that was cancelled (rather than
+ * one whose hold merely lapsed) is kept on the books and queued for a full
+ * refund instead. Expects the registration with its event populated.
+ */
+const markRegistrationPaid = async (registration, { transactionId, paymentMethod }) => {
+  const event = registration.event;
+  const wasCancelled = registration.status === 'rejected' && !registration.holdExpiredAt;
+
+  registration.paymentStatus = 'paid';
+  registration.amountPaid = registration.paymentAmount || 0;
+  registration.transactionId = transactionId;
+  registration.paymentMethod = paymentMethod;
+  registration.holdExpiresAt = undefined;
+
+  // The credit balances the refund's debit once it is issued
+  if (wasCancelled) {
+    await registration.save();
+    await recordPaymentCredit(registration, event);
+    await createRefundRequest(registration, event, 'late-payment');
+    return { registration, warning: 'Payment arrived after the registration was cancelled; it has been queued for a refund' };
+  }
+
+  // Money arrived but the seat or stock is gone; leave it for the organizer to refund
+  const reservationError = registration.holdExpiredAt && registration.status === 'rejected'
+    ? await restoreExpiredHold(registration, event)
+    : null;
+  const stockError = reservationError || (event.type === 'Merchandise'
+    ? await reserveStockFor(registration, event)
+    : null);
+  if (stockError) {
+    registration.paymentApprovalStatus = 'pending';
+    await registration.save();
+    return { registration, warning: stockError };
+  }
+
+  registration.paymentApprovalStatus = 'approved';
+
+  // Registrations still in organizer screening stay pending after payment
+  const screeningCleared = !['pending', 'rejected'].includes(registration.screeningStatus);
+  if (registration.status === 'pending' && screeningCleared && !registration.team) {
+    registration.status = 'confirmed';
+  }
+  await registration.save();
+  await issueReceipt(registration, event);
+  await recordPaymentCredit(registration, event);
+
+  if (registration.team) {
+    await confirmTeamIfPaid(registration.team, event);
+  } else if (screeningCleared) {
+    await issueTicket(registration, event, { forceEmail: true });
+  }
+
+  return { registration };
+};
+
+/**
+ * Apply a verified webhook event. Returns { registration } (with a warning
+ * when it still needs organizer attention), { duplicate } for events
+ * already applied, or { error, statusCode }.
+ */
+const applyPaymentEvent = async (providerName, paymentEvent) => {
+  const registration = await Registration.findOne({
+    paymentProvider: providerName,
+    paymentOrderId: paymentEvent.orderId
+  }).populate('event');
+
+  if (!registration || !registration.event) {
+    return { statusCode: 404, error: 'No registration matches this payment order' };
+  }
+
+  if (registration.paymentStatus === 'paid') {
+    return { duplicate: true, registration };
+  }
+
+  if (paymentEvent.status === 'failed') {
+    registration.paymentStatus = 'failed';
+    await registration.save();
+    return { registration };
+  }
+
+  if (Math.abs((paymentEvent.amount || 0) - (registration.paymentAmount || 0)) > 0.005) {
+    return { statusCode: 400, error: 'Paid amount does not match the registration' };
+  }
+
+  return markRegistrationPaid(registration, {
+    transactionId: paymentEvent.paymentId,
+    paymentMethod: providerName
+  });
+};
+
+module.exports = {
+  getPaymentProvider,
+  getGatewayProvider,
+  getAvailableProviders,
+  applyPaymentUpdate,
+  startCheckout,
+  applyPaymentEvent
+};
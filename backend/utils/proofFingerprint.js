@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+const Registration = require('../models/Registration');
+
+// dHash compares neighbouring pixels of a 9x8 grayscale thumbnail, giving 64 bits
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+// Out of 64 bits; re-saved, resized or recompressed copies of a screenshot
+// stay well under this while different screenshots land far above it
+const SIMILAR_PROOF_DISTANCE = 6;
+
+// Screenshots are small, but refuse to decode anything absurdly large
+const MAX_DECODE_MEMORY_MB = 256;
+
+// Look-alike proofs are only searched for among recent uploads; exact copies
+// are found at any age through the hash index
+const SIMILAR_PROOF_WINDOW_DAYS = Number(process.env.PROOF_MATCH_WINDOW_DAYS || 90);
+const MAX_SIMILAR_CANDIDATES = 5000;
+
+const MATCH_FIELDS = 'participantName email ticketId paymentStatus paymentApprovalStatus paymentScreenshot paymentProofHash paymentProofPerceptualHash event';
+
+const decodeImage = (buffer) => {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return PNG.sync.read(buffer);
+  }
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: MAX_DECODE_MEMORY_MB });
+  }
+  return null;
+};
+
+/**
+ * Difference hash of an RGBA bitmap as 16 hex characters. Each thumbnail
+ * pixel is the average of the source block it covers, so the hash survives
+ * resizing and recompression.
+ */
+const differenceHash = ({ width, height, data }) => {
+  const gray = [];
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    const top = Math.floor((y * height) / HASH_HEIGHT);
+    const bottom = Math.max(Math.floor(((y + 1) * height) / HASH_HEIGHT), top + 1);
+    for (let x = 0; x < HASH_WIDTH; x += 1) {
+      const left = Math.floor((x * width) / HASH_WIDTH);
+      const right = Math.max(Math.floor(((x + 1) * width) / HASH_WIDTH), left + 1);
+
+      let sum = 0;
+      let count = 0;
+      for (let sy = top; sy < bottom; sy += 1) {
+        for (let sx = left; sx < right; sx += 1) {
+          const offset = (sy * width + sx) * 4;
+          sum += 0.299 * data[offset] + 0.587 * data[offset + 1] + 0.114 * data[offset + 2];
+          count += 1;
+        }
+      }
+      gray.push(sum / count);
+    }
+  }
+
+  let hash = 0n;
+  for (let y = 0; y < HASH_HEIGHT; y += 1) {
+    for (let x = 0; x < HASH_WIDTH - 1; x += 1) {
+      const index = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (gray[index] < gray[index + 1] ? 1n : 0n);
+    }
+  }
+  return hash.toString(16).padStart(16, '0');
+};
+
+/**
+ * Fingerprint an uploaded payment proof: a SHA-256 of the exact bytes and,
+ * for PNG and JPEG images, a perceptual hash (null for other formats or
+ * files that fail to decode).
+ */
+const fingerprintProof = (buffer) => {
+  const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+
+  let perceptualHash = null;
+  try {
+    const image = decodeImage(buffer);
+    if (image?.width && image?.height) {
+      perceptualHash = differenceHash(image);
+    }
+  } catch (err) {
+    console.error('Could not decode payment proof for hashing:', err.message);
+  }
+
+  return { contentHash, perceptualHash };
+};
+
+// Counts differing bits 32 at a time; BigInt is too slow for comparing every proof
+const popCount32 = (value) => {
+  let v = value - ((value >>> 1) & 0x55555555);
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+};
+
+const hammingDistance = (a, b) => (
+  popCount32((parseInt(a.slice(0, 8), 16) ^ parseInt(b.slice(0, 8), 16)) >>> 0)
+  + popCount32((parseInt(a.slice(8, 16), 16) ^ parseInt(b.slice(8, 16), 16)) >>> 0)
+);
+
+/**
+ * Compare one registration's proof fingerprint with another's. Returns
+ * { matchType: 'exact' | 'similar', distance } or null.
+ */
+const compareProofs = (a, b) => {
+  if (a.paymentProofHash && a.paymentProofHash === b.paymentProofHash) {
+    return { matchType: 'exact', distance: 0 };
+  }
+  if (a.paymentProofPerceptualHash && b.paymentProofPerceptualHash) {
+    const distance = hammingDistance(a.paymentProofPerceptualHash, b.paymentProofPerceptualHash);
+    if (distance <= SIMILAR_PROOF_DISTANCE) {
+      return { matchType: 'similar', distance };
+    }
+  }
+  return null;
+};
+
+/**
+ * Load the proofs worth comparing against: every exact copy of a subject's
+ * proof, plus the most recent uploads within the window for look-alikes.
+ */
+const findCandidates = async (subjects) => {
+  const hashes = [...new Set(subjects.map(subject => subject.paymentProofHash))];
+  const since = new Date(Date.now() - SIMILAR_PROOF_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const [exact, recent] = await Promise.all([
+    Registration.find({ paymentProofHash: { $in: hashes } })
+      .select(MATCH_FIELDS)
+      .populate('event', 'title'),
+    subjects.some(subject => subject.paymentProofPerceptualHash)
+      ? Registration.find({
+        paymentProofUploadedAt: { $gte: since },
+        paymentProofPerceptualHash: { $exists: true, $ne: null }
+      })
+        .select(MATCH_FIELDS)
+        .sort({ paymentProofUploadedAt: -1 })
+        .limit(MAX_SIMILAR_CANDIDATES)
+        .populate('event', 'title')
+      : []
+  ]);
+
+  const candidates = new Map();
+  [...exact, ...recent].forEach(candidate => candidates.set(candidate._id.toString(), candidate));
+  return [...candidates.values()];
+};
+
+/**
+ * Find proofs matching the given registrations' proofs on any other
+ * registration, in any event. Exact copies are found at any age; look-alikes
+ * among proofs uploaded in the last PROOF_MATCH_WINDOW_DAYS. Returns a Map of
+ * registration id to [{ registration, matchType, distance }], exact matches
+ * first.
+ */
+const findProofMatches = async (registrations) => {
+  const subjects = registrations.filter(registration => registration.paymentProofHash);
+  if (subjects.length === 0) {
+    return new Map();
+  }
+
+  const candidates = await findCandidates(subjects);
+
+  const matches = new Map();
+  subjects.forEach(subject => {
+    const subjectId = subject._id.toString();
+    const found = [];
+    candidates.forEach(candidate => {
+      if (candidate._id.toString() === subjectId) return;
+      const match = compareProofs(subject, candidate);
+      if (match) {
+        found.push({
+          registration: {
+            _id: candidate._id,
+            participantName: candidate.participantName,
+            email: candidate.email,
+            ticketId: candidate.ticketId,
+            paymentStatus: candidate.paymentStatus,
+            paymentApprovalStatus: candidate.paymentApprovalStatus,
+            paymentScreenshot: candidate.paymentScreenshot,
+            event: candidate.event ? { _id: candidate.event._id, title: candidate.event.title } : null
+          },
+          ...match
+        });
+      }
+    });
+
+    if (found.length > 0) {
+      matches.set(subjectId, found.sort((a, b) => a.distance - b.distance));
+    }
+  });
+
+  return matches;
+};
+
+module.exports = {
+  fingerprintProof,
+  compareProofs,
+  findProofMatches
+};
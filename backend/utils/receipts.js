@@ -0,0 +1,268 @@
+const PDFDocument = require('pdfkit');
+const Receipt = require('../models/Receipt');
+const ReceiptCounter = require('../models/ReceiptCounter');
+const User = require('../models/User');
+
+// A claimed receipt still unnumbered after this long was left behind by a
+// request that failed mid-way, and is numbered by the next one to find it
+const STALE_CLAIM_MS = 60 * 1000;
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+
+const formatReceiptDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : '-');
+
+// "Tech Club" -> "TC"; receipts read RCPT-TC-00042
+const getClubPrefix = (name) => {
+  const initials = String(name || '')
+    .split(/\s+/)
+    .map(word => word.replace(/[^a-zA-Z0-9]/g, '').charAt(0))
+    .join('')
+    .toUpperCase()
+    .slice(0, 4);
+  return initials || 'EH';
+};
+
+const getClubDetails = (organizer) => ({
+  name: organizer?.organizerProfile?.name
+    || [organizer?.firstName, organizer?.lastName].filter(Boolean).join(' ')
+    || 'EventHub',
+  category: organizer?.organizerProfile?.category,
+  email: organizer?.organizerProfile?.contactEmail || organizer?.email,
+  phone: organizer?.organizerProfile?.contactNumber || organizer?.contactNumber
+});
+
+// Line items for a merchandise order or a registration fee
+const buildReceiptItems = (registration, event) => {
+  const merchandise = registration.merchandise;
+  if (event.type === 'Merchandise' && merchandise?.quantity) {
+    const options = [merchandise.size, merchandise.color].filter(Boolean).join(' / ');
+    const quantity = merchandise.quantity || 1;
+    const unitPrice = merchandise.unitPrice || 0;
+    return [{
+      description: `${event.merchandise?.itemName || event.title}${options ? ` (${options})` : ''}`,
+      sku: merchandise.variantSku,
+      quantity,
+      unitPrice,
+      amount: unitPrice * quantity
+    }];
+  }
+
+  const fee = registration.discount?.originalAmount
+    ?? (registration.paymentAmount || 0) + (registration.discount?.amount || 0);
+  if (registration.team) {
+    return [{
+      description: `Team entry fee - ${event.title} (${registration.teamName || 'team'})`,
+      quantity: 1,
+      unitPrice: fee,
+      amount: fee
+    }];
+  }
+
+  const tier = registration.ticketTier?.name;
+  return [{
+    description: `Registration fee - ${event.title}${tier ? ` (${tier})` : ''}`,
+    quantity: 1,
+    unitPrice: fee,
+    amount: fee
+  }];
+};
+
+// Take the next number in the club's sequence for a claimed receipt
+const assignReceiptNumber = async (receipt) => {
+  const counter = await ReceiptCounter.findOneAndUpdate(
+    { organizer: receipt.organizer },
+    { $inc: { sequence: 1 } },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+
+  const numbered = await Receipt.findOneAndUpdate(
+    { _id: receipt._id, sequence: { $exists: false } },
+    {
+      $set: {
+        receiptNumber: `RCPT-${getClubPrefix(receipt.club?.name)}-${String(counter.sequence).padStart(5, '0')}`,
+        sequence: counter.sequence
+      }
+    },
+    { new: true }
+  );
+
+  return numbered || Receipt.findById(receipt._id);
+};
+
+const recordReceiptNumber = async (registration, receipt) => {
+  registration.receiptNumber = receipt.receiptNumber;
+  await registration.save();
+  return receipt;
+};
+
+/**
+ * Issue the receipt for a paid registration, numbered in its club's
+ * sequence. The registration's receipt is claimed before a number is taken,
+ * so concurrent approvals never burn one. Returns the existing receipt when
+ * one was already issued; it may still be unnumbered while the request that
+ * claimed it finishes. Expects the registration's event to be passed in full.
+ */
+const issueReceipt = async (registration, event) => {
+  const existing = await Receipt.findOne({ registration: registration._id });
+  if (existing && (existing.receiptNumber || Date.now() - existing.createdAt.getTime() <= STALE_CLAIM_MS)) {
+    return existing;
+  }
+  if (existing) {
+    return recordReceiptNumber(registration, await assignReceiptNumber(existing));
+  }
+
+  const organizer = await User.findById(event.organizer).select('firstName lastName email contactNumber organizerProfile');
+  const club = getClubDetails(organizer);
+  const items = buildReceiptItems(registration, event);
+  const subtotal = items.reduce((sum, item) => sum + item.amount, 0);
+  const total = registration.amountPaid || registration.paymentAmount || 0;
+
+  let claim;
+  try {
+    claim = await Receipt.findOneAndUpdate(
+      { registration: registration._id },
+      {
+        $setOnInsert: {
+          organizer: event.organizer,
+          event: event._id,
+          user: registration.user,
+          club,
+          participantName: registration.participantName,
+          email: registration.email,
+          ticketId: registration.ticketId,
+          eventTitle: event.title,
+          eventDate: event.date,
+          items,
+          subtotal,
+          discount: registration.discount?.amount
+            ? { code: registration.discount.code, amount: registration.discount.amount }
+            : undefined,
+          total,
+          paymentMethod: registration.paymentMethod,
+          transactionId: registration.transactionId
+        }
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+  } catch (err) {
+    // Lost a simultaneous upsert; the winner numbers the receipt
+    if (err.code === 11000 && err.keyPattern?.registration) {
+      return Receipt.findOne({ registration: registration._id });
+    }
+    throw err;
+  }
+
+  // Another request claimed it first and numbers it
+  if (claim.lastErrorObject?.updatedExisting) {
+    return claim.value;
+  }
+
+  return recordReceiptNumber(registration, await assignReceiptNumber(claim.value));
+};
+
+// Render a printable A4 receipt; resolves to a PDF buffer
+const renderReceiptPdf = (receipt) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = 50;
+  const width = doc.page.width - 100;
+
+  doc.rect(left, 50, width, 70).fill('#1e3a8a');
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff')
+    .text('Payment Receipt', left + 20, 65, { width: width - 40 });
+  doc.font('Helvetica').fontSize(11).fillColor('#dbeafe')
+    .text(`${receipt.club?.name || 'EventHub'} - EventHub`, left + 20, 95, { width: width - 40 });
+
+  const columnWidth = (width - 20) / 2;
+  let y = 145;
+
+  // Issuer on the left, receipt reference on the right
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text('ISSUED BY', left, y);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(receipt.club?.name || 'EventHub', left, y + 12, { width: columnWidth });
+  doc.font('Helvetica').fontSize(10).fillColor('#374151');
+  [receipt.club?.category, receipt.club?.email, receipt.club?.phone].filter(Boolean)
+    .forEach(line => doc.text(line, { width: columnWidth }));
+  const issuerBottom = doc.y;
+
+  const rightX = left + columnWidth + 20;
+  [
+    ['RECEIPT NO.', receipt.receiptNumber],
+    ['DATE', formatReceiptDate(receipt.issuedAt)],
+    ['TICKET ID', receipt.ticketId]
+  ].forEach(([label, value], index) => {
+    const rowY = y + index * 28;
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(label, rightX, rowY, { width: columnWidth, align: 'right' });
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111827').text(value || '-', rightX, rowY + 11, { width: columnWidth, align: 'right' });
+  });
+
+  y = Math.max(issuerBottom, y + 84) + 16;
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text('RECEIVED FROM', left, y);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(receipt.participantName || '-', left, y + 12);
+  doc.font('Helvetica').fontSize(10).fillColor('#374151').text(receipt.email || '', left, doc.y);
+  doc.text(`For: ${receipt.eventTitle}${receipt.eventDate ? ` (${formatReceiptDate(receipt.eventDate)})` : ''}`, left, doc.y + 4, { width });
+
+  y = doc.y + 16;
+  doc.lineWidth(1).moveTo(left, y).lineTo(left + width, y).stroke('#e5e7eb');
+  y += 12;
+
+  const columns = [
+    { label: 'Item', x: left, width: width - 330, align: 'left' },
+    { label: 'SKU', x: left + width - 330, width: 90, align: 'left' },
+    { label: 'Qty', x: left + width - 230, width: 40, align: 'right' },
+    { label: 'Unit Price', x: left + width - 180, width: 90, align: 'right' },
+    { label: 'Amount', x: left + width - 90, width: 90, align: 'right' }
+  ];
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280');
+  columns.forEach(col => doc.text(col.label.toUpperCase(), col.x, y, { width: col.width, align: col.align }));
+  y += 16;
+
+  receipt.items.forEach(item => {
+    const row = [item.description, item.sku || '-', String(item.quantity), formatAmount(item.unitPrice), formatAmount(item.amount)];
+    doc.font('Helvetica').fontSize(10).fillColor('#111827');
+    const heights = columns.map((col, index) => doc.heightOfString(row[index], { width: col.width }));
+    columns.forEach((col, index) => doc.text(row[index], col.x, y, { width: col.width, align: col.align }));
+    y += Math.max(...heights) + 8;
+  });
+
+  doc.lineWidth(1).moveTo(left, y).lineTo(left + width, y).stroke('#e5e7eb');
+  y += 10;
+
+  const totals = [['Subtotal', formatAmount(receipt.subtotal)]];
+  if (receipt.discount?.amount) {
+    totals.push([`Discount (${receipt.discount.code || 'applied'})`, `-${formatAmount(receipt.discount.amount)}`]);
+  }
+  totals.forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(10).fillColor('#374151')
+      .text(`${label}: ${value}`, left, y, { width, align: 'right' });
+    y = doc.y + 4;
+  });
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#111827')
+    .text(`Total Paid: ${formatAmount(receipt.total)}`, left, y + 2, { width, align: 'right' });
+  y = doc.y + 16;
+
+  const payment = [
+    receipt.paymentMethod && `Paid via ${receipt.paymentMethod}`,
+    receipt.transactionId && `Transaction ID ${receipt.transactionId}`
+  ].filter(Boolean).join(' - ');
+  if (payment) {
+    doc.font('Helvetica').fontSize(10).fillColor('#374151').text(payment, left, y, { width });
+    y = doc.y + 12;
+  }
+
+  doc.lineWidth(1).moveTo(left, y).lineTo(left + width, y).stroke('#e5e7eb');
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+    .text('This is a computer-generated receipt and does not require a signature.', left, y + 10, { width });
+
+  doc.end();
+});
+
+module.exports = {
+  issueReceipt,
+  renderReceiptPdf
+};
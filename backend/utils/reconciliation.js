@@ -0,0 +1,233 @@
+const { parseCsv } = require('./csv');
+
+// Header names vary by bank; the first pattern a header matches wins
+const COLUMN_PATTERNS = [
+  ['date', /date/i],
+  ['type', /dr\s*\/\s*cr|cr\s*\/\s*dr|^type$|transaction type/i],
+  ['debit', /debit|withdrawal|money out|paid out/i],
+  ['credit', /credit|deposit|money in|received/i],
+  ['transactionId', /utr|rrn|transaction\s*(id|ref|no|number)|txn\s*(id|ref|no)|ref(erence)?\s*(no|number|id)?$|cheque/i],
+  ['amount', /amount/i],
+  ['description', /description|narration|particulars|remarks|details|note/i]
+];
+
+// Bank exports often start with account details before the header row
+const MAX_HEADER_SCAN_ROWS = 15;
+
+const UTR_PATTERN = /\b\d{12}\b/;
+
+const AMOUNT_TOLERANCE = 0.005;
+
+const amountsMatch = (a, b) => Math.abs((a || 0) - (b || 0)) < AMOUNT_TOLERANCE;
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// "₹1,250.00", "1250 CR" and "(1250.00)" all parse; debits come back negative
+const parseAmount = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const negative = /^\(.*\)$/.test(text) || /^-/.test(text) || /\bdr\b/i.test(text);
+  const number = Number(text.replace(/[^0-9.]/g, ''));
+  if (!Number.isFinite(number) || text.replace(/[^0-9]/g, '') === '') return null;
+
+  return negative ? -number : number;
+};
+
+const detectColumns = (header) => {
+  const columns = {};
+  header.forEach((name, index) => {
+    const match = COLUMN_PATTERNS.find(([key, pattern]) => columns[key] === undefined && pattern.test(name));
+    if (match) {
+      columns[match[0]] = index;
+    }
+  });
+  return columns;
+};
+
+/**
+ * Parse a bank or UPI statement export. Returns { rows } with one entry per
+ * statement line, or { error } when no amount column can be found.
+ */
+const parseStatement = (text) => {
+  const table = parseCsv(text);
+  const headerIndex = table
+    .slice(0, MAX_HEADER_SCAN_ROWS)
+    .findIndex(row => {
+      const columns = detectColumns(row);
+      return columns.credit !== undefined || columns.amount !== undefined;
+    });
+
+  if (headerIndex === -1) {
+    return { error: 'Could not find an amount or credit column in the statement' };
+  }
+
+  const columns = detectColumns(table[headerIndex]);
+  const cell = (row, key) => (columns[key] === undefined ? '' : row[columns[key]] || '');
+
+  const rows = table.slice(headerIndex + 1).map((row, index) => {
+    const description = cell(row, 'description');
+    let amount;
+    if (columns.credit !== undefined) {
+      const credit = parseAmount(cell(row, 'credit'));
+      amount = credit || -(Math.abs(parseAmount(cell(row, 'debit')) || 0));
+    } else {
+      amount = parseAmount(cell(row, 'amount')) || 0;
+      if (/^(dr|debit)/i.test(cell(row, 'type'))) {
+        amount = -Math.abs(amount);
+      }
+    }
+
+    return {
+      row: headerIndex + index + 2,
+      date: cell(row, 'date'),
+      description,
+      amount,
+      transactionId: cell(row, 'transactionId') || description.match(UTR_PATTERN)?.[0] || '',
+      text: row.join(' ')
+    };
+  });
+
+  return { rows };
+};
+
+const summarizeRegistration = (registration) => ({
+  id: registration._id,
+  participantName: registration.participantName,
+  email: registration.email,
+  ticketId: registration.ticketId,
+  paymentAmount: registration.paymentAmount,
+  paymentReference: registration.paymentReference
+});
+
+/**
+ * Match statement rows against registrations with a payment due.
+ *
+ * Each row gets a status:
+ * - matched: reference or transaction ID found with the right amount
+ * - proposed: the only payment due for that amount; needs a closer look
+ * - ambiguous: several payments due for that amount
+ * - mismatch: reference or transaction ID found with a different amount
+ * - duplicate: transaction ID repeated in the file, already recorded, or a
+ *   second payment for the same registration
+ * - unmatched: a credit nobody can be tied to
+ * - ignored: debits and zero rows
+ *
+ * recordedTransactionIds maps transaction IDs already on paid registrations
+ * to their registration.
+ */
+const buildReconciliationReport = (statementRows, dueRegistrations, recordedTransactionIds = new Map()) => {
+  const seenTransactionIds = new Map();
+  const claimedRegistrations = new Map();
+  const claim = (result, registration) => claimedRegistrations.set(registration._id.toString(), result.row);
+  const isClaimed = (registration) => claimedRegistrations.has(registration._id.toString());
+
+  // First pass: duplicates and rows carrying a reference or transaction ID
+  const rows = statementRows.map(statementRow => {
+    const { text, ...row } = statementRow;
+    const result = { ...row, status: 'unmatched', matchedBy: null, registration: null, candidates: [], issues: [] };
+
+    if (!(row.amount > 0)) {
+      result.status = 'ignored';
+      return result;
+    }
+
+    const transactionKey = normalizeReference(row.transactionId);
+    if (transactionKey) {
+      if (seenTransactionIds.has(transactionKey)) {
+        result.status = 'duplicate';
+        result.issues.push(`Transaction ID repeats row ${seenTransactionIds.get(transactionKey)}`);
+        return result;
+      }
+      seenTransactionIds.set(transactionKey, row.row);
+
+      const recorded = recordedTransactionIds.get(transactionKey);
+      if (recorded) {
+        result.status = 'duplicate';
+        result.registration = summarizeRegistration(recorded);
+        result.issues.push(`Transaction ID already recorded for ${recorded.participantName}`);
+        return result;
+      }
+    }
+
+    const rowText = normalizeReference(text);
+    const byReference = dueRegistrations.filter(registration => {
+      const reference = normalizeReference(registration.paymentReference);
+      return reference && rowText.includes(reference);
+    });
+    const byTransaction = transactionKey
+      ? dueRegistrations.filter(registration => normalizeReference(registration.transactionId) === transactionKey)
+      : [];
+
+    let match = null;
+    if (byReference.length === 1) {
+      match = byReference[0];
+      result.matchedBy = 'reference';
+    } else if (byTransaction.length === 1) {
+      match = byTransaction[0];
+      result.matchedBy = 'transaction';
+    }
+    if (!match) {
+      return result;
+    }
+
+    result.registration = summarizeRegistration(match);
+    if (isClaimed(match)) {
+      result.status = 'duplicate';
+      result.issues.push(`Registration already matched by row ${claimedRegistrations.get(match._id.toString())}`);
+    } else if (!amountsMatch(row.amount, match.paymentAmount)) {
+      result.status = 'mismatch';
+      result.issues.push(`Expected ₹${match.paymentAmount}, statement shows ₹${row.amount}`);
+    } else {
+      result.status = 'matched';
+      claim(result, match);
+    }
+    return result;
+  });
+
+  // Second pass: fall back to the amount for rows nothing else identified
+  rows.filter(result => result.status === 'unmatched').forEach(result => {
+    const byAmount = dueRegistrations.filter(registration => (
+      amountsMatch(result.amount, registration.paymentAmount) && !isClaimed(registration)
+    ));
+
+    if (byAmount.length === 1) {
+      result.status = 'proposed';
+      result.matchedBy = 'amount';
+      result.registration = summarizeRegistration(byAmount[0]);
+      result.issues.push('Matched on amount only');
+      claim(result, byAmount[0]);
+    } else if (byAmount.length > 1) {
+      result.status = 'ambiguous';
+      result.candidates = byAmount.map(summarizeRegistration);
+      result.issues.push(`${byAmount.length} payments due for ₹${result.amount}`);
+    } else {
+      result.issues.push('No payment due matches this row');
+    }
+  });
+
+  const count = (status) => rows.filter(row => row.status === status).length;
+
+  return {
+    summary: {
+      rows: rows.length,
+      credits: rows.length - count('ignored'),
+      matched: count('matched'),
+      proposed: count('proposed'),
+      ambiguous: count('ambiguous'),
+      mismatched: count('mismatch'),
+      duplicates: count('duplicate'),
+      unmatched: count('unmatched'),
+      ignored: count('ignored'),
+      outstanding: dueRegistrations.length - count('matched')
+    },
+    rows
+  };
+};
+
+module.exports = {
+  amountsMatch,
+  normalizeReference,
+  parseStatement,
+  buildReconciliationReport
+};
@@ -0,0 +1,107 @@
+// Upper bound on occurrences generated for a single series
+const MAX_SERIES_OCCURRENCES = 52;
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+const addMonthsClamped = (date, months) => {
+  const next = new Date(date);
+  const day = next.getUTCDate();
+  next.setUTCDate(1);
+  next.setUTCMonth(next.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+  next.setUTCDate(Math.min(day, lastDay));
+  return next;
+};
+
+const addStep = (date, frequency, steps) => {
+  if (frequency === 'monthly') {
+    return addMonthsClamped(date, steps);
+  }
+  const days = frequency === 'weekly' ? steps * 7 : steps;
+  return new Date(new Date(date).getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Validate an organizer-supplied recurrence rule. Returns an error message,
+ * or null when the rule is usable.
+ */
+const validateRecurrence = (rule, startDate) => {
+  if (!rule || typeof rule !== 'object') return 'Recurrence rule is required';
+  if (!FREQUENCIES.includes(rule.frequency)) return 'Recurrence frequency must be daily, weekly or monthly';
+
+  const interval = Number(rule.interval || 1);
+  if (!Number.isInteger(interval) || interval < 1) return 'Recurrence interval must be a whole number of at least 1';
+
+  if (!rule.count && !rule.until) return 'Recurrence needs either an occurrence count or an end date';
+
+  if (rule.count) {
+    const count = Number(rule.count);
+    if (!Number.isInteger(count) || count < 1) return 'Occurrence count must be at least 1';
+    if (count > MAX_SERIES_OCCURRENCES) return `A series can have at most ${MAX_SERIES_OCCURRENCES} occurrences`;
+  }
+
+  if (rule.until && startDate && new Date(rule.until) < new Date(startDate)) {
+    return 'Recurrence end date must be after the first occurrence';
+  }
+
+  return null;
+};
+
+/**
+ * Expand a recurrence rule into occurrence start dates. As in iCalendar, the
+ * count includes slots that fall on exception dates; those are dropped after.
+ */
+const generateOccurrenceDates = (startDate, rule) => {
+  const interval = Number(rule.interval || 1);
+  const count = rule.count ? Number(rule.count) : MAX_SERIES_OCCURRENCES;
+  const until = rule.until ? new Date(`${toDayKey(rule.until)}T23:59:59.999Z`) : null;
+  const exceptions = new Set((rule.exceptions || []).map(toDayKey));
+
+  const dates = [];
+  for (let step = 0; step < Math.min(count, MAX_SERIES_OCCURRENCES); step += 1) {
+    const date = addStep(startDate, rule.frequency, step * interval);
+    if (until && date > until) break;
+    if (!exceptions.has(toDayKey(date))) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+// Copy the base event onto each date, keeping end date, deadline, tier sale
+// window and session offsets relative to the start
+const buildOccurrences = (baseEvent, dates) => {
+  const start = new Date(baseEvent.date).getTime();
+  const shift = (value, offset) => (value ? new Date(new Date(value).getTime() + offset) : value);
+
+  return dates.map((date, index) => {
+    const offset = date.getTime() - start;
+    return {
+      ...baseEvent,
+      date,
+      endDate: shift(baseEvent.endDate, offset),
+      registrationDeadline: shift(baseEvent.registrationDeadline, offset),
+      ticketTiers: (baseEvent.ticketTiers || []).map(tier => ({
+        ...tier,
+        saleStart: shift(tier.saleStart, offset),
+        saleEnd: shift(tier.saleEnd, offset)
+      })),
+      sessions: (baseEvent.sessions || []).map(session => ({
+        ...session,
+        startTime: shift(session.startTime, offset),
+        endTime: shift(session.endTime, offset)
+      })),
+      seriesIndex: index + 1
+    };
+  });
+};
+
+module.exports = {
+  MAX_SERIES_OCCURRENCES,
+  validateRecurrence,
+  generateOccurrenceDates,
+  buildOccurrences
+};
@@ -0,0 +1,84 @@
+const Refund = require('../models/Refund');
+const { sendRefundUpdateMail } = require('./mailer');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Refunds the participant is owed in full whatever the event's policy
+const FULL_REFUND_REASONS = ['event-cancelled', 'late-payment'];
+
+/**
+ * Amount refundable for a cancellation made at `at`. Participant
+ * cancellations follow the event's policy up to its deadline (the event
+ * start when none is set); an event cancelled by its organizer, or a payment
+ * that arrived after the registration was cancelled, refunds in full.
+ */
+const getRefundAmount = (event, amountPaid, { at = new Date(), fullRefund = false } = {}) => {
+  if (!amountPaid || amountPaid <= 0) return 0;
+  if (fullRefund) return roundAmount(amountPaid);
+
+  const policy = event?.refundPolicy || {};
+  const mode = policy.mode || 'full';
+  if (mode === 'none') return 0;
+
+  const deadline = policy.deadline || event?.date;
+  if (deadline && at > new Date(deadline)) return 0;
+
+  if (mode === 'partial') {
+    return roundAmount((amountPaid * (policy.partialPercent || 50)) / 100);
+  }
+  return roundAmount(amountPaid);
+};
+
+/**
+ * Raise a refund request for a cancelled registration and notify the
+ * participant. Resolves to the refund, or null when nothing is owed.
+ */
+const createRefundRequest = async (registration, event, reason) => {
+  if (registration.paymentStatus !== 'paid') return null;
+
+  const amountPaid = registration.amountPaid || registration.paymentAmount || 0;
+  const eventCancelled = reason === 'event-cancelled';
+  const amount = getRefundAmount(event, amountPaid, { fullRefund: FULL_REFUND_REASONS.includes(reason) });
+  if (amount <= 0) return null;
+
+  const existing = await Refund.findOne({ registration: registration._id });
+  if (existing) return existing;
+
+  let refund;
+  try {
+    refund = await Refund.create({
+      registration: registration._id,
+      event: event._id,
+      user: registration.user?._id || registration.user,
+      participantName: registration.participantName,
+      email: registration.email,
+      reason,
+      amountPaid,
+      amount
+    });
+  } catch (error) {
+    // A concurrent cancellation raised it first
+    if (error.code === 11000) {
+      return Refund.findOne({ registration: registration._id });
+    }
+    throw error;
+  }
+
+  await sendRefundUpdateMail({
+    to: registration.email,
+    participantName: registration.participantName,
+    eventTitle: event.title,
+    amount,
+    status: 'pending',
+    eventCancelled,
+    latePayment: reason === 'late-payment',
+    note: eventCancelled ? event.cancellationReason : undefined
+  });
+
+  return refund;
+};
+
+module.exports = {
+  getRefundAmount,
+  createRefundRequest
+};
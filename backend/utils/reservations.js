@@ -0,0 +1,174 @@
+const Event = require('../models/Event');
+const { reserveTierFor, releaseTierFor } = require('./ticketTiers');
+const { reserveSessionsFor, releaseSessionsFor } = require('./sessions');
+const { reclaimCode } = require('./discounts');
+
+// How long an unpaid registration keeps its seat or stock without payment proof
+const HOLD_MINUTES = Number(process.env.RESERVATION_HOLD_MINUTES || 30);
+
+const getEventCapacity = (event) => event.capacity || event.maxParticipants || 0;
+
+const getHoldExpiry = (from = new Date()) => new Date(from.getTime() + HOLD_MINUTES * 60 * 1000);
+
+/**
+ * Claim seats against the event's capacity. The check and the increment of
+ * `registered` happen in one update, so concurrent requests can never take
+ * the counter past capacity. Returns true when the seats were claimed.
+ */
+const claimSeats = async (event, count = 1) => {
+  if (!getEventCapacity(event)) {
+    await Event.updateOne({ _id: event._id }, { $inc: { registered: count } });
+    return true;
+  }
+
+  const result = await Event.updateOne(
+    {
+      _id: event._id,
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$registered', 0] }, count] },
+          { $ifNull: ['$capacity', '$maxParticipants'] }
+        ]
+      }
+    },
+    { $inc: { registered: count } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give seats back; the counter never drops below zero
+const releaseSeats = async (eventId, count = 1) => {
+  await Event.updateOne(
+    { _id: eventId, registered: { $gte: count } },
+    { $inc: { registered: -count } }
+  );
+};
+
+/**
+ * Take an order's quantity out of stock in a single conditional update.
+ * Variant orders draw on their variant, others on the item's stock.
+ * Returns an error message when there is not enough left.
+ */
+const claimStock = async (event, merchandise) => {
+  const quantity = merchandise?.quantity || 1;
+
+  if (merchandise?.variantSku && event.merchandise?.variants?.length) {
+    const result = await Event.updateOne(
+      {
+        _id: event._id,
+        'merchandise.variants': { $elemMatch: { sku: merchandise.variantSku, stock: { $gte: quantity } } }
+      },
+      { $inc: { 'merchandise.variants.$.stock': -quantity } }
+    );
+    return result.modifiedCount === 1 ? null : 'Insufficient stock for selected variant';
+  }
+
+  const result = await Event.updateOne(
+    { _id: event._id, 'merchandise.stock': { $gte: quantity } },
+    { $inc: { 'merchandise.stock': -quantity } }
+  );
+  return result.modifiedCount === 1 ? null : 'Insufficient stock for this item';
+};
+
+const releaseStock = async (event, merchandise) => {
+  const quantity = merchandise?.quantity || 1;
+
+  if (merchandise?.variantSku && event.merchandise?.variants?.length) {
+    await Event.updateOne(
+      { _id: event._id, 'merchandise.variants.sku': merchandise.variantSku },
+      { $inc: { 'merchandise.variants.$.stock': quantity } }
+    );
+    return;
+  }
+
+  await Event.updateOne({ _id: event._id }, { $inc: { 'merchandise.stock': quantity } });
+};
+
+/**
+ * Reserve stock for a merchandise registration unless it already holds some.
+ * Marks the registration without saving it; returns an error message when
+ * stock has run out.
+ */
+const reserveStockFor = async (registration, event) => {
+  if (registration.merchandise?.stockReserved) {
+    return null;
+  }
+
+  const stockError = await claimStock(event, registration.merchandise);
+  if (!stockError) {
+    registration.merchandise.stockReserved = true;
+  }
+  return stockError;
+};
+
+// Put a registration's reserved stock back. Marks it without saving.
+const releaseStockFor = async (registration, event) => {
+  if (!registration.merchandise?.stockReserved) {
+    return;
+  }
+
+  await releaseStock(event, registration.merchandise);
+  registration.merchandise.stockReserved = false;
+};
+
+/**
+ * Take back the seat, ticket tier, session places, stock and discount code
+ * use of a registration whose hold expired, for a payment that arrived late.
+ * Marks it pending again without saving; returns an error message when any
+ * of them has gone to someone else, after giving back whatever was retaken.
+ */
+const restoreExpiredHold = async (registration, event) => {
+  if (!(await claimSeats(event))) {
+    return 'The reservation expired and the event is now full';
+  }
+
+  const releaseRetaken = async () => {
+    await releaseSeats(event._id);
+    await releaseTierFor(registration);
+    await releaseSessionsFor(registration);
+    await releaseStockFor(registration, event);
+  };
+
+  const reserveError = await reserveTierFor(registration, event)
+    || await reserveSessionsFor(registration, event)
+    || (event.type === 'Merchandise' ? await reserveStockFor(registration, event) : null);
+  if (reserveError) {
+    await releaseRetaken();
+    return `The reservation expired: ${reserveError}`;
+  }
+
+  const codeError = await reclaimCode(registration);
+  if (codeError) {
+    await releaseRetaken();
+    return `The reservation expired: ${codeError}`;
+  }
+
+  registration.status = 'pending';
+  registration.holdExpiredAt = undefined;
+  return null;
+};
+
+/**
+ * Whether a registration should be held for payment proof: it owes money,
+ * occupies a seat and is not waiting on organizer screening. Team members'
+ * shares are not held one by one; the team's seats stand or fall together.
+ */
+const needsPaymentHold = (registration) => (registration.paymentAmount || 0) > 0
+  && ['pending', 'failed'].includes(registration.paymentStatus)
+  && registration.status === 'pending'
+  && registration.screeningStatus !== 'pending'
+  && !registration.team;
+
+module.exports = {
+  HOLD_MINUTES,
+  getEventCapacity,
+  getHoldExpiry,
+  claimSeats,
+  releaseSeats,
+  claimStock,
+  releaseStock,
+  reserveStockFor,
+  releaseStockFor,
+  restoreExpiredHold,
+  needsPaymentHold
+};
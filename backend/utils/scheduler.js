@@ -0,0 +1,28 @@
+/**
+ * Run a background task every `intervalMs`. A run is skipped while the
+ * previous one is still going, and failures are logged instead of thrown.
+ * The timer does not keep the process alive on its own.
+ */
+const scheduleJob = (name, intervalMs, task) => {
+  let running = false;
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await task();
+    } catch (err) {
+      console.error(`Scheduled job ${name} failed:`, err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  scheduleJob
+};
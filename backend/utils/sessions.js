@@ -0,0 +1,220 @@
+const mongoose = require('mongoose');
+const Registration = require('../models/Registration');
+const SessionCounter = require('../models/SessionCounter');
+
+// Registration statuses that hold a place in their sessions. A waitlisted
+// registration keeps its places so promotion never overfills a session.
+const SESSION_HOLDING_STATUSES = ['pending', 'confirmed', 'approved', 'waitlisted'];
+
+const overlaps = (a, b) => new Date(a.startTime) < new Date(b.endTime) && new Date(b.startTime) < new Date(a.endTime);
+
+// Map of sessionId -> registrations holding a place in that session
+const getSessionCounts = async (eventId) => {
+  const counts = await Registration.aggregate([
+    {
+      $match: {
+        event: new mongoose.Types.ObjectId(eventId.toString()),
+        status: { $in: SESSION_HOLDING_STATUSES }
+      }
+    },
+    { $unwind: '$sessions' },
+    { $group: { _id: '$sessions.sessionId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Validate organizer-supplied agenda sessions against the event window.
+ * Returns an error message, or null when the agenda is usable.
+ */
+const validateSessions = (sessions, { date, endDate } = {}) => {
+  if (!Array.isArray(sessions) || sessions.length === 0) return null;
+
+  const windowStart = date ? new Date(date) : null;
+  const windowEnd = endDate ? new Date(endDate) : null;
+  if (windowEnd) windowEnd.setUTCHours(23, 59, 59, 999);
+
+  for (const session of sessions) {
+    const title = String(session.title || '').trim();
+    if (!title) return 'Every session needs a title';
+
+    if (!session.startTime || !session.endTime) return `Session "${title}" needs a start and end time`;
+    const start = new Date(session.startTime);
+    const end = new Date(session.endTime);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) return `Session "${title}" has an invalid time`;
+    if (end <= start) return `Session "${title}" must end after it starts`;
+
+    if ((windowStart && start < windowStart) || (windowEnd && end > windowEnd)) {
+      return `Session "${title}" must fall within the event dates`;
+    }
+
+    if (session.capacity !== undefined && session.capacity !== null && session.capacity !== '') {
+      const capacity = Number(session.capacity);
+      if (!Number.isInteger(capacity) || capacity < 1) return `Session "${title}" capacity must be at least 1`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Resolve the sessions a participant picked. Returns { error } or
+ * { sessions } ready to store on the registration; places in them are
+ * claimed separately with claimSessions.
+ */
+const resolveSessionSelection = async (event, sessionIds) => {
+  const ids = [...new Set((sessionIds || []).map(id => id.toString()))];
+  if (ids.length === 0) return { sessions: [] };
+
+  const picked = [];
+  for (const id of ids) {
+    const session = event.sessions?.id(id);
+    if (!session) return { error: 'Selected session does not exist' };
+    picked.push(session);
+  }
+
+  for (let i = 0; i < picked.length; i += 1) {
+    for (let j = i + 1; j < picked.length; j += 1) {
+      if (overlaps(picked[i], picked[j])) {
+        return { error: `"${picked[i].title}" and "${picked[j].title}" run at the same time` };
+      }
+    }
+  }
+
+  return {
+    sessions: picked.map(session => ({ sessionId: session._id, title: session.title }))
+  };
+};
+
+/**
+ * Create a session's counter the first time a place is claimed in it,
+ * starting at the registrations that already hold one and marking them as
+ * reserved so they give their places back when cancelled.
+ */
+const seedSessionCounter = async (event, session) => {
+  if (await SessionCounter.exists({ event: event._id, session: session._id })) {
+    return;
+  }
+
+  const holders = { event: event._id, 'sessions.sessionId': session._id, status: { $in: SESSION_HOLDING_STATUSES } };
+  await Registration.updateMany(holders, { $set: { sessionsReserved: true } });
+  const taken = await Registration.countDocuments(holders);
+
+  try {
+    await SessionCounter.create({ event: event._id, session: session._id, taken });
+  } catch (err) {
+    // Another claim seeded it first
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+// Give places back; counters never drop below zero
+const releaseSessions = async (eventId, sessionIds) => {
+  for (const sessionId of sessionIds) {
+    await SessionCounter.updateOne(
+      { event: eventId, session: sessionId, taken: { $gt: 0 } },
+      { $inc: { taken: -1 } }
+    );
+  }
+};
+
+/**
+ * Take a place in each picked session that has a capacity. Each check and
+ * increment happens in one update, so concurrent registrations can never
+ * overfill a session; the places are taken together or not at all. Returns
+ * an error message when a session is full or no longer offered.
+ */
+const claimSessions = async (event, picked) => {
+  const claimed = [];
+
+  for (const { sessionId, title } of picked) {
+    const session = event.sessions?.id(sessionId);
+    if (!session) {
+      await releaseSessions(event._id, claimed);
+      return `Session "${title}" is no longer offered`;
+    }
+    if (!session.capacity) {
+      continue;
+    }
+
+    await seedSessionCounter(event, session);
+    const result = await SessionCounter.updateOne(
+      { event: event._id, session: session._id, taken: { $lt: session.capacity } },
+      { $inc: { taken: 1 } }
+    );
+    if (result.modifiedCount !== 1) {
+      await releaseSessions(event._id, claimed);
+      return `Session "${session.title}" is full`;
+    }
+    claimed.push(session._id);
+  }
+
+  return null;
+};
+
+/**
+ * Claim places in a registration's sessions unless it already holds them.
+ * Marks the registration without saving it; returns an error message when
+ * a session has filled up.
+ */
+const reserveSessionsFor = async (registration, event) => {
+  if (!registration.sessions?.length || registration.sessionsReserved) {
+    return null;
+  }
+
+  const sessionError = await claimSessions(event, registration.sessions);
+  if (!sessionError) {
+    registration.sessionsReserved = true;
+  }
+  return sessionError;
+};
+
+// Give back the places a registration holds; marks it without saving
+const releaseSessionsFor = async (registration) => {
+  if (!registration.sessionsReserved) {
+    return;
+  }
+
+  await releaseSessions(
+    registration.event?._id || registration.event,
+    registration.sessions.map(session => session.sessionId)
+  );
+  registration.sessionsReserved = false;
+};
+
+// Attach registered/remaining counts to each session for API responses
+const withSessionAvailability = async (data) => {
+  if (!Array.isArray(data.sessions) || data.sessions.length === 0) {
+    return data;
+  }
+
+  const counts = await getSessionCounts(data._id);
+  return {
+    ...data,
+    sessions: [...data.sessions]
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+      .map(session => {
+        const registered = counts.get(session._id.toString()) || 0;
+        return {
+          ...session,
+          registered,
+          remaining: session.capacity ? Math.max(session.capacity - registered, 0) : null
+        };
+      })
+  };
+};
+
+module.exports = {
+  SESSION_HOLDING_STATUSES,
+  getSessionCounts,
+  validateSessions,
+  resolveSessionSelection,
+  claimSessions,
+  releaseSessions,
+  reserveSessionsFor,
+  releaseSessionsFor,
+  withSessionAvailability
+};
@@ -0,0 +1,250 @@
+const Team = require('../models/Team');
+const Event = require('../models/Event');
+const Registration = require('../models/Registration');
+const {
+  sendTeamDeadlineWarningMail,
+  sendTeamExpiredMail,
+  sendTeamPaymentExpiredMail,
+  sendTeamInviteExpiredMail,
+  sendTeamInvitesLapsedMail
+} = require('./mailer');
+const { closeFilledPosts } = require('./teammatePosts');
+const { getTeamPaymentDueAt, cancelUnpaidTeam } = require('./teamPayments');
+const { promoteFromWaitlist } = require('./waitlist');
+
+// How long an emailed team invite stays open without an answer
+const INVITE_TTL_HOURS = Number(process.env.TEAM_INVITE_TTL_HOURS || 72);
+// How long before the registration deadline leaders of incomplete teams are warned
+const DEADLINE_WARNING_HOURS = Number(process.env.TEAM_DEADLINE_WARNING_HOURS || 24);
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const getInviteExpiry = (from = new Date()) => new Date(from.getTime() + INVITE_TTL_HOURS * HOUR_MS);
+
+// Invites sent before expiry was tracked run out a TTL after they were created
+const getInviteExpiresAt = (invite) => invite.expiresAt
+  || getInviteExpiry(invite._id.getTimestamp());
+
+const isInviteExpired = (invite, now = new Date()) => invite.status === 'expired'
+  || (invite.status === 'pending' && getInviteExpiresAt(invite) <= now);
+
+const getFullName = (user) => `${user?.firstName || ''} ${user?.lastName || ''}`.trim() || 'there';
+
+/**
+ * Mark a forming team's lapsed invites expired, freeing their spots. Each
+ * invite is flipped with a conditional update, so an invite accepted at the
+ * last moment stays accepted. Returns the emails that expired.
+ */
+const expireTeamInvites = async (team, now) => {
+  const lapsed = (team.invites || []).filter(invite => invite.status === 'pending' && getInviteExpiresAt(invite) <= now);
+  const expired = [];
+
+  for (const invite of lapsed) {
+    const result = await Team.updateOne(
+      { _id: team._id, status: 'forming', invites: { $elemMatch: { _id: invite._id, status: 'pending' } } },
+      { $set: { 'invites.$.status': 'expired', 'invites.$.respondedAt': now } }
+    );
+    if (result.modifiedCount !== 1) {
+      continue;
+    }
+
+    expired.push(invite.email);
+    await sendTeamInviteExpiredMail({
+      to: invite.email,
+      teamName: team.teamName,
+      eventTitle: team.event.title
+    });
+  }
+
+  if (expired.length && team.leader?.email) {
+    await sendTeamInvitesLapsedMail({
+      to: team.leader.email,
+      leaderName: getFullName(team.leader),
+      teamName: team.teamName,
+      eventTitle: team.event.title,
+      emails: expired
+    });
+  }
+
+  return expired;
+};
+
+/**
+ * Cancel a team that was still forming when registration closed. Its
+ * pending invites expire and pending join requests are turned down; members
+ * and anyone still invited are told. Members hold no registrations or seats
+ * until the team completes, so nothing else needs releasing. Returns true
+ * when this call cancelled the team.
+ */
+const cancelExpiredTeam = async (team, now) => {
+  const cancelled = await Team.findOneAndUpdate(
+    { _id: team._id, status: 'forming' },
+    {
+      $set: {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancellationReason: 'Team was incomplete when registration closed',
+        'invites.$[invite].status': 'expired',
+        'invites.$[invite].respondedAt': now
+      }
+    },
+    { new: true, arrayFilters: [{ 'invite.status': 'pending' }] }
+  );
+  if (!cancelled) {
+    return false;
+  }
+
+  // Teams from before join requests existed have no array to update
+  await Team.updateOne(
+    { _id: team._id, 'joinRequests.status': 'pending' },
+    {
+      $set: {
+        'joinRequests.$[request].status': 'rejected',
+        'joinRequests.$[request].respondedAt': now
+      }
+    },
+    { arrayFilters: [{ 'request.status': 'pending' }] }
+  );
+  await closeFilledPosts(cancelled);
+
+  const recipients = new Map();
+  (team.members || []).forEach(member => {
+    if (member?.email) {
+      recipients.set(member.email, getFullName(member));
+    }
+  });
+  (team.invites || [])
+    .filter(invite => invite.status === 'pending' && !recipients.has(invite.email))
+    .forEach(invite => recipients.set(invite.email, 'there'));
+
+  for (const [email, name] of recipients) {
+    await sendTeamExpiredMail({
+      to: email,
+      participantName: name,
+      teamName: team.teamName,
+      eventTitle: team.event.title
+    });
+  }
+
+  return true;
+};
+
+// A share is settled once paid, or while its proof waits for the organizer
+const isShareSettled = (registration) => (registration.paymentAmount || 0) <= 0
+  || registration.paymentStatus === 'paid'
+  || (Boolean(registration.paymentProofUploadedAt) && registration.paymentApprovalStatus === 'pending');
+
+/**
+ * Cancel full teams whose fee is still unpaid past their payment deadline,
+ * releasing their seats to the waitlist. Teams whose every share is paid or
+ * under review are left for the organizer. Returns the number cancelled.
+ */
+const expireUnpaidTeams = async (now) => {
+  const teams = await Team.find({ status: 'awaiting-payment' })
+    .populate('members', 'firstName lastName email');
+  let cancelled = 0;
+
+  for (const team of teams) {
+    if (getTeamPaymentDueAt(team) > now) {
+      continue;
+    }
+
+    const registrations = await Registration.find({ team: team._id, status: { $ne: 'rejected' } });
+    if (registrations.every(isShareSettled)) {
+      continue;
+    }
+
+    const event = await Event.findById(team.event);
+    if (!event) {
+      continue;
+    }
+
+    // A payment approved at the last moment that completed the team wins
+    if (!(await cancelUnpaidTeam(team._id, event, 'Team fee was not paid in time'))) {
+      continue;
+    }
+    cancelled += 1;
+    await closeFilledPosts(team);
+    await promoteFromWaitlist(event);
+
+    for (const member of team.members || []) {
+      if (member?.email) {
+        await sendTeamPaymentExpiredMail({
+          to: member.email,
+          participantName: getFullName(member),
+          teamName: team.teamName,
+          eventTitle: event.title
+        });
+      }
+    }
+  }
+
+  return cancelled;
+};
+
+/**
+ * Look after every team still forming: lapsed invites expire, leaders are
+ * warned once when registration is about to close, and teams that are not
+ * complete by the registration deadline are cancelled. Full teams that miss
+ * their payment deadline are cancelled too. Returns counts of what was done.
+ */
+const expireTeams = async (now = new Date()) => {
+  const summary = { invitesExpired: 0, leadersWarned: 0, teamsCancelled: 0, unpaidTeamsCancelled: 0 };
+  const teams = await Team.find({ status: 'forming' })
+    .populate('event', 'title registrationDeadline')
+    .populate('leader', 'firstName lastName email')
+    .populate('members', 'firstName lastName email');
+
+  for (const team of teams) {
+    if (!team.event) {
+      continue;
+    }
+
+    const deadline = team.event.registrationDeadline ? new Date(team.event.registrationDeadline) : null;
+    if (deadline && deadline <= now) {
+      if (await cancelExpiredTeam(team, now)) {
+        summary.teamsCancelled += 1;
+      }
+      continue;
+    }
+
+    summary.invitesExpired += (await expireTeamInvites(team, now)).length;
+
+    if (!deadline || team.deadlineWarningSentAt || deadline.getTime() - now.getTime() > DEADLINE_WARNING_HOURS * HOUR_MS) {
+      continue;
+    }
+
+    // Claim the warning first so a leader is only ever told once
+    const claimed = await Team.findOneAndUpdate(
+      { _id: team._id, status: 'forming', deadlineWarningSentAt: { $exists: false } },
+      { $set: { deadlineWarningSentAt: now } },
+      { new: true }
+    );
+    if (!claimed || !team.leader?.email) {
+      continue;
+    }
+
+    await sendTeamDeadlineWarningMail({
+      to: team.leader.email,
+      leaderName: getFullName(team.leader),
+      teamName: team.teamName,
+      eventTitle: team.event.title,
+      deadline,
+      memberCount: claimed.members.length,
+      desiredTeamSize: team.desiredTeamSize
+    });
+    summary.leadersWarned += 1;
+  }
+
+  summary.unpaidTeamsCancelled = await expireUnpaidTeams(now);
+
+  return summary;
+};
+
+module.exports = {
+  INVITE_TTL_HOURS,
+  getInviteExpiry,
+  getInviteExpiresAt,
+  isInviteExpired,
+  expireTeams
+};
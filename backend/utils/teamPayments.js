@@ -0,0 +1,159 @@
+const Registration = require('../models/Registration');
+const Team = require('../models/Team');
+const { issueTicket } = require('./tickets');
+const { releaseSeats } = require('./reservations');
+const { releaseTierFor } = require('./ticketTiers');
+const { releaseCode } = require('./discounts');
+const { createRefundRequest } = require('./refunds');
+
+// How long a full team has to pay its fee before its seats are released
+const TEAM_PAYMENT_HOURS = Number(process.env.TEAM_PAYMENT_HOURS || 48);
+
+const getTeamPaymentDeadline = (from = new Date()) => new Date(from.getTime() + TEAM_PAYMENT_HOURS * 60 * 60 * 1000);
+
+// Teams that started awaiting payment before deadlines were tracked get one from their last update
+const getTeamPaymentDueAt = (team) => team.paymentDueAt || getTeamPaymentDeadline(team.updatedAt);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Whole fee for a team of the given size under the event's team fee
+const getTeamFeeTotal = (event, teamSize) => {
+  const amount = event.teamFee?.amount || 0;
+  return event.teamFee?.mode === 'per-team' ? amount : roundMoney(amount * teamSize);
+};
+
+/**
+ * Work out what each member owes. The leader either pays the whole fee or
+ * an even share, absorbing any rounding so the shares add up to the total.
+ * Returns { total, shares } with shares keyed by member id.
+ */
+const getTeamShares = (team, event) => {
+  const size = team.members.length;
+  const total = getTeamFeeTotal(event, size);
+  const shares = new Map(team.members.map(memberId => [memberId.toString(), 0]));
+
+  if (total <= 0) {
+    return { total: 0, shares };
+  }
+
+  if (team.paymentMode === 'split') {
+    const share = roundMoney(total / size);
+    team.members.forEach(memberId => shares.set(memberId.toString(), share));
+    shares.set(team.leader.toString(), roundMoney(total - share * (size - 1)));
+  } else {
+    shares.set(team.leader.toString(), total);
+  }
+
+  return { total, shares };
+};
+
+/**
+ * Confirm a member swapped into a completed team once their share is paid.
+ * Each registration is confirmed with a conditional update so its ticket
+ * goes out once.
+ */
+const confirmSwappedInMembers = async (registrations, event) => {
+  for (const registration of registrations) {
+    if (registration.status !== 'pending') {
+      continue;
+    }
+
+    const confirmed = await Registration.findOneAndUpdate(
+      { _id: registration._id, status: 'pending' },
+      { $set: { status: 'confirmed' }, $unset: { holdExpiresAt: 1 } },
+      { new: true }
+    );
+    if (confirmed) {
+      await issueTicket(confirmed, event, { forceEmail: true });
+    }
+  }
+};
+
+/**
+ * Confirm a team awaiting payment once every share is paid: all members'
+ * registrations are confirmed and their tickets issued together. A member
+ * swapped into a team that is already complete is confirmed on their own.
+ * Returns true when this call completed the team.
+ */
+const confirmTeamIfPaid = async (teamId, event) => {
+  const registrations = await Registration.find({ team: teamId, status: { $ne: 'rejected' } });
+  const outstanding = registrations.some(registration => (registration.paymentAmount || 0) > 0
+    && registration.paymentStatus !== 'paid');
+  if (!registrations.length || outstanding) {
+    return false;
+  }
+
+  // Only one caller moves the team on, so tickets go out once
+  const team = await Team.findOneAndUpdate(
+    { _id: teamId, status: 'awaiting-payment' },
+    { $set: { status: 'completed', completedAt: new Date() }, $unset: { paymentDueAt: 1 } },
+    { new: true }
+  );
+  if (!team) {
+    if (await Team.exists({ _id: teamId, status: 'completed' })) {
+      await confirmSwappedInMembers(registrations, event);
+    }
+    return false;
+  }
+
+  for (const registration of registrations) {
+    if (registration.status === 'pending') {
+      registration.status = 'confirmed';
+      registration.holdExpiresAt = undefined;
+      await registration.save();
+    }
+    await issueTicket(registration, event, { forceEmail: true });
+  }
+
+  return true;
+};
+
+/**
+ * Call off a team still awaiting payment: every member's registration is
+ * cancelled, their seats, ticket tiers and code uses go back and shares
+ * already paid are refunded under the event's policy. Resolves to the
+ * refunds raised, or null when the team was no longer awaiting payment.
+ */
+const cancelUnpaidTeam = async (teamId, event, reason = 'A member left before the team fee was paid') => {
+  const team = await Team.findOneAndUpdate(
+    { _id: teamId, status: 'awaiting-payment' },
+    {
+      $set: { status: 'cancelled', cancelledAt: new Date(), cancellationReason: reason },
+      $unset: { paymentDueAt: 1 }
+    },
+    { new: true }
+  );
+  if (!team) {
+    return null;
+  }
+
+  const registrations = await Registration.find({ team: teamId, status: { $ne: 'rejected' } });
+  const refunds = [];
+  for (const registration of registrations) {
+    registration.status = 'rejected';
+    registration.holdExpiresAt = undefined;
+    await releaseTierFor(registration);
+    await registration.save();
+    await releaseCode(registration);
+    const refund = await createRefundRequest(registration, event, 'registration-cancelled');
+    if (refund) {
+      refunds.push(refund);
+    }
+  }
+
+  if (registrations.length) {
+    await releaseSeats(event._id, registrations.length);
+  }
+
+  return refunds;
+};
+
+module.exports = {
+  TEAM_PAYMENT_HOURS,
+  getTeamPaymentDeadline,
+  getTeamPaymentDueAt,
+  getTeamFeeTotal,
+  getTeamShares,
+  confirmTeamIfPaid,
+  cancelUnpaidTeam
+};
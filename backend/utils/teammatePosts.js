@@ -0,0 +1,41 @@
+const TeammatePost = require('../models/TeammatePost');
+
+const closePosts = (query, closeReason) => TeammatePost.updateMany(
+  { ...query, status: 'open' },
+  { $set: { status: 'closed', closedAt: new Date(), closeReason } }
+);
+
+/**
+ * Close the board posts a team no longer needs: its members are not looking
+ * for a team any more, and its own call for members ends once it is full or
+ * no longer forming.
+ */
+const closeFilledPosts = async (team) => {
+  const eventId = team.event?._id || team.event;
+  const memberIds = (team.members || []).map(member => member._id || member);
+
+  if (team.status !== 'cancelled' && memberIds.length) {
+    await closePosts({ event: eventId, type: 'looking-for-team', author: { $in: memberIds } }, 'joined-team');
+  }
+
+  if (team.status !== 'forming' || memberIds.length >= team.desiredTeamSize) {
+    await closePosts(
+      { team: team._id, type: 'looking-for-members' },
+      team.status === 'cancelled' ? 'team-cancelled' : 'filled'
+    );
+  }
+};
+
+// A participant who registers on their own has stopped looking for a team
+const closeRegisteredPosts = (eventId, userId) => closePosts(
+  { event: eventId, type: 'looking-for-team', author: userId },
+  'registered'
+);
+
+const closeEventPosts = (eventId) => closePosts({ event: eventId }, 'event-closed');
+
+module.exports = {
+  closeFilledPosts,
+  closeRegisteredPosts,
+  closeEventPosts
+};
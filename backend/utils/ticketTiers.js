@@ -0,0 +1,186 @@
+const Registration = require('../models/Registration');
+const TicketTierCounter = require('../models/TicketTierCounter');
+const { normalizeEligibility } = require('./eligibility');
+
+// Registration statuses that consume a ticket from a tier's quantity. A
+// waitlisted registration keeps its ticket so promotion never oversells a tier.
+const TIER_HOLDING_STATUSES = ['pending', 'confirmed', 'approved', 'waitlisted'];
+
+const isTierOnSale = (tier, now = new Date()) => {
+  if (tier.saleStart && new Date(tier.saleStart) > now) return false;
+  if (tier.saleEnd && new Date(tier.saleEnd) < now) return false;
+  return true;
+};
+
+const isEligibleForTier = (tier, user) => {
+  const eligibility = normalizeEligibility(tier.eligibility);
+  if (eligibility === 'IIIT') return user.participantType === 'IIIT';
+  if (eligibility === 'Non-IIIT') return user.participantType !== 'IIIT';
+  return true;
+};
+
+// Map of tierId -> tickets currently held against that tier
+const getTierSales = async (eventId) => {
+  const counts = await Registration.aggregate([
+    {
+      $match: {
+        event: eventId,
+        'ticketTier.tierId': { $exists: true },
+        status: { $in: TIER_HOLDING_STATUSES }
+      }
+    },
+    { $group: { _id: '$ticketTier.tierId', count: { $sum: 1 } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+};
+
+/**
+ * Create a tier's counter the first time it is claimed from, starting at the
+ * registrations that already hold its tickets and marking them as reserved
+ * so they give their ticket back when cancelled.
+ */
+const seedTierCounter = async (event, tier) => {
+  if (await TicketTierCounter.exists({ event: event._id, tier: tier._id })) {
+    return;
+  }
+
+  const holders = { event: event._id, 'ticketTier.tierId': tier._id, status: { $in: TIER_HOLDING_STATUSES } };
+  await Registration.updateMany(holders, { $set: { 'ticketTier.reserved': true } });
+  const sold = await Registration.countDocuments(holders);
+
+  try {
+    await TicketTierCounter.create({ event: event._id, tier: tier._id, sold });
+  } catch (err) {
+    // Another claim seeded it first
+    if (err.code !== 11000) {
+      throw err;
+    }
+  }
+};
+
+/**
+ * Take one ticket from a tier. The quantity check and the increment happen
+ * in one update, so concurrent registrations can never oversell it. Returns
+ * true when the ticket was claimed.
+ */
+const claimTier = async (event, tier) => {
+  await seedTierCounter(event, tier);
+
+  const result = await TicketTierCounter.updateOne(
+    { event: event._id, tier: tier._id, sold: { $lt: tier.quantity } },
+    { $inc: { sold: 1 } }
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give a ticket back; the counter never drops below zero
+const releaseTier = async (eventId, tierId) => {
+  await TicketTierCounter.updateOne(
+    { event: eventId, tier: tierId, sold: { $gt: 0 } },
+    { $inc: { sold: -1 } }
+  );
+};
+
+/**
+ * Claim the ticket for a registration's tier unless it already holds one.
+ * Marks the registration without saving it; returns an error message when
+ * the tier is sold out or no longer offered.
+ */
+const reserveTierFor = async (registration, event) => {
+  const tierId = registration.ticketTier?.tierId;
+  if (!tierId || registration.ticketTier.reserved) {
+    return null;
+  }
+
+  const tier = event.ticketTiers?.id(tierId);
+  if (!tier) {
+    return `${registration.ticketTier.name || 'This ticket type'} is no longer offered`;
+  }
+  if (!(await claimTier(event, tier))) {
+    return `${tier.name} tickets are sold out`;
+  }
+
+  registration.ticketTier.reserved = true;
+  return null;
+};
+
+// Give back the ticket a registration holds; marks it without saving
+const releaseTierFor = async (registration) => {
+  if (!registration.ticketTier?.reserved) {
+    return;
+  }
+
+  await releaseTier(registration.event?._id || registration.event, registration.ticketTier.tierId);
+  registration.ticketTier.reserved = false;
+};
+
+/**
+ * Validate organizer-supplied ticket tiers. Returns an error message, or null
+ * when the tiers are usable.
+ */
+const validateTicketTiers = (tiers, capacity) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) return null;
+
+  const names = new Set();
+  let totalQuantity = 0;
+
+  for (const tier of tiers) {
+    const name = String(tier.name || '').trim();
+    if (!name) return 'Every ticket tier needs a name';
+
+    const key = name.toLowerCase();
+    if (names.has(key)) return `Ticket tier "${name}" is defined more than once`;
+    names.add(key);
+
+    const quantity = Number(tier.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) return `Ticket tier "${name}" needs a quantity of at least 1`;
+    totalQuantity += quantity;
+
+    if (Number(tier.price) < 0) return `Ticket tier "${name}" cannot have a negative price`;
+
+    if (tier.saleStart && tier.saleEnd && new Date(tier.saleEnd) < new Date(tier.saleStart)) {
+      return `Ticket tier "${name}" sale end must be after its sale start`;
+    }
+  }
+
+  if (capacity && totalQuantity > Number(capacity)) {
+    return 'Ticket tier quantities cannot add up to more than the event capacity';
+  }
+
+  return null;
+};
+
+// Attach sold/remaining/onSale to each tier for API responses
+const withTierAvailability = async (event) => {
+  const data = event.toObject ? event.toObject() : { ...event };
+  if (!Array.isArray(data.ticketTiers) || data.ticketTiers.length === 0) {
+    return data;
+  }
+
+  const sales = await getTierSales(event._id);
+  const now = new Date();
+  data.ticketTiers = data.ticketTiers.map(tier => {
+    const sold = sales.get(tier._id.toString()) || 0;
+    return {
+      ...tier,
+      sold,
+      remaining: Math.max((tier.quantity || 0) - sold, 0),
+      onSale: isTierOnSale(tier, now)
+    };
+  });
+
+  return data;
+};
+
+module.exports = {
+  isTierOnSale,
+  isEligibleForTier,
+  getTierSales,
+  claimTier,
+  releaseTier,
+  reserveTierFor,
+  releaseTierFor,
+  validateTicketTiers,
+  withTierAvailability
+};
@@ -1,15 +1,124 @@
+const crypto = require('crypto');
 const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
 const { sendMail } = require('./mailer');
 
+// Signed tickets look like EH1.<payload>.<signature>, both parts base64url
+const TICKET_TOKEN_PREFIX = 'EH1';
+
+// Event fields the printable ticket needs; populate these before rendering
+const TICKET_EVENT_FIELDS = 'title date endDate time venue location type merchandise organizer';
+
+// PKCS#8 DER header for a raw 32-byte Ed25519 seed
+const ED25519_PKCS8_PREFIX = Buffer.from('302e020100300506032b657004220420', 'hex');
+
+let signingKeys = null;
+
+/**
+ * Load the Ed25519 ticket signing key. TICKET_SIGNING_KEY may hold a PEM
+ * private key or its base64 DER form; without it a key is derived from
+ * JWT_SECRET so development setups still produce verifiable tickets.
+ */
+const getSigningKeys = () => {
+  if (signingKeys) return signingKeys;
+
+  const configured = (process.env.TICKET_SIGNING_KEY || '').replace(/\\n/g, '\n').trim();
+  let privateKey;
+  if (configured.startsWith('-----BEGIN')) {
+    privateKey = crypto.createPrivateKey(configured);
+  } else if (configured) {
+    privateKey = crypto.createPrivateKey({ key: Buffer.from(configured, 'base64'), format: 'der', type: 'pkcs8' });
+  } else {
+    const seed = crypto.createHash('sha256').update(`eventhub-ticket:${process.env.JWT_SECRET || ''}`).digest();
+    privateKey = crypto.createPrivateKey({
+      key: Buffer.concat([ED25519_PKCS8_PREFIX, seed]),
+      format: 'der',
+      type: 'pkcs8'
+    });
+  }
+
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error('TICKET_SIGNING_KEY must be an Ed25519 private key');
+  }
+
+  const publicKey = crypto.createPublicKey(privateKey);
+  signingKeys = {
+    privateKey,
+    publicKey,
+    // Raw 32-byte public key, importable with WebCrypto on the scanner
+    publicKeyRaw: publicKey.export({ format: 'jwk' }).x
+  };
+  return signingKeys;
+};
+
+const getTicketPublicKey = () => ({
+  algorithm: 'Ed25519',
+  format: 'raw',
+  publicKey: getSigningKeys().publicKeyRaw
+});
+
+// Keep the payload minimal so the QR stays small and scannable
 const buildTicketPayload = (registration, event) => ({
-  ticketId: registration.ticketId,
-  registrationId: registration._id,
-  eventId: event._id,
-  eventTitle: event.title,
-  participantName: registration.participantName,
-  participantEmail: registration.email
+  t: registration.ticketId,
+  r: registration._id.toString(),
+  e: (event?._id || registration.event).toString(),
+  v: registration.ticketVersion || 1,
+  iat: Math.floor(Date.now() / 1000)
 });
 
+const signTicket = (registration, event) => {
+  const payload = Buffer.from(JSON.stringify(buildTicketPayload(registration, event))).toString('base64url');
+  const signed = `${TICKET_TOKEN_PREFIX}.${payload}`;
+  const signature = crypto.sign(null, Buffer.from(signed), getSigningKeys().privateKey).toString('base64url');
+  return `${signed}.${signature}`;
+};
+
+/**
+ * Check a scanned token's signature. Returns { payload } or { error };
+ * revocation is checked separately against the stored registration.
+ */
+const verifyTicketToken = (token) => {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TICKET_TOKEN_PREFIX) {
+    return { error: 'Not a signed EventHub ticket' };
+  }
+
+  const [prefix, payloadPart, signaturePart] = parts;
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${prefix}.${payloadPart}`),
+    getSigningKeys().publicKey,
+    Buffer.from(signaturePart, 'base64url')
+  );
+  if (!valid) {
+    return { error: 'Ticket signature is invalid' };
+  }
+
+  try {
+    const payload = JSON.parse(Buffer.from(payloadPart, 'base64url').toString('utf8'));
+    if (!payload.t || !payload.r || !payload.e) {
+      return { error: 'Ticket payload is incomplete' };
+    }
+    return { payload };
+  } catch (error) {
+    return { error: 'Ticket payload is unreadable' };
+  }
+};
+
+// A validly signed ticket is still refused once cancelled or superseded
+const getTicketRevocationError = (registration, payload) => {
+  if (!registration || registration.ticketId !== payload.t) {
+    return 'Ticket does not match any registration';
+  }
+  if (registration.status !== 'confirmed') {
+    return 'Ticket has been revoked';
+  }
+  if ((registration.ticketVersion || 1) !== payload.v) {
+    return 'Ticket has been replaced by a newer copy';
+  }
+  return null;
+};
+
 const getQrAttachment = (ticketId, qrDataUrl) => {
   const base64 = (qrDataUrl || '').split(',')[1] || '';
   return {
@@ -20,33 +129,161 @@ const getQrAttachment = (ticketId, qrDataUrl) => {
   };
 };
 
+const formatTicketDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' })
+  : 'TBD');
+
+const formatAmount = (amount) => `Rs. ${Number(amount || 0).toFixed(2)}`;
+
+// Label/value rows shown beside the QR; empty values are left out
+const getTicketDetails = (registration, event) => {
+  const start = formatTicketDate(event?.date);
+  const end = event?.endDate ? formatTicketDate(event.endDate) : start;
+  const details = [
+    ['Date', start === end ? start : `${start} - ${end}`],
+    ['Time', event?.time],
+    ['Venue', [...new Set([event?.venue, event?.location].filter(Boolean))].join(', ')],
+    ['Attendee', registration.participantName],
+    ['Email', registration.email],
+    ['Ticket Type', registration.ticketTier?.name],
+    ['Team', registration.isTeam ? registration.teamName : null],
+    ['Status', registration.status]
+  ];
+  return details.filter(([, value]) => value);
+};
+
+// Render a printable A4 ticket; resolves to a PDF buffer
+const renderTicketPdf = (registration, event, qrDataUrl = registration.ticketQr) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const left = 50;
+  const width = doc.page.width - 100;
+
+  doc.rect(left, 50, width, 70).fill('#1e3a8a');
+  doc.font('Helvetica-Bold').fontSize(22).fillColor('#ffffff')
+    .text(event?.title || 'Event Ticket', left + 20, 65, { width: width - 40, ellipsis: true, height: 28 });
+  doc.font('Helvetica').fontSize(11).fillColor('#dbeafe')
+    .text(`${event?.type || 'Event'} ticket - EventHub`, left + 20, 95, { width: width - 40 });
+
+  const qrSize = 180;
+  const qrX = left + width - qrSize;
+  const qrBase64 = (qrDataUrl || '').split(',')[1];
+  if (qrBase64) {
+    doc.image(Buffer.from(qrBase64, 'base64'), qrX, 145, { width: qrSize });
+  }
+  doc.font('Courier-Bold').fontSize(12).fillColor('#111827')
+    .text(registration.ticketId, qrX, 145 + qrSize + 6, { width: qrSize, align: 'center' });
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+    .text('Show this QR code at check-in', qrX, 145 + qrSize + 22, { width: qrSize, align: 'center' });
+
+  const detailWidth = width - qrSize - 30;
+  let y = 145;
+  getTicketDetails(registration, event).forEach(([label, value]) => {
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280').text(label.toUpperCase(), left, y, { width: detailWidth });
+    doc.font('Helvetica-Bold').fontSize(12).fillColor('#111827').text(String(value), left, y + 12, { width: detailWidth });
+    y = doc.y + 10;
+  });
+
+  y = Math.max(y, 145 + qrSize + 50);
+
+  const merchandise = registration.merchandise;
+  if (event?.type === 'Merchandise' && merchandise?.quantity) {
+    const options = [merchandise.size, merchandise.color].filter(Boolean).join(' / ');
+    const item = `${event.merchandise?.itemName || event.title}${options ? ` (${options})` : ''}`;
+
+    doc.lineWidth(1).moveTo(left, y).lineTo(left + width, y).stroke('#e5e7eb');
+    doc.font('Helvetica-Bold').fontSize(13).fillColor('#111827').text('Order Items', left, y + 12);
+    y = doc.y + 8;
+
+    const columns = [
+      { label: 'Item', x: left, width: width - 250, align: 'left' },
+      { label: 'Qty', x: left + width - 250, width: 50, align: 'right' },
+      { label: 'Unit Price', x: left + width - 190, width: 90, align: 'right' },
+      { label: 'Total', x: left + width - 90, width: 90, align: 'right' }
+    ];
+    const row = [
+      merchandise.variantSku ? `${item} [${merchandise.variantSku}]` : item,
+      String(merchandise.quantity),
+      formatAmount(merchandise.unitPrice),
+      formatAmount(merchandise.totalPrice)
+    ];
+
+    doc.font('Helvetica').fontSize(9).fillColor('#6b7280');
+    columns.forEach(col => doc.text(col.label.toUpperCase(), col.x, y, { width: col.width, align: col.align }));
+    doc.font('Helvetica').fontSize(11).fillColor('#111827');
+    columns.forEach((col, index) => doc.text(row[index], col.x, y + 16, { width: col.width, align: col.align }));
+    y = doc.y + 12;
+
+    if (registration.discount?.amount) {
+      doc.font('Helvetica').fontSize(10).fillColor('#374151')
+        .text(`Discount (${registration.discount.code || 'applied'}): -${formatAmount(registration.discount.amount)}`, left, y, { width, align: 'right' });
+      y = doc.y + 4;
+    }
+    doc.font('Helvetica-Bold').fontSize(11).fillColor('#111827')
+      .text(`Amount: ${formatAmount(registration.paymentAmount)}`, left, y, { width, align: 'right' });
+    y = doc.y + 12;
+  }
+
+  doc.lineWidth(1).moveTo(left, y).lineTo(left + width, y).stroke('#e5e7eb');
+  doc.font('Helvetica').fontSize(9).fillColor('#6b7280')
+    .text(
+      'This ticket is personal and valid for one attendee. Each QR code is signed; re-issued tickets replace earlier copies.',
+      left,
+      y + 10,
+      { width }
+    );
+
+  doc.end();
+});
+
 const sendTicketEmail = async (registration, event, qrDataUrl) => {
   const subject = `Your Ticket: ${event.title}`;
   const html = `
     <p>Hi ${registration.participantName},</p>
     <p>Your ticket for <strong>${event.title}</strong> is confirmed.</p>
     <p><strong>Ticket ID:</strong> ${registration.ticketId}</p>
-    <p>Please keep this QR code ready at check-in.</p>
+    <p>Please keep this QR code ready at check-in. A printable copy is attached as a PDF.</p>
     <img src="cid:ticket-qr" alt="Ticket QR" style="max-width:240px;" />
     <p>Thanks,<br/>EventHub</p>
   `;
 
+  const pdf = await renderTicketPdf(registration, event, qrDataUrl);
+
   await sendMail({
     to: registration.email,
     subject,
     html,
-    attachments: [getQrAttachment(registration.ticketId, qrDataUrl)]
+    attachments: [
+      getQrAttachment(registration.ticketId, qrDataUrl),
+      {
+        filename: `ticket-${registration.ticketId}.pdf`,
+        content: pdf,
+        contentType: 'application/pdf'
+      }
+    ]
   });
 };
 
+/**
+ * Sign and store the ticket QR, then email it. Pass reissue to replace an
+ * existing ticket; the version bump revokes every earlier copy.
+ */
 const issueTicket = async (registration, event, options = {}) => {
-  const { forceEmail = false } = options;
+  const { forceEmail = false, reissue = false } = options;
   let qrDataUrl = registration.ticketQr;
 
-  if (!qrDataUrl) {
-    const payload = buildTicketPayload(registration, event);
-    qrDataUrl = await QRCode.toDataURL(JSON.stringify(payload));
+  if (!qrDataUrl || !registration.ticketToken || reissue) {
+    if (reissue && registration.ticketToken) {
+      registration.ticketVersion = (registration.ticketVersion || 1) + 1;
+    }
+    const token = signTicket(registration, event);
+    qrDataUrl = await QRCode.toDataURL(token);
 
+    registration.ticketToken = token;
     registration.ticketQr = qrDataUrl;
     registration.ticketIssuedAt = new Date();
     await registration.save();
@@ -60,5 +297,10 @@ const issueTicket = async (registration, event, options = {}) => {
 };
 
 module.exports = {
-  issueTicket
+  TICKET_EVENT_FIELDS,
+  issueTicket,
+  renderTicketPdf,
+  verifyTicketToken,
+  getTicketRevocationError,
+  getTicketPublicKey
 };
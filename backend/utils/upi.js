@@ -0,0 +1,69 @@
+const QRCode = require('qrcode');
+
+// handle@bank, as accepted by UPI apps
+const UPI_VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.]{1,63}$/;
+
+const normalizeUpiVpa = (vpa) => String(vpa || '').trim().toLowerCase();
+
+const isValidUpiVpa = (vpa) => UPI_VPA_PATTERN.test(normalizeUpiVpa(vpa));
+
+// The organizer's club name is what payers see as the payee
+const getPayeeName = (organizer) => (
+  organizer?.organizerProfile?.name
+  || [organizer?.firstName, organizer?.lastName].filter(Boolean).join(' ')
+  || 'EventHub'
+);
+
+/**
+ * Build a upi://pay link. The reference goes in both tr (transaction ref) and
+ * tn (note) since most payer apps only show the note on bank statements.
+ */
+const buildUpiUri = ({ vpa, payeeName, amount, reference, note }) => {
+  const params = [
+    ['pa', normalizeUpiVpa(vpa)],
+    ['pn', String(payeeName || '').slice(0, 50)],
+    ['am', Number(amount || 0).toFixed(2)],
+    ['cu', 'INR'],
+    ['tr', reference],
+    ['tn', String(note || reference).slice(0, 80)]
+  ];
+  // Some payer apps reject an escaped @ in the VPA, so leave it readable
+  const query = params
+    .map(([key, value]) => `${key}=${encodeURIComponent(value).replace(/%40/g, '@')}`)
+    .join('&');
+  return `upi://pay?${query}`;
+};
+
+/**
+ * Everything a participant needs to pay a registration over UPI. Expects the
+ * event with its organizer populated.
+ */
+const buildUpiPayment = async (registration, event) => {
+  const vpa = normalizeUpiVpa(event.organizer?.organizerProfile?.upiVpa);
+  const payeeName = getPayeeName(event.organizer);
+  const reference = registration.paymentReference;
+  const amount = registration.paymentAmount || 0;
+  const uri = buildUpiUri({
+    vpa,
+    payeeName,
+    amount,
+    reference,
+    note: `${reference} ${event.title || ''}`.trim()
+  });
+
+  return {
+    vpa,
+    payeeName,
+    amount,
+    reference,
+    uri,
+    qr: await QRCode.toDataURL(uri)
+  };
+};
+
+module.exports = {
+  normalizeUpiVpa,
+  isValidUpiVpa,
+  buildUpiUri,
+  buildUpiPayment
+};
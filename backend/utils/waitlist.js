@@ -0,0 +1,116 @@
+const Registration = require('../models/Registration');
+const { issueTicket } = require('./tickets');
+const { sendWaitlistPromotionMail } = require('./mailer');
+const { getEventCapacity, getHoldExpiry, claimSeats, releaseSeats, needsPaymentHold } = require('./reservations');
+const { reserveSessionsFor } = require('./sessions');
+
+// Registration statuses that occupy a seat against event capacity
+const SEAT_HOLDING_STATUSES = ['pending', 'confirmed', 'approved'];
+
+const getNextWaitlistPosition = async (eventId) => {
+  const last = await Registration.findOne({ event: eventId, status: 'waitlisted' })
+    .sort('-waitlistPosition')
+    .select('waitlistPosition');
+
+  return (last?.waitlistPosition || 0) + 1;
+};
+
+// Renumber the queue 1..n so positions stay contiguous after removals
+const compactWaitlist = async (eventId) => {
+  const queue = await Registration.find({ event: eventId, status: 'waitlisted' })
+    .sort({ waitlistPosition: 1, waitlistedAt: 1 });
+
+  for (const [index, registration] of queue.entries()) {
+    if (registration.waitlistPosition !== index + 1) {
+      registration.waitlistPosition = index + 1;
+      await registration.save();
+    }
+  }
+
+  return queue;
+};
+
+/**
+ * Promote waitlisted registrations in queue order while the event has free
+ * seats. Free registrations are confirmed and ticketed straight away; paid
+ * ones and ones still awaiting organizer screening move to pending so the
+ * normal approval flows issue the ticket. Paid ones get a payment hold.
+ * Each seat is claimed before anyone is taken off the queue, and each
+ * registration is taken off with a conditional update, so concurrent
+ * promotions never overfill the event or promote someone twice. Anyone
+ * whose picked sessions have filled up in the meantime stays in the queue.
+ */
+const promoteFromWaitlist = async (event) => {
+  const promoted = [];
+  const skipped = [];
+
+  if (!getEventCapacity(event)) {
+    return promoted;
+  }
+
+  while (await claimSeats(event)) {
+    // The queue entry as it was, so it can be put back in place
+    const queued = await Registration.findOneAndUpdate(
+      { event: event._id, status: 'waitlisted', _id: { $nin: skipped } },
+      { $set: { status: 'pending', promotedAt: new Date() }, $unset: { waitlistPosition: 1 } },
+      { sort: { waitlistPosition: 1, waitlistedAt: 1 } }
+    );
+
+    if (!queued) {
+      await releaseSeats(event._id);
+      break;
+    }
+
+    // Waitlisted registrations normally hold their session places already
+    const next = await Registration.findById(queued._id);
+    if (await reserveSessionsFor(next, event)) {
+      await Registration.updateOne(
+        { _id: next._id },
+        { $set: { status: 'waitlisted', waitlistPosition: queued.waitlistPosition }, $unset: { promotedAt: 1 } }
+      );
+      await releaseSeats(event._id);
+      skipped.push(next._id);
+      continue;
+    }
+
+    const paymentRequired = (next.paymentAmount || 0) > 0;
+    const awaitingScreening = next.screeningStatus === 'pending';
+    if (!paymentRequired && !awaitingScreening) {
+      next.status = 'confirmed';
+    }
+    if (needsPaymentHold(next)) {
+      next.holdExpiresAt = getHoldExpiry();
+    }
+    await next.save();
+
+    if (next.status === 'confirmed') {
+      await issueTicket(next, event);
+    }
+
+    await sendWaitlistPromotionMail({
+      to: next.email,
+      participantName: next.participantName,
+      eventTitle: event.title,
+      ticketId: next.ticketId,
+      paymentRequired,
+      paymentAmount: next.paymentAmount,
+      awaitingScreening,
+      holdExpiresAt: next.holdExpiresAt
+    });
+
+    promoted.push(next);
+  }
+
+  if (promoted.length > 0) {
+    await compactWaitlist(event._id);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  SEAT_HOLDING_STATUSES,
+  getNextWaitlistPosition,
+  compactWaitlist,
+  promoteFromWaitlist
+};
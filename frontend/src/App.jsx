@@ -17,10 +17,15 @@ import EventFormBuilder from './pages/EventFormBuilder.jsx';
 import ManageEventsPage from './pages/ManageEventsPage.jsx';
 import RegistrationManagement from './pages/RegistrationManagement.jsx';
 import PaymentApproval from './pages/PaymentApproval.jsx';
+import RefundQueue from './pages/RefundQueue.jsx';
+import MockCheckout from './pages/MockCheckout.jsx';
+import PaymentReconciliation from './pages/PaymentReconciliation.jsx';
+import DiscountCodes from './pages/DiscountCodes.jsx';
 import AdminDashboard from './pages/AdminDashboard.jsx';
 import ClubManagement from './pages/ClubManagement.jsx';
 import UserManagement from './pages/UserManagement.jsx';
 import EventApproval from './pages/EventApproval.jsx';
+import VerifyCertificate from './pages/VerifyCertificate.jsx';
 import QRScanner from './components/QRScanner.jsx';
 import DiscussionForum from './components/DiscussionForum.jsx';
 import FeedbackSystem from './components/FeedbackSystem.jsx';
@@ -92,6 +97,8 @@ function AppContent() {
                     <Link to="/profile" className="nav-link">Profile</Link>
                     <Link to="/organizer/registrations" className="nav-link">Registrations</Link>
                     <Link to="/organizer/payments" className="nav-link">Payments</Link>
+                    <Link to="/organizer/refunds" className="nav-link">Refunds</Link>
+                    <Link to="/organizer/discounts" className="nav-link">Discounts</Link>
                   </>
                 )}
                 {user.role === USER_ROLES.ADMIN && (
@@ -192,6 +199,14 @@ function AppContent() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/payments/mock/:orderId"
+              element={
+                <ProtectedRoute allowedRoles={[USER_ROLES.PARTICIPANT]}>
+                  <MockCheckout />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/clubs"
               element={
@@ -272,6 +287,30 @@ function AppContent() {
                 </ProtectedRoute>
               }
             />
+            <Route
+              path="/organizer/payments/reconcile"
+              element={
+                <ProtectedRoute allowedRoles={[USER_ROLES.ORGANIZER]}>
+                  <PaymentReconciliation />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/organizer/refunds"
+              element={
+                <ProtectedRoute allowedRoles={[USER_ROLES.ORGANIZER]}>
+                  <RefundQueue />
+                </ProtectedRoute>
+              }
+            />
+            <Route
+              path="/organizer/discounts"
+              element={
+                <ProtectedRoute allowedRoles={[USER_ROLES.ORGANIZER]}>
+                  <DiscountCodes />
+                </ProtectedRoute>
+              }
+            />
             <Route
               path="/organizer/checkin/:eventId"
               element={
@@ -332,6 +371,8 @@ function AppContent() {
                 </ProtectedRoute>
               }
             />
+            <Route path="/certificates/verify" element={<VerifyCertificate />} />
+            <Route path="/certificates/verify/:code" element={<VerifyCertificate />} />
             <Route path="/login" element={<Login />} />
             <Route path="/register" element={<ParticipantRegister />} />
             <Route path="*" element={
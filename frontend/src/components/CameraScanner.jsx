@@ -0,0 +1,269 @@
+import { useState, useEffect, useRef } from 'react';
+import jsQR from 'jsqr';
+import './CameraScanner.css';
+
+const SCAN_INTERVAL_MS = 200;
+const REPEAT_COOLDOWN_MS = 3000;
+const FEEDBACK_MS = 1800;
+const MAX_FRAME_WIDTH = 640;
+
+// Beep patterns (frequency per beep) so volunteers can hear results without looking
+const TONES = {
+  success: [880],
+  duplicate: [520, 520],
+  invalid: [200]
+};
+
+const FEEDBACK_ICONS = {
+  success: '✓',
+  duplicate: '↺',
+  invalid: '✗'
+};
+
+const playTone = (audioContext, status) => {
+  if (!audioContext) return;
+  (TONES[status] || TONES.invalid).forEach((frequency, index) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    const start = audioContext.currentTime + index * 0.2;
+
+    oscillator.type = status === 'invalid' ? 'square' : 'sine';
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.2, start);
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.15);
+    oscillator.connect(gain);
+    gain.connect(audioContext.destination);
+    oscillator.start(start);
+    oscillator.stop(start + 0.15);
+  });
+};
+
+// Use the native BarcodeDetector where available, otherwise decode frames with jsQR
+const decodeFrame = async (video, canvas, detector) => {
+  if (!video || video.readyState < 2 || !video.videoWidth) return null;
+
+  if (detector) {
+    try {
+      const codes = await detector.detect(video);
+      return codes[0]?.rawValue || null;
+    } catch {
+      return null;
+    }
+  }
+
+  const scale = Math.min(1, MAX_FRAME_WIDTH / video.videoWidth);
+  const width = Math.round(video.videoWidth * scale);
+  const height = Math.round(video.videoHeight * scale);
+  canvas.width = width;
+  canvas.height = height;
+
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(video, 0, 0, width, height);
+  const image = context.getImageData(0, 0, width, height);
+  const code = jsQR(image.data, width, height, { inversionAttempts: 'dontInvert' });
+  return code?.data || null;
+};
+
+/**
+ * Continuous camera QR scanner. onScan receives the decoded text and must
+ * resolve to { status: 'success' | 'duplicate' | 'invalid', message }.
+ */
+function CameraScanner({ onScan }) {
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const detectorRef = useRef(null);
+  const audioRef = useRef(null);
+  const onScanRef = useRef(onScan);
+  const busyRef = useRef(false);
+  const lastScanRef = useRef({ text: '', at: 0 });
+  const feedbackTimerRef = useRef(null);
+
+  const [active, setActive] = useState(false);
+  const [cameras, setCameras] = useState([]);
+  const [cameraId, setCameraId] = useState('');
+  const [activeDeviceId, setActiveDeviceId] = useState('');
+  const [error, setError] = useState('');
+  const [feedback, setFeedback] = useState(null);
+
+  const supported = Boolean(navigator.mediaDevices?.getUserMedia);
+
+  useEffect(() => {
+    onScanRef.current = onScan;
+  }, [onScan]);
+
+  useEffect(() => () => clearTimeout(feedbackTimerRef.current), []);
+
+  // (Re)start the stream whenever scanning is switched on or the camera changes
+  useEffect(() => {
+    if (!active) return undefined;
+
+    const video = videoRef.current;
+    let cancelled = false;
+    let stream = null;
+
+    const start = async () => {
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({
+          video: cameraId ? { deviceId: { exact: cameraId } } : { facingMode: 'environment' },
+          audio: false
+        });
+        if (cancelled) {
+          stream.getTracks().forEach(track => track.stop());
+          return;
+        }
+
+        video.srcObject = stream;
+        await video.play();
+        setActiveDeviceId(stream.getVideoTracks()[0]?.getSettings().deviceId || '');
+
+        // Device labels are only exposed once camera permission is granted
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        if (!cancelled) {
+          setCameras(devices.filter(device => device.kind === 'videoinput'));
+        }
+      } catch (err) {
+        if (cancelled) return;
+        setError(err?.name === 'NotAllowedError'
+          ? 'Camera permission was denied. Allow camera access or use manual entry below.'
+          : 'Could not start the camera. Use manual entry below.');
+        setActive(false);
+      }
+    };
+
+    start();
+
+    return () => {
+      cancelled = true;
+      stream?.getTracks().forEach(track => track.stop());
+      video.srcObject = null;
+    };
+  }, [active, cameraId]);
+
+  useEffect(() => {
+    if (!active) return undefined;
+
+    let cancelled = false;
+    let timer = null;
+
+    const showFeedback = (result) => {
+      clearTimeout(feedbackTimerRef.current);
+      setFeedback(result);
+      playTone(audioRef.current, result.status);
+      feedbackTimerRef.current = setTimeout(() => setFeedback(null), FEEDBACK_MS);
+    };
+
+    const tick = async () => {
+      if (cancelled) return;
+
+      if (!busyRef.current) {
+        const text = await decodeFrame(videoRef.current, canvasRef.current, detectorRef.current);
+        const now = Date.now();
+        const last = lastScanRef.current;
+
+        // Ignore the same code while it is still held in front of the camera
+        if (text && !cancelled && (text !== last.text || now - last.at > REPEAT_COOLDOWN_MS)) {
+          busyRef.current = true;
+          lastScanRef.current = { text, at: now };
+          try {
+            const result = await onScanRef.current(text.trim());
+            if (!cancelled && result) showFeedback(result);
+          } finally {
+            lastScanRef.current = { text, at: Date.now() };
+            busyRef.current = false;
+          }
+        }
+      }
+
+      if (!cancelled) {
+        timer = setTimeout(tick, SCAN_INTERVAL_MS);
+      }
+    };
+
+    tick();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [active]);
+
+  const handleToggle = () => {
+    if (active) {
+      setActive(false);
+      return;
+    }
+
+    // Audio has to be unlocked from a user gesture
+    if (!audioRef.current) {
+      const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+      audioRef.current = AudioContextClass ? new AudioContextClass() : null;
+    }
+    audioRef.current?.resume?.();
+
+    if (!detectorRef.current && 'BarcodeDetector' in window) {
+      try {
+        detectorRef.current = new window.BarcodeDetector({ formats: ['qr_code'] });
+      } catch {
+        detectorRef.current = null;
+      }
+    }
+
+    setError('');
+    setActive(true);
+  };
+
+  if (!supported) {
+    return (
+      <div className="camera-scanner">
+        <div className="camera-message">
+          Camera scanning isn't available in this browser. Use manual entry below.
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="camera-scanner">
+      <div className="camera-controls">
+        <button
+          type="button"
+          className={`btn ${active ? 'btn-secondary' : 'btn-primary'}`}
+          onClick={handleToggle}
+        >
+          {active ? 'Stop Camera' : 'Start Camera'}
+        </button>
+        {cameras.length > 1 && (
+          <select
+            className="camera-select"
+            value={cameraId || activeDeviceId}
+            onChange={(e) => setCameraId(e.target.value)}
+            aria-label="Camera"
+          >
+            {cameras.map((camera, index) => (
+              <option key={camera.deviceId || index} value={camera.deviceId}>
+                {camera.label || `Camera ${index + 1}`}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && <div className="camera-message error">{error}</div>}
+
+      <div className={`camera-viewport ${active ? 'active' : ''} ${feedback?.status || ''}`}>
+        <video ref={videoRef} muted playsInline />
+        {active && <div className="camera-frame" />}
+        {!active && <div className="camera-placeholder">Camera is off</div>}
+        {feedback && (
+          <div className={`camera-feedback ${feedback.status}`}>
+            <span className="camera-feedback-icon">{FEEDBACK_ICONS[feedback.status] || '✗'}</span>
+            <span>{feedback.message}</span>
+          </div>
+        )}
+      </div>
+      <canvas ref={canvasRef} hidden />
+    </div>
+  );
+}
+
+export default CameraScanner;
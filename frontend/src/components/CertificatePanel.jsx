@@ -0,0 +1,186 @@
+import { useState, useEffect } from 'react';
+import { useData } from '../context/DataContext';
+import { useToast } from './Toast';
+import { eventsAPI, certificatesAPI } from '../utils/api';
+import './CertificatePanel.css';
+
+const DEFAULT_TEMPLATE = {
+  enabled: false,
+  title: 'Certificate of Participation',
+  body: 'This is to certify that {{name}} participated in {{event}} held on {{date}}.',
+  signatoryName: '',
+  signatoryTitle: ''
+};
+
+function CertificatePanel({ eventId }) {
+  const { updateEvent } = useData();
+  const { showSuccess, showError, showInfo } = useToast();
+
+  const [template, setTemplate] = useState(DEFAULT_TEMPLATE);
+  const [stats, setStats] = useState(null);
+  const [expanded, setExpanded] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [resend, setResend] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [eventRes, certRes] = await Promise.all([
+          eventsAPI.getEventById(eventId),
+          certificatesAPI.getForEvent(eventId)
+        ]);
+        if (eventRes.success) {
+          setTemplate({ ...DEFAULT_TEMPLATE, ...(eventRes.data.certificate || {}) });
+        }
+        if (certRes.success) {
+          setStats(certRes.stats);
+        }
+      } catch (err) {
+        showError(err.message || 'Failed to load certificate settings');
+      }
+    };
+
+    load();
+  }, [eventId, refreshKey, showError]);
+
+  const handleChange = (field, value) => {
+    setTemplate(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (template.enabled && !template.title.trim()) {
+      showError('Certificate title is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await updateEvent(eventId, { certificate: template });
+      showSuccess('Certificate settings saved');
+      setRefreshKey(prev => prev + 1);
+    } catch (err) {
+      showError(err.message || 'Failed to save certificate settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSend = async () => {
+    if (!window.confirm(`Email certificates to ${resend ? 'all' : 'not yet emailed'} checked-in participants?`)) {
+      return;
+    }
+
+    try {
+      setSending(true);
+      const response = await certificatesAPI.emailForEvent(eventId, resend);
+      if (response.data?.failed > 0) {
+        showInfo(response.message);
+      } else {
+        showSuccess(response.message);
+      }
+      setRefreshKey(prev => prev + 1);
+    } catch (err) {
+      showError(err.message || 'Failed to email certificates');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="certificate-panel">
+      <div className="certificate-panel-header">
+        <div>
+          <h2>🎓 Attendance Certificates</h2>
+          {stats && (
+            <p className="certificate-stats">
+              {stats.enabled ? 'Enabled' : 'Disabled'} • {stats.eligible} checked in • {stats.issued} issued • {stats.emailed} emailed
+            </p>
+          )}
+        </div>
+        <button className="btn btn-secondary btn-sm" onClick={() => setExpanded(prev => !prev)}>
+          {expanded ? 'Hide' : 'Configure'}
+        </button>
+      </div>
+
+      {expanded && (
+        <div className="certificate-form">
+          <label className="certificate-toggle">
+            <input
+              type="checkbox"
+              checked={template.enabled}
+              onChange={(e) => handleChange('enabled', e.target.checked)}
+            />
+            Issue certificates to checked-in participants
+          </label>
+
+          <div className="form-group">
+            <label htmlFor="certificate-title">Title</label>
+            <input
+              id="certificate-title"
+              type="text"
+              maxLength={100}
+              value={template.title}
+              onChange={(e) => handleChange('title', e.target.value)}
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="certificate-body">Text</label>
+            <textarea
+              id="certificate-body"
+              rows={3}
+              maxLength={1000}
+              value={template.body}
+              onChange={(e) => handleChange('body', e.target.value)}
+            />
+            <small>Placeholders: {'{{name}}'}, {'{{event}}'}, {'{{date}}'}, {'{{organizer}}'}</small>
+          </div>
+
+          <div className="certificate-signatory">
+            <div className="form-group">
+              <label htmlFor="certificate-signatory">Signatory Name</label>
+              <input
+                id="certificate-signatory"
+                type="text"
+                maxLength={100}
+                value={template.signatoryName || ''}
+                onChange={(e) => handleChange('signatoryName', e.target.value)}
+              />
+            </div>
+            <div className="form-group">
+              <label htmlFor="certificate-signatory-title">Signatory Title</label>
+              <input
+                id="certificate-signatory-title"
+                type="text"
+                maxLength={100}
+                value={template.signatoryTitle || ''}
+                onChange={(e) => handleChange('signatoryTitle', e.target.value)}
+              />
+            </div>
+          </div>
+
+          <div className="certificate-actions">
+            <button className="btn btn-primary" onClick={handleSave} disabled={saving}>
+              {saving ? 'Saving...' : 'Save Settings'}
+            </button>
+            <label className="certificate-toggle">
+              <input type="checkbox" checked={resend} onChange={(e) => setResend(e.target.checked)} />
+              Resend to participants already emailed
+            </label>
+            <button
+              className="btn btn-secondary"
+              onClick={handleSend}
+              disabled={sending || !stats?.enabled || stats?.eligible === 0}
+            >
+              {sending ? 'Sending...' : '📧 Email Certificates'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CertificatePanel;
@@ -0,0 +1,58 @@
+import { useState } from 'react';
+import { discountsAPI } from '../utils/api';
+import './DiscountCodeInput.css';
+
+const DiscountCodeInput = ({ eventId, amount, value, onChange }) => {
+  const [preview, setPreview] = useState(null);
+  const [error, setError] = useState('');
+  const [checking, setChecking] = useState(false);
+
+  const handleApply = async () => {
+    if (!value.trim()) return;
+    try {
+      setChecking(true);
+      setError('');
+      const response = await discountsAPI.validate(eventId, value.trim(), amount);
+      if (response.success) {
+        setPreview(response.data);
+      } else {
+        setPreview(null);
+        setError(response.message || 'Invalid discount code');
+      }
+    } catch (err) {
+      setPreview(null);
+      setError(err?.message || 'Invalid discount code');
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  return (
+    <div className="form-group discount-code-input">
+      <label>Discount Code</label>
+      <div className="discount-code-row">
+        <input
+          type="text"
+          value={value}
+          placeholder="Optional"
+          onChange={(e) => {
+            onChange(e.target.value.toUpperCase());
+            setPreview(null);
+            setError('');
+          }}
+        />
+        <button type="button" className="btn-secondary" onClick={handleApply} disabled={checking || !value.trim()}>
+          {checking ? 'Checking...' : 'Apply'}
+        </button>
+      </div>
+      {preview && (
+        <span className="discount-code-result">
+          {preview.code} applied: -₹{preview.discountAmount} (you pay ₹{preview.finalAmount})
+        </span>
+      )}
+      {error && <span className="discount-code-error">{error}</span>}
+    </div>
+  );
+};
+
+export default DiscountCodeInput;
@@ -2,12 +2,14 @@ import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useState, useEffect } from 'react';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useToast } from './Toast.jsx';
-import { formatDate, formatTime, getEventAvailability, getOrganizerName } from '../utils/helpers';
+import { formatDate, formatTime, formatSessionTime, getEventAvailability, getOrganizerName, getRefundPolicyLabel } from '../utils/helpers';
 import { USER_ROLES, EVENT_TYPES } from '../utils/constants';
 import { eventsAPI, registrationsAPI } from '../utils/api';
 import TeamRegistrationForm from './TeamRegistrationForm.jsx';
 import MerchandisePurchaseForm from './MerchandisePurchaseForm.jsx';
 import DiscussionForum from './DiscussionForum.jsx';
+import TeammateBoard from './TeammateBoard.jsx';
+import DiscountCodeInput from './DiscountCodeInput.jsx';
 import './EventDetails.css';
 
 const normalizeEligibility = (eligibility) => {
@@ -49,6 +51,12 @@ function EventDetails({ onRegister, onDelete }) {
   const [error, setError] = useState(null);
   const [myRegistration, setMyRegistration] = useState(null);
   const [customFieldResponses, setCustomFieldResponses] = useState({});
+  const [selectedTierId, setSelectedTierId] = useState('');
+  const [discountCode, setDiscountCode] = useState('');
+  const [series, setSeries] = useState(null);
+  const [registeringSeries, setRegisteringSeries] = useState(false);
+  const [activeTab, setActiveTab] = useState('overview');
+  const [selectedSessionIds, setSelectedSessionIds] = useState([]);
 
   useEffect(() => {
     const fetchEvent = async () => {
@@ -100,6 +108,28 @@ function EventDetails({ onRegister, onDelete }) {
     fetchMyRegistration();
   }, [event, user]);
 
+  const seriesId = event?.series?._id || event?.series;
+
+  useEffect(() => {
+    const fetchSeries = async () => {
+      if (!seriesId) {
+        setSeries(null);
+        return;
+      }
+
+      try {
+        const response = await eventsAPI.getSeries(seriesId);
+        if (response.success) {
+          setSeries(response.data);
+        }
+      } catch (err) {
+        console.error('Error fetching event series:', err);
+      }
+    };
+
+    fetchSeries();
+  }, [seriesId]);
+
   if (loading) {
     return (
       <div className="event-details-container">
@@ -129,6 +159,29 @@ function EventDetails({ onRegister, onDelete }) {
     ? merchVariants.reduce((sum, v) => sum + (v.stock || 0), 0)
     : (event.merchandise?.stock || 0);
   const isMerch = event.type === EVENT_TYPES.MERCHANDISE;
+  const ticketTiers = !isMerch && Array.isArray(event.ticketTiers) ? event.ticketTiers : [];
+  const hasTicketTiers = ticketTiers.length > 0;
+  const isTierAvailable = (tier) => tier.onSale !== false
+    && (tier.remaining ?? tier.quantity) > 0
+    && (normalizeEligibility(tier.eligibility) === 'All'
+      || normalizeEligibility(tier.eligibility) === user?.participantType);
+  const selectedTier = ticketTiers.find(tier => tier._id === selectedTierId);
+  const amountDue = hasTicketTiers ? (selectedTier?.price || 0) : (event.registrationFee || 0);
+  const isPaidEvent = hasTicketTiers || (event.registrationFee || 0) > 0;
+  const hasSessions = !isMerch && Array.isArray(event.sessions) && event.sessions.length > 0;
+  const sessionsOverlap = (a, b) => new Date(a.startTime) < new Date(b.endTime) && new Date(b.startTime) < new Date(a.endTime);
+  const toggleSession = (session) => {
+    if (selectedSessionIds.includes(session._id)) {
+      setSelectedSessionIds(prev => prev.filter(sid => sid !== session._id));
+      return;
+    }
+    const clash = event.sessions.find(other => selectedSessionIds.includes(other._id) && sessionsOverlap(session, other));
+    if (clash) {
+      showError(`${session.title} overlaps with ${clash.title}`);
+      return;
+    }
+    setSelectedSessionIds(prev => [...prev, session._id]);
+  };
   const registrationMode =
     event.participantType === 'Both'
       ? 'Both'
@@ -136,12 +189,15 @@ function EventDetails({ onRegister, onDelete }) {
         ? 'Team'
         : 'Individual';
   const hasRegistered = !isMerch && Boolean(myRegistration);
+  const isWaitlisted = hasRegistered && myRegistration.status === 'waitlisted';
   const isFull = isMerch ? merchStock <= 0 : (registered >= capacity && capacity > 0);
+  const canJoinWaitlist = isFull && !isMerch;
   const isParticipant = user?.role === USER_ROLES.PARTICIPANT;
   const canManage = user?.role === USER_ROLES.ORGANIZER || user?.role === USER_ROLES.ADMIN;
   const availabilityStatus = getEventAvailability(event);
   const organizerDisplayName = getOrganizerName(event.organizer, event.organizerName);
   const deadlinePassed = event.registrationDeadline ? new Date(event.registrationDeadline) < new Date() : false;
+  const isCancelled = Boolean(event.cancelledAt);
   const normalizedEligibility = normalizeEligibility(event.eligibility);
   const isEligible = normalizedEligibility === 'All'
     || (normalizedEligibility === 'IIIT' && user?.participantType === 'IIIT')
@@ -180,6 +236,10 @@ function EventDetails({ onRegister, onDelete }) {
       return;
     }
     
+    if (isCancelled) {
+      showError('This event has been cancelled');
+      return;
+    }
     if (deadlinePassed) {
       showError('Registration deadline has passed');
       return;
@@ -200,7 +260,7 @@ function EventDetails({ onRegister, onDelete }) {
       setShowModeModal(true);
     } else {
       const hasCustomFields = Array.isArray(event.customFields) && event.customFields.length > 0;
-      if (hasCustomFields) {
+      if (hasCustomFields || isPaidEvent || hasSessions) {
         setShowIndividualModal(true);
         return;
       }
@@ -208,7 +268,7 @@ function EventDetails({ onRegister, onDelete }) {
       try {
         const response = await registrationsAPI.registerForEvent(event._id || event.id);
         if (response.success) {
-          showSuccess('Successfully registered for event!');
+          showSuccess(response.message || 'Successfully registered for event!');
           setMyRegistration(response.data || { eventId: event._id || event.id, status: 'confirmed' });
           // Refresh event data to show updated registration count
           const eventResponse = await eventsAPI.getEventById(id);
@@ -225,12 +285,39 @@ function EventDetails({ onRegister, onDelete }) {
     }
   };
 
+  const handleRegisterSeries = async () => {
+    try {
+      setRegisteringSeries(true);
+      const response = await registrationsAPI.registerForSeries(seriesId);
+      if (response.success && response.count > 0) {
+        showSuccess(response.message);
+        const eventResponse = await eventsAPI.getEventById(id);
+        if (eventResponse.success) {
+          setEvent(eventResponse.data);
+        }
+      } else {
+        const reason = response.data?.skipped?.[0]?.reason;
+        showError(reason ? `${response.message}: ${reason}` : (response.message || 'Failed to register for series'));
+      }
+    } catch (err) {
+      console.error('Error registering for series:', err);
+      showError(err?.message || 'Failed to register for series');
+    } finally {
+      setRegisteringSeries(false);
+    }
+  };
+
   const handleIndividualSubmit = async () => {
     if (hasRegistered) {
       showError('You are already registered for this event');
       return;
     }
 
+    if (hasTicketTiers && !selectedTierId) {
+      showError('Please select a ticket type');
+      return;
+    }
+
     const fields = event.customFields || [];
     for (const field of fields) {
       const fieldKey = field.id || field._id || field.label;
@@ -248,10 +335,13 @@ function EventDetails({ onRegister, onDelete }) {
 
     try {
       const response = await registrationsAPI.registerForEvent(event._id || event.id, {
-        customFields: customFieldResponses
+        customFields: customFieldResponses,
+        ...(hasTicketTiers && { ticketTierId: selectedTierId }),
+        ...(hasSessions && { sessionIds: selectedSessionIds }),
+        ...(amountDue > 0 && discountCode.trim() && { discountCode: discountCode.trim() })
       });
       if (response.success) {
-        showSuccess('Successfully registered for event!');
+        showSuccess(response.message || 'Successfully registered for event!');
         setMyRegistration(response.data || { eventId: event._id || event.id, status: 'confirmed' });
         setShowIndividualModal(false);
         setShowModeModal(false);
@@ -349,101 +439,206 @@ function EventDetails({ onRegister, onDelete }) {
             </div>
           )}
 
-          <div className="info-grid">
-            <div className="info-item">
-              <div className="info-icon">📅</div>
-              <div className="info-content">
-                <span className="info-label">Date</span>
-                <span className="info-value">{formatDate(event.date)}</span>
-              </div>
+          {hasSessions && (
+            <div className="details-tabs">
+              <button
+                type="button"
+                className={`details-tab ${activeTab === 'overview' ? 'active' : ''}`}
+                onClick={() => setActiveTab('overview')}
+              >
+                Overview
+              </button>
+              <button
+                type="button"
+                className={`details-tab ${activeTab === 'schedule' ? 'active' : ''}`}
+                onClick={() => setActiveTab('schedule')}
+              >
+                Schedule ({event.sessions.length})
+              </button>
             </div>
+          )}
 
-            <div className="info-item">
-              <div className="info-icon">📆</div>
-              <div className="info-content">
-                <span className="info-label">End Date</span>
-                <span className="info-value">{formatDate(event.endDate || event.date)}</span>
+          {activeTab === 'overview' && (
+            <>
+            <div className="info-grid">
+              <div className="info-item">
+                <div className="info-icon">📅</div>
+                <div className="info-content">
+                  <span className="info-label">Date</span>
+                  <span className="info-value">{formatDate(event.date)}</span>
+                </div>
               </div>
-            </div>
 
-            <div className="info-item">
-              <div className="info-icon">⏰</div>
-              <div className="info-content">
-                <span className="info-label">Time</span>
-                <span className="info-value">{formatTime(event.time)}</span>
+              <div className="info-item">
+                <div className="info-icon">📆</div>
+                <div className="info-content">
+                  <span className="info-label">End Date</span>
+                  <span className="info-value">{formatDate(event.endDate || event.date)}</span>
+                </div>
               </div>
-            </div>
 
-            <div className="info-item">
-              <div className="info-icon">📍</div>
-              <div className="info-content">
-                <span className="info-label">Location</span>
-                <span className="info-value">{event.location}</span>
+              <div className="info-item">
+                <div className="info-icon">⏰</div>
+                <div className="info-content">
+                  <span className="info-label">Time</span>
+                  <span className="info-value">{formatTime(event.time)}</span>
+                </div>
               </div>
-            </div>
 
-            <div className="info-item">
-              <div className="info-icon">👥</div>
-              <div className="info-content">
-                <span className="info-label">Capacity</span>
-                <span className="info-value">{isMerch ? `${merchStock} in stock` : `${capacity} people`}</span>
+              <div className="info-item">
+                <div className="info-icon">📍</div>
+                <div className="info-content">
+                  <span className="info-label">Location</span>
+                  <span className="info-value">{event.location}</span>
+                </div>
               </div>
-            </div>
-            <div className="info-item">
-              <div className="info-icon">✅</div>
-              <div className="info-content">
-                <span className="info-label">Eligibility</span>
-                <span className="info-value">{eligibilityLabel}</span>
+
+              <div className="info-item">
+                <div className="info-icon">👥</div>
+                <div className="info-content">
+                  <span className="info-label">Capacity</span>
+                  <span className="info-value">{isMerch ? `${merchStock} in stock` : `${capacity} people`}</span>
+                </div>
               </div>
-            </div>
-            <div className="info-item">
-              <div className="info-icon">⏳</div>
-              <div className="info-content">
-                <span className="info-label">Registration Deadline</span>
-                <span className="info-value">{formatDate(event.registrationDeadline || event.date)}</span>
+              <div className="info-item">
+                <div className="info-icon">✅</div>
+                <div className="info-content">
+                  <span className="info-label">Eligibility</span>
+                  <span className="info-value">{eligibilityLabel}</span>
+                </div>
+              </div>
+              <div className="info-item">
+                <div className="info-icon">⏳</div>
+                <div className="info-content">
+                  <span className="info-label">Registration Deadline</span>
+                  <span className="info-value">{formatDate(event.registrationDeadline || event.date)}</span>
+                </div>
               </div>
             </div>
-          </div>
 
-          <div className="description-section">
-            <h3>About This Event</h3>
-            <p className="event-description">{event.description}</p>
-          </div>
-
-          {isMerch && event.merchandise && (
             <div className="description-section">
-              <h3>Merchandise Details</h3>
-              <p>{event.merchandise.itemName}</p>
-              {event.merchandise.description && <p>{event.merchandise.description}</p>}
-              <p>Purchase Limit: {event.merchandise.purchaseLimit || 1}</p>
-              {event.merchandise.sizes?.length > 0 && (
-                <p>Sizes: {event.merchandise.sizes.join(', ')}</p>
-              )}
-              {event.merchandise.colors?.length > 0 && (
-                <p>Colors: {event.merchandise.colors.join(', ')}</p>
-              )}
+              <h3>About This Event</h3>
+              <p className="event-description">{event.description}</p>
             </div>
-          )}
 
-          <div className="registration-section">
-            <h3>Registration Status</h3>
-            <div className="progress-container">
-              <div className="progress-bar-large">
-                <div 
-                  className={`progress-fill ${availabilityStatus.class}`}
-                  style={{ width: `${capacity > 0 ? (registered / capacity) * 100 : 0}%` }}
-                ></div>
+            {hasTicketTiers && (
+              <div className="description-section">
+                <h3>Ticket Types</h3>
+                <div className="ticket-tier-list">
+                  {ticketTiers.map((tier) => (
+                    <div key={tier._id} className={`ticket-tier-card ${isTierAvailable(tier) ? '' : 'unavailable'}`}>
+                      <div className="ticket-tier-header">
+                        <strong>{tier.name}</strong>
+                        <span className="ticket-tier-price">{tier.price > 0 ? `₹${tier.price}` : 'Free'}</span>
+                      </div>
+                      {tier.description && <p>{tier.description}</p>}
+                      <div className="ticket-tier-meta">
+                        <span>{tier.remaining ?? tier.quantity} of {tier.quantity} left</span>
+                        {normalizeEligibility(tier.eligibility) !== 'All' && (
+                          <span>{normalizeEligibility(tier.eligibility) === 'IIIT' ? 'IIIT only' : 'External only'}</span>
+                        )}
+                        {tier.saleStart && <span>Sale opens {formatDate(tier.saleStart)}</span>}
+                        {tier.saleEnd && <span>Sale ends {formatDate(tier.saleEnd)}</span>}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {series && (
+              <div className="description-section">
+                <h3>Event Series</h3>
+                <p className="series-summary">
+                  Occurrence {event.seriesIndex} of {series.occurrences.length} · repeats {series.recurrence.frequency}
+                  {series.recurrence.interval > 1 && ` (every ${series.recurrence.interval})`}
+                </p>
+                <ul className="series-occurrences">
+                  {series.occurrences.map((occurrence) => (
+                    <li
+                      key={occurrence._id}
+                      className={occurrence._id === (event._id || event.id) ? 'current' : ''}
+                    >
+                      <Link to={`/event/${occurrence._id}`}>
+                        #{occurrence.seriesIndex} · {formatDate(occurrence.date)}
+                      </Link>
+                      <span className="series-occurrence-status">{occurrence.lifecycleStatus}</span>
+                    </li>
+                  ))}
+                </ul>
+                {isParticipant && registrationMode === 'Individual' && (
+                  <button
+                    className="btn btn-secondary"
+                    onClick={handleRegisterSeries}
+                    disabled={registeringSeries}
+                  >
+                    {registeringSeries ? 'Registering...' : '🔁 Register for All Upcoming Occurrences'}
+                  </button>
+                )}
+              </div>
+            )}
+
+            {isMerch && event.merchandise && (
+              <div className="description-section">
+                <h3>Merchandise Details</h3>
+                <p>{event.merchandise.itemName}</p>
+                {event.merchandise.description && <p>{event.merchandise.description}</p>}
+                <p>Purchase Limit: {event.merchandise.purchaseLimit || 1}</p>
+                {event.merchandise.sizes?.length > 0 && (
+                  <p>Sizes: {event.merchandise.sizes.join(', ')}</p>
+                )}
+                {event.merchandise.colors?.length > 0 && (
+                  <p>Colors: {event.merchandise.colors.join(', ')}</p>
+                )}
               </div>
-              <div className="progress-info">
-                <span className="registered-count">
-                  <strong>{registered}</strong> registered
-                </span>
-                <span className="available-count">
-                  <strong>{Math.max(capacity - registered, 0)}</strong> spots remaining
-                </span>
+            )}
+
+            <div className="registration-section">
+              <h3>Registration Status</h3>
+              <div className="progress-container">
+                <div className="progress-bar-large">
+                  <div 
+                    className={`progress-fill ${availabilityStatus.class}`}
+                    style={{ width: `${capacity > 0 ? (registered / capacity) * 100 : 0}%` }}
+                  ></div>
+                </div>
+                <div className="progress-info">
+                  <span className="registered-count">
+                    <strong>{registered}</strong> registered
+                  </span>
+                  <span className="available-count">
+                    <strong>{Math.max(capacity - registered, 0)}</strong> spots remaining
+                  </span>
+                </div>
               </div>
             </div>
-          </div>
+            </>
+          )}
+
+          {activeTab === 'schedule' && hasSessions && (
+            <div className="schedule-section">
+              {event.sessions.map((session) => (
+                <div key={session._id} className="schedule-item">
+                  <div className="schedule-time">{formatSessionTime(session.startTime, session.endTime)}</div>
+                  <div className="schedule-details">
+                    <h4>{session.title}</h4>
+                    <div className="schedule-meta">
+                      {session.speaker && <span>🎤 {session.speaker}</span>}
+                      {session.room && <span>📍 {session.room}</span>}
+                      {session.track && <span className="schedule-track">{session.track}</span>}
+                      {session.capacity
+                        ? <span>{session.remaining} of {session.capacity} seats left</span>
+                        : <span>Open to all attendees</span>}
+                    </div>
+                    {session.description && <p>{session.description}</p>}
+                  </div>
+                  {myRegistration?.sessions?.some(s => s.sessionId === session._id) && (
+                    <span className="schedule-picked">✓ Your session</span>
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
         </div>
 
         <div className="details-footer">
@@ -451,16 +646,22 @@ function EventDetails({ onRegister, onDelete }) {
             <button 
               className="btn btn-primary btn-large"
               onClick={handleRegister}
-              disabled={isFull || deadlinePassed || !isEligible || hasRegistered}
+              disabled={(isFull && !canJoinWaitlist) || deadlinePassed || isCancelled || !isEligible || hasRegistered}
             >
-              {hasRegistered
+              {isCancelled
+                ? 'Event Cancelled'
+                : isWaitlisted
+                ? `⏳ On Waitlist (#${myRegistration.waitlistPosition})`
+                : hasRegistered
                 ? '✓ Already Registered'
-                : isFull
+                : isFull && !canJoinWaitlist
                 ? '✓ Sold Out'
                 : deadlinePassed
                   ? 'Deadline Passed'
                   : (!isEligible
                     ? 'Not Eligible'
+                    : canJoinWaitlist && registrationMode === 'Individual'
+                    ? '⏳ Join Waitlist'
                     : (isMerch
                       ? '🛍️ Purchase'
                       : (registrationMode === 'Team'
@@ -498,6 +699,12 @@ function EventDetails({ onRegister, onDelete }) {
         </div>
       </div>
 
+      {user && registrationMode !== 'Individual' && !isMerch && !isCancelled && (
+        <div className="event-discussion-section">
+          <TeammateBoard event={event} canPost={!deadlinePassed} />
+        </div>
+      )}
+
       {user && (
         <div className="event-discussion-section">
           <DiscussionForum eventId={event._id || event.id} embedded />
@@ -562,6 +769,51 @@ function EventDetails({ onRegister, onDelete }) {
                 <h2>Complete Registration</h2>
               </div>
 
+              {hasTicketTiers && (
+                <div className="form-section">
+                  <h3>Ticket Type</h3>
+                  {ticketTiers.map((tier) => (
+                    <label key={tier._id} className="ticket-tier-option">
+                      <input
+                        type="radio"
+                        name="ticketTier"
+                        value={tier._id}
+                        checked={selectedTierId === tier._id}
+                        disabled={!isTierAvailable(tier)}
+                        onChange={(e) => setSelectedTierId(e.target.value)}
+                      />
+                      <span>
+                        {tier.name} — {tier.price > 0 ? `₹${tier.price}` : 'Free'}
+                        {!isTierAvailable(tier) && ' (unavailable)'}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              )}
+
+              {hasSessions && (
+                <div className="form-section">
+                  <h3>Sessions</h3>
+                  {event.sessions.map((session) => {
+                    const isFullSession = session.capacity && session.remaining === 0;
+                    return (
+                      <label key={session._id} className="ticket-tier-option">
+                        <input
+                          type="checkbox"
+                          checked={selectedSessionIds.includes(session._id)}
+                          disabled={isFullSession && !selectedSessionIds.includes(session._id)}
+                          onChange={() => toggleSession(session)}
+                        />
+                        <span>
+                          {session.title} — {formatSessionTime(session.startTime, session.endTime)}
+                          {isFullSession && ' (full)'}
+                        </span>
+                      </label>
+                    );
+                  })}
+                </div>
+              )}
+
               {Array.isArray(event.customFields) && event.customFields.length > 0 && (
                 <div className="form-section">
                   <h3>Additional Information</h3>
@@ -671,6 +923,19 @@ function EventDetails({ onRegister, onDelete }) {
                 </div>
               )}
 
+              {amountDue > 0 && (
+                <div className="form-section">
+                  <DiscountCodeInput
+                    key={selectedTierId}
+                    eventId={event._id || event.id}
+                    amount={amountDue}
+                    value={discountCode}
+                    onChange={setDiscountCode}
+                  />
+                  <p className="refund-policy-note">Refunds: {getRefundPolicyLabel(event)}</p>
+                </div>
+              )}
+
               <div className="form-actions">
                 <button type="button" className="btn-cancel" onClick={() => setShowIndividualModal(false)}>
                   Cancel
@@ -0,0 +1,343 @@
+import { useState, useEffect } from 'react';
+import { useToast } from './Toast';
+import { ledgerAPI } from '../utils/api';
+import { formatDate, downloadBlob } from '../utils/helpers';
+import './FinancePanel.css';
+
+const TYPE_LABELS = {
+  credit: 'Credit',
+  debit: 'Debit',
+  adjustment: 'Adjustment'
+};
+
+const CATEGORY_LABELS = {
+  payment: 'Payment',
+  refund: 'Refund',
+  expense: 'Expense',
+  adjustment: 'Adjustment'
+};
+
+const EMPTY_ENTRY = {
+  kind: 'expense',
+  amount: '',
+  description: '',
+  event: '',
+  reference: '',
+  occurredAt: ''
+};
+
+const formatMoney = (amount) => {
+  const value = Number(amount || 0);
+  const formatted = `₹${Math.abs(value).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+  return value < 0 ? `-${formatted}` : formatted;
+};
+
+// Ledger for one club. Organizers get their own without an organizerId;
+// admins pass the club, or allClubs to see every club's entries together.
+function FinancePanel({ organizerId, events = [], allClubs = false }) {
+  const { showSuccess, showError } = useToast();
+
+  const [filters, setFilters] = useState({ event: '', from: '', to: '' });
+  const [ledger, setLedger] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [showForm, setShowForm] = useState(false);
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [saving, setSaving] = useState(false);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  const params = Object.fromEntries(
+    Object.entries({ ...filters, organizer: organizerId || '' }).filter(([, value]) => value)
+  );
+  const paramsKey = JSON.stringify(params);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const res = await ledgerAPI.getLedger(JSON.parse(paramsKey));
+        if (res.success) {
+          setLedger(res.data);
+        }
+      } catch (err) {
+        showError(err.message || 'Failed to load ledger');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [paramsKey, refreshKey, showError]);
+
+  // A different club's events don't apply to this one
+  useEffect(() => {
+    setFilters(prev => ({ ...prev, event: '' }));
+    setEntry(EMPTY_ENTRY);
+  }, [organizerId]);
+
+  const handleFilterChange = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleEntryChange = (field, value) => {
+    setEntry(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const { blob, fileName } = await ledgerAPI.exportLedger(params);
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      showError(err.message || 'Failed to export ledger');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleRecord = async (e) => {
+    e.preventDefault();
+    const amount = Number(entry.amount);
+    if (!amount) {
+      showError('Enter a non-zero amount');
+      return;
+    }
+    if (entry.kind === 'expense' && amount < 0) {
+      showError('Enter expenses as a positive amount');
+      return;
+    }
+    if (!entry.description.trim()) {
+      showError('Description is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const res = await ledgerAPI.createEntry({
+        ...entry,
+        amount,
+        event: entry.event || undefined,
+        occurredAt: entry.occurredAt || undefined,
+        organizer: organizerId || undefined
+      });
+      if (res.success) {
+        showSuccess(res.message);
+        setEntry(EMPTY_ENTRY);
+        setShowForm(false);
+        setRefreshKey(prev => prev + 1);
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to record entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const summary = ledger?.summary;
+  const entries = ledger ? [...ledger.entries].reverse() : [];
+
+  return (
+    <div className="finance-panel">
+      <div className="finance-header">
+        <div>
+          <h2>Finance</h2>
+          <p>Payments received, refunds and expenses with running balance</p>
+        </div>
+        <div className="finance-actions">
+          <button className="btn btn-secondary" onClick={handleExport} disabled={exporting}>
+            {exporting ? 'Exporting...' : 'Export CSV'}
+          </button>
+          {!allClubs && (
+            <button className="btn btn-primary" onClick={() => setShowForm(prev => !prev)}>
+              {showForm ? 'Cancel' : '+ Record Entry'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {showForm && (
+        <form className="finance-form" onSubmit={handleRecord}>
+          <div className="form-group">
+            <label>Kind</label>
+            <select value={entry.kind} onChange={(e) => handleEntryChange('kind', e.target.value)}>
+              <option value="expense">Expense</option>
+              <option value="adjustment">Adjustment</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Amount (₹)</label>
+            <input
+              type="number"
+              step="0.01"
+              min={entry.kind === 'expense' ? '0' : undefined}
+              value={entry.amount}
+              onChange={(e) => handleEntryChange('amount', e.target.value)}
+              placeholder={entry.kind === 'expense' ? 'e.g. 1500' : 'Negative to reduce the balance'}
+            />
+          </div>
+          <div className="form-group">
+            <label>Event</label>
+            <select value={entry.event} onChange={(e) => handleEntryChange('event', e.target.value)}>
+              <option value="">General (no event)</option>
+              {events.map(event => (
+                <option key={event._id || event.id} value={event._id || event.id}>{event.title}</option>
+              ))}
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Date</label>
+            <input
+              type="date"
+              value={entry.occurredAt}
+              onChange={(e) => handleEntryChange('occurredAt', e.target.value)}
+            />
+          </div>
+          <div className="form-group finance-form-wide">
+            <label>Description</label>
+            <input
+              type="text"
+              maxLength={300}
+              value={entry.description}
+              onChange={(e) => handleEntryChange('description', e.target.value)}
+              placeholder="e.g. Venue booking"
+            />
+          </div>
+          <div className="form-group">
+            <label>Reference</label>
+            <input
+              type="text"
+              value={entry.reference}
+              onChange={(e) => handleEntryChange('reference', e.target.value)}
+              placeholder="Invoice or bill no."
+            />
+          </div>
+          <div className="finance-form-actions">
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Entry'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="finance-filters">
+        <select value={filters.event} onChange={(e) => handleFilterChange('event', e.target.value)}>
+          <option value="">All events</option>
+          {events.map(event => (
+            <option key={event._id || event.id} value={event._id || event.id}>{event.title}</option>
+          ))}
+        </select>
+        <label>
+          From
+          <input type="date" value={filters.from} onChange={(e) => handleFilterChange('from', e.target.value)} />
+        </label>
+        <label>
+          To
+          <input type="date" value={filters.to} onChange={(e) => handleFilterChange('to', e.target.value)} />
+        </label>
+      </div>
+
+      {summary && (
+        <div className="finance-summary">
+          <div className="finance-card credit">
+            <h3>{formatMoney(summary.credits)}</h3>
+            <p>Earned</p>
+          </div>
+          <div className="finance-card debit">
+            <h3>{formatMoney(summary.debits)}</h3>
+            <p>Refunded &amp; Spent</p>
+          </div>
+          <div className="finance-card adjustment">
+            <h3>{formatMoney(summary.adjustments)}</h3>
+            <p>Adjustments</p>
+          </div>
+          <div className="finance-card balance">
+            <h3>{formatMoney(summary.closingBalance)}</h3>
+            <p>Balance</p>
+            {filters.from && (
+              <span className="finance-muted">Opening {formatMoney(summary.openingBalance)}</span>
+            )}
+          </div>
+        </div>
+      )}
+
+      {loading && !ledger ? (
+        <p className="finance-empty">Loading ledger...</p>
+      ) : ledger && ledger.entries.length === 0 ? (
+        <p className="finance-empty">No ledger entries for this period</p>
+      ) : ledger && (
+        <>
+          {!filters.event && ledger.events.length > 1 && (
+            <div className="finance-table-wrapper">
+              <table className="finance-table">
+                <thead>
+                  <tr>
+                    <th>Event</th>
+                    <th>Earned</th>
+                    <th>Refunded &amp; Spent</th>
+                    <th>Adjustments</th>
+                    <th>Net</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {ledger.events.map(row => (
+                    <tr key={row.event?._id || 'general'}>
+                      <td>{row.event?.title || 'General'}</td>
+                      <td>{formatMoney(row.credits)}</td>
+                      <td>{formatMoney(row.debits)}</td>
+                      <td>{formatMoney(row.adjustments)}</td>
+                      <td className={`finance-amount ${row.net < 0 ? 'negative' : ''}`}>{formatMoney(row.net)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          <div className="finance-table-wrapper">
+            <table className="finance-table">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  {allClubs && <th>Club</th>}
+                  <th>Event</th>
+                  <th>Description</th>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Balance</th>
+                </tr>
+              </thead>
+              <tbody>
+                {entries.map(row => (
+                  <tr key={row._id}>
+                    <td>{formatDate(row.occurredAt)}</td>
+                    {allClubs && (
+                      <td>{row.organizer?.organizerProfile?.name || `${row.organizer?.firstName || ''} ${row.organizer?.lastName || ''}`.trim()}</td>
+                    )}
+                    <td>{row.event?.title || 'General'}</td>
+                    <td>
+                      {row.description}
+                      {row.reference && <span className="finance-muted">Ref: {row.reference}</span>}
+                      {row.recordedBy && (
+                        <span className="finance-muted">
+                          By {row.recordedBy.firstName} {row.recordedBy.lastName}
+                        </span>
+                      )}
+                    </td>
+                    <td>
+                      <span className={`finance-type type-${row.type}`}>{TYPE_LABELS[row.type] || row.type}</span>
+                      <span className="finance-muted">{CATEGORY_LABELS[row.category] || row.category}</span>
+                    </td>
+                    <td className={`finance-amount ${row.amount < 0 ? 'negative' : ''}`}>{formatMoney(row.amount)}</td>
+                    <td className="finance-balance">{formatMoney(row.balance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default FinancePanel;
@@ -1,5 +1,6 @@
 import { useMemo, useState } from 'react';
 import { useToast } from './Toast.jsx';
+import DiscountCodeInput from './DiscountCodeInput.jsx';
 import './MerchandisePurchaseForm.css';
 
 const MerchandisePurchaseForm = ({ event, onSubmit, onCancel }) => {
@@ -13,6 +14,7 @@ const MerchandisePurchaseForm = ({ event, onSubmit, onCancel }) => {
     quantity: 1
   });
   const [customFieldResponses, setCustomFieldResponses] = useState({});
+  const [discountCode, setDiscountCode] = useState('');
 
   const variants = useMemo(() => merchandise.variants || [], [merchandise]);
   const sizes = useMemo(() => merchandise.sizes || [], [merchandise]);
@@ -27,6 +29,12 @@ const MerchandisePurchaseForm = ({ event, onSubmit, onCancel }) => {
     return merchandise.stock || 0;
   }, [selection.variantSku, variants, merchandise.stock]);
 
+  const unitPrice = useMemo(() => {
+    const variant = variants.find(v => v.sku === selection.variantSku);
+    return variant?.price || event?.registrationFee || 0;
+  }, [selection.variantSku, variants, event?.registrationFee]);
+  const orderTotal = unitPrice * (Number(selection.quantity) || 1);
+
   const handleSubmit = (e) => {
     e.preventDefault();
     const quantity = Number(selection.quantity) || 1;
@@ -72,7 +80,8 @@ const MerchandisePurchaseForm = ({ event, onSubmit, onCancel }) => {
         color: selection.color || null,
         quantity
       },
-      customFields: customFieldResponses
+      customFields: customFieldResponses,
+      ...(discountCode.trim() && { discountCode: discountCode.trim() })
     });
   };
 
@@ -277,6 +286,15 @@ const MerchandisePurchaseForm = ({ event, onSubmit, onCancel }) => {
           </div>
         </div>
 
+        {orderTotal > 0 && (
+          <DiscountCodeInput
+            eventId={event._id || event.id}
+            amount={orderTotal}
+            value={discountCode}
+            onChange={setDiscountCode}
+          />
+        )}
+
         <div className="form-actions">
           <button type="button" className="btn-secondary" onClick={onCancel}>Cancel</button>
           <button type="submit" className="btn-primary">Confirm Purchase</button>
@@ -1,10 +1,29 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext.jsx';
 import { useToast } from './Toast.jsx';
+import CameraScanner from './CameraScanner.jsx';
 import { eventsAPI, registrationsAPI } from '../utils/api';
+import { getAttendanceDayKey, getLastMovement } from '../utils/helpers';
+import {
+  isSignedTicket,
+  importTicketPublicKey,
+  verifyTicketToken,
+  getTicketRevocationError
+} from '../utils/ticketVerifier';
+import {
+  saveEventSnapshot,
+  getEventSnapshot,
+  queueCheckIn,
+  getQueuedCheckIns,
+  removeQueuedCheckIns,
+  isNetworkError
+} from '../utils/offlineCheckIns';
 import './QRScanner.css';
 
+const OCCUPANCY_POLL_MS = 15000;
+const GATE_STORAGE_KEY = 'ems_checkin_gate';
+
 function QRScanner() {
   const { eventId } = useParams();
   const navigate = useNavigate();
@@ -16,13 +35,83 @@ function QRScanner() {
   const [registrations, setRegistrations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [scanHistory, setScanHistory] = useState([]);
-  const [stats, setStats] = useState({ total: 0, checkedIn: 0, pending: 0 });
   const [searchTerm, setSearchTerm] = useState('');
+  const [activeSessionId, setActiveSessionId] = useState('');
+  const [ticketKey, setTicketKey] = useState(null);
+  const [ticketPublicKey, setTicketPublicKey] = useState('');
+  const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const [cachedAt, setCachedAt] = useState(null);
+  const [pendingSync, setPendingSync] = useState(0);
+  const [syncing, setSyncing] = useState(false);
+  const [syncIssues, setSyncIssues] = useState([]);
+  const [scanMode, setScanMode] = useState('entry');
+  const [gate, setGate] = useState(() => localStorage.getItem(GATE_STORAGE_KEY) || '');
+  const [occupancy, setOccupancy] = useState(null);
+  const syncingRef = useRef(false);
+
+  const sessions = event?.sessions || [];
+  const activeSession = sessions.find(session => session._id === activeSessionId);
+
+  // In session mode, capped sessions only list participants who picked them
+  const eventRegistrations = useMemo(() => (activeSession?.capacity
+    ? registrations.filter(reg => (reg.sessions || []).some(s => s.sessionId === activeSessionId))
+    : registrations), [registrations, activeSession, activeSessionId]);
+
+  const getSessionCheckIn = (registration) => (registration.sessionAttendance || [])
+    .find(entry => entry.sessionId === activeSessionId);
+  const isCheckedIn = (registration) => (activeSessionId
+    ? Boolean(getSessionCheckIn(registration))
+    : registration.checkedIn);
+  const getCheckInTime = (registration) => (activeSessionId
+    ? getSessionCheckIn(registration)?.checkedInAt
+    : registration.checkInTime);
+  const isInside = (registration) => getLastMovement(registration)?.type === 'entry';
+
+  // Push check-ins queued while offline, then reload the authoritative list
+  const syncQueue = useCallback(async () => {
+    if (syncingRef.current) return;
 
-  const eventRegistrations = registrations;
+    const queued = await getQueuedCheckIns(eventId).catch(() => []);
+    setPendingSync(queued.length);
+    if (queued.length === 0 || !navigator.onLine) return;
+
+    syncingRef.current = true;
+    setSyncing(true);
+    try {
+      const response = await registrationsAPI.batchCheckIn(
+        eventId,
+        queued.map(({ eventId: _eventId, ...checkIn }) => checkIn)
+      );
+      await removeQueuedCheckIns(queued.map(checkIn => checkIn.localId));
+
+      const issues = (response.data?.results || []).filter(result => result.status !== 'applied');
+      setSyncIssues(prev => [...issues, ...prev]);
+      if (issues.length > 0) {
+        showInfo(response.message);
+      } else {
+        showSuccess(response.message);
+      }
+
+      const regRes = await registrationsAPI.getEventRegistrations(eventId);
+      if (regRes.success) {
+        setRegistrations(regRes.data || []);
+        setCachedAt(null);
+      }
+    } catch (err) {
+      if (!isNetworkError(err)) {
+        showError(err?.message || 'Failed to sync offline check-ins');
+      }
+    } finally {
+      const remaining = await getQueuedCheckIns(eventId).catch(() => []);
+      setPendingSync(remaining.length);
+      syncingRef.current = false;
+      setSyncing(false);
+    }
+  }, [eventId, showSuccess, showInfo, showError]);
 
   useEffect(() => {
     const load = async () => {
+      let publicKey = '';
       try {
         setLoading(true);
         const eventRes = await eventsAPI.getEventById(eventId);
@@ -33,24 +122,100 @@ function QRScanner() {
         if (regRes.success) {
           setRegistrations(regRes.data || []);
         }
-      } catch (err) {
-        showError('Failed to load event check-ins');
+        // Without a usable key, signed tickets fall back to server verification
+        try {
+          const keyRes = await registrationsAPI.getTicketPublicKey();
+          publicKey = keyRes.data?.publicKey || '';
+        } catch {
+          publicKey = '';
+        }
+      } catch {
+        // Gate Wi-Fi is unreliable; fall back to the last cached snapshot
+        const snapshot = await getEventSnapshot(eventId).catch(() => null);
+        if (snapshot) {
+          setEvent(snapshot.event);
+          setRegistrations(snapshot.registrations || []);
+          setCachedAt(snapshot.cachedAt);
+          publicKey = snapshot.ticketPublicKey || '';
+          showInfo('Offline: using the registrations cached on this device');
+        } else {
+          showError('Failed to load event check-ins');
+        }
       } finally {
         setLoading(false);
       }
+
+      setTicketPublicKey(publicKey);
+      setTicketKey(await importTicketPublicKey(publicKey));
+      syncQueue();
     };
 
     load();
-  }, [eventId, showError]);
+  }, [eventId, showError, showInfo, syncQueue]);
 
+  // Keep the offline snapshot current, including check-ins not yet synced
   useEffect(() => {
-    if (eventRegistrations.length > 0) {
-      const total = eventRegistrations.length;
-      const checkedIn = eventRegistrations.filter(r => r.checkedIn).length;
-      const pending = total - checkedIn;
-      setStats({ total, checkedIn, pending });
-    }
-  }, [eventRegistrations]);
+    if (!event) return;
+    saveEventSnapshot(eventId, { event, registrations, ticketPublicKey }).catch(() => {});
+  }, [eventId, event, registrations, ticketPublicKey]);
+
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncQueue();
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncQueue]);
+
+  // Server occupancy covers every gate; refresh on each local scan and on a timer
+  useEffect(() => {
+    if (!isOnline) return undefined;
+
+    let cancelled = false;
+    const refresh = async () => {
+      try {
+        const response = await registrationsAPI.getOccupancy(eventId);
+        if (!cancelled && response.success) {
+          setOccupancy(response.data);
+        }
+      } catch {
+        // Keep showing the last known figure
+      }
+    };
+
+    refresh();
+    const timer = setInterval(refresh, OCCUPANCY_POLL_MS);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [eventId, isOnline, registrations]);
+
+  useEffect(() => {
+    localStorage.setItem(GATE_STORAGE_KEY, gate);
+  }, [gate]);
+
+  const stats = useMemo(() => {
+    const total = eventRegistrations.length;
+    const checkedIn = eventRegistrations.filter(r => (activeSessionId
+      ? (r.sessionAttendance || []).some(entry => entry.sessionId === activeSessionId)
+      : r.checkedIn)).length;
+    const today = getAttendanceDayKey();
+    const localInside = eventRegistrations.filter(r => r.status === 'confirmed' && getLastMovement(r, today)?.type === 'entry').length;
+    return {
+      total,
+      checkedIn,
+      pending: total - checkedIn,
+      inside: isOnline && occupancy ? occupancy.inside : localInside
+    };
+  }, [eventRegistrations, activeSessionId, isOnline, occupancy]);
 
   if (loading) {
     return (
@@ -92,49 +257,179 @@ function QRScanner() {
     );
   }
 
-  const handleManualCheckIn = async () => {
-    const ticketId = manualTicketId.trim().toUpperCase();
-    if (!ticketId) {
-      showError('Please enter a ticket ID');
-      return;
+  const recordScan = (entry) => {
+    setScanHistory(prev => [{ ...entry, time: new Date().toISOString() }, ...prev]);
+  };
+
+  const rejectScan = (ticketId, message) => {
+    recordScan({ ticketId, message, status: 'failed' });
+    showError(message);
+    return { status: 'invalid', message };
+  };
+
+  // Verify a scanned QR token locally, or on the server if the browser can't
+  const resolveSignedTicket = async (token) => {
+    if (!ticketKey) {
+      try {
+        const response = await registrationsAPI.verifyTicket(token, eventId);
+        const id = response.data?._id || response.data?.id;
+        return { registration: registrations.find(r => (r._id || r.id) === id) || response.data };
+      } catch (err) {
+        return {
+          error: isNetworkError(err)
+            ? 'Signed tickets cannot be verified offline in this browser; enter the ticket ID instead'
+            : err?.message || 'Ticket could not be verified'
+        };
+      }
     }
 
-    const registration = eventRegistrations.find(r => 
-      r.ticketId === ticketId && r.status === 'confirmed'
-    );
+    const { payload, error } = await verifyTicketToken(token, ticketKey);
+    if (error) return { error };
+    if (payload.e !== eventId) return { error: 'Ticket is for a different event' };
 
-    if (!registration) {
-      showError('Invalid ticket ID or registration not confirmed');
-      setManualTicketId('');
-      return;
+    const registration = registrations.find(r => (r._id || r.id) === payload.r);
+    const revocationError = getTicketRevocationError(registration, payload);
+    return revocationError ? { error: revocationError } : { registration };
+  };
+
+  // Mirror a queued check-in on the local copy so duplicates are caught offline
+  const markCheckedInLocally = (registrationId, checkedInAt, direction) => {
+    setRegistrations(prev => prev.map((reg) => {
+      if ((reg._id || reg.id) !== registrationId) return reg;
+      if (activeSessionId) {
+        return {
+          ...reg,
+          checkedIn: true,
+          checkInTime: reg.checkInTime || checkedInAt,
+          sessionAttendance: [...(reg.sessionAttendance || []), { sessionId: activeSessionId, checkedInAt }]
+        };
+      }
+
+      const movement = { type: direction, day: getAttendanceDayKey(checkedInAt), gate, scannedAt: checkedInAt };
+      return {
+        ...reg,
+        ...(direction === 'entry' && { checkedIn: true, checkInTime: reg.checkInTime || checkedInAt }),
+        attendanceLog: [...(reg.attendanceLog || []), movement]
+      };
+    }));
+  };
+
+  const describeScan = (registration, direction) => (direction === 'exit'
+    ? `${registration.participantName} checked out`
+    : `${registration.participantName} checked in`);
+
+  const queueOfflineCheckIn = async (registration, token, direction) => {
+    const registrationId = registration._id || registration.id;
+    const checkedInAt = new Date().toISOString();
+    try {
+      await queueCheckIn(eventId, {
+        registrationId,
+        ticketId: registration.ticketId,
+        token,
+        ...(activeSessionId ? { sessionId: activeSessionId } : { direction, gate }),
+        checkedInAt
+      });
+    } catch {
+      return rejectScan(registration.ticketId, 'No connection and this browser cannot store offline check-ins');
     }
 
-    if (registration.checkedIn) {
-      showInfo(`Already checked in at ${new Date(registration.checkInTime).toLocaleTimeString()}`);
-      setManualTicketId('');
-      return;
+    markCheckedInLocally(registrationId, checkedInAt, direction);
+    setPendingSync(count => count + 1);
+    recordScan({
+      ticketId: `${registration.ticketId} (saved offline)`,
+      participantName: registration.participantName,
+      status: 'success'
+    });
+    showInfo(`✓ ${describeScan(registration, direction)} offline; will sync when back online`);
+    return { status: 'success', message: `${describeScan(registration, direction)} (offline)` };
+  };
+
+  const submitCheckIn = async (registration, token, direction = scanMode) => {
+    if (!navigator.onLine) {
+      return queueOfflineCheckIn(registration, token, direction);
     }
 
+    const registrationId = registration._id || registration.id;
     try {
-      const response = await registrationsAPI.checkIn(registration._id || registration.id);
+      const response = await registrationsAPI.checkIn(
+        registrationId,
+        activeSessionId ? { sessionId: activeSessionId } : { direction, gate }
+      );
       if (response.success) {
         setRegistrations(prev =>
-          prev.map(reg => ((reg._id || reg.id) === (registration._id || registration.id) ? response.data : reg))
+          prev.map(reg => ((reg._id || reg.id) === registrationId ? response.data : reg))
         );
       }
     } catch (err) {
-      showError('Failed to check in participant');
-      return;
+      if (isNetworkError(err)) {
+        return queueOfflineCheckIn(registration, token, direction);
+      }
+      return rejectScan(registration.ticketId, err?.message || 'Failed to check in participant');
     }
 
-    setScanHistory(prev => [{
+    recordScan({
       ticketId: registration.ticketId,
       participantName: registration.participantName,
-      time: new Date().toISOString(),
       status: 'success'
-    }, ...prev]);
+    });
 
-    showSuccess(`✓ ${registration.participantName} checked in successfully!`);
+    showSuccess(`✓ ${describeScan(registration, direction)} successfully!`);
+    return { status: 'success', message: describeScan(registration, direction) };
+  };
+
+  /**
+   * Check in a scanned QR token or typed ticket ID.
+   * Resolves to { status: 'success' | 'duplicate' | 'invalid', message }.
+   */
+  const checkInTicket = async (input) => {
+    let registration;
+    if (isSignedTicket(input)) {
+      const result = await resolveSignedTicket(input);
+      if (result.error) {
+        return rejectScan('Scanned ticket', result.error);
+      }
+      registration = result.registration;
+    } else {
+      const ticketId = input.toUpperCase();
+      registration = eventRegistrations.find(r =>
+        r.ticketId === ticketId && r.status === 'confirmed'
+      );
+      if (!registration) {
+        return rejectScan(ticketId, 'Invalid ticket ID or registration not confirmed');
+      }
+    }
+
+    const registrationId = registration._id || registration.id;
+    if (activeSession?.capacity && !eventRegistrations.some(r => (r._id || r.id) === registrationId)) {
+      return rejectScan(registration.ticketId, `Not registered for ${activeSession.title}`);
+    }
+
+    // Gate scans track presence for today; session scans are one-off
+    const lastMovement = activeSessionId ? null : getLastMovement(registration);
+    if (!activeSessionId && scanMode === 'exit' && lastMovement?.type !== 'entry') {
+      return rejectScan(registration.ticketId, `${registration.participantName} is not inside`);
+    }
+
+    const alreadyIn = activeSessionId ? isCheckedIn(registration) : scanMode === 'entry' && lastMovement?.type === 'entry';
+    if (alreadyIn) {
+      const since = activeSessionId ? getCheckInTime(registration) : lastMovement.scannedAt;
+      const message = `Already checked in at ${new Date(since).toLocaleTimeString()}`;
+      recordScan({ ticketId: registration.ticketId, participantName: registration.participantName, status: 'duplicate' });
+      showInfo(message);
+      return { status: 'duplicate', message: `${registration.participantName}: ${message}` };
+    }
+
+    return submitCheckIn(registration, isSignedTicket(input) ? input : undefined);
+  };
+
+  const handleManualCheckIn = async () => {
+    const input = manualTicketId.trim();
+    if (!input) {
+      showError('Please enter a ticket ID');
+      return;
+    }
+
+    await checkInTicket(input);
     setManualTicketId('');
   };
 
@@ -154,8 +449,8 @@ function QRScanner() {
     );
   });
 
-  const handleBulkCheckIn = async (registration) => {
-    if (registration.checkedIn) {
+  const handleBulkCheckIn = async (registration, direction = 'entry') => {
+    if (activeSessionId && isCheckedIn(registration)) {
       showInfo('Participant already checked in');
       return;
     }
@@ -165,26 +460,7 @@ function QRScanner() {
       return;
     }
 
-    try {
-      const response = await registrationsAPI.checkIn(registration._id || registration.id);
-      if (response.success) {
-        setRegistrations(prev =>
-          prev.map(reg => ((reg._id || reg.id) === (registration._id || registration.id) ? response.data : reg))
-        );
-      }
-    } catch (err) {
-      showError('Failed to check in participant');
-      return;
-    }
-
-    setScanHistory(prev => [{
-      ticketId: registration.ticketId,
-      participantName: registration.participantName,
-      time: new Date().toISOString(),
-      status: 'success'
-    }, ...prev]);
-
-    showSuccess(`✓ ${registration.participantName} checked in!`);
+    await submitCheckIn(registration, undefined, direction);
   };
 
   return (
@@ -199,8 +475,110 @@ function QRScanner() {
             <p className="event-name">{event.title}</p>
           </div>
         </div>
+        {sessions.length > 0 && (
+          <div className="session-selector">
+            <label htmlFor="checkin-session">Checking in for</label>
+            <select
+              id="checkin-session"
+              value={activeSessionId}
+              onChange={(e) => setActiveSessionId(e.target.value)}
+            >
+              <option value="">Event entry</option>
+              {sessions.map(session => (
+                <option key={session._id} value={session._id}>
+                  {session.title}{session.room ? ` (${session.room})` : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+      </div>
+
+      {!activeSessionId && (
+        <div className="gate-controls">
+          <div className="scan-mode-toggle" role="group" aria-label="Scan direction">
+            <button
+              className={`scan-mode ${scanMode === 'entry' ? 'active' : ''}`}
+              onClick={() => setScanMode('entry')}
+            >
+              Entry
+            </button>
+            <button
+              className={`scan-mode exit ${scanMode === 'exit' ? 'active' : ''}`}
+              onClick={() => setScanMode('exit')}
+            >
+              Exit
+            </button>
+          </div>
+          <label className="gate-field" htmlFor="checkin-gate">
+            Gate
+            <input
+              id="checkin-gate"
+              type="text"
+              placeholder="e.g. Main Gate"
+              maxLength={60}
+              value={gate}
+              onChange={(e) => setGate(e.target.value)}
+            />
+          </label>
+        </div>
+      )}
+
+      {/* Connectivity and Sync */}
+      <div className={`sync-bar ${isOnline ? 'online' : 'offline'}`}>
+        <div className="sync-state">
+          <span className="sync-dot" />
+          <span>
+            {isOnline ? 'Online' : 'Offline: check-ins are saved on this device'}
+            {cachedAt && ` · using registrations cached ${new Date(cachedAt).toLocaleString()}`}
+          </span>
+        </div>
+        <div className="sync-actions">
+          <span className="sync-pending">
+            {pendingSync > 0 ? `${pendingSync} check-in(s) waiting to sync` : 'All check-ins synced'}
+          </span>
+          <button
+            className="btn btn-sm btn-secondary"
+            onClick={syncQueue}
+            disabled={!isOnline || syncing || pendingSync === 0}
+          >
+            {syncing ? 'Syncing...' : 'Sync Now'}
+          </button>
+        </div>
       </div>
 
+      {syncIssues.length > 0 && (
+        <div className="scanner-section">
+          <div className="section-card sync-issues">
+            <div className="section-header">
+              <h2>⚠️ Sync Conflicts</h2>
+              <button className="btn btn-sm btn-secondary" onClick={() => setSyncIssues([])}>
+                Dismiss
+              </button>
+            </div>
+            <div className="scan-history">
+              {syncIssues.map((issue, index) => (
+                <div key={`${issue.localId}-${index}`} className={`history-item ${issue.status === 'conflict' ? 'duplicate' : 'failed'}`}>
+                  <div className="history-icon">{issue.status === 'conflict' ? '↺' : '✗'}</div>
+                  <div className="history-details">
+                    <div className="history-name">{issue.participantName || issue.ticketId || 'Unknown ticket'}</div>
+                    <div className="history-meta">
+                      <span>{issue.message}</span>
+                      {issue.checkedInAt && (
+                        <>
+                          <span>•</span>
+                          <span>First entry {new Date(issue.checkedInAt).toLocaleTimeString()}</span>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Stats Cards */}
       <div className="scanner-stats">
         <div className="stat-card">
@@ -233,6 +611,36 @@ function QRScanner() {
             <div className="stat-label">Attendance Rate</div>
           </div>
         </div>
+        {!activeSessionId && (
+          <div className="stat-card inside">
+            <div className="stat-icon">🏟️</div>
+            <div className="stat-content">
+              <div className="stat-value">{stats.inside}</div>
+              <div className="stat-label">Inside Now</div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {!activeSessionId && occupancy?.days?.length > 1 && (
+        <div className="attendance-days">
+          {occupancy.days.map((day, index) => (
+            <span key={day.day} className={`attendance-day ${day.day === occupancy.today ? 'today' : ''}`}>
+              Day {index + 1} ({new Date(`${day.day}T00:00:00Z`).toLocaleDateString()}): {day.attendees} attended
+            </span>
+          ))}
+        </div>
+      )}
+
+      {/* Camera Scan Section */}
+      <div className="scanner-section">
+        <div className="section-card">
+          <h2>📷 Camera Scan</h2>
+          <p className="section-description">
+            Point the camera at the QR code from the ticket email. Scanning continues until you stop the camera.
+          </p>
+          <CameraScanner onScan={checkInTicket} />
+        </div>
       </div>
 
       {/* Manual Check-In Section */}
@@ -240,16 +648,16 @@ function QRScanner() {
         <div className="section-card">
           <h2>📱 Manual Check-In</h2>
           <p className="section-description">
-            Enter the ticket ID to check in participants manually
+            Scan a ticket QR with a handheld scanner or enter the ticket ID manually
           </p>
           
           <div className="manual-input-group">
             <input
               type="text"
               className="ticket-input"
-              placeholder="Enter Ticket ID (e.g., EVT-123456)"
+              placeholder="Scan QR or enter Ticket ID (e.g., EVT-123456)"
               value={manualTicketId}
-              onChange={(e) => setManualTicketId(e.target.value.toUpperCase())}
+              onChange={(e) => setManualTicketId(e.target.value)}
               onKeyPress={handleKeyPress}
             />
             <button 
@@ -276,10 +684,10 @@ function QRScanner() {
               {scanHistory.slice(0, 5).map((scan, index) => (
                 <div key={index} className={`history-item ${scan.status}`}>
                   <div className="history-icon">
-                    {scan.status === 'success' ? '✓' : '✗'}
+                    {scan.status === 'success' ? '✓' : scan.status === 'duplicate' ? '↺' : '✗'}
                   </div>
                   <div className="history-details">
-                    <div className="history-name">{scan.participantName}</div>
+                    <div className="history-name">{scan.participantName || scan.message}</div>
                     <div className="history-meta">
                       <span>{scan.ticketId}</span>
                       <span>•</span>
@@ -314,10 +722,10 @@ function QRScanner() {
               </div>
             ) : (
               filteredRegistrations.map(reg => (
-                <div key={reg._id || reg.id} className={`registration-item ${reg.checkedIn ? 'checked-in' : ''}`}>
+                <div key={reg._id || reg.id} className={`registration-item ${isCheckedIn(reg) ? 'checked-in' : ''}`}>
                   <div className="reg-info">
                     <div className="reg-icon">
-                      {reg.checkedIn ? '✓' : '👤'}
+                      {isCheckedIn(reg) ? '✓' : '👤'}
                     </div>
                     <div className="reg-details">
                       <div className="reg-name">{reg.participantName}</div>
@@ -326,9 +734,16 @@ function QRScanner() {
                         <span>•</span>
                         <span>{reg.email}</span>
                       </div>
-                      {reg.checkedIn && reg.checkInTime && (
+                      {isCheckedIn(reg) && getCheckInTime(reg) && (
+                        <div className="reg-checkin-time">
+                          Checked in at {new Date(getCheckInTime(reg)).toLocaleString()}
+                        </div>
+                      )}
+                      {!activeSessionId && getLastMovement(reg) && (
                         <div className="reg-checkin-time">
-                          Checked in at {new Date(reg.checkInTime).toLocaleString()}
+                          {isInside(reg) ? 'Inside since' : 'Left at'}{' '}
+                          {new Date(getLastMovement(reg).scannedAt).toLocaleTimeString()}
+                          {getLastMovement(reg).gate && ` · ${getLastMovement(reg).gate}`}
                         </div>
                       )}
                     </div>
@@ -336,7 +751,23 @@ function QRScanner() {
                   <div className="reg-actions">
                     {reg.status !== 'confirmed' ? (
                       <span className="status-badge pending">{reg.status}</span>
-                    ) : reg.checkedIn ? (
+                    ) : !activeSessionId ? (
+                      isInside(reg) ? (
+                        <button
+                          className="btn btn-sm btn-secondary"
+                          onClick={() => handleBulkCheckIn(reg, 'exit')}
+                        >
+                          Check Out
+                        </button>
+                      ) : (
+                        <button
+                          className="btn btn-sm btn-primary"
+                          onClick={() => handleBulkCheckIn(reg)}
+                        >
+                          {getLastMovement(reg) ? 'Re-admit' : 'Check In'}
+                        </button>
+                      )
+                    ) : isCheckedIn(reg) ? (
                       <span className="status-badge success">Checked In</span>
                     ) : (
                       <button
@@ -240,6 +240,9 @@ const TeamRegistrationForm = ({ event, onSubmit, onCancel }) => {
             Current team size: {teamData.members.length + 1} members 
             (Min: {minTeamSize}, Max: {maxTeamSize})
           </p>
+          <p className="help-text">
+            Still missing teammates? Post on the Teammate Finder on this event&apos;s page to find them.
+          </p>
         </div>
 
         {Array.isArray(event.customFields) && event.customFields.length > 0 && (
@@ -0,0 +1,306 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext.jsx';
+import { useToast } from './Toast.jsx';
+import { teammatesAPI, registrationsAPI } from '../utils/api';
+import { formatDate } from '../utils/helpers';
+import { USER_ROLES } from '../utils/constants';
+import './TeammateBoard.css';
+
+const TYPE_LABELS = {
+  'looking-for-team': 'Looking for team',
+  'looking-for-members': 'Looking for members'
+};
+
+const EMPTY_POST = {
+  type: 'looking-for-team',
+  skills: '',
+  roles: '',
+  message: ''
+};
+
+const formatAuthor = (author) => `${author?.firstName || ''} ${author?.lastName || ''}`.trim() || 'Participant';
+
+// Per-event board where solo participants and teams with open spots find
+// each other. Leaders invite straight into their team from a post.
+function TeammateBoard({ event, canPost = true }) {
+  const { user } = useAuth();
+  const { showSuccess, showError } = useToast();
+  const eventId = event._id || event.id;
+  const userId = user?._id || user?.id;
+  const isParticipant = user?.role === USER_ROLES.PARTICIPANT;
+
+  const [posts, setPosts] = useState([]);
+  const [myTeam, setMyTeam] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [draft, setDraft] = useState(EMPTY_POST);
+  const [saving, setSaving] = useState(false);
+  const [busyPostId, setBusyPostId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const res = await teammatesAPI.getEventPosts(eventId, filter ? { type: filter } : {});
+        if (res.success) {
+          setPosts(res.data || []);
+        }
+      } catch (err) {
+        showError(err.message || 'Failed to load the teammate board');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [eventId, filter, refreshKey, showError]);
+
+  // A leader of a forming team for this event can invite from posts
+  useEffect(() => {
+    if (!isParticipant) return;
+
+    const loadMyTeam = async () => {
+      try {
+        const res = await registrationsAPI.getMyTeams();
+        if (res.success) {
+          const team = (res.data || []).find(item => String(item.event?._id || item.event) === String(eventId)
+            && item.status === 'forming'
+            && String(item.leader?._id || item.leader) === String(userId));
+          setMyTeam(team || null);
+        }
+      } catch {
+        setMyTeam(null);
+      }
+    };
+
+    loadMyTeam();
+  }, [eventId, userId, isParticipant, refreshKey]);
+
+  const myPost = posts.find(post => String(post.author?._id) === String(userId));
+
+  const handleDraftChange = (field, value) => {
+    setDraft(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!draft.skills.trim() && !draft.roles.trim() && !draft.message.trim()) {
+      showError('Add some skills, roles or a message');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const res = await teammatesAPI.createPost({ eventId, ...draft });
+      if (res.success) {
+        showSuccess(res.message || 'Post added');
+        setDraft(EMPTY_POST);
+        setShowForm(false);
+        setRefreshKey(prev => prev + 1);
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to add post');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleClose = async (postId) => {
+    try {
+      setBusyPostId(postId);
+      const res = await teammatesAPI.closePost(postId);
+      if (res.success) {
+        showSuccess(res.message || 'Post closed');
+        setRefreshKey(prev => prev + 1);
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to close post');
+    } finally {
+      setBusyPostId(null);
+    }
+  };
+
+  const handleInvite = async (postId) => {
+    try {
+      setBusyPostId(postId);
+      const res = await teammatesAPI.inviteFromPost(postId);
+      if (res.success) {
+        showSuccess(res.message || 'Invite sent');
+        setRefreshKey(prev => prev + 1);
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to send invite');
+    } finally {
+      setBusyPostId(null);
+    }
+  };
+
+  const myTeamOpenSpots = myTeam
+    ? myTeam.desiredTeamSize - (myTeam.members?.length || 0)
+      - (myTeam.invites || []).filter(invite => invite.status === 'pending').length
+    : 0;
+
+  return (
+    <div className="teammate-board">
+      <div className="teammate-board-header">
+        <div>
+          <h2>Teammate Finder</h2>
+          <p>Find a team to join, or members for the team you are putting together</p>
+        </div>
+        {isParticipant && canPost && !myPost && (
+          <button className="btn btn-primary" onClick={() => setShowForm(prev => !prev)}>
+            {showForm ? 'Cancel' : '+ New Post'}
+          </button>
+        )}
+      </div>
+
+      {showForm && (
+        <form className="teammate-form" onSubmit={handleCreate}>
+          <div className="form-group">
+            <label>I am</label>
+            <select value={draft.type} onChange={(e) => handleDraftChange('type', e.target.value)}>
+              <option value="looking-for-team">Looking for a team</option>
+              <option value="looking-for-members" disabled={!myTeam}>
+                Looking for members{myTeam ? ` for ${myTeam.teamName}` : ' (create a team first)'}
+              </option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>{draft.type === 'looking-for-team' ? 'My skills' : 'Skills wanted'}</label>
+            <input
+              type="text"
+              value={draft.skills}
+              onChange={(e) => handleDraftChange('skills', e.target.value)}
+              placeholder="e.g. React, Figma, ML"
+            />
+          </div>
+          <div className="form-group">
+            <label>{draft.type === 'looking-for-team' ? 'Roles I can take' : 'Roles needed'}</label>
+            <input
+              type="text"
+              value={draft.roles}
+              onChange={(e) => handleDraftChange('roles', e.target.value)}
+              placeholder="e.g. Frontend, Designer"
+            />
+          </div>
+          <div className="form-group teammate-form-wide">
+            <label>Message</label>
+            <textarea
+              rows="3"
+              maxLength={500}
+              value={draft.message}
+              onChange={(e) => handleDraftChange('message', e.target.value)}
+              placeholder="A line about yourself or your team"
+            />
+          </div>
+          <div className="teammate-form-actions">
+            <span className="teammate-muted">Separate skills and roles with commas</span>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Posting...' : 'Post'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="teammate-filters">
+        {[['', 'All'], ['looking-for-team', 'Looking for team'], ['looking-for-members', 'Looking for members']].map(([value, label]) => (
+          <button
+            key={value || 'all'}
+            type="button"
+            className={`teammate-filter ${filter === value ? 'active' : ''}`}
+            onClick={() => setFilter(value)}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {loading && posts.length === 0 ? (
+        <p className="teammate-empty">Loading posts...</p>
+      ) : posts.length === 0 ? (
+        <p className="teammate-empty">No open posts yet</p>
+      ) : (
+        <div className="teammate-posts">
+          {posts.map(post => {
+            const isMine = String(post.author?._id) === String(userId);
+            const alreadyInvited = myTeam && (post.invitedTeams || []).some(teamId => String(teamId) === String(myTeam._id));
+
+            return (
+              <article key={post._id} className="teammate-post">
+                <div className="teammate-post-header">
+                  <div>
+                    <strong>{formatAuthor(post.author)}</strong>
+                    {post.author?.participantType && <span className="teammate-muted"> · {post.author.participantType}</span>}
+                  </div>
+                  <span className={`teammate-type type-${post.type}`}>{TYPE_LABELS[post.type]}</span>
+                </div>
+
+                {post.team && (
+                  <p className="teammate-team">
+                    Team <strong>{post.team.teamName}</strong>: {post.team.memberCount}/{post.team.desiredTeamSize} members,
+                    {' '}{post.team.openSpots} open spot{post.team.openSpots === 1 ? '' : 's'}
+                  </p>
+                )}
+
+                {post.skills?.length > 0 && (
+                  <div className="teammate-tags">
+                    <span className="teammate-muted">{post.type === 'looking-for-team' ? 'Skills' : 'Skills wanted'}</span>
+                    {post.skills.map(skill => <span key={skill} className="teammate-tag">{skill}</span>)}
+                  </div>
+                )}
+                {post.roles?.length > 0 && (
+                  <div className="teammate-tags">
+                    <span className="teammate-muted">{post.type === 'looking-for-team' ? 'Roles' : 'Roles needed'}</span>
+                    {post.roles.map(role => <span key={role} className="teammate-tag role">{role}</span>)}
+                  </div>
+                )}
+                {post.message && <p className="teammate-message">{post.message}</p>}
+
+                <div className="teammate-post-footer">
+                  <span className="teammate-muted">Posted {formatDate(post.createdAt)}</span>
+                  <div className="teammate-post-actions">
+                    {isMine && (
+                      <button
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => handleClose(post._id)}
+                        disabled={busyPostId === post._id}
+                      >
+                        Close Post
+                      </button>
+                    )}
+                    {!isMine && post.type === 'looking-for-team' && myTeam && (
+                      alreadyInvited ? (
+                        <span className="teammate-muted">Invited to {myTeam.teamName}</span>
+                      ) : (
+                        <button
+                          type="button"
+                          className="btn btn-primary"
+                          onClick={() => handleInvite(post._id)}
+                          disabled={busyPostId === post._id || myTeamOpenSpots <= 0}
+                          title={myTeamOpenSpots <= 0 ? 'Your team has no open spots' : undefined}
+                        >
+                          {busyPostId === post._id ? 'Inviting...' : `Invite to ${myTeam.teamName}`}
+                        </button>
+                      )
+                    )}
+                    {!isMine && isParticipant && post.type === 'looking-for-members' && post.team?.inviteCode && (
+                      <span className="teammate-muted">
+                        Code <strong>{post.team.inviteCode}</strong>, join from <Link to="/dashboard/teams">Team Management</Link>
+                      </span>
+                    )}
+                  </div>
+                </div>
+              </article>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default TeammateBoard;
@@ -35,12 +35,13 @@ export function DataProvider({ children }) {
     try {
       const response = await eventsAPI.createEvent(eventData);
       if (response.success) {
-        const newEvent = {
-          ...response.data,
-          id: response.data._id || response.data.id
-        };
-        setEvents(prev => [...prev, newEvent]);
-        return newEvent._id || newEvent.id;
+        // Recurring events come back with every generated occurrence
+        const created = (response.occurrences || [response.data]).map(evt => ({
+          ...evt,
+          id: evt._id || evt.id
+        }));
+        setEvents(prev => [...prev, ...created]);
+        return created[0]._id || created[0].id;
       }
     } catch (err) {
       console.error('Error creating event:', err);
@@ -68,6 +69,20 @@ export function DataProvider({ children }) {
     }
   };
 
+  const cancelEvent = async (id, reason) => {
+    const response = await eventsAPI.cancel(id, reason);
+    if (response.success) {
+      setEvents(prev =>
+        prev.map(event =>
+          (event._id === id || event.id === id)
+            ? { ...event, ...response.data, id: response.data._id || event.id }
+            : event
+        )
+      );
+    }
+    return response;
+  };
+
   const deleteEvent = async (id) => {
     try {
       const response = await eventsAPI.deleteEvent(id);
@@ -117,6 +132,7 @@ export function DataProvider({ children }) {
       loading,
       addEvent,
       updateEvent,
+      cancelEvent,
       deleteEvent,
       getEventById,
       registerForEvent,
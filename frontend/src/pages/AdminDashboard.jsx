@@ -1,7 +1,8 @@
 import { useState, useMemo, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { adminAPI, eventsAPI } from '../utils/api';
+import { adminAPI, eventsAPI, ledgerAPI } from '../utils/api';
 import { formatDate } from '../utils/helpers';
+import FinancePanel from '../components/FinancePanel';
 import './AdminDashboard.css';
 
 const AdminDashboard = () => {
@@ -9,6 +10,9 @@ const AdminDashboard = () => {
   const [systemStats, setSystemStats] = useState(null);
   const [loading, setLoading] = useState(true);
   const [events, setEvents] = useState([]);
+  const [activeTab, setActiveTab] = useState('overview');
+  const [clubBalances, setClubBalances] = useState([]);
+  const [selectedClub, setSelectedClub] = useState('');
 
   useEffect(() => {
     const fetchStats = async () => {
@@ -32,6 +36,29 @@ const AdminDashboard = () => {
     fetchStats();
   }, []);
 
+  // Club balances are only needed once the finance tab is opened
+  useEffect(() => {
+    if (activeTab !== 'finance') return;
+
+    const fetchBalances = async () => {
+      try {
+        const response = await ledgerAPI.getClubBalances();
+        if (response.success) {
+          setClubBalances(response.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching club balances:', err);
+      }
+    };
+
+    fetchBalances();
+  }, [activeTab]);
+
+  const clubEvents = useMemo(() => {
+    if (!selectedClub) return events;
+    return events.filter(event => (event.organizer?._id || event.organizer) === selectedClub);
+  }, [events, selectedClub]);
+
   // Calculate statistics
   const stats = useMemo(() => {
     const now = new Date();
@@ -220,93 +247,164 @@ const AdminDashboard = () => {
         </div>
       </div>
 
-      <div className="dashboard-content">
-        {/* Recent Activities */}
-        <div className="section">
-          <div className="section-header">
-            <h2>Recent Activities</h2>
-          </div>
-          <div className="activities-list">
-            {recentActivities.length > 0 ? (
-              recentActivities.map((activity, index) => (
-                <div key={index} className="activity-item">
-                  <div className={`activity-icon ${activity.type}`}>
-                    {activity.type === 'event' ? '📅' : activity.type === 'user' ? '👤' : '📝'}
-                  </div>
-                  <div className="activity-content">
-                    <p>{activity.message}</p>
-                    <span className="activity-meta">
-                      {formatDate(activity.date)}
-                      {activity.organizer && ` • ${activity.organizer}`}
-                      {activity.status && (
-                        <span className={`status-badge ${activity.status}`}>
-                          {activity.status}
+      {/* Tabs */}
+      <div className="dashboard-tabs">
+        <button
+          className={`tab-button ${activeTab === 'overview' ? 'active' : ''}`}
+          onClick={() => setActiveTab('overview')}
+        >
+          Overview
+        </button>
+        <button
+          className={`tab-button ${activeTab === 'finance' ? 'active' : ''}`}
+          onClick={() => setActiveTab('finance')}
+        >
+          Finance
+        </button>
+      </div>
+
+      {activeTab === 'overview' && (
+        <>
+          <div className="dashboard-content">
+            {/* Recent Activities */}
+            <div className="section">
+              <div className="section-header">
+                <h2>Recent Activities</h2>
+              </div>
+              <div className="activities-list">
+                {recentActivities.length > 0 ? (
+                  recentActivities.map((activity, index) => (
+                    <div key={index} className="activity-item">
+                      <div className={`activity-icon ${activity.type}`}>
+                        {activity.type === 'event' ? '📅' : activity.type === 'user' ? '👤' : '📝'}
+                      </div>
+                      <div className="activity-content">
+                        <p>{activity.message}</p>
+                        <span className="activity-meta">
+                          {formatDate(activity.date)}
+                          {activity.organizer && ` • ${activity.organizer}`}
+                          {activity.status && (
+                            <span className={`status-badge ${activity.status}`}>
+                              {activity.status}
+                            </span>
+                          )}
                         </span>
-                      )}
-                    </span>
+                      </div>
+                    </div>
+                  ))
+                ) : (
+                  <p className="empty-message">No recent activities</p>
+                )}
+              </div>
+            </div>
+
+            {/* Popular Events */}
+            <div className="section">
+              <div className="section-header">
+                <h2>Popular Events</h2>
+                <Link to="/admin/events">View All →</Link>
+              </div>
+              <div className="popular-events">
+                {popularEvents.map(event => (
+                  <div key={event._id || event.id} className="popular-event-card">
+                    <h4>{event.title}</h4>
+                    <div className="event-stats">
+                      <span>{event.registered || event.registrationCount || event.registrations?.length || 0} / {event.capacity || event.maxParticipants || event.participantLimit || 0} registered</span>
+                      <span className="event-date">{formatDate(event.date)}</span>
+                    </div>
+                    <div className="progress-bar">
+                      <div
+                        className="progress-fill"
+                        style={{
+                          width: `${((event.registered || event.registrationCount || event.registrations?.length || 0) / (event.capacity || event.maxParticipants || event.participantLimit || 1)) * 100}%`
+                        }}
+                      />
+                    </div>
                   </div>
-                </div>
-              ))
-            ) : (
-              <p className="empty-message">No recent activities</p>
-            )}
+                ))}
+              </div>
+            </div>
           </div>
-        </div>
 
-        {/* Popular Events */}
-        <div className="section">
-          <div className="section-header">
-            <h2>Popular Events</h2>
-            <Link to="/admin/events">View All →</Link>
+          {/* Quick Actions */}
+          <div className="quick-actions">
+            <h2>Quick Actions</h2>
+            <div className="actions-grid">
+              <Link to="/admin/users" className="action-card">
+                <span className="action-icon">👥</span>
+                <h3>Manage Users</h3>
+                <p>View and manage all users</p>
+              </Link>
+              <Link to="/admin/clubs" className="action-card">
+                <span className="action-icon">🏢</span>
+                <h3>Manage Clubs</h3>
+                <p>Approve and manage organizers</p>
+              </Link>
+              <Link to="/admin/events" className="action-card">
+                <span className="action-icon">📅</span>
+                <h3>Event Approval</h3>
+                <p>Review pending events</p>
+              </Link>
+              <Link to="/admin/reports" className="action-card">
+                <span className="action-icon">📊</span>
+                <h3>View Reports</h3>
+                <p>Analytics and insights</p>
+              </Link>
+            </div>
           </div>
-          <div className="popular-events">
-            {popularEvents.map(event => (
-              <div key={event._id || event.id} className="popular-event-card">
-                <h4>{event.title}</h4>
-                <div className="event-stats">
-                  <span>{event.registered || event.registrationCount || event.registrations?.length || 0} / {event.capacity || event.maxParticipants || event.participantLimit || 0} registered</span>
-                  <span className="event-date">{formatDate(event.date)}</span>
-                </div>
-                <div className="progress-bar">
-                  <div
-                    className="progress-fill"
-                    style={{
-                      width: `${((event.registered || event.registrationCount || event.registrations?.length || 0) / (event.capacity || event.maxParticipants || event.participantLimit || 1)) * 100}%`
-                    }}
-                  />
-                </div>
-              </div>
-            ))}
+        </>
+      )}
+
+      {activeTab === 'finance' && (
+        <div className="finance-tab">
+          <div className="section">
+            <div className="section-header">
+              <h2>Club Balances</h2>
+              {selectedClub && (
+                <button className="btn btn-secondary" onClick={() => setSelectedClub('')}>
+                  Show All Clubs
+                </button>
+              )}
+            </div>
+            {clubBalances.length > 0 ? (
+              <table className="club-balances">
+                <thead>
+                  <tr>
+                    <th>Club</th>
+                    <th>Earned</th>
+                    <th>Refunded &amp; Spent</th>
+                    <th>Adjustments</th>
+                    <th>Balance</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {clubBalances.map(club => (
+                    <tr
+                      key={club.organizer._id}
+                      className={selectedClub === club.organizer._id ? 'selected' : ''}
+                      onClick={() => setSelectedClub(club.organizer._id)}
+                    >
+                      <td>{club.organizer.name}</td>
+                      <td>₹{club.credits.toLocaleString()}</td>
+                      <td>₹{club.debits.toLocaleString()}</td>
+                      <td>₹{club.adjustments.toLocaleString()}</td>
+                      <td className="club-balance">₹{club.net.toLocaleString()}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ) : (
+              <p className="empty-message">No ledger entries yet</p>
+            )}
           </div>
-        </div>
-      </div>
 
-      {/* Quick Actions */}
-      <div className="quick-actions">
-        <h2>Quick Actions</h2>
-        <div className="actions-grid">
-          <Link to="/admin/users" className="action-card">
-            <span className="action-icon">👥</span>
-            <h3>Manage Users</h3>
-            <p>View and manage all users</p>
-          </Link>
-          <Link to="/admin/clubs" className="action-card">
-            <span className="action-icon">🏢</span>
-            <h3>Manage Clubs</h3>
-            <p>Approve and manage organizers</p>
-          </Link>
-          <Link to="/admin/events" className="action-card">
-            <span className="action-icon">📅</span>
-            <h3>Event Approval</h3>
-            <p>Review pending events</p>
-          </Link>
-          <Link to="/admin/reports" className="action-card">
-            <span className="action-icon">📊</span>
-            <h3>View Reports</h3>
-            <p>Analytics and insights</p>
-          </Link>
+          <FinancePanel
+            organizerId={selectedClub || undefined}
+            events={clubEvents}
+            allClubs={!selectedClub}
+          />
         </div>
-      </div>
+      )}
     </div>
   );
 };
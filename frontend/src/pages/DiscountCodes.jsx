@@ -0,0 +1,278 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../components/Toast';
+import { discountsAPI } from '../utils/api';
+import { formatDate } from '../utils/helpers';
+import './DiscountCodes.css';
+
+const EMPTY_FORM = {
+  code: '',
+  description: '',
+  scope: 'event',
+  eventId: '',
+  discountType: 'percentage',
+  value: '',
+  usageLimit: '',
+  perUserLimit: 1,
+  expiresAt: ''
+};
+
+const DiscountCodes = () => {
+  const { user } = useAuth();
+  const { events } = useData();
+  const { showSuccess, showError } = useToast();
+
+  const [codes, setCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const res = await discountsAPI.getAll();
+        if (res.success) {
+          setCodes(res.data || []);
+        } else {
+          showError(res.message || 'Failed to load discount codes');
+        }
+      } catch (err) {
+        console.error('Error fetching discount codes', err);
+        showError('Failed to load discount codes');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [showError, refreshKey]);
+
+  const organizerEvents = useMemo(() => {
+    const organizerId = user?._id || user?.id;
+    if (!organizerId) return [];
+    return events.filter(e => {
+      const orgId = e.organizer?._id || e.organizer || e.organizerId;
+      return orgId === organizerId;
+    });
+  }, [events, user]);
+
+  const stats = useMemo(() => ({
+    active: codes.filter(c => c.isActive && !c.isExpired).length,
+    redemptions: codes.reduce((sum, c) => sum + (c.redemptions || 0), 0),
+    totalDiscount: codes.reduce((sum, c) => sum + (c.totalDiscount || 0), 0)
+  }), [codes]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: name === 'code' ? value.toUpperCase() : value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.code.trim()) {
+      showError('Code is required');
+      return;
+    }
+    if (form.scope === 'event' && !form.eventId) {
+      showError('Select the event this code applies to');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const res = await discountsAPI.create({
+        ...form,
+        code: form.code.trim(),
+        value: Number(form.value),
+        usageLimit: form.usageLimit ? Number(form.usageLimit) : undefined,
+        perUserLimit: Number(form.perUserLimit) || 1,
+        expiresAt: form.expiresAt || undefined
+      });
+      if (res.success) {
+        showSuccess(`Discount code ${res.data.code} created`);
+        setForm(EMPTY_FORM);
+        setRefreshKey(prev => prev + 1);
+      } else {
+        showError(res.message || 'Failed to create discount code');
+      }
+    } catch (err) {
+      showError(err?.message || 'Failed to create discount code');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleToggleActive = async (code) => {
+    try {
+      const res = await discountsAPI.update(code._id, { isActive: !code.isActive });
+      if (res.success) {
+        showSuccess(`Code ${code.isActive ? 'deactivated' : 'activated'}`);
+        setRefreshKey(prev => prev + 1);
+      } else {
+        showError(res.message || 'Failed to update discount code');
+      }
+    } catch (err) {
+      showError(err?.message || 'Failed to update discount code');
+    }
+  };
+
+  const handleDelete = async (code) => {
+    if (!window.confirm(`Delete discount code ${code.code}?`)) return;
+    try {
+      const res = await discountsAPI.delete(code._id);
+      if (res.success) {
+        showSuccess(code.usedCount > 0 ? 'Code has redemptions, so it was deactivated' : 'Discount code deleted');
+        setRefreshKey(prev => prev + 1);
+      } else {
+        showError(res.message || 'Failed to delete discount code');
+      }
+    } catch (err) {
+      showError(err?.message || 'Failed to delete discount code');
+    }
+  };
+
+  return (
+    <div className="discount-codes">
+      <div className="page-header">
+        <h1>Discount Codes</h1>
+        <p>Create promo and sponsor codes for your paid events and merchandise</p>
+      </div>
+
+      <div className="discount-stats">
+        <div className="discount-stat">
+          <h3>{stats.active}</h3>
+          <p>Active Codes</p>
+        </div>
+        <div className="discount-stat">
+          <h3>{stats.redemptions}</h3>
+          <p>Redemptions</p>
+        </div>
+        <div className="discount-stat">
+          <h3>₹{stats.totalDiscount}</h3>
+          <p>Total Discount Given</p>
+        </div>
+      </div>
+
+      <form className="discount-form" onSubmit={handleCreate}>
+        <h2>New Code</h2>
+        <div className="discount-form-grid">
+          <div className="form-group">
+            <label>Code *</label>
+            <input name="code" value={form.code} onChange={handleChange} placeholder="e.g., EARLY20" />
+          </div>
+          <div className="form-group">
+            <label>Applies To</label>
+            <select name="scope" value={form.scope} onChange={handleChange}>
+              <option value="event">A single event</option>
+              <option value="club">All my events</option>
+            </select>
+          </div>
+          {form.scope === 'event' && (
+            <div className="form-group">
+              <label>Event *</label>
+              <select name="eventId" value={form.eventId} onChange={handleChange}>
+                <option value="">Select event</option>
+                {organizerEvents.map(event => (
+                  <option key={event._id || event.id} value={event._id || event.id}>{event.title}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <div className="form-group">
+            <label>Discount Type</label>
+            <select name="discountType" value={form.discountType} onChange={handleChange}>
+              <option value="percentage">Percentage (%)</option>
+              <option value="flat">Flat (₹)</option>
+            </select>
+          </div>
+          <div className="form-group">
+            <label>Value *</label>
+            <input
+              type="number"
+              name="value"
+              min="0"
+              max={form.discountType === 'percentage' ? 100 : undefined}
+              value={form.value}
+              onChange={handleChange}
+            />
+          </div>
+          <div className="form-group">
+            <label>Total Uses</label>
+            <input type="number" name="usageLimit" min="1" value={form.usageLimit} onChange={handleChange} placeholder="Unlimited" />
+          </div>
+          <div className="form-group">
+            <label>Uses Per Participant</label>
+            <input type="number" name="perUserLimit" min="1" value={form.perUserLimit} onChange={handleChange} />
+          </div>
+          <div className="form-group">
+            <label>Expires On</label>
+            <input type="date" name="expiresAt" value={form.expiresAt} onChange={handleChange} />
+          </div>
+          <div className="form-group discount-form-wide">
+            <label>Description</label>
+            <input name="description" value={form.description} onChange={handleChange} placeholder="e.g., Sponsor code for XYZ Corp" />
+          </div>
+        </div>
+        <button type="submit" className="btn btn-primary" disabled={submitting}>
+          {submitting ? 'Creating...' : 'Create Code'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="empty-state"><p>Loading discount codes...</p></div>
+      ) : codes.length === 0 ? (
+        <div className="empty-state"><p>No discount codes yet</p></div>
+      ) : (
+        <table className="discount-table">
+          <thead>
+            <tr>
+              <th>Code</th>
+              <th>Applies To</th>
+              <th>Discount</th>
+              <th>Redemptions</th>
+              <th>Discount Given</th>
+              <th>Expires</th>
+              <th>Status</th>
+              <th>Actions</th>
+            </tr>
+          </thead>
+          <tbody>
+            {codes.map(code => (
+              <tr key={code._id}>
+                <td>
+                  <strong>{code.code}</strong>
+                  {code.description && <div className="discount-description">{code.description}</div>}
+                </td>
+                <td>{code.scope === 'club' ? 'All events' : code.event?.title || 'Event'}</td>
+                <td>{code.discountType === 'percentage' ? `${code.value}%` : `₹${code.value}`}</td>
+                <td>
+                  {code.redemptions}{code.usageLimit ? ` / ${code.usageLimit}` : ''}
+                </td>
+                <td>₹{code.totalDiscount}</td>
+                <td>{code.expiresAt ? formatDate(code.expiresAt) : '—'}</td>
+                <td>
+                  <span className={`status-badge ${code.isActive && !code.isExpired ? 'approved' : 'rejected'}`}>
+                    {code.isExpired ? 'expired' : code.isActive ? 'active' : 'inactive'}
+                  </span>
+                </td>
+                <td className="discount-actions">
+                  <button className="btn-view" onClick={() => handleToggleActive(code)} title={code.isActive ? 'Deactivate' : 'Activate'}>
+                    {code.isActive ? '⏸️' : '▶️'}
+                  </button>
+                  <button className="btn-reject" onClick={() => handleDelete(code)} title="Delete">
+                    🗑️
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default DiscountCodes;
@@ -7,6 +7,14 @@ import { EVENT_TYPES, EVENT_CATEGORIES, EVENT_PARTICIPANT_TYPES } from '../utils
 import { eventsAPI } from '../utils/api';
 import './EventFormBuilder.css';
 
+// datetime-local inputs need local 'YYYY-MM-DDTHH:mm' strings
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  const offsetMs = date.getTimezoneOffset() * 60 * 1000;
+  return new Date(date.getTime() - offsetMs).toISOString().slice(0, 16);
+};
+
 const EventFormBuilder = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -54,6 +62,32 @@ const EventFormBuilder = () => {
     variants: []
   });
 
+  const [ticketTiers, setTicketTiers] = useState([]);
+  const [sessions, setSessions] = useState([]);
+  const [recurrence, setRecurrence] = useState({
+    enabled: false,
+    frequency: 'weekly',
+    interval: 1,
+    endType: 'count',
+    count: 4,
+    until: '',
+    exceptions: []
+  });
+  const [refundPolicy, setRefundPolicy] = useState({
+    mode: 'full',
+    partialPercent: 50,
+    deadline: ''
+  });
+  const [teamFee, setTeamFee] = useState({
+    mode: 'per-member',
+    amount: 0
+  });
+  const [teamChanges, setTeamChanges] = useState({
+    allowed: false,
+    cutoff: ''
+  });
+  const [exceptionInput, setExceptionInput] = useState('');
+  const [applyTo, setApplyTo] = useState('this');
   const [customFields, setCustomFields] = useState([]);
   const [newField, setNewField] = useState({
     label: '',
@@ -108,6 +142,40 @@ const EventFormBuilder = () => {
         tags: existingEvent.tags || []
       });
       setCustomFields(existingEvent.customFields || []);
+      setTicketTiers((existingEvent.ticketTiers || []).map(tier => ({
+        _id: tier._id,
+        name: tier.name || '',
+        description: tier.description || '',
+        price: tier.price || 0,
+        quantity: tier.quantity || 1,
+        saleStart: tier.saleStart?.split('T')[0] || '',
+        saleEnd: tier.saleEnd?.split('T')[0] || '',
+        eligibility: tier.eligibility || 'All'
+      })));
+      setSessions((existingEvent.sessions || []).map(session => ({
+        _id: session._id,
+        title: session.title || '',
+        description: session.description || '',
+        speaker: session.speaker || '',
+        room: session.room || '',
+        track: session.track || '',
+        startTime: toDateTimeInput(session.startTime),
+        endTime: toDateTimeInput(session.endTime),
+        capacity: session.capacity || ''
+      })));
+      setRefundPolicy({
+        mode: existingEvent.refundPolicy?.mode || 'full',
+        partialPercent: existingEvent.refundPolicy?.partialPercent || 50,
+        deadline: existingEvent.refundPolicy?.deadline?.split('T')[0] || ''
+      });
+      setTeamFee({
+        mode: existingEvent.teamFee?.mode || 'per-member',
+        amount: existingEvent.teamFee?.amount || 0
+      });
+      setTeamChanges({
+        allowed: existingEvent.teamChanges?.allowed || false,
+        cutoff: existingEvent.teamChanges?.cutoff?.split('T')[0] || ''
+      });
       if (existingEvent.merchandise) {
         setMerchandiseData({
           itemName: existingEvent.merchandise.itemName || '',
@@ -167,6 +235,58 @@ const EventFormBuilder = () => {
     }));
   };
 
+  const handleTierChange = (index, field, value) => {
+    setTicketTiers(prev => {
+      const next = [...prev];
+      next[index] = { ...next[index], [field]: value };
+      return next;
+    });
+  };
+
+  const handleAddTier = () => {
+    setTicketTiers(prev => [
+      ...prev,
+      { name: '', description: '', price: 0, quantity: 1, saleStart: '', saleEnd: '', eligibility: 'All' }
+    ]);
+  };
+
+  const handleRemoveTier = (index) => {
+    setTicketTiers(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSessionChange = (index, field, value) => {
+    setSessions(prev => {
+      const next = [...prev];
+      next[index] = { ...next[index], [field]: value };
+      return next;
+    });
+  };
+
+  const handleAddSession = () => {
+    setSessions(prev => [
+      ...prev,
+      { title: '', description: '', speaker: '', room: '', track: '', startTime: '', endTime: '', capacity: '' }
+    ]);
+  };
+
+  const handleRemoveSession = (index) => {
+    setSessions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleRecurrenceChange = (field, value) => {
+    setRecurrence(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleAddException = () => {
+    if (!exceptionInput || recurrence.exceptions.includes(exceptionInput)) return;
+    setRecurrence(prev => ({ ...prev, exceptions: [...prev.exceptions, exceptionInput].sort() }));
+    setExceptionInput('');
+  };
+
+  const handleRemoveException = (date) => {
+    setRecurrence(prev => ({ ...prev, exceptions: prev.exceptions.filter(d => d !== date) }));
+  };
+
   const handleAddTag = () => {
     if (tagInput.trim() && !eventData.tags.includes(tagInput.trim())) {
       setEventData(prev => ({
@@ -275,6 +395,16 @@ const EventFormBuilder = () => {
       }
     }
 
+    if (refundPolicy.mode === 'partial') {
+      const percent = Number(refundPolicy.partialPercent);
+      if (!percent || percent < 1 || percent > 99) {
+        newErrors.refundPolicy = 'Partial refund must be between 1% and 99%';
+      }
+    }
+    if (refundPolicy.mode !== 'none' && refundPolicy.deadline && new Date(refundPolicy.deadline) > eventDate) {
+      newErrors.refundPolicy = 'Refund deadline must be on or before the event date';
+    }
+
     if (eventData.type === 'Merchandise') {
       if (!merchandiseData.itemName.trim()) newErrors.merchandiseItemName = 'Item name is required';
       if (Number(merchandiseData.stock) < 1 && (!merchandiseData.variants || merchandiseData.variants.length === 0)) {
@@ -283,11 +413,42 @@ const EventFormBuilder = () => {
       if (Number(merchandiseData.purchaseLimit) < 1) newErrors.merchandisePurchaseLimit = 'Purchase limit must be at least 1';
     }
 
+    if (eventData.type !== 'Merchandise' && ticketTiers.length > 0) {
+      const totalTierQuantity = ticketTiers.reduce((sum, tier) => sum + (Number(tier.quantity) || 0), 0);
+      if (ticketTiers.some(tier => !tier.name.trim() || Number(tier.quantity) < 1)) {
+        newErrors.ticketTiers = 'Every tier needs a name and a quantity of at least 1';
+      } else if (totalTierQuantity > Number(eventData.maxParticipants)) {
+        newErrors.ticketTiers = 'Tier quantities cannot add up to more than the event capacity';
+      }
+    }
+
+    if (eventData.type !== 'Merchandise' && sessions.length > 0) {
+      if (sessions.some(session => !session.title.trim() || !session.startTime || !session.endTime)) {
+        newErrors.sessions = 'Every session needs a title, start time and end time';
+      } else if (sessions.some(session => session.endTime <= session.startTime)) {
+        newErrors.sessions = 'Each session must end after it starts';
+      }
+    }
+
+    if (!isEditMode && recurrence.enabled) {
+      if (recurrence.endType === 'count' && (Number(recurrence.count) < 1 || Number(recurrence.count) > 52)) {
+        newErrors.recurrence = 'Number of occurrences must be between 1 and 52';
+      } else if (recurrence.endType === 'until' && (!recurrence.until || recurrence.until < eventData.date)) {
+        newErrors.recurrence = 'Repeat-until date must be on or after the first event date';
+      }
+    }
+
     if (eventData.allowTeams) {
       if (eventData.minTeamSize < 2) newErrors.minTeamSize = 'Minimum team size must be at least 2';
       if (eventData.maxTeamSize < eventData.minTeamSize) {
         newErrors.maxTeamSize = 'Maximum team size must be greater than minimum';
       }
+      if (Number(teamFee.amount) < 0) {
+        newErrors.teamFee = 'Team fee cannot be negative';
+      }
+      if (teamChanges.allowed && teamChanges.cutoff && new Date(teamChanges.cutoff) > eventDate) {
+        newErrors.teamChanges = 'Team change cutoff must be on or before the event date';
+      }
     }
 
     setErrors(newErrors);
@@ -320,10 +481,44 @@ const EventFormBuilder = () => {
       minTeamSize: Number(eventData.minTeamSize) || 0,
       maxTeamSize: Number(eventData.maxTeamSize) || 0,
       requiresPayment: Boolean(eventData.requiresPayment),
+      refundPolicy: {
+        mode: refundPolicy.mode,
+        partialPercent: Number(refundPolicy.partialPercent) || 50,
+        deadline: refundPolicy.deadline || undefined
+      },
       allowTeams: Boolean(eventData.allowTeams),
+      teamFee: {
+        mode: teamFee.mode,
+        amount: eventData.allowTeams ? Number(teamFee.amount) || 0 : 0
+      },
+      teamChanges: {
+        allowed: Boolean(eventData.allowTeams && teamChanges.allowed),
+        cutoff: teamChanges.cutoff || undefined
+      },
       type: eventData.type || 'Event',
       category: eventData.category || 'Technical',
       customFields,
+      ticketTiers: eventData.type === 'Merchandise' ? [] : ticketTiers.map(tier => ({
+        ...(tier._id && { _id: tier._id }),
+        name: tier.name.trim(),
+        description: tier.description,
+        price: Number(tier.price) || 0,
+        quantity: Number(tier.quantity) || 0,
+        saleStart: tier.saleStart || undefined,
+        saleEnd: tier.saleEnd || undefined,
+        eligibility: tier.eligibility || 'All'
+      })),
+      sessions: eventData.type === 'Merchandise' ? [] : sessions.map(session => ({
+        ...(session._id && { _id: session._id }),
+        title: session.title.trim(),
+        description: session.description,
+        speaker: session.speaker,
+        room: session.room,
+        track: session.track,
+        startTime: new Date(session.startTime).toISOString(),
+        endTime: new Date(session.endTime).toISOString(),
+        capacity: session.capacity ? Number(session.capacity) : undefined
+      })),
       endDate: eventData.endDate,
       eligibility: eventData.eligibility || 'All',
       merchandise: eventData.type === 'Merchandise' ? {
@@ -341,6 +536,16 @@ const EventFormBuilder = () => {
           stock: Number(v.stock) || 0
         }))
       } : undefined,
+      ...(!isEditMode && recurrence.enabled && eventData.type !== 'Merchandise' && {
+        recurrence: {
+          frequency: recurrence.frequency,
+          interval: Number(recurrence.interval) || 1,
+          ...(recurrence.endType === 'count'
+            ? { count: Number(recurrence.count) }
+            : { until: recurrence.until }),
+          exceptions: recurrence.exceptions
+        }
+      }),
       createdAt: existingEvent?.createdAt || new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
@@ -357,7 +562,7 @@ const EventFormBuilder = () => {
             }
           : eventPayload;
 
-        await updateEvent(id, payloadToUpdate);
+        await updateEvent(id, existingEvent?.series ? { ...payloadToUpdate, applyTo } : payloadToUpdate);
         if (publishNow) {
           await eventsAPI.publish(id);
         }
@@ -575,6 +780,105 @@ const EventFormBuilder = () => {
             </div>
           </div>
 
+          {!isEditMode && eventData.type !== 'Merchandise' && (
+            <div className="recurrence-settings">
+              <div className="form-group checkbox-group">
+                <label>
+                  <input
+                    type="checkbox"
+                    checked={recurrence.enabled}
+                    onChange={(e) => handleRecurrenceChange('enabled', e.target.checked)}
+                  />
+                  Repeat this event
+                </label>
+              </div>
+
+              {recurrence.enabled && (
+                <>
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Repeats</label>
+                      <select
+                        value={recurrence.frequency}
+                        onChange={(e) => handleRecurrenceChange('frequency', e.target.value)}
+                      >
+                        <option value="daily">Daily</option>
+                        <option value="weekly">Weekly</option>
+                        <option value="monthly">Monthly</option>
+                      </select>
+                    </div>
+                    <div className="form-group">
+                      <label>Every</label>
+                      <input
+                        type="number"
+                        min="1"
+                        value={recurrence.interval}
+                        onChange={(e) => handleRecurrenceChange('interval', e.target.value)}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="form-row">
+                    <div className="form-group">
+                      <label>Ends</label>
+                      <select
+                        value={recurrence.endType}
+                        onChange={(e) => handleRecurrenceChange('endType', e.target.value)}
+                      >
+                        <option value="count">After a number of occurrences</option>
+                        <option value="until">On a date</option>
+                      </select>
+                    </div>
+                    {recurrence.endType === 'count' ? (
+                      <div className="form-group">
+                        <label>Occurrences</label>
+                        <input
+                          type="number"
+                          min="1"
+                          max="52"
+                          value={recurrence.count}
+                          onChange={(e) => handleRecurrenceChange('count', e.target.value)}
+                        />
+                      </div>
+                    ) : (
+                      <div className="form-group">
+                        <label>Repeat Until</label>
+                        <input
+                          type="date"
+                          value={recurrence.until}
+                          onChange={(e) => handleRecurrenceChange('until', e.target.value)}
+                        />
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="form-group">
+                    <label>Skip Dates</label>
+                    <div className="tag-input-group">
+                      <input
+                        type="date"
+                        value={exceptionInput}
+                        onChange={(e) => setExceptionInput(e.target.value)}
+                      />
+                      <button type="button" onClick={handleAddException} className="btn-secondary">
+                        Add Date
+                      </button>
+                    </div>
+                    <div className="tags-list">
+                      {recurrence.exceptions.map(date => (
+                        <span key={date} className="tag">
+                          {date}
+                          <button type="button" onClick={() => handleRemoveException(date)}>×</button>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+                  {errors.recurrence && <span className="error-message">{errors.recurrence}</span>}
+                </>
+              )}
+            </div>
+          )}
+
           <div className="form-row">
             <div className="form-group">
               <label htmlFor="location">Location *</label>
@@ -720,6 +1024,76 @@ const EventFormBuilder = () => {
               </div>
             </div>
           )}
+
+          {eventData.allowTeams && (
+            <>
+              <div className="form-row">
+                <div className="form-group">
+                  <label htmlFor="teamFeeAmount">Team Entry Fee (₹)</label>
+                  <input
+                    type="number"
+                    id="teamFeeAmount"
+                    value={teamFee.amount}
+                    onChange={(e) => setTeamFee(prev => ({ ...prev, amount: e.target.value }))}
+                    min="0"
+                    className={errors.teamFee ? 'error' : ''}
+                  />
+                  {errors.teamFee && <span className="error-message">{errors.teamFee}</span>}
+                </div>
+
+                {Number(teamFee.amount) > 0 && (
+                  <div className="form-group">
+                    <label htmlFor="teamFeeMode">Charged</label>
+                    <select
+                      id="teamFeeMode"
+                      value={teamFee.mode}
+                      onChange={(e) => setTeamFee(prev => ({ ...prev, mode: e.target.value }))}
+                    >
+                      <option value="per-member">Per member</option>
+                      <option value="per-team">Per team</option>
+                    </select>
+                  </div>
+                )}
+              </div>
+              {Number(teamFee.amount) > 0 && (
+                <p className="section-description">
+                  Full teams stay pending until the fee is paid; leaders choose to pay for everyone or split it between members.
+                </p>
+              )}
+
+              <div className="form-row">
+                <div className="form-group checkbox-group">
+                  <label>
+                    <input
+                      type="checkbox"
+                      checked={teamChanges.allowed}
+                      onChange={(e) => setTeamChanges(prev => ({ ...prev, allowed: e.target.checked }))}
+                    />
+                    Allow roster changes after a team is complete
+                  </label>
+                </div>
+
+                {teamChanges.allowed && (
+                  <div className="form-group">
+                    <label htmlFor="teamChangeCutoff">Team Change Cutoff</label>
+                    <input
+                      type="date"
+                      id="teamChangeCutoff"
+                      value={teamChanges.cutoff}
+                      onChange={(e) => setTeamChanges(prev => ({ ...prev, cutoff: e.target.value }))}
+                    />
+                  </div>
+                )}
+              </div>
+              {teamChanges.allowed && (
+                <p className="section-description">
+                  Team leaders can ask to swap a member or hand over leadership; you approve each change.
+                  Leave the cutoff empty to allow changes until the event starts.
+                </p>
+              )}
+              {errors.teamChanges && <span className="error-message">{errors.teamChanges}</span>}
+            </>
+          )}
         </section>
 
         {eventData.type === 'Merchandise' && (
@@ -855,6 +1229,196 @@ const EventFormBuilder = () => {
           </section>
         )}
 
+        {/* Agenda */}
+        {eventData.type !== 'Merchandise' && (
+          <section className="form-section">
+            <div className="variants-header">
+              <h2>Agenda</h2>
+              <button type="button" className="btn-secondary" onClick={handleAddSession}>
+                + Add Session
+              </button>
+            </div>
+            <p className="section-description">
+              Optional. Break the event into talks or tracks. Participants pick sessions when registering; leave capacity empty for open sessions.
+            </p>
+
+            {sessions.map((session, index) => (
+              <div key={session._id || index} className="session-editor">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Session Title *</label>
+                    <input
+                      type="text"
+                      value={session.title}
+                      onChange={(e) => handleSessionChange(index, 'title', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Speaker</label>
+                    <input
+                      type="text"
+                      value={session.speaker}
+                      onChange={(e) => handleSessionChange(index, 'speaker', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Starts *</label>
+                    <input
+                      type="datetime-local"
+                      value={session.startTime}
+                      onChange={(e) => handleSessionChange(index, 'startTime', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Ends *</label>
+                    <input
+                      type="datetime-local"
+                      value={session.endTime}
+                      onChange={(e) => handleSessionChange(index, 'endTime', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Room</label>
+                    <input
+                      type="text"
+                      value={session.room}
+                      onChange={(e) => handleSessionChange(index, 'room', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Track</label>
+                    <input
+                      type="text"
+                      value={session.track}
+                      onChange={(e) => handleSessionChange(index, 'track', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Capacity</label>
+                    <input
+                      type="number"
+                      min="1"
+                      placeholder="Open"
+                      value={session.capacity}
+                      onChange={(e) => handleSessionChange(index, 'capacity', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Description</label>
+                    <input
+                      type="text"
+                      value={session.description}
+                      onChange={(e) => handleSessionChange(index, 'description', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <button type="button" className="btn-danger-small" onClick={() => handleRemoveSession(index)}>
+                  Remove Session
+                </button>
+              </div>
+            ))}
+            {errors.sessions && <span className="error-message">{errors.sessions}</span>}
+          </section>
+        )}
+
+        {/* Ticket Tiers */}
+        {eventData.type !== 'Merchandise' && (
+          <section className="form-section">
+            <div className="variants-header">
+              <h2>Ticket Tiers</h2>
+              <button type="button" className="btn-secondary" onClick={handleAddTier}>
+                + Add Tier
+              </button>
+            </div>
+            <p className="section-description">
+              Optional. When tiers are defined, participants pick one and its price replaces the registration fee.
+            </p>
+
+            {ticketTiers.map((tier, index) => (
+              <div key={tier._id || index} className="ticket-tier-editor">
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Tier Name *</label>
+                    <input
+                      type="text"
+                      placeholder="e.g., Early Bird"
+                      value={tier.name}
+                      onChange={(e) => handleTierChange(index, 'name', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Eligibility</label>
+                    <select
+                      value={tier.eligibility}
+                      onChange={(e) => handleTierChange(index, 'eligibility', e.target.value)}
+                    >
+                      <option value="All">Everyone</option>
+                      <option value="IIIT">IIIT only</option>
+                      <option value="Non-IIIT">External only</option>
+                    </select>
+                  </div>
+                </div>
+                <div className="form-group">
+                  <label>Description</label>
+                  <input
+                    type="text"
+                    value={tier.description}
+                    onChange={(e) => handleTierChange(index, 'description', e.target.value)}
+                  />
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Price (₹)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={tier.price}
+                      onChange={(e) => handleTierChange(index, 'price', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Quantity *</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={tier.quantity}
+                      onChange={(e) => handleTierChange(index, 'quantity', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="form-row">
+                  <div className="form-group">
+                    <label>Sale Starts</label>
+                    <input
+                      type="date"
+                      value={tier.saleStart}
+                      onChange={(e) => handleTierChange(index, 'saleStart', e.target.value)}
+                    />
+                  </div>
+                  <div className="form-group">
+                    <label>Sale Ends</label>
+                    <input
+                      type="date"
+                      value={tier.saleEnd}
+                      onChange={(e) => handleTierChange(index, 'saleEnd', e.target.value)}
+                    />
+                  </div>
+                </div>
+                <button type="button" className="btn-danger-small" onClick={() => handleRemoveTier(index)}>
+                  Remove Tier
+                </button>
+              </div>
+            ))}
+            {errors.ticketTiers && <span className="error-message">{errors.ticketTiers}</span>}
+          </section>
+        )}
+
         {/* Payment Settings */}
         <section className="form-section">
           <h2>Payment Settings</h2>
@@ -885,6 +1449,52 @@ const EventFormBuilder = () => {
               />
             </div>
           )}
+
+          <div className="form-row">
+            <div className="form-group">
+              <label htmlFor="refundMode">Refund Policy</label>
+              <select
+                id="refundMode"
+                value={refundPolicy.mode}
+                onChange={(e) => setRefundPolicy(prev => ({ ...prev, mode: e.target.value }))}
+              >
+                <option value="full">Full refund</option>
+                <option value="partial">Partial refund</option>
+                <option value="none">No refunds</option>
+              </select>
+            </div>
+
+            {refundPolicy.mode === 'partial' && (
+              <div className="form-group">
+                <label htmlFor="refundPercent">Refund Percentage (%)</label>
+                <input
+                  type="number"
+                  id="refundPercent"
+                  value={refundPolicy.partialPercent}
+                  onChange={(e) => setRefundPolicy(prev => ({ ...prev, partialPercent: e.target.value }))}
+                  min="1"
+                  max="99"
+                />
+              </div>
+            )}
+
+            {refundPolicy.mode !== 'none' && (
+              <div className="form-group">
+                <label htmlFor="refundDeadline">Refund Deadline</label>
+                <input
+                  type="date"
+                  id="refundDeadline"
+                  value={refundPolicy.deadline}
+                  onChange={(e) => setRefundPolicy(prev => ({ ...prev, deadline: e.target.value }))}
+                />
+              </div>
+            )}
+          </div>
+          <p className="section-description">
+            Applies when participants cancel a paid registration; leave the deadline empty to allow refunds until the event starts.
+            Cancelling the event always refunds participants in full.
+          </p>
+          {errors.refundPolicy && <span className="error-message">{errors.refundPolicy}</span>}
         </section>
 
         {/* Tags */}
@@ -1052,6 +1662,37 @@ const EventFormBuilder = () => {
         </section>
 
         {/* Submit Buttons */}
+        {isEditMode && existingEvent?.series && (
+          <section className="form-section">
+            <h2>Series</h2>
+            <p className="section-description">
+              This event is occurrence #{existingEvent.seriesIndex} of a recurring series. Dates are never copied to other occurrences.
+            </p>
+            <div className="radio-group">
+              <label>
+                <input
+                  type="radio"
+                  name="applyTo"
+                  value="this"
+                  checked={applyTo === 'this'}
+                  onChange={(e) => setApplyTo(e.target.value)}
+                />
+                Apply changes to this occurrence only
+              </label>
+              <label>
+                <input
+                  type="radio"
+                  name="applyTo"
+                  value="future"
+                  checked={applyTo === 'future'}
+                  onChange={(e) => setApplyTo(e.target.value)}
+                />
+                Apply changes to this and all future occurrences
+              </label>
+            </div>
+          </section>
+        )}
+
         <div className="form-actions">
           <button type="button" onClick={() => navigate(-1)} className="btn-secondary">
             Cancel
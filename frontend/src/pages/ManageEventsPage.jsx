@@ -10,7 +10,7 @@ import './ManageEventsPage.css';
 
 const ManageEventsPage = () => {
   const { user } = useAuth();
-  const { events, deleteEvent, updateEvent } = useData();
+  const { events, deleteEvent, updateEvent, cancelEvent } = useData();
   const { showSuccess, showError } = useToast();
 
   const [filterStatus, setFilterStatus] = useState('all');
@@ -20,6 +20,9 @@ const ManageEventsPage = () => {
   const [registrations, setRegistrations] = useState([]);
   const [loading, setLoading] = useState(true);
   const [publishingIds, setPublishingIds] = useState([]);
+  const [eventToCancel, setEventToCancel] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [cancelling, setCancelling] = useState(false);
 
   useEffect(() => {
     const load = async () => {
@@ -126,6 +129,26 @@ const ManageEventsPage = () => {
     }
   };
 
+  const handleConfirmCancelEvent = async () => {
+    if (!eventToCancel) return;
+
+    try {
+      setCancelling(true);
+      const response = await cancelEvent(eventToCancel._id || eventToCancel.id, cancelReason.trim());
+      if (!response.success) {
+        showError(response.message || 'Failed to cancel event');
+        return;
+      }
+      showSuccess(response.message || `Event "${eventToCancel.title}" cancelled`);
+      setEventToCancel(null);
+      setCancelReason('');
+    } catch (error) {
+      showError(error.message || 'Failed to cancel event');
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   const handleCancelDelete = () => {
     setShowDeleteModal(false);
     setEventToDelete(null);
@@ -155,8 +178,8 @@ const ManageEventsPage = () => {
               {formatDate(event.date)} • {event.location}
             </p>
           </div>
-          <span className={`status-badge ${status}`}>
-            {status}
+          <span className={`status-badge ${event.cancelledAt ? 'cancelled' : status}`}>
+            {event.cancelledAt ? 'cancelled' : status}
           </span>
         </div>
 
@@ -205,6 +228,14 @@ const ManageEventsPage = () => {
               {publishingIds.includes(eventId) ? 'Publishing...' : 'Publish Draft'}
             </button>
           )}
+          {!event.cancelledAt && reviewStatus !== 'draft' && status !== EVENT_STATUS.PAST && (
+            <button
+              onClick={() => setEventToCancel(event)}
+              className="btn-outline"
+            >
+              Cancel Event
+            </button>
+          )}
           <button
             onClick={() => handleDeleteClick(event)}
             className="btn-danger-small"
@@ -291,6 +322,35 @@ const ManageEventsPage = () => {
         )}
       </div>
 
+      {/* Cancel Event Modal */}
+      {eventToCancel && (
+        <div className="modal-overlay" onClick={() => setEventToCancel(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <h2>Cancel Event</h2>
+            <p>
+              Cancel "<strong>{eventToCancel.title}</strong>"? Every registration will be cancelled and
+              paid participants will be queued for a full refund.
+            </p>
+            <textarea
+              className="cancel-reason-input"
+              rows={3}
+              maxLength={500}
+              placeholder="Reason (optional, included in refund emails)"
+              value={cancelReason}
+              onChange={(e) => setCancelReason(e.target.value)}
+            />
+            <div className="modal-actions">
+              <button onClick={() => setEventToCancel(null)} className="btn-secondary">
+                Keep Event
+              </button>
+              <button onClick={handleConfirmCancelEvent} className="btn-danger" disabled={cancelling}>
+                {cancelling ? 'Cancelling...' : 'Cancel Event'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Delete Confirmation Modal */}
       {showDeleteModal && (
         <div className="modal-overlay" onClick={handleCancelDelete}>
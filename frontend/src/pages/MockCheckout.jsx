@@ -0,0 +1,102 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams, Link } from 'react-router-dom';
+import { useToast } from '../components/Toast';
+import { paymentsAPI } from '../utils/api';
+import { formatDate } from '../utils/helpers';
+import './MockCheckout.css';
+
+// Stand-in for a hosted gateway checkout page, used when PAYMENT_PROVIDER=mock
+const MockCheckout = () => {
+  const { orderId } = useParams();
+  const navigate = useNavigate();
+  const { showSuccess, showError } = useToast();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const res = await paymentsAPI.getMockOrder(orderId);
+        if (res.success) {
+          setOrder(res.data);
+        }
+      } catch (err) {
+        setError(err.message || 'Payment order not found');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [orderId]);
+
+  const handleComplete = async (outcome) => {
+    try {
+      setSubmitting(true);
+      const res = await paymentsAPI.completeMockOrder(orderId, outcome);
+      if (res.data?.paymentStatus === 'paid') {
+        showSuccess(res.message || 'Payment successful');
+      } else {
+        showError(res.message || 'Payment failed');
+      }
+      navigate('/dashboard');
+    } catch (err) {
+      showError(err.message || 'Payment could not be completed');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="mock-checkout"><p>Loading checkout...</p></div>;
+  }
+
+  if (error || !order) {
+    return (
+      <div className="mock-checkout">
+        <p>{error || 'Payment order not found'}</p>
+        <Link to="/dashboard" className="btn btn-primary">Back to Dashboard</Link>
+      </div>
+    );
+  }
+
+  const alreadyPaid = order.paymentStatus === 'paid';
+
+  return (
+    <div className="mock-checkout">
+      <div className="mock-checkout-card">
+        <div className="mock-checkout-banner">Test gateway - no real money is charged</div>
+        <h1>₹{order.amount}</h1>
+        <p className="mock-checkout-event">{order.event?.title}</p>
+        {order.event?.date && <p className="mock-checkout-meta">{formatDate(order.event.date)}</p>}
+        <p className="mock-checkout-meta">
+          {order.participantName} • {order.ticketId}
+        </p>
+        <p className="mock-checkout-meta">Order {order.orderId}</p>
+
+        {alreadyPaid ? (
+          <div className="mock-checkout-actions">
+            <p>This order has already been paid.</p>
+            <Link to="/dashboard" className="btn btn-primary">Back to Dashboard</Link>
+          </div>
+        ) : (
+          <div className="mock-checkout-actions">
+            <button className="btn btn-primary" onClick={() => handleComplete('success')} disabled={submitting}>
+              {submitting ? 'Processing...' : `Pay ₹${order.amount}`}
+            </button>
+            <button className="btn btn-secondary" onClick={() => handleComplete('failure')} disabled={submitting}>
+              Simulate Failure
+            </button>
+            <Link to="/dashboard" className="mock-checkout-cancel">Cancel and return</Link>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MockCheckout;
@@ -5,6 +5,7 @@ import { useData } from '../context/DataContext';
 import { formatDate, getEventStatus } from '../utils/helpers';
 import { EVENT_STATUS } from '../utils/constants';
 import { registrationsAPI } from '../utils/api';
+import FinancePanel from '../components/FinancePanel';
 import './OrganizerDashboard.css';
 
 const OrganizerDashboard = () => {
@@ -263,6 +264,12 @@ const OrganizerDashboard = () => {
         >
           Recent Registrations
         </button>
+        <button
+          className={`tab-button ${activeTab === 'finance' ? 'active' : ''}`}
+          onClick={() => setActiveTab('finance')}
+        >
+          Finance
+        </button>
       </div>
 
       {/* Tab Content */}
@@ -342,6 +349,10 @@ const OrganizerDashboard = () => {
             )}
           </div>
         )}
+
+        {activeTab === 'finance' && (
+          <FinancePanel events={myEvents} />
+        )}
       </div>
     </div>
   );
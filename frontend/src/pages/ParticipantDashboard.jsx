@@ -2,12 +2,27 @@ import { useState, useMemo, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useData } from '../context/DataContext';
-import { registrationsAPI } from '../utils/api';
-import { formatDateShort, formatTime, getDaysUntilEvent, getOrganizerName } from '../utils/helpers';
+import { registrationsAPI, certificatesAPI, refundsAPI, paymentsAPI } from '../utils/api';
+import {
+  formatDateShort,
+  formatTime,
+  getDaysUntilEvent,
+  getOrganizerName,
+  downloadBlob,
+  getRefundPolicyLabel
+} from '../utils/helpers';
 import { REGISTRATION_STATUS, EVENT_TYPES } from '../utils/constants';
 import { useToast } from '../components/Toast.jsx';
 import './ParticipantDashboard.css';
 
+// "1 h 5 min" / "12 min" / "under a minute"
+const formatHoldRemaining = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'under a minute';
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+};
+
 function ParticipantDashboard() {
   const { user } = useAuth();
   const { events } = useData();
@@ -17,6 +32,16 @@ function ParticipantDashboard() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [uploadingId, setUploadingId] = useState(null);
+  const [certificates, setCertificates] = useState([]);
+  const [downloadingId, setDownloadingId] = useState(null);
+  const [refunds, setRefunds] = useState([]);
+  const [cancellingId, setCancellingId] = useState(null);
+  const [paymentGateway, setPaymentGateway] = useState(null);
+  const [payingId, setPayingId] = useState(null);
+  const [upiPayments, setUpiPayments] = useState({});
+  const [loadingUpiId, setLoadingUpiId] = useState(null);
+  const [proofTransactionIds, setProofTransactionIds] = useState({});
+  const [now, setNow] = useState(() => Date.now());
 
   useEffect(() => {
     const fetchRegistrations = async () => {
@@ -39,6 +64,111 @@ function ParticipantDashboard() {
     }
   }, [user]);
 
+  // Keep payment hold countdowns current while any reservation is held
+  const hasHolds = registrations.some(registration => registration.holdExpiresAt);
+  useEffect(() => {
+    if (!hasHolds) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [hasHolds]);
+
+  useEffect(() => {
+    const fetchCertificates = async () => {
+      try {
+        const response = await certificatesAPI.getMine();
+        if (response.success) {
+          setCertificates(response.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching certificates:', err);
+      }
+    };
+
+    if (user?.role === 'Participant') {
+      fetchCertificates();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    const fetchRefunds = async () => {
+      try {
+        const response = await refundsAPI.getMine();
+        if (response.success) {
+          setRefunds(response.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching refunds:', err);
+      }
+    };
+
+    if (user?.role === 'Participant') {
+      fetchRefunds();
+    }
+  }, [user]);
+
+  useEffect(() => {
+    const fetchPaymentProviders = async () => {
+      try {
+        const response = await paymentsAPI.getProviders();
+        if (response.success) {
+          setPaymentGateway(response.data?.gateway || null);
+        }
+      } catch (err) {
+        console.error('Error fetching payment providers:', err);
+      }
+    };
+
+    if (user?.role === 'Participant') {
+      fetchPaymentProviders();
+    }
+  }, [user]);
+
+  const refundsByRegistration = useMemo(() => {
+    const map = new Map();
+    refunds.forEach(refund => map.set(refund.registration?.toString(), refund));
+    return map;
+  }, [refunds]);
+
+  const handleCancelRegistration = async (registration) => {
+    const registrationId = registration._id || registration.id;
+    const refundNote = registration.paymentStatus === 'paid'
+      ? `\n\nRefund policy: ${getRefundPolicyLabel(registration.event)}.`
+      : '';
+    if (!window.confirm(`Cancel your registration for "${registration.event.title}"?${refundNote}`)) {
+      return;
+    }
+
+    try {
+      setCancellingId(registrationId);
+      const res = await registrationsAPI.cancelRegistration(registrationId);
+      if (res.success) {
+        setRegistrations(prev => prev.map(r => (
+          (r._id || r.id) === registrationId ? { ...r, status: res.data.status } : r
+        )));
+        if (res.refund) {
+          setRefunds(prev => [res.refund, ...prev]);
+        }
+        showSuccess(res.message || 'Registration cancelled');
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to cancel registration');
+    } finally {
+      setCancellingId(null);
+    }
+  };
+
+  const handleDownloadCertificate = async (certificate) => {
+    try {
+      setDownloadingId(certificate.registrationId);
+      const { blob, fileName } = await certificatesAPI.download(certificate.registrationId);
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      showError(err.message || 'Failed to download certificate');
+    } finally {
+      setDownloadingId(null);
+    }
+  };
+
   const userRegistrations = useMemo(() => {
     return registrations;
   }, [registrations]);
@@ -48,6 +178,7 @@ function ParticipantDashboard() {
       REGISTRATION_STATUS.CONFIRMED,
       REGISTRATION_STATUS.PENDING,
       REGISTRATION_STATUS.APPROVED,
+      REGISTRATION_STATUS.WAITLISTED,
     ];
     return userRegistrations
       .filter(reg => {
@@ -97,9 +228,15 @@ function ParticipantDashboard() {
   const handleUploadProof = async (registrationId, file) => {
     try {
       setUploadingId(registrationId);
-      const res = await registrationsAPI.uploadPaymentProof(registrationId, file);
+      const transactionId = (proofTransactionIds[registrationId] || '').trim();
+      const res = await registrationsAPI.uploadPaymentProof(registrationId, file, transactionId);
       if (res.success) {
-        setRegistrations(prev => prev.map(r => (r._id === registrationId || r.id === registrationId ? res.data : r)));
+        setRegistrations(prev => prev.map(r => (
+          // The cleared hold is absent from the response, so drop it explicitly
+          (r._id || r.id) === registrationId
+            ? { ...r, ...res.data, holdExpiresAt: res.data.holdExpiresAt, event: r.event }
+            : r
+        )));
         showSuccess('Payment proof uploaded');
       }
     } catch (err) {
@@ -109,11 +246,63 @@ function ParticipantDashboard() {
     }
   };
 
+  const handlePayOnline = async (registrationId) => {
+    try {
+      setPayingId(registrationId);
+      const res = await paymentsAPI.checkout(registrationId);
+      if (res.success && res.data?.checkoutUrl) {
+        window.location.assign(res.data.checkoutUrl);
+        return;
+      }
+      showError(res.message || 'Online payment is not available');
+    } catch (err) {
+      showError(err.message || 'Failed to start payment');
+    }
+    setPayingId(null);
+  };
+
+  const handleToggleUpi = async (registrationId) => {
+    if (upiPayments[registrationId]) {
+      setUpiPayments(prev => {
+        const next = { ...prev };
+        delete next[registrationId];
+        return next;
+      });
+      return;
+    }
+
+    try {
+      setLoadingUpiId(registrationId);
+      const res = await paymentsAPI.getUpi(registrationId);
+      if (res.success) {
+        setUpiPayments(prev => ({ ...prev, [registrationId]: res.data }));
+      }
+    } catch (err) {
+      showError(err.message || 'UPI payment is not available for this event');
+    } finally {
+      setLoadingUpiId(null);
+    }
+  };
+
   const renderEventCard = (registration) => {
     const { event } = registration;
     if (!event) return null;
     
     const daysUntil = getDaysUntilEvent(event.date);
+    const isWaitlisted = registration.status === REGISTRATION_STATUS.WAITLISTED;
+    const registrationId = registration._id || registration.id;
+    const refund = refundsByRegistration.get(registrationId);
+    const canCancel = daysUntil >= 0
+      && !event.cancelledAt
+      && [REGISTRATION_STATUS.PENDING, REGISTRATION_STATUS.APPROVED, REGISTRATION_STATUS.CONFIRMED, REGISTRATION_STATUS.WAITLISTED]
+        .includes((registration.status || '').toLowerCase());
+    const paymentDue = (registration.paymentAmount || 0) > 0
+      && ['pending', 'failed'].includes(registration.paymentStatus)
+      && registration.status === REGISTRATION_STATUS.PENDING
+      && !event.cancelledAt;
+    const awaitingScreening = registration.screeningStatus === 'pending' && registration.status !== REGISTRATION_STATUS.REJECTED;
+    const holdRemaining = registration.holdExpiresAt ? new Date(registration.holdExpiresAt).getTime() - now : null;
+    const holdExpired = Boolean(registration.holdExpiredAt) && registration.status === REGISTRATION_STATUS.REJECTED;
 
     return (
       <div key={registration._id || registration.id} className="dashboard-event-card">
@@ -137,8 +326,11 @@ function ParticipantDashboard() {
               {event.type === EVENT_TYPES.MERCHANDISE && (
                 <span className="badge badge-merchandise">Merchandise</span>
               )}
+              {awaitingScreening && (
+                <span className="badge badge-screening">Awaiting Approval</span>
+              )}
               <span className={`badge badge-${registration.status.toLowerCase()}`}>
-                {registration.status}
+                {isWaitlisted ? `waitlist #${registration.waitlistPosition}` : registration.status}
               </span>
             </div>
           </div>
@@ -155,17 +347,100 @@ function ParticipantDashboard() {
             )}
           </div>
           <div className="event-ticket-info">
-            <Link to={`/ticket/${registration._id || registration.id}`} className="ticket-id">
-              Ticket: {registration.ticketId}
-            </Link>
+            {isWaitlisted ? (
+              <span className="waitlist-position">
+                ⏳ You are #{registration.waitlistPosition} on the waitlist. We will email you if a seat opens up.
+              </span>
+            ) : (
+              <Link to={`/ticket/${registration._id || registration.id}`} className="ticket-id">
+                Ticket: {registration.ticketId}
+              </Link>
+            )}
             <Link to={`/event/${event._id || event.id}`} className="view-details-link">
               View Details →
             </Link>
           </div>
-          {event.type === EVENT_TYPES.MERCHANDISE && registration.paymentStatus === 'pending' && (
+          {registration.screeningStatus === 'rejected' && registration.screeningReason && (
+            <p className="screening-note">Not approved: {registration.screeningReason}</p>
+          )}
+          {holdExpired && (
+            <p className="screening-note">
+              Reservation released: no payment proof arrived before the hold expired.
+            </p>
+          )}
+          {event.cancelledAt && (
+            <p className="screening-note">
+              Event cancelled by the organizers{event.cancellationReason ? `: ${event.cancellationReason}` : ''}
+            </p>
+          )}
+          {refund && (
+            <p className={`refund-note refund-${refund.status}`}>
+              💸 Refund ₹{refund.amount}: {refund.status}
+              {refund.reference && ` (ref ${refund.reference})`}
+              {refund.status === 'rejected' && refund.note && ` - ${refund.note}`}
+            </p>
+          )}
+          {canCancel && (
+            <button
+              className="cancel-registration-btn"
+              onClick={() => handleCancelRegistration(registration)}
+              disabled={cancellingId === registrationId}
+            >
+              {cancellingId === registrationId ? 'Cancelling...' : 'Cancel Registration'}
+            </button>
+          )}
+          {paymentDue && (
             <div className="payment-proof">
+              {registration.paymentStatus === 'failed' && (
+                <p className="payment-failed-note">Your last payment attempt failed. Please try again.</p>
+              )}
+              {holdRemaining !== null && (
+                <p className={`payment-hold-note ${holdRemaining < 5 * 60000 ? 'urgent' : ''}`}>
+                  {holdRemaining > 0
+                    ? `⏳ ${event.type === EVENT_TYPES.MERCHANDISE ? 'Your order is' : 'Your seat is'} held for ${formatHoldRemaining(holdRemaining)}. Pay and upload proof before then or it will be released.`
+                    : '⏳ The hold on this reservation has run out and it is about to be released.'}
+                </p>
+              )}
+              {registration.paymentScreenshot && registration.paymentApprovalStatus === 'pending' && (
+                <p className="payment-pending-note">Payment proof submitted, awaiting organizer approval.</p>
+              )}
+              {paymentGateway && (
+                <button
+                  className="pay-online-btn"
+                  onClick={() => handlePayOnline(registrationId)}
+                  disabled={payingId === registrationId}
+                >
+                  {payingId === registrationId ? 'Redirecting...' : `Pay ₹${registration.paymentAmount} online`}
+                </button>
+              )}
+              <button
+                className="pay-upi-btn"
+                onClick={() => handleToggleUpi(registrationId)}
+                disabled={loadingUpiId === registrationId}
+              >
+                {upiPayments[registrationId] ? 'Hide UPI QR' : 'Pay via UPI'}
+              </button>
+              {upiPayments[registrationId] && (
+                <div className="upi-payment">
+                  <img src={upiPayments[registrationId].qr} alt="UPI payment QR code" />
+                  <div className="upi-payment-details">
+                    <p>Pay <strong>₹{upiPayments[registrationId].amount}</strong> to {upiPayments[registrationId].payeeName}</p>
+                    <p>UPI ID: <strong>{upiPayments[registrationId].vpa}</strong></p>
+                    <p>Reference: <strong>{upiPayments[registrationId].reference}</strong></p>
+                    <p className="upi-payment-hint">Keep the reference in the payment note, then upload the screenshot below.</p>
+                    <a href={upiPayments[registrationId].uri} className="upi-app-link">Open UPI app</a>
+                  </div>
+                </div>
+              )}
+              <input
+                type="text"
+                className="proof-transaction-input"
+                placeholder="UPI transaction ID (optional)"
+                value={proofTransactionIds[registrationId] ?? registration.transactionId ?? ''}
+                onChange={(e) => setProofTransactionIds(prev => ({ ...prev, [registrationId]: e.target.value }))}
+              />
               <label className="upload-label">
-                Upload payment proof
+                {paymentGateway ? 'Or upload payment proof' : 'Upload payment proof'}
                 <input
                   type="file"
                   accept="image/*"
@@ -272,6 +547,12 @@ function ParticipantDashboard() {
           >
             Cancelled/Rejected ({categorizedRegistrations.cancelled.length})
           </button>
+          <button
+            className={`tab ${activeTab === 'certificates' ? 'active' : ''}`}
+            onClick={() => setActiveTab('certificates')}
+          >
+            Certificates ({certificates.length})
+          </button>
         </div>
 
         <div className="tab-content">
@@ -311,6 +592,34 @@ function ParticipantDashboard() {
               )}
             </div>
           )}
+          {activeTab === 'certificates' && (
+            <div className="certificate-list">
+              {certificates.length === 0 ? (
+                <p className="empty-message">Certificates appear here after you check in at events that offer them</p>
+              ) : (
+                certificates.map(certificate => (
+                  <div key={certificate._id} className="certificate-item">
+                    <div>
+                      <h3>{certificate.eventTitle}</h3>
+                      <p className="certificate-meta">
+                        {formatDateShort(certificate.eventDate)} • Code: {certificate.code}
+                      </p>
+                      <Link to={`/certificates/verify/${certificate.code}`} className="certificate-verify-link">
+                        Verification page
+                      </Link>
+                    </div>
+                    <button
+                      className="btn btn-primary btn-sm"
+                      onClick={() => handleDownloadCertificate(certificate)}
+                      disabled={downloadingId === certificate.registrationId}
+                    >
+                      {downloadingId === certificate.registrationId ? 'Preparing...' : '📄 Download PDF'}
+                    </button>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
         </div>
       </div>
     </div>
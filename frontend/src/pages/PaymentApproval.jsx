@@ -1,4 +1,5 @@
 import { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
 import { useData } from '../context/DataContext';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../components/Toast';
@@ -6,6 +7,22 @@ import { registrationsAPI } from '../utils/api';
 import { formatDate } from '../utils/helpers';
 import './PaymentApproval.css';
 
+// Compare references ignoring case, spaces and punctuation added by bank apps
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// UPI transaction IDs (UTRs) are 12 digits
+const extractUtr = (text) => String(text || '').match(/\b\d{12}\b/)?.[0] || '';
+
+// Payments whose UPI reference appears in the given text (or starts with it)
+const findReferenceMatches = (payments, text) => {
+  const normalized = normalizeReference(text);
+  if (normalized.length < 6) return [];
+  return payments.filter(p => {
+    const reference = normalizeReference(p.paymentReference);
+    return reference && (normalized.includes(reference) || reference.startsWith(normalized));
+  });
+};
+
 const PaymentApproval = () => {
   const { user } = useAuth();
   const { events } = useData();
@@ -18,6 +35,8 @@ const PaymentApproval = () => {
   const [showDetailModal, setShowDetailModal] = useState(false);
   const [registrations, setRegistrations] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [matchText, setMatchText] = useState('');
+  const [transactionInput, setTransactionInput] = useState('');
 
   const getApprovalStatus = (registration) => {
     if (registration.paymentApprovalStatus) {
@@ -112,13 +131,29 @@ const PaymentApproval = () => {
       filtered = filtered.filter(p =>
         (p.participantName?.toLowerCase() || '').includes(search) ||
         (p.email?.toLowerCase() || '').includes(search) ||
-        (p.transactionId?.toLowerCase() || '').includes(search)
+        (p.transactionId?.toLowerCase() || '').includes(search) ||
+        (p.paymentReference?.toLowerCase() || '').includes(search)
       );
     }
 
     return filtered;
   }, [paymentRegistrations, selectedEventFilter, filterStatus, searchTerm]);
 
+  const pendingPayments = useMemo(
+    () => paymentRegistrations.filter(p => getApprovalStatus(p) === 'pending'),
+    [paymentRegistrations]
+  );
+
+  const suggestedMatches = useMemo(
+    () => findReferenceMatches(pendingPayments, matchText),
+    [pendingPayments, matchText]
+  );
+
+  const modalMatches = useMemo(
+    () => findReferenceMatches(pendingPayments, transactionInput),
+    [pendingPayments, transactionInput]
+  );
+
   // Calculate stats
   const stats = useMemo(() => {
     const total = paymentRegistrations.length;
@@ -132,16 +167,19 @@ const PaymentApproval = () => {
     return { total, pending, approved, rejected, totalRevenue };
   }, [paymentRegistrations]);
 
-  const handleApprove = async (paymentId, paymentAmount) => {
+  const handleApprove = async (paymentId, paymentAmount, transactionId) => {
     try {
       const res = await registrationsAPI.updatePayment(paymentId, {
         paymentStatus: 'paid',
         paymentApprovalStatus: 'approved',
-        amountPaid: paymentAmount
+        amountPaid: paymentAmount,
+        ...(transactionId && { transactionId })
       });
       if (res.success) {
         const updated = res.data;
-        setRegistrations(prev => prev.map(r => (r._id === paymentId || r.id === paymentId ? updated : r)));
+        setRegistrations(prev => prev.map(r => (
+          r._id === paymentId || r.id === paymentId ? { ...updated, proofMatches: r.proofMatches } : r
+        )));
         showSuccess('Payment approved successfully');
       }
     } catch (err) {
@@ -160,7 +198,9 @@ const PaymentApproval = () => {
       });
       if (res.success) {
         const updated = res.data;
-        setRegistrations(prev => prev.map(r => (r._id === paymentId || r.id === paymentId ? updated : r)));
+        setRegistrations(prev => prev.map(r => (
+          r._id === paymentId || r.id === paymentId ? { ...updated, proofMatches: r.proofMatches } : r
+        )));
         showSuccess('Payment rejected');
       }
     } catch (err) {
@@ -171,8 +211,9 @@ const PaymentApproval = () => {
     }
   };
 
-  const handleViewDetails = (payment) => {
+  const handleViewDetails = (payment, transactionId = payment.transactionId || '') => {
     setSelectedPayment(payment);
+    setTransactionInput(transactionId);
     setShowDetailModal(true);
   };
 
@@ -181,6 +222,8 @@ const PaymentApproval = () => {
       <div className="page-header">
         <h1>Payment Approvals</h1>
         <p>Verify and approve participant payments</p>
+        <Link to="/organizer/payments/reconcile" className="refund-queue-link">Reconcile Statement →</Link>
+        <Link to="/organizer/refunds" className="refund-queue-link">Refund Queue →</Link>
       </div>
 
       {/* Statistics */}
@@ -203,12 +246,46 @@ const PaymentApproval = () => {
         </div>
       </div>
 
+      {/* Reference matching */}
+      <div className="reference-match">
+        <label htmlFor="reference-match-input">Match a UPI payment</label>
+        <input
+          id="reference-match-input"
+          type="text"
+          placeholder="Paste the transaction ID or note from your UPI/bank app..."
+          value={matchText}
+          onChange={(e) => setMatchText(e.target.value)}
+        />
+        {matchText.trim() && (
+          suggestedMatches.length === 0 ? (
+            <p className="reference-match-empty">No pending payment has this reference</p>
+          ) : (
+            <ul className="reference-match-list">
+              {suggestedMatches.map(payment => (
+                <li key={payment._id || payment.id}>
+                  <span>
+                    <strong>{payment.participantName}</strong> • {payment.event?.title} • ₹{payment.paymentAmount || 0}
+                    <span className="reference-code">{payment.paymentReference}</span>
+                  </span>
+                  <button
+                    className="btn-view"
+                    onClick={() => handleViewDetails(payment, extractUtr(matchText) || matchText.trim())}
+                  >
+                    Review
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )
+        )}
+      </div>
+
       {/* Filters */}
       <div className="filters-section">
         <div className="search-box">
           <input
             type="text"
-            placeholder="Search by name, email, or transaction ID..."
+            placeholder="Search by name, email, transaction ID or reference..."
             value={searchTerm}
             onChange={(e) => setSearchTerm(e.target.value)}
           />
@@ -271,14 +348,32 @@ const PaymentApproval = () => {
                   <span className="label">Registered:</span>
                   <span className="value">{formatDate(payment.registeredAt || payment.createdAt)}</span>
                 </div>
+                {(payment.paymentMethod || payment.paymentProvider) && (
+                  <div className="detail-row">
+                    <span className="label">Paid Via:</span>
+                    <span className="value">{payment.paymentMethod || payment.paymentProvider}</span>
+                  </div>
+                )}
                 {payment.transactionId && (
                   <div className="detail-row">
                     <span className="label">Transaction ID:</span>
                     <span className="value transaction-id">{payment.transactionId}</span>
                   </div>
                 )}
+                {payment.paymentReference && (
+                  <div className="detail-row">
+                    <span className="label">Reference:</span>
+                    <span className="value transaction-id">{payment.paymentReference}</span>
+                  </div>
+                )}
               </div>
 
+              {payment.proofMatches?.length > 0 && (
+                <div className="proof-duplicate-warning">
+                  ⚠ Proof {payment.proofMatches.some(match => match.matchType === 'exact') ? 'reused' : 'looks like one'} on {payment.proofMatches.length} other registration{payment.proofMatches.length === 1 ? '' : 's'}
+                </div>
+              )}
+
               {payment.paymentScreenshot && (
                 <div className="payment-screenshot">
                   <img src={getPaymentProofUrl(payment.paymentScreenshot)} alt="Payment proof" />
@@ -358,7 +453,48 @@ const PaymentApproval = () => {
                     </span>
                   </span>
                 </div>
-                {selectedPayment.transactionId && (
+                {(selectedPayment.paymentMethod || selectedPayment.paymentProvider) && (
+                  <div className="detail-row">
+                    <span className="label">Paid Via:</span>
+                    <span className="value">{selectedPayment.paymentMethod || selectedPayment.paymentProvider}</span>
+                  </div>
+                )}
+                {selectedPayment.paymentReference && (
+                  <div className="detail-row">
+                    <span className="label">Reference:</span>
+                    <span className="value transaction-id">{selectedPayment.paymentReference}</span>
+                  </div>
+                )}
+                {getApprovalStatus(selectedPayment) === 'pending' ? (
+                  <div className="transaction-input">
+                    <label htmlFor="transaction-id-input">Transaction ID:</label>
+                    <input
+                      id="transaction-id-input"
+                      type="text"
+                      placeholder="UTR or UPI note"
+                      value={transactionInput}
+                      onChange={(e) => setTransactionInput(e.target.value)}
+                    />
+                    {modalMatches.length > 0 && (
+                      modalMatches.some(p => (p._id || p.id) === (selectedPayment._id || selectedPayment.id)) ? (
+                        <p className="reference-match-ok">✓ Reference matches this registration</p>
+                      ) : (
+                        <div className="reference-match-warning">
+                          <p>This reference belongs to another registration:</p>
+                          {modalMatches.map(payment => (
+                            <button
+                              key={payment._id || payment.id}
+                              className="btn-view"
+                              onClick={() => handleViewDetails(payment, transactionInput)}
+                            >
+                              {payment.participantName} ({payment.paymentReference})
+                            </button>
+                          ))}
+                        </div>
+                      )
+                    )}
+                  </div>
+                ) : selectedPayment.transactionId && (
                   <div className="detail-row">
                     <span className="label">Transaction ID:</span>
                     <span className="value transaction-id">{selectedPayment.transactionId}</span>
@@ -370,6 +506,32 @@ const PaymentApproval = () => {
                 </div>
               </div>
 
+              {selectedPayment.proofMatches?.length > 0 && (
+                <div className="detail-section proof-duplicates">
+                  <h3>⚠ Possible Duplicate Proof</h3>
+                  <p>This screenshot also appears on:</p>
+                  {selectedPayment.proofMatches.map(match => (
+                    <div key={match.registration._id} className="proof-duplicate">
+                      <div>
+                        <strong>{match.registration.participantName}</strong> ({match.registration.email})
+                        <div className="proof-duplicate-meta">
+                          {match.registration.event?.title || 'Deleted event'} • {match.registration.ticketId}
+                        </div>
+                        <div className="proof-duplicate-meta">
+                          {match.matchType === 'exact' ? 'Identical file' : `Visually similar (${match.distance}/64 bits differ)`}
+                          {' • '}payment {match.registration.paymentApprovalStatus || match.registration.paymentStatus}
+                        </div>
+                      </div>
+                      {match.registration.paymentScreenshot && (
+                        <a href={getPaymentProofUrl(match.registration.paymentScreenshot)} target="_blank" rel="noreferrer">
+                          <img src={getPaymentProofUrl(match.registration.paymentScreenshot)} alt="Matching payment proof" />
+                        </a>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+
               {selectedPayment.paymentScreenshot && (
                 <div className="detail-section">
                   <h3>Payment Proof</h3>
@@ -392,7 +554,11 @@ const PaymentApproval = () => {
                 <>
                   <button
                     className="btn-approve-modal"
-                    onClick={() => handleApprove(selectedPayment._id || selectedPayment.id, selectedPayment.paymentAmount || selectedPayment.amountPaid || selectedPayment.event?.paymentAmount)}
+                    onClick={() => handleApprove(
+                      selectedPayment._id || selectedPayment.id,
+                      selectedPayment.paymentAmount || selectedPayment.amountPaid || selectedPayment.event?.paymentAmount,
+                      extractUtr(transactionInput) || transactionInput.trim()
+                    )}
                   >
                     Approve Payment
                   </button>
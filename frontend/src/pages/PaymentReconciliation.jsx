@@ -0,0 +1,322 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../components/Toast';
+import { paymentsAPI } from '../utils/api';
+import { exportToCSV } from '../utils/helpers';
+import './PaymentReconciliation.css';
+
+const STATUS_LABELS = {
+  matched: 'Matched',
+  proposed: 'Proposed',
+  ambiguous: 'Ambiguous',
+  mismatch: 'Amount mismatch',
+  duplicate: 'Duplicate',
+  unmatched: 'Unmatched',
+  ignored: 'Ignored'
+};
+
+const MATCHED_BY_LABELS = {
+  reference: 'UPI reference',
+  transaction: 'Transaction ID',
+  amount: 'Amount only'
+};
+
+const PaymentReconciliation = () => {
+  const { user } = useAuth();
+  const { events } = useData();
+  const { showSuccess, showError } = useToast();
+
+  const [eventId, setEventId] = useState('');
+  const [file, setFile] = useState(null);
+  const [report, setReport] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [approving, setApproving] = useState(false);
+  const [selections, setSelections] = useState({});
+  const [results, setResults] = useState({});
+  const [hideIgnored, setHideIgnored] = useState(true);
+
+  const paymentEvents = useMemo(() => {
+    const organizerId = user?._id || user?.id;
+    if (!organizerId) return [];
+    return events.filter(e => {
+      const orgId = e.organizer?._id || e.organizer || e.organizerId;
+      return orgId === organizerId && (e.requiresPayment || (e.registrationFee || 0) > 0 || e.type === 'Merchandise');
+    });
+  }, [events, user]);
+
+  const visibleRows = useMemo(() => {
+    if (!report) return [];
+    return hideIgnored ? report.rows.filter(row => row.status !== 'ignored') : report.rows;
+  }, [report, hideIgnored]);
+
+  const selectedMatches = useMemo(() => {
+    if (!report) return [];
+    return report.rows
+      .filter(row => selections[row.row])
+      .map(row => ({
+        registrationId: selections[row.row],
+        transactionId: row.transactionId,
+        amount: row.amount
+      }));
+  }, [report, selections]);
+
+  const handlePreview = async (e) => {
+    e.preventDefault();
+    if (!eventId) {
+      showError('Choose the event this statement is for');
+      return;
+    }
+    if (!file) {
+      showError('Choose a CSV statement to upload');
+      return;
+    }
+
+    try {
+      setUploading(true);
+      const res = await paymentsAPI.previewReconciliation(eventId, file);
+      if (res.success) {
+        setReport(res.data);
+        setResults({});
+        // Only confident matches start ticked; amount-only guesses need a look
+        const initial = {};
+        res.data.rows
+          .filter(row => row.status === 'matched')
+          .forEach(row => { initial[row.row] = row.registration.id; });
+        setSelections(initial);
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to read the statement');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const toggleRow = (row, registrationId) => {
+    setSelections(prev => {
+      const next = { ...prev };
+      if (registrationId) {
+        next[row.row] = registrationId;
+      } else {
+        delete next[row.row];
+      }
+      return next;
+    });
+  };
+
+  const handleApprove = async () => {
+    if (selectedMatches.length === 0) {
+      showError('Select at least one match to approve');
+      return;
+    }
+    if (!window.confirm(`Approve ${selectedMatches.length} payment(s)? Participants will be emailed their tickets.`)) {
+      return;
+    }
+
+    try {
+      setApproving(true);
+      const res = await paymentsAPI.confirmReconciliation(eventId, selectedMatches);
+      if (res.success) {
+        const byRegistration = {};
+        res.data.results.forEach(result => { byRegistration[result.registrationId] = result; });
+        setResults(prev => ({ ...prev, ...byRegistration }));
+        setSelections({});
+        if (res.data.skipped > 0) {
+          showError(res.message);
+        } else {
+          showSuccess(res.message);
+        }
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to approve payments');
+    } finally {
+      setApproving(false);
+    }
+  };
+
+  const handleExport = () => {
+    if (!report) return;
+    exportToCSV(report.rows.map(row => {
+      const result = row.registration ? results[row.registration.id] : null;
+      return {
+        Row: row.row,
+        Date: row.date,
+        Description: row.description,
+        Amount: row.amount,
+        'Transaction ID': row.transactionId,
+        Status: STATUS_LABELS[row.status] || row.status,
+        'Matched By': MATCHED_BY_LABELS[row.matchedBy] || '',
+        Participant: row.registration?.participantName || '',
+        'Ticket ID': row.registration?.ticketId || '',
+        Reference: row.registration?.paymentReference || '',
+        Issues: row.issues.join('; '),
+        Outcome: result ? (result.approved ? 'Approved' : `Skipped: ${result.message}`) : ''
+      };
+    }), `reconciliation_${report.event?.title || 'event'}`);
+  };
+
+  const renderMatch = (row) => {
+    const result = row.registration ? results[row.registration.id] : null;
+    if (result) {
+      return (
+        <span className={`reconcile-outcome ${result.approved ? 'approved' : 'skipped'}`}>
+          {result.approved ? '✓ Approved' : `Skipped: ${result.message}`}
+        </span>
+      );
+    }
+
+    if (row.status === 'ambiguous') {
+      return (
+        <select
+          value={selections[row.row] || ''}
+          onChange={(e) => toggleRow(row, e.target.value)}
+        >
+          <option value="">Choose a participant...</option>
+          {row.candidates.map(candidate => (
+            <option key={candidate.id} value={candidate.id}>
+              {candidate.participantName} ({candidate.ticketId})
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (!row.registration) return null;
+
+    const selectable = ['matched', 'proposed'].includes(row.status);
+    return (
+      <label className="reconcile-match">
+        {selectable && (
+          <input
+            type="checkbox"
+            checked={selections[row.row] === row.registration.id}
+            onChange={(e) => toggleRow(row, e.target.checked ? row.registration.id : null)}
+          />
+        )}
+        <span>
+          <strong>{row.registration.participantName}</strong>
+          <span className="reconcile-muted">{row.registration.ticketId}</span>
+        </span>
+      </label>
+    );
+  };
+
+  return (
+    <div className="payment-reconciliation">
+      <div className="reconcile-header">
+        <div>
+          <h1>Statement Reconciliation</h1>
+          <p>Upload a bank or UPI statement to match credits against payments due</p>
+        </div>
+        <Link to="/organizer/payments" className="btn btn-secondary">← Payment Approvals</Link>
+      </div>
+
+      <form className="reconcile-upload" onSubmit={handlePreview}>
+        <select value={eventId} onChange={(e) => { setEventId(e.target.value); setReport(null); }}>
+          <option value="">Select event</option>
+          {paymentEvents.map(event => (
+            <option key={event._id || event.id} value={event._id || event.id}>{event.title}</option>
+          ))}
+        </select>
+        <input
+          type="file"
+          accept=".csv,text/csv"
+          onChange={(e) => setFile(e.target.files?.[0] || null)}
+        />
+        <button type="submit" className="btn btn-primary" disabled={uploading}>
+          {uploading ? 'Matching...' : 'Match Statement'}
+        </button>
+      </form>
+
+      {report && (
+        <>
+          <div className="reconcile-stats">
+            <div className="reconcile-stat matched">
+              <h3>{report.summary.matched}</h3>
+              <p>Matched</p>
+            </div>
+            <div className="reconcile-stat proposed">
+              <h3>{report.summary.proposed + report.summary.ambiguous}</h3>
+              <p>Need Review</p>
+            </div>
+            <div className="reconcile-stat flagged">
+              <h3>{report.summary.duplicates + report.summary.mismatched}</h3>
+              <p>Duplicates / Mismatches</p>
+            </div>
+            <div className="reconcile-stat unmatched">
+              <h3>{report.summary.unmatched}</h3>
+              <p>Unmatched Credits</p>
+            </div>
+            <div className="reconcile-stat outstanding">
+              <h3>{report.summary.outstanding}</h3>
+              <p>Payments Still Due</p>
+            </div>
+          </div>
+
+          <div className="reconcile-toolbar">
+            <label>
+              <input
+                type="checkbox"
+                checked={hideIgnored}
+                onChange={(e) => setHideIgnored(e.target.checked)}
+              />
+              Hide debits ({report.summary.ignored})
+            </label>
+            <div className="reconcile-toolbar-actions">
+              <button className="btn btn-secondary" onClick={handleExport}>Export Report</button>
+              <button
+                className="btn btn-primary"
+                onClick={handleApprove}
+                disabled={approving || selectedMatches.length === 0}
+              >
+                {approving ? 'Approving...' : `Approve Selected (${selectedMatches.length})`}
+              </button>
+            </div>
+          </div>
+
+          <div className="reconcile-table-wrapper">
+            <table className="reconcile-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Date</th>
+                  <th>Description</th>
+                  <th>Amount</th>
+                  <th>Transaction ID</th>
+                  <th>Status</th>
+                  <th>Registration</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleRows.map(row => (
+                  <tr key={row.row}>
+                    <td>{row.row}</td>
+                    <td>{row.date}</td>
+                    <td className="reconcile-description">{row.description}</td>
+                    <td className="reconcile-amount">₹{row.amount}</td>
+                    <td className="reconcile-muted">{row.transactionId || '—'}</td>
+                    <td>
+                      <span className={`reconcile-status status-${row.status}`}>
+                        {STATUS_LABELS[row.status] || row.status}
+                      </span>
+                      {row.matchedBy && (
+                        <div className="reconcile-muted">by {MATCHED_BY_LABELS[row.matchedBy]}</div>
+                      )}
+                      {row.issues.map(issue => (
+                        <div key={issue} className="reconcile-issue">{issue}</div>
+                      ))}
+                    </td>
+                    <td>{renderMatch(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PaymentReconciliation;
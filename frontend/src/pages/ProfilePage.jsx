@@ -25,6 +25,7 @@ function ProfilePage() {
     organizerDescription: '',
     organizerContactEmail: '',
     organizerContactNumber: '',
+    organizerUpiVpa: '',
   });
 
   const [isEditing, setIsEditing] = useState(false);
@@ -54,6 +55,7 @@ function ProfilePage() {
         organizerDescription: user.organizerProfile?.description || '',
         organizerContactEmail: user.organizerProfile?.contactEmail || '',
         organizerContactNumber: user.organizerProfile?.contactNumber || '',
+        organizerUpiVpa: user.organizerProfile?.upiVpa || '',
       });
     }
   }, [user]);
@@ -167,6 +169,7 @@ function ProfilePage() {
         description: formData.organizerDescription,
         contactEmail: formData.organizerContactEmail,
         contactNumber: formData.organizerContactNumber,
+        upiVpa: formData.organizerUpiVpa.trim(),
       } : undefined,
     });
 
@@ -264,6 +267,7 @@ function ProfilePage() {
                 organizerDescription: user.organizerProfile?.description || '',
                 organizerContactEmail: user.organizerProfile?.contactEmail || '',
                 organizerContactNumber: user.organizerProfile?.contactNumber || '',
+                organizerUpiVpa: user.organizerProfile?.upiVpa || '',
               });
             }}>
               Cancel
@@ -412,6 +416,18 @@ function ProfilePage() {
                   placeholder="Enter contact number"
                 />
               </div>
+              <div className="form-group">
+                <label>UPI ID</label>
+                <input
+                  type="text"
+                  name="organizerUpiVpa"
+                  value={formData.organizerUpiVpa}
+                  onChange={handleChange}
+                  disabled={!isEditing}
+                  placeholder="club@okaxis"
+                />
+                <p className="section-description">Participants see a UPI QR for this ID with the exact amount and their payment reference.</p>
+              </div>
             </div>
           </div>
         )}
@@ -0,0 +1,273 @@
+import { useEffect, useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useToast } from '../components/Toast';
+import { refundsAPI } from '../utils/api';
+import { formatDate } from '../utils/helpers';
+import './RefundQueue.css';
+
+const REASON_LABELS = {
+  'registration-cancelled': 'Participant cancelled',
+  'event-cancelled': 'Event cancelled',
+  'late-payment': 'Paid after cancellation'
+};
+
+const RefundQueue = () => {
+  const { showSuccess, showError } = useToast();
+
+  const [refunds, setRefunds] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filterStatus, setFilterStatus] = useState('pending');
+  const [selectedEventFilter, setSelectedEventFilter] = useState('all');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [processing, setProcessing] = useState(null);
+  const [form, setForm] = useState({ status: 'issued', reference: '', note: '' });
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        setLoading(true);
+        const res = await refundsAPI.getOrganizerRefunds();
+        if (res.success) {
+          setRefunds(res.data || []);
+        }
+      } catch (err) {
+        showError(err.message || 'Failed to load refunds');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    load();
+  }, [showError]);
+
+  const refundEvents = useMemo(() => {
+    const byId = new Map();
+    refunds.forEach(refund => {
+      if (refund.event?._id) byId.set(refund.event._id, refund.event);
+    });
+    return [...byId.values()];
+  }, [refunds]);
+
+  const filteredRefunds = useMemo(() => {
+    let filtered = refunds;
+
+    if (selectedEventFilter !== 'all') {
+      filtered = filtered.filter(refund => refund.event?._id === selectedEventFilter);
+    }
+
+    if (filterStatus !== 'all') {
+      filtered = filtered.filter(refund => refund.status === filterStatus);
+    }
+
+    if (searchTerm.trim()) {
+      const search = searchTerm.toLowerCase();
+      filtered = filtered.filter(refund =>
+        (refund.participantName?.toLowerCase() || '').includes(search) ||
+        (refund.email?.toLowerCase() || '').includes(search) ||
+        (refund.registration?.ticketId?.toLowerCase() || '').includes(search)
+      );
+    }
+
+    return filtered;
+  }, [refunds, selectedEventFilter, filterStatus, searchTerm]);
+
+  const stats = useMemo(() => {
+    const pending = refunds.filter(refund => refund.status === 'pending');
+    const issued = refunds.filter(refund => refund.status === 'issued');
+    return {
+      pending: pending.length,
+      pendingAmount: pending.reduce((sum, refund) => sum + (refund.amount || 0), 0),
+      issued: issued.length,
+      issuedAmount: issued.reduce((sum, refund) => sum + (refund.amount || 0), 0),
+      rejected: refunds.filter(refund => refund.status === 'rejected').length
+    };
+  }, [refunds]);
+
+  const openProcess = (refund, status) => {
+    setProcessing(refund);
+    setForm({ status, reference: '', note: '' });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.status === 'issued' && !form.reference.trim()) {
+      showError('Enter the refund transaction reference');
+      return;
+    }
+    if (form.status === 'rejected' && !form.note.trim()) {
+      showError('Explain why the refund is rejected');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const res = await refundsAPI.process(processing._id, form);
+      if (res.success) {
+        setRefunds(prev => prev.map(refund => (
+          refund._id === processing._id ? { ...refund, ...res.data, event: refund.event, registration: refund.registration } : refund
+        )));
+        showSuccess(res.message);
+        setProcessing(null);
+      }
+    } catch (err) {
+      showError(err.message || 'Failed to update refund');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="refund-queue">
+      <div className="refund-queue-header">
+        <div>
+          <h1>Refund Queue</h1>
+          <p>Issue refunds for cancelled paid registrations</p>
+        </div>
+        <Link to="/organizer/payments" className="btn btn-secondary">← Payment Approvals</Link>
+      </div>
+
+      <div className="refund-stats">
+        <div className="refund-stat pending">
+          <h3>{stats.pending}</h3>
+          <p>Pending (₹{stats.pendingAmount.toLocaleString()})</p>
+        </div>
+        <div className="refund-stat issued">
+          <h3>{stats.issued}</h3>
+          <p>Issued (₹{stats.issuedAmount.toLocaleString()})</p>
+        </div>
+        <div className="refund-stat rejected">
+          <h3>{stats.rejected}</h3>
+          <p>Rejected</p>
+        </div>
+      </div>
+
+      <div className="refund-filters">
+        <input
+          type="text"
+          placeholder="Search by name, email, or ticket ID..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+        <select value={selectedEventFilter} onChange={(e) => setSelectedEventFilter(e.target.value)}>
+          <option value="all">All Events</option>
+          {refundEvents.map(event => (
+            <option key={event._id} value={event._id}>{event.title}</option>
+          ))}
+        </select>
+        <select value={filterStatus} onChange={(e) => setFilterStatus(e.target.value)}>
+          <option value="all">All Status</option>
+          <option value="pending">Pending</option>
+          <option value="issued">Issued</option>
+          <option value="rejected">Rejected</option>
+        </select>
+      </div>
+
+      {loading ? (
+        <div className="empty-state"><p>Loading refunds...</p></div>
+      ) : filteredRefunds.length === 0 ? (
+        <div className="empty-state"><p>No refunds found</p></div>
+      ) : (
+        <div className="refund-table-wrapper">
+          <table className="refund-table">
+            <thead>
+              <tr>
+                <th>Participant</th>
+                <th>Event</th>
+                <th>Reason</th>
+                <th>Paid</th>
+                <th>Refund</th>
+                <th>Requested</th>
+                <th>Status</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredRefunds.map(refund => (
+                <tr key={refund._id}>
+                  <td>
+                    <strong>{refund.participantName}</strong>
+                    <div className="refund-muted">{refund.email}</div>
+                    {refund.registration?.ticketId && (
+                      <div className="refund-muted">{refund.registration.ticketId}</div>
+                    )}
+                  </td>
+                  <td>{refund.event?.title || 'Deleted event'}</td>
+                  <td>{REASON_LABELS[refund.reason] || refund.reason}</td>
+                  <td>₹{refund.amountPaid}</td>
+                  <td className="refund-amount">₹{refund.amount}</td>
+                  <td>{formatDate(refund.createdAt)}</td>
+                  <td>
+                    <span className={`refund-status status-${refund.status}`}>{refund.status}</span>
+                    {refund.reference && <div className="refund-muted">Ref: {refund.reference}</div>}
+                    {refund.note && <div className="refund-muted">{refund.note}</div>}
+                  </td>
+                  <td className="refund-actions">
+                    {refund.status === 'pending' && (
+                      <>
+                        <button className="btn btn-primary btn-sm" onClick={() => openProcess(refund, 'issued')}>
+                          Mark Issued
+                        </button>
+                        <button className="btn btn-secondary btn-sm" onClick={() => openProcess(refund, 'rejected')}>
+                          Reject
+                        </button>
+                      </>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {processing && (
+        <div className="modal-overlay" onClick={() => setProcessing(null)}>
+          <form className="modal-content refund-modal" onClick={e => e.stopPropagation()} onSubmit={handleSubmit}>
+            <h2>{form.status === 'issued' ? 'Mark Refund Issued' : 'Reject Refund'}</h2>
+            <p>
+              ₹{processing.amount} to <strong>{processing.participantName}</strong> for {processing.event?.title}
+            </p>
+
+            {form.status === 'issued' && (
+              <div className="form-group">
+                <label htmlFor="refund-reference">Transaction Reference *</label>
+                <input
+                  id="refund-reference"
+                  type="text"
+                  value={form.reference}
+                  onChange={(e) => setForm(prev => ({ ...prev, reference: e.target.value }))}
+                  placeholder="UPI / bank reference number"
+                />
+              </div>
+            )}
+
+            <div className="form-group">
+              <label htmlFor="refund-note">{form.status === 'rejected' ? 'Reason *' : 'Note'}</label>
+              <textarea
+                id="refund-note"
+                rows={3}
+                maxLength={500}
+                value={form.note}
+                onChange={(e) => setForm(prev => ({ ...prev, note: e.target.value }))}
+              />
+            </div>
+
+            <p className="refund-muted">The participant is emailed when you save.</p>
+
+            <div className="modal-actions">
+              <button type="button" className="btn btn-secondary" onClick={() => setProcessing(null)}>
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-primary" disabled={submitting}>
+                {submitting ? 'Saving...' : 'Save'}
+              </button>
+            </div>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RefundQueue;
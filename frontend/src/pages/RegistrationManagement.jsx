@@ -3,10 +3,13 @@ import { useParams, useNavigate } from 'react-router-dom';
 import { useData } from '../context/DataContext';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../components/Toast';
+import CertificatePanel from '../components/CertificatePanel';
 import { registrationsAPI } from '../utils/api';
-import { formatDate, formatTime } from '../utils/helpers';
+import { formatDate, formatTime, downloadBlob } from '../utils/helpers';
 import './RegistrationManagement.css';
 
+const formatPerson = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim() || person?.email || 'Unknown';
+
 const RegistrationManagement = () => {
   const { eventId } = useParams();
   const navigate = useNavigate();
@@ -23,6 +26,13 @@ const RegistrationManagement = () => {
   const [selectedRegistration, setSelectedRegistration] = useState(null);
   const [showDetailsModal, setShowDetailsModal] = useState(false);
   const [selectedEventFilter, setSelectedEventFilter] = useState('all');
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [reorderingWaitlist, setReorderingWaitlist] = useState(false);
+  const [selectedForScreening, setSelectedForScreening] = useState([]);
+  const [screeningToReject, setScreeningToReject] = useState(null);
+  const [screeningReason, setScreeningReason] = useState('');
+  const [teamChanges, setTeamChanges] = useState([]);
+  const [reviewingChangeId, setReviewingChangeId] = useState(null);
 
   useEffect(() => {
     const fetchRegistrations = async () => {
@@ -47,7 +57,27 @@ const RegistrationManagement = () => {
     };
 
     fetchRegistrations();
-  }, [eventId]);
+  }, [eventId, refreshKey]);
+
+  useEffect(() => {
+    if (!eventId) {
+      setTeamChanges([]);
+      return;
+    }
+
+    const fetchTeamChanges = async () => {
+      try {
+        const response = await registrationsAPI.getTeamChangeRequests(eventId);
+        if (response.success) {
+          setTeamChanges(response.data || []);
+        }
+      } catch (err) {
+        console.error('Error fetching team changes:', err);
+      }
+    };
+
+    fetchTeamChanges();
+  }, [eventId, refreshKey]);
 
   // Get organizer's events
   const organizerEvents = useMemo(() => {
@@ -105,10 +135,26 @@ const RegistrationManagement = () => {
     const pending = eventRegistrations.filter(r => r.status === 'pending').length;
     const confirmed = eventRegistrations.filter(r => r.status === 'confirmed' || r.status === 'approved').length;
     const rejected = eventRegistrations.filter(r => r.status === 'rejected').length;
+    const waitlisted = eventRegistrations.filter(r => r.status === 'waitlisted').length;
+    const screening = eventRegistrations.filter(r => r.screeningStatus === 'pending' && r.status !== 'rejected').length;
 
-    return { total, pending, confirmed, rejected };
+    return { total, pending, confirmed, rejected, waitlisted, screening };
   }, [eventRegistrations]);
 
+  const screeningQueue = useMemo(() => {
+    if (!eventId) return [];
+    return eventRegistrations
+      .filter(reg => reg.screeningStatus === 'pending' && reg.status !== 'rejected')
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }, [eventId, eventRegistrations]);
+
+  const waitlistQueue = useMemo(() => {
+    if (!eventId) return [];
+    return eventRegistrations
+      .filter(reg => reg.status === 'waitlisted')
+      .sort((a, b) => (a.waitlistPosition || 0) - (b.waitlistPosition || 0));
+  }, [eventId, eventRegistrations]);
+
   const analytics = useMemo(() => {
     if (!eventId) return null;
     const total = eventRegistrations.length;
@@ -177,6 +223,10 @@ const RegistrationManagement = () => {
           prev.map(reg => (reg._id === registrationId || reg.id === registrationId ? updated : reg))
         );
         showSuccess('Registration rejected');
+        // A freed seat may have promoted someone from the waitlist
+        if (waitlistQueue.length > 0) {
+          setRefreshKey(key => key + 1);
+        }
       } else {
         showError(response.message || 'Failed to reject registration');
       }
@@ -186,6 +236,137 @@ const RegistrationManagement = () => {
     }
   };
 
+  const applyUpdatedRegistrations = (updatedList) => {
+    const updates = new Map(updatedList.map(reg => [reg._id || reg.id, reg]));
+    setRegistrations(prev => prev.map(reg => updates.get(reg._id || reg.id) || reg));
+  };
+
+  const handleScreeningApprove = async (registrationId) => {
+    try {
+      const response = await registrationsAPI.reviewRegistration(registrationId, 'approve');
+      if (response.success) {
+        applyUpdatedRegistrations([response.data]);
+        setSelectedForScreening(prev => prev.filter(id => id !== registrationId));
+        showSuccess('Registration approved. The participant has been notified.');
+      } else {
+        showError(response.message || 'Failed to approve registration');
+      }
+    } catch (err) {
+      console.error('Error approving registration:', err);
+      showError(err.message || 'Failed to approve registration');
+    }
+  };
+
+  const handleScreeningRejectClick = (registration) => {
+    setScreeningToReject(registration);
+    setScreeningReason('');
+  };
+
+  const handleScreeningRejectConfirm = async () => {
+    if (!screeningReason.trim()) {
+      showError('Please provide a reason for rejection');
+      return;
+    }
+
+    const registrationId = screeningToReject._id || screeningToReject.id;
+    try {
+      const response = await registrationsAPI.reviewRegistration(registrationId, 'reject', screeningReason.trim());
+      if (response.success) {
+        applyUpdatedRegistrations([response.data]);
+        setSelectedForScreening(prev => prev.filter(id => id !== registrationId));
+        showSuccess('Registration rejected. The participant has been notified.');
+        if (waitlistQueue.length > 0) {
+          setRefreshKey(key => key + 1);
+        }
+      } else {
+        showError(response.message || 'Failed to reject registration');
+      }
+    } catch (err) {
+      console.error('Error rejecting registration:', err);
+      showError(err.message || 'Failed to reject registration');
+    } finally {
+      setScreeningToReject(null);
+      setScreeningReason('');
+    }
+  };
+
+  const handleBulkApprove = async (registrationIds) => {
+    try {
+      const response = await registrationsAPI.bulkApproveRegistrations(eventId, registrationIds);
+      if (response.success) {
+        applyUpdatedRegistrations(response.data || []);
+        setSelectedForScreening([]);
+        showSuccess(response.message || 'Registrations approved');
+      } else {
+        showError(response.message || 'Failed to approve registrations');
+      }
+    } catch (err) {
+      console.error('Error approving registrations:', err);
+      showError(err.message || 'Failed to approve registrations');
+    }
+  };
+
+  const handleReviewTeamChange = async (change, action) => {
+    let note;
+    if (action === 'reject') {
+      note = window.prompt('Reason for rejecting this change (shown to the team leader):');
+      if (note === null) return;
+    }
+
+    try {
+      setReviewingChangeId(change._id);
+      const response = await registrationsAPI.reviewTeamChange(change.teamId, change._id, action, note);
+      if (response.success) {
+        showSuccess(response.message || 'Change reviewed');
+        setRefreshKey(prev => prev + 1);
+      } else {
+        showError(response.message || 'Failed to review change');
+      }
+    } catch (err) {
+      console.error('Error reviewing team change:', err);
+      showError(err.message || 'Failed to review change');
+    } finally {
+      setReviewingChangeId(null);
+    }
+  };
+
+  const toggleScreeningSelection = (registrationId) => {
+    setSelectedForScreening(prev => (
+      prev.includes(registrationId)
+        ? prev.filter(id => id !== registrationId)
+        : [...prev, registrationId]
+    ));
+  };
+
+  const handleMoveInWaitlist = async (index, direction) => {
+    const target = index + direction;
+    if (target < 0 || target >= waitlistQueue.length) return;
+
+    const order = waitlistQueue.map(reg => reg._id || reg.id);
+    [order[index], order[target]] = [order[target], order[index]];
+
+    try {
+      setReorderingWaitlist(true);
+      const response = await registrationsAPI.reorderWaitlist(eventId, order);
+      if (response.success) {
+        const positions = new Map((response.data || []).map(reg => [reg._id || reg.id, reg.waitlistPosition]));
+        setRegistrations(prev =>
+          prev.map(reg => (positions.has(reg._id || reg.id)
+            ? { ...reg, waitlistPosition: positions.get(reg._id || reg.id) }
+            : reg))
+        );
+        showSuccess('Waitlist order updated');
+      } else {
+        showError(response.message || 'Failed to reorder waitlist');
+      }
+    } catch (err) {
+      console.error('Error reordering waitlist:', err);
+      showError(err.message || 'Failed to reorder waitlist');
+    } finally {
+      setReorderingWaitlist(false);
+    }
+  };
+
   const handleViewDetails = (registration) => {
     setSelectedRegistration(registration);
     setShowDetailsModal(true);
@@ -205,6 +386,15 @@ const RegistrationManagement = () => {
     }
   };
 
+  const handleDownloadReceipt = async (registrationId) => {
+    try {
+      const { blob, fileName } = await registrationsAPI.downloadReceiptPdf(registrationId);
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      showError(err.message || 'Failed to download receipt');
+    }
+  };
+
   const handleExport = () => {
     const csvContent = [
       ['Name', 'Email', 'Phone', 'Status', 'Payment', 'Amount Paid', 'Team', 'Attendance', 'Registered At', 'Event', 'Custom Fields'].join(','),
@@ -324,8 +514,161 @@ const RegistrationManagement = () => {
           <h3>{stats.rejected}</h3>
           <p>Rejected</p>
         </div>
+        <div className="stat-card waitlisted">
+          <h3>{stats.waitlisted}</h3>
+          <p>Waitlisted</p>
+        </div>
       </div>
 
+      {eventId && <CertificatePanel eventId={eventId} />}
+
+      {screeningQueue.length > 0 && (
+        <div className="waitlist-section screening-section">
+          <div className="screening-header">
+            <div>
+              <h2>Screening Queue</h2>
+              <p className="waitlist-hint">
+                This event requires approval. Tickets are issued only after you approve a registration.
+              </p>
+            </div>
+            <div className="screening-bulk-actions">
+              <button
+                className="btn-secondary"
+                onClick={() => handleBulkApprove(selectedForScreening)}
+                disabled={selectedForScreening.length === 0}
+              >
+                Approve Selected ({selectedForScreening.length})
+              </button>
+              <button className="btn-primary" onClick={() => handleBulkApprove()}>
+                Approve All ({screeningQueue.length})
+              </button>
+            </div>
+          </div>
+          <ul className="waitlist-queue">
+            {screeningQueue.map(registration => {
+              const registrationId = registration._id || registration.id;
+              return (
+                <li key={registrationId} className="waitlist-item">
+                  <input
+                    type="checkbox"
+                    checked={selectedForScreening.includes(registrationId)}
+                    onChange={() => toggleScreeningSelection(registrationId)}
+                  />
+                  <div className="participant-info">
+                    <strong>{registration.participantName}</strong>
+                    <span>{registration.email}</span>
+                  </div>
+                  <span className="waitlist-joined">
+                    Applied {formatDate(registration.createdAt)}
+                  </span>
+                  <div className="action-buttons">
+                    <button onClick={() => handleViewDetails(registration)} className="btn-view" title="View Details">
+                      👁️
+                    </button>
+                    <button onClick={() => handleScreeningApprove(registrationId)} className="btn-approve" title="Approve">
+                      ✓
+                    </button>
+                    <button onClick={() => handleScreeningRejectClick(registration)} className="btn-reject" title="Reject">
+                      ✕
+                    </button>
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        </div>
+      )}
+
+      {teamChanges.length > 0 && (
+        <div className="waitlist-section">
+          <h2>Team Change Requests</h2>
+          <p className="waitlist-hint">
+            Approving a swap cancels the outgoing member&apos;s ticket, refunding any share they paid under the refund policy, and issues one to the new member once they have paid their share.
+          </p>
+          <ul className="waitlist-queue">
+            {teamChanges.map(change => (
+              <li key={change._id} className="waitlist-item">
+                <div className="participant-info">
+                  <strong>{change.teamName}</strong>
+                  <span>
+                    {change.type === 'transfer'
+                      ? `Make ${formatPerson(change.newLeader)} team leader`
+                      : `Replace ${formatPerson(change.outgoingMember)} with ${formatPerson(change.incomingMember)} (${change.incomingMember?.email || 'N/A'})`}
+                  </span>
+                  {change.reason && <span>Reason: {change.reason}</span>}
+                </div>
+                <span className="waitlist-joined">
+                  Requested {formatDate(change.requestedAt)}
+                </span>
+                {change.status === 'pending' ? (
+                  <div className="action-buttons">
+                    <button
+                      onClick={() => handleReviewTeamChange(change, 'approve')}
+                      className="btn-approve"
+                      title="Approve"
+                      disabled={reviewingChangeId === change._id}
+                    >
+                      ✓
+                    </button>
+                    <button
+                      onClick={() => handleReviewTeamChange(change, 'reject')}
+                      className="btn-reject"
+                      title="Reject"
+                      disabled={reviewingChangeId === change._id}
+                    >
+                      ✕
+                    </button>
+                  </div>
+                ) : (
+                  <span className={`status-badge ${change.status === 'approved' ? 'confirmed' : 'rejected'}`}>{change.status}</span>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {waitlistQueue.length > 0 && (
+        <div className="waitlist-section">
+          <h2>Waitlist Queue</h2>
+          <p className="waitlist-hint">
+            The participant at the top is promoted automatically when a seat frees up.
+          </p>
+          <ol className="waitlist-queue">
+            {waitlistQueue.map((registration, index) => (
+              <li key={registration._id || registration.id} className="waitlist-item">
+                <span className="waitlist-rank">#{registration.waitlistPosition}</span>
+                <div className="participant-info">
+                  <strong>{registration.participantName}</strong>
+                  <span>{registration.email}</span>
+                </div>
+                <span className="waitlist-joined">
+                  Joined {formatDate(registration.waitlistedAt || registration.createdAt)}
+                </span>
+                <div className="action-buttons">
+                  <button
+                    onClick={() => handleMoveInWaitlist(index, -1)}
+                    className="btn-view"
+                    title="Move Up"
+                    disabled={reorderingWaitlist || index === 0}
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => handleMoveInWaitlist(index, 1)}
+                    className="btn-view"
+                    title="Move Down"
+                    disabled={reorderingWaitlist || index === waitlistQueue.length - 1}
+                  >
+                    ↓
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+
       {analytics && (
         <div className="analytics-section">
           <h2>Event Analytics</h2>
@@ -414,6 +757,12 @@ const RegistrationManagement = () => {
           >
             Rejected ({stats.rejected})
           </button>
+          <button
+            className={`filter-btn ${filterStatus === 'waitlisted' ? 'active' : ''}`}
+            onClick={() => setFilterStatus('waitlisted')}
+          >
+            Waitlisted ({stats.waitlisted})
+          </button>
         </div>
       </div>
 
@@ -485,7 +834,34 @@ const RegistrationManagement = () => {
                       >
                         📧
                       </button>
-                      {registration.status === 'pending' && (
+                      {['paid', 'refunded'].includes(registration.paymentStatus) && registration.amountPaid > 0 && (
+                        <button
+                          onClick={() => handleDownloadReceipt(registration._id || registration.id)}
+                          className="btn-receipt"
+                          title={registration.receiptNumber ? `Receipt ${registration.receiptNumber}` : 'Download Receipt'}
+                        >
+                          🧾
+                        </button>
+                      )}
+                      {registration.status === 'pending' && registration.screeningStatus === 'pending' && (
+                        <>
+                          <button
+                            onClick={() => handleScreeningApprove(registration._id || registration.id)}
+                            className="btn-approve"
+                            title="Approve"
+                          >
+                            ✓
+                          </button>
+                          <button
+                            onClick={() => handleScreeningRejectClick(registration)}
+                            className="btn-reject"
+                            title="Reject"
+                          >
+                            ✕
+                          </button>
+                        </>
+                      )}
+                      {registration.status === 'pending' && registration.screeningStatus !== 'pending' && (
                         <>
                           <button
                             onClick={() => handleApprove(registration._id || registration.id)}
@@ -567,6 +943,59 @@ const RegistrationManagement = () => {
                     {selectedRegistration.status}
                   </span>
                 </div>
+                {selectedRegistration.screeningStatus && selectedRegistration.screeningStatus !== 'not-required' && (
+                  <div className="detail-row">
+                    <span className="label">Screening:</span>
+                    <span className={`status-badge ${selectedRegistration.screeningStatus}`}>
+                      {selectedRegistration.screeningStatus}
+                    </span>
+                  </div>
+                )}
+                {selectedRegistration.ticketTier?.name && (
+                  <div className="detail-row">
+                    <span className="label">Ticket Type:</span>
+                    <span className="value">
+                      {selectedRegistration.ticketTier.name} ({selectedRegistration.ticketTier.price > 0 ? `₹${selectedRegistration.ticketTier.price}` : 'Free'})
+                    </span>
+                  </div>
+                )}
+                {selectedRegistration.sessions?.length > 0 && (
+                  <div className="detail-row">
+                    <span className="label">Sessions:</span>
+                    <span className="value">
+                      {selectedRegistration.sessions.map(session => {
+                        const attended = (selectedRegistration.sessionAttendance || [])
+                          .some(entry => entry.sessionId === session.sessionId);
+                        return `${session.title}${attended ? ' ✓' : ''}`;
+                      }).join(', ')}
+                    </span>
+                  </div>
+                )}
+                {selectedRegistration.attendanceLog?.length > 0 && (
+                  <div className="detail-row">
+                    <span className="label">Attendance:</span>
+                    <span className="value">
+                      {[...selectedRegistration.attendanceLog]
+                        .sort((x, y) => new Date(x.scannedAt) - new Date(y.scannedAt))
+                        .map(entry => `${entry.type === 'entry' ? 'In' : 'Out'} ${new Date(entry.scannedAt).toLocaleString()}${entry.gate ? ` (${entry.gate})` : ''}`)
+                        .join(', ')}
+                    </span>
+                  </div>
+                )}
+                {selectedRegistration.discount?.code && (
+                  <div className="detail-row">
+                    <span className="label">Discount:</span>
+                    <span className="value">
+                      {selectedRegistration.discount.code} (-₹{selectedRegistration.discount.amount} of ₹{selectedRegistration.discount.originalAmount})
+                    </span>
+                  </div>
+                )}
+                {selectedRegistration.screeningReason && (
+                  <div className="detail-row">
+                    <span className="label">Screening Note:</span>
+                    <span className="value">{selectedRegistration.screeningReason}</span>
+                  </div>
+                )}
 
                 {selectedRegistration.ticketQr && (
                   <div className="detail-section">
@@ -610,7 +1039,29 @@ const RegistrationManagement = () => {
             </div>
 
             <div className="modal-actions">
-              {selectedRegistration.status === 'pending' && (
+              {selectedRegistration.status === 'pending' && selectedRegistration.screeningStatus === 'pending' && (
+                <>
+                  <button
+                    onClick={() => {
+                      handleScreeningApprove(selectedRegistration._id || selectedRegistration.id);
+                      setShowDetailsModal(false);
+                    }}
+                    className="btn-primary"
+                  >
+                    Approve
+                  </button>
+                  <button
+                    onClick={() => {
+                      handleScreeningRejectClick(selectedRegistration);
+                      setShowDetailsModal(false);
+                    }}
+                    className="btn-danger"
+                  >
+                    Reject
+                  </button>
+                </>
+              )}
+              {selectedRegistration.status === 'pending' && selectedRegistration.screeningStatus !== 'pending' && (
                 <>
                   <button
                     onClick={() => {
@@ -645,6 +1096,44 @@ const RegistrationManagement = () => {
           </div>
         </div>
       )}
+
+      {/* Screening Reject Modal */}
+      {screeningToReject && (
+        <div className="modal-overlay" onClick={() => setScreeningToReject(null)}>
+          <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+            <div className="modal-header">
+              <h2>Reject Registration</h2>
+              <button onClick={() => setScreeningToReject(null)} className="modal-close">
+                ×
+              </button>
+            </div>
+
+            <div className="modal-body">
+              <p>You are about to reject: <strong>{screeningToReject.participantName}</strong></p>
+              <div className="detail-section">
+                <label className="label" htmlFor="screening-reason">Reason for rejection: *</label>
+                <textarea
+                  id="screening-reason"
+                  className="screening-reason"
+                  value={screeningReason}
+                  onChange={(e) => setScreeningReason(e.target.value)}
+                  placeholder="This reason is emailed to the participant..."
+                  rows="4"
+                />
+              </div>
+            </div>
+
+            <div className="modal-actions">
+              <button onClick={() => setScreeningToReject(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button onClick={handleScreeningRejectConfirm} className="btn-danger">
+                Reject Registration
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
@@ -6,6 +6,45 @@ import { useToast } from '../components/Toast.jsx';
 import { registrationsAPI } from '../utils/api';
 import './TeamManagement.css';
 
+const EMPTY_CHANGE = {
+  type: 'swap',
+  outgoingMemberId: '',
+  incomingEmail: '',
+  newLeaderId: '',
+  reason: ''
+};
+
+const formatPerson = (person) => `${person?.firstName || ''} ${person?.lastName || ''}`.trim() || person?.email || 'Unknown';
+
+// Mirrors the server: changes are open until the cutoff, or the event start
+const canRequestChanges = (event) => {
+  if (!event?.teamChanges?.allowed) return false;
+  const cutoff = event.teamChanges.cutoff || event.date;
+  return !cutoff || new Date(cutoff) >= new Date();
+};
+
+// Whole fee for a team of this size; matches the server's calculation
+const getTeamFeeTotal = (event, teamSize) => {
+  const amount = Number(event?.teamFee?.amount) || 0;
+  return event?.teamFee?.mode === 'per-team' ? amount : Math.round(amount * teamSize * 100) / 100;
+};
+
+const formatTimeLeft = (ms) => {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return 'under a minute';
+  const hours = Math.floor(minutes / 60);
+  const days = Math.floor(hours / 24);
+  if (days > 0) return `${days} d ${hours % 24} h`;
+  return hours > 0 ? `${hours} h ${minutes % 60} min` : `${minutes} min`;
+};
+
+// Leaders get a louder countdown once registration is a day from closing
+const DEADLINE_URGENT_MS = 24 * 60 * 60 * 1000;
+
+const describeChange = (change) => (change.type === 'transfer'
+  ? `Make ${formatPerson(change.newLeader)} leader`
+  : `Swap ${formatPerson(change.outgoingMember)} for ${formatPerson(change.incomingMember)}`);
+
 const TeamManagement = () => {
   const { user } = useAuth();
   const { events } = useData();
@@ -13,15 +52,21 @@ const TeamManagement = () => {
 
   const [teams, setTeams] = useState([]);
   const [pendingInvites, setPendingInvites] = useState([]);
+  const [myJoinRequests, setMyJoinRequests] = useState([]);
+  const [joinCode, setJoinCode] = useState('');
+  const [joining, setJoining] = useState(false);
   const [loading, setLoading] = useState(true);
   const [creating, setCreating] = useState(false);
   const [updatingTeamId, setUpdatingTeamId] = useState(null);
   const [inviteDrafts, setInviteDrafts] = useState({});
+  const [changeDrafts, setChangeDrafts] = useState({});
+  const [now, setNow] = useState(() => Date.now());
   const [form, setForm] = useState({
     eventId: '',
     teamName: '',
     desiredTeamSize: 3,
-    inviteEmails: ''
+    inviteEmails: '',
+    paymentMode: 'leader'
   });
 
   const teamEligibleEvents = useMemo(() => {
@@ -31,12 +76,16 @@ const TeamManagement = () => {
     });
   }, [events]);
 
+  const selectedEvent = teamEligibleEvents.find(event => String(event._id || event.id) === String(form.eventId));
+  const selectedFeeTotal = getTeamFeeTotal(selectedEvent, Number(form.desiredTeamSize) || 0);
+
   const loadTeams = async () => {
     try {
       setLoading(true);
-      const [teamsResponse, invitesResponse] = await Promise.all([
+      const [teamsResponse, invitesResponse, joinRequestsResponse] = await Promise.all([
         registrationsAPI.getMyTeams(),
-        registrationsAPI.getMyPendingTeamInvites()
+        registrationsAPI.getMyPendingTeamInvites(),
+        registrationsAPI.getMyJoinRequests()
       ]);
 
       if (teamsResponse.success) {
@@ -50,6 +99,10 @@ const TeamManagement = () => {
       } else {
         showError(invitesResponse.message || 'Failed to load team invites');
       }
+
+      if (joinRequestsResponse.success) {
+        setMyJoinRequests(joinRequestsResponse.data || []);
+      }
     } catch (error) {
       showError(error.message || 'Failed to load teams');
     } finally {
@@ -61,6 +114,14 @@ const TeamManagement = () => {
     loadTeams();
   }, []);
 
+  // Keep deadline and invite countdowns current while anything is still forming
+  const hasCountdowns = pendingInvites.length > 0 || teams.some(team => team.status === 'forming');
+  useEffect(() => {
+    if (!hasCountdowns) return undefined;
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, [hasCountdowns]);
+
   const handleCreate = async (event) => {
     event.preventDefault();
 
@@ -84,7 +145,8 @@ const TeamManagement = () => {
         eventId: form.eventId,
         teamName: form.teamName,
         desiredTeamSize: Number(form.desiredTeamSize),
-        inviteEmails
+        inviteEmails,
+        paymentMode: form.paymentMode
       });
 
       if (!response.success) {
@@ -93,7 +155,7 @@ const TeamManagement = () => {
       }
 
       showSuccess(response.message || 'Team created successfully');
-      setForm({ eventId: '', teamName: '', desiredTeamSize: 3, inviteEmails: '' });
+      setForm({ eventId: '', teamName: '', desiredTeamSize: 3, inviteEmails: '', paymentMode: 'leader' });
       await loadTeams();
     } catch (error) {
       showError(error.message || 'Failed to create team');
@@ -148,6 +210,126 @@ const TeamManagement = () => {
     }
   };
 
+  const handleJoinByCode = async (event) => {
+    event.preventDefault();
+
+    if (!joinCode.trim()) {
+      showError('Enter a team code');
+      return;
+    }
+
+    try {
+      setJoining(true);
+      const response = await registrationsAPI.joinTeamByCode(joinCode.trim());
+      if (!response.success) {
+        showError(response.message || 'Failed to join team');
+        return;
+      }
+
+      showSuccess(response.message || 'Joined team successfully');
+      setJoinCode('');
+      await loadTeams();
+    } catch (error) {
+      showError(error.message || 'Failed to join team');
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  const handleJoinRequest = async (teamId, requestId, action) => {
+    try {
+      setUpdatingTeamId(teamId);
+      const response = await registrationsAPI.respondToJoinRequest(teamId, requestId, action);
+      if (!response.success) {
+        showError(response.message || `Failed to ${action} request`);
+        return;
+      }
+
+      showSuccess(response.message || `Request ${action}d`);
+      await loadTeams();
+    } catch (error) {
+      showError(error.message || `Failed to ${action} request`);
+    } finally {
+      setUpdatingTeamId(null);
+    }
+  };
+
+  const handleCodeSettings = async (teamId, settings) => {
+    try {
+      setUpdatingTeamId(teamId);
+      const response = await registrationsAPI.updateTeamCode(teamId, settings);
+      if (!response.success) {
+        showError(response.message || 'Failed to update invite code');
+        return;
+      }
+
+      showSuccess(response.message || 'Invite code updated');
+      await loadTeams();
+    } catch (error) {
+      showError(error.message || 'Failed to update invite code');
+    } finally {
+      setUpdatingTeamId(null);
+    }
+  };
+
+  const updateChangeDraft = (teamId, field, value) => {
+    setChangeDrafts(prev => ({ ...prev, [teamId]: { ...EMPTY_CHANGE, ...prev[teamId], [field]: value } }));
+  };
+
+  const handleRequestChange = async (teamId) => {
+    const draft = { ...EMPTY_CHANGE, ...changeDrafts[teamId] };
+
+    if (draft.type === 'swap' && (!draft.outgoingMemberId || !draft.incomingEmail.trim())) {
+      showError('Choose the member to replace and enter the new member\'s email');
+      return;
+    }
+    if (draft.type === 'transfer' && !draft.newLeaderId) {
+      showError('Choose the new leader');
+      return;
+    }
+
+    try {
+      setUpdatingTeamId(teamId);
+      const response = await registrationsAPI.requestTeamChange(teamId, {
+        type: draft.type,
+        outgoingMemberId: draft.type === 'swap' ? draft.outgoingMemberId : undefined,
+        incomingEmail: draft.type === 'swap' ? draft.incomingEmail.trim() : undefined,
+        newLeaderId: draft.type === 'transfer' ? draft.newLeaderId : undefined,
+        reason: draft.reason.trim() || undefined
+      });
+      if (!response.success) {
+        showError(response.message || 'Failed to request change');
+        return;
+      }
+
+      showSuccess(response.message || 'Change requested');
+      setChangeDrafts(prev => ({ ...prev, [teamId]: EMPTY_CHANGE }));
+      await loadTeams();
+    } catch (error) {
+      showError(error.message || 'Failed to request change');
+    } finally {
+      setUpdatingTeamId(null);
+    }
+  };
+
+  const handleWithdrawChange = async (teamId, changeId) => {
+    try {
+      setUpdatingTeamId(teamId);
+      const response = await registrationsAPI.withdrawTeamChange(teamId, changeId);
+      if (!response.success) {
+        showError(response.message || 'Failed to withdraw change');
+        return;
+      }
+
+      showSuccess(response.message || 'Change request withdrawn');
+      await loadTeams();
+    } catch (error) {
+      showError(error.message || 'Failed to withdraw change');
+    } finally {
+      setUpdatingTeamId(null);
+    }
+  };
+
   const handleRemoveInvite = async (teamId, inviteId) => {
     try {
       setUpdatingTeamId(teamId);
@@ -212,14 +394,28 @@ const TeamManagement = () => {
             />
           </label>
 
+          {selectedFeeTotal > 0 && (
+            <label>
+              Team Fee: ₹{selectedFeeTotal}
+              <select
+                value={form.paymentMode}
+                onChange={(event) => setForm(prev => ({ ...prev, paymentMode: event.target.value }))}
+              >
+                <option value="leader">I&apos;ll pay for the whole team</option>
+                <option value="split">Each member pays ₹{Math.round((selectedFeeTotal / (Number(form.desiredTeamSize) || 1)) * 100) / 100}</option>
+              </select>
+            </label>
+          )}
+
           <label className="full-width">
-            Invite Emails (comma-separated)
+            Invite Emails (comma-separated, optional)
             <textarea
               rows="3"
               value={form.inviteEmails}
               onChange={(event) => setForm(prev => ({ ...prev, inviteEmails: event.target.value }))}
               placeholder="member1@email.com, member2@email.com"
             />
+            <span className="field-hint">Spots you don&apos;t invite by email can be filled with the team&apos;s invite code.</span>
           </label>
 
           <button type="submit" className="btn btn-primary" disabled={creating}>
@@ -228,6 +424,34 @@ const TeamManagement = () => {
         </form>
       </div>
 
+      <div className="team-create-card">
+        <h2>Join With Code</h2>
+        <form onSubmit={handleJoinByCode} className="invite-editor">
+          <input
+            type="text"
+            value={joinCode}
+            onChange={(event) => setJoinCode(event.target.value)}
+            placeholder="e.g. TEAM-1A2B3C4D"
+          />
+          <button type="submit" className="btn btn-primary" disabled={joining}>
+            {joining ? 'Joining...' : 'Join Team'}
+          </button>
+        </form>
+
+        {myJoinRequests.length > 0 && (
+          <ul className="join-request-list">
+            {myJoinRequests.map(item => (
+              <li key={item.request.id}>
+                <span>
+                  <strong>{item.teamName}</strong> for {item.event?.title || 'N/A'} ({item.memberCount}/{item.desiredTeamSize})
+                </span>
+                <span className="invite-status pending">awaiting leader approval</span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
       <div className="teams-list-card">
         <div className="list-header">
           <h2>Invites For Me</h2>
@@ -248,6 +472,11 @@ const TeamManagement = () => {
                 <p><strong>Event:</strong> {inviteItem.event?.title || 'N/A'}</p>
                 <p><strong>Leader:</strong> {`${inviteItem.leader?.firstName || ''} ${inviteItem.leader?.lastName || ''}`.trim()} ({inviteItem.leader?.email || 'N/A'})</p>
                 <p><strong>Current Team Size:</strong> {inviteItem.members?.length || 0}/{inviteItem.desiredTeamSize}</p>
+                {inviteItem.myInvite?.expiresAt && (
+                  <p className="team-deadline">
+                    Invite expires in {formatTimeLeft(new Date(inviteItem.myInvite.expiresAt).getTime() - now)}
+                  </p>
+                )}
 
                 <div className="invite-actions-inline">
                   <button
@@ -299,7 +528,125 @@ const TeamManagement = () => {
                 </div>
                 <p><strong>Event:</strong> {team.event?.title || 'N/A'}</p>
                 <p><strong>Size:</strong> {team.members?.length || 0}/{team.desiredTeamSize}</p>
-                <p><strong>Invite Code:</strong> {team.inviteCode}</p>
+                {team.status === 'forming' && team.event?.registrationDeadline && (() => {
+                  const timeLeft = new Date(team.event.registrationDeadline).getTime() - now;
+                  return (
+                    <p className={`team-deadline ${timeLeft < DEADLINE_URGENT_MS ? 'urgent' : ''}`}>
+                      {timeLeft > 0
+                        ? `Registration closes in ${formatTimeLeft(timeLeft)}. Teams not complete by then are cancelled.`
+                        : 'Registration has closed and this incomplete team is about to be cancelled.'}
+                    </p>
+                  );
+                })()}
+                {team.status === 'awaiting-payment' && team.paymentDueAt && (() => {
+                  const timeLeft = new Date(team.paymentDueAt).getTime() - now;
+                  return (
+                    <p className={`team-deadline ${timeLeft < DEADLINE_URGENT_MS ? 'urgent' : ''}`}>
+                      {timeLeft > 0
+                        ? `Payment is due in ${formatTimeLeft(timeLeft)}. Teams that have not paid by then are cancelled.`
+                        : 'The payment deadline has passed and this unpaid team is about to be cancelled.'}
+                    </p>
+                  );
+                })()}
+                {getTeamFeeTotal(team.event, team.desiredTeamSize) > 0 && (
+                  <p>
+                    <strong>Team Fee:</strong> ₹{getTeamFeeTotal(team.event, team.desiredTeamSize)}
+                    {' '}({team.paymentMode === 'split' ? 'split between members' : 'paid by the leader'})
+                  </p>
+                )}
+
+                {team.status === 'awaiting-payment' && (
+                  <div className="invite-tracking">
+                    <h4>Payments</h4>
+                    <ul>
+                      {(team.registrationIds || []).filter(registration => registration.paymentAmount > 0).map(registration => {
+                        const member = (team.members || []).find(m => String(m._id) === String(registration.user));
+                        return (
+                          <li key={registration._id}>
+                            <div>
+                              <span>{formatPerson(member)}: ₹{registration.paymentAmount}</span>
+                              <span className={`invite-status ${registration.paymentStatus === 'paid' ? 'accepted' : 'pending'}`}>
+                                {registration.paymentStatus === 'paid' ? 'paid' : 'unpaid'}
+                              </span>
+                            </div>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                    <p className="field-hint">
+                      Pay from <Link to="/dashboard">your registrations</Link>. Tickets are issued to everyone once every share is approved.
+                    </p>
+                  </div>
+                )}
+                <p>
+                  <strong>Invite Code:</strong> {team.inviteCode}
+                  {team.inviteCodeEnabled === false && <span className="invite-status declined">disabled</span>}
+                </p>
+
+                {isLeader && team.status === 'forming' && (
+                  <div className="code-settings">
+                    <label>
+                      Code joins
+                      <select
+                        value={team.codeJoinMode || 'approval'}
+                        onChange={(event) => handleCodeSettings(team._id, { joinMode: event.target.value })}
+                        disabled={updatingTeamId === team._id}
+                      >
+                        <option value="approval">Need my approval</option>
+                        <option value="auto">Accept automatically</option>
+                      </select>
+                    </label>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => handleCodeSettings(team._id, { enabled: team.inviteCodeEnabled === false })}
+                      disabled={updatingTeamId === team._id}
+                    >
+                      {team.inviteCodeEnabled === false ? 'Enable Code' : 'Disable Code'}
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={() => handleCodeSettings(team._id, { rotate: true })}
+                      disabled={updatingTeamId === team._id}
+                    >
+                      New Code
+                    </button>
+                  </div>
+                )}
+
+                {isLeader && team.status === 'forming' && (team.joinRequests || []).some(request => request.status === 'pending') && (
+                  <div className="invite-tracking">
+                    <h4>Join Requests</h4>
+                    <ul>
+                      {team.joinRequests.filter(request => request.status === 'pending').map(request => (
+                        <li key={request._id}>
+                          <div>
+                            <span>{`${request.user?.firstName || ''} ${request.user?.lastName || ''}`.trim()} ({request.user?.email || 'N/A'})</span>
+                          </div>
+                          <div className="invite-actions-inline">
+                            <button
+                              type="button"
+                              className="btn btn-primary"
+                              onClick={() => handleJoinRequest(team._id, request._id, 'approve')}
+                              disabled={updatingTeamId === team._id}
+                            >
+                              Approve
+                            </button>
+                            <button
+                              type="button"
+                              className="btn btn-danger-small"
+                              onClick={() => handleJoinRequest(team._id, request._id, 'reject')}
+                              disabled={updatingTeamId === team._id}
+                            >
+                              Reject
+                            </button>
+                          </div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
 
                 {isLeader && team.status === 'forming' && (
                   <div className="invite-editor">
@@ -331,7 +678,12 @@ const TeamManagement = () => {
                             <span className={`invite-status ${invite.status}`}>{invite.status}</span>
                           </div>
                           <div className="invite-actions-inline">
-                            {invite.status === 'pending' && <span>Visible in-app for this email</span>}
+                            {invite.status === 'pending' && (
+                              <span>
+                                Visible in-app for this email
+                                {invite.expiresAt && `, expires in ${formatTimeLeft(new Date(invite.expiresAt).getTime() - now)}`}
+                              </span>
+                            )}
                             {isLeader && invite.status === 'pending' && (
                               <button
                                 type="button"
@@ -349,8 +701,95 @@ const TeamManagement = () => {
                   ) : (
                     <p>No invites.</p>
                   )}
+                  {isLeader && team.status === 'forming' && team.inviteLinks?.some(invite => invite.status === 'expired') && (
+                    <p className="field-hint">Add an expired invite&apos;s email again to send a fresh invite.</p>
+                  )}
                 </div>
 
+                {isLeader && team.status === 'completed' && (() => {
+                  const changes = team.changeRequests || [];
+                  const pendingChange = changes.find(change => change.status === 'pending');
+                  const lastDecision = [...changes].reverse().find(change => ['approved', 'rejected'].includes(change.status));
+                  const draft = { ...EMPTY_CHANGE, ...changeDrafts[team._id] };
+                  const otherMembers = (team.members || []).filter(member => String(member._id) !== String(leaderId));
+
+                  if (!pendingChange && !lastDecision && !canRequestChanges(team.event)) {
+                    return null;
+                  }
+
+                  return (
+                    <div className="invite-tracking team-changes">
+                      <h4>Team Changes</h4>
+                      {lastDecision && !pendingChange && (
+                        <p>
+                          {describeChange(lastDecision)}{' '}
+                          <span className={`invite-status ${lastDecision.status === 'approved' ? 'accepted' : 'declined'}`}>{lastDecision.status}</span>
+                          {lastDecision.reviewNote && <span className="field-hint"> {lastDecision.reviewNote}</span>}
+                        </p>
+                      )}
+                      {pendingChange ? (
+                        <div className="invite-actions-inline">
+                          <span>{describeChange(pendingChange)}</span>
+                          <span className="invite-status pending">awaiting organizer</span>
+                          <button
+                            type="button"
+                            className="btn btn-danger-small"
+                            onClick={() => handleWithdrawChange(team._id, pendingChange._id)}
+                            disabled={updatingTeamId === team._id}
+                          >
+                            Withdraw
+                          </button>
+                        </div>
+                      ) : canRequestChanges(team.event) && (
+                        <div className="change-form">
+                          <select value={draft.type} onChange={(event) => updateChangeDraft(team._id, 'type', event.target.value)}>
+                            <option value="swap">Swap a member</option>
+                            <option value="transfer">Transfer leadership</option>
+                          </select>
+                          {draft.type === 'swap' ? (
+                            <>
+                              <select value={draft.outgoingMemberId} onChange={(event) => updateChangeDraft(team._id, 'outgoingMemberId', event.target.value)}>
+                                <option value="">Member leaving</option>
+                                {otherMembers.map(member => (
+                                  <option key={member._id} value={member._id}>{formatPerson(member)}</option>
+                                ))}
+                              </select>
+                              <input
+                                type="email"
+                                placeholder="New member's email"
+                                value={draft.incomingEmail}
+                                onChange={(event) => updateChangeDraft(team._id, 'incomingEmail', event.target.value)}
+                              />
+                            </>
+                          ) : (
+                            <select value={draft.newLeaderId} onChange={(event) => updateChangeDraft(team._id, 'newLeaderId', event.target.value)}>
+                              <option value="">New leader</option>
+                              {otherMembers.map(member => (
+                                <option key={member._id} value={member._id}>{formatPerson(member)}</option>
+                              ))}
+                            </select>
+                          )}
+                          <input
+                            type="text"
+                            maxLength={300}
+                            placeholder="Reason (optional)"
+                            value={draft.reason}
+                            onChange={(event) => updateChangeDraft(team._id, 'reason', event.target.value)}
+                          />
+                          <button
+                            type="button"
+                            className="btn btn-secondary"
+                            onClick={() => handleRequestChange(team._id)}
+                            disabled={updatingTeamId === team._id}
+                          >
+                            {updatingTeamId === team._id ? 'Sending...' : 'Request Change'}
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })()}
+
                 <div className="team-members">
                   <h4>Members</h4>
                   <ul>
@@ -1,7 +1,8 @@
 import { useEffect, useState } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { registrationsAPI } from '../utils/api';
-import { formatDate, formatTime } from '../utils/helpers';
+import { formatDate, formatTime, downloadBlob } from '../utils/helpers';
+import { useToast } from '../components/Toast';
 import './TicketPage.css';
 
 const TicketPage = () => {
@@ -9,6 +10,9 @@ const TicketPage = () => {
   const [registration, setRegistration] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [downloading, setDownloading] = useState(false);
+  const [downloadingReceipt, setDownloadingReceipt] = useState(false);
+  const { showError } = useToast();
 
   useEffect(() => {
     const load = async () => {
@@ -29,6 +33,30 @@ const TicketPage = () => {
     load();
   }, [id]);
 
+  const handleDownload = async () => {
+    try {
+      setDownloading(true);
+      const { blob, fileName } = await registrationsAPI.downloadTicketPdf(id);
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      showError(err.message || 'Failed to download ticket');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleDownloadReceipt = async () => {
+    try {
+      setDownloadingReceipt(true);
+      const { blob, fileName } = await registrationsAPI.downloadReceiptPdf(id);
+      downloadBlob(blob, fileName);
+    } catch (err) {
+      showError(err.message || 'Failed to download receipt');
+    } finally {
+      setDownloadingReceipt(false);
+    }
+  };
+
   if (loading) {
     return <div className="ticket-page"><p>Loading ticket...</p></div>;
   }
@@ -43,6 +71,7 @@ const TicketPage = () => {
   }
 
   const event = registration.event || {};
+  const hasReceipt = ['paid', 'refunded'].includes(registration.paymentStatus) && registration.amountPaid > 0;
 
   return (
     <div className="ticket-page">
@@ -65,6 +94,7 @@ const TicketPage = () => {
               <p>Team: {registration.teamName}</p>
             )}
             <p>Status: {registration.status}</p>
+            {registration.receiptNumber && <p>Receipt: {registration.receiptNumber}</p>}
           </div>
           {registration.ticketQr && (
             <div className="ticket-qr">
@@ -75,6 +105,16 @@ const TicketPage = () => {
         </div>
 
         <div className="ticket-footer">
+          {registration.ticketQr && registration.status === 'confirmed' && (
+            <button className="btn btn-primary" onClick={handleDownload} disabled={downloading}>
+              {downloading ? 'Preparing PDF...' : '⬇ Download PDF'}
+            </button>
+          )}
+          {hasReceipt && (
+            <button className="btn btn-outline" onClick={handleDownloadReceipt} disabled={downloadingReceipt}>
+              {downloadingReceipt ? 'Preparing receipt...' : '🧾 Download Receipt'}
+            </button>
+          )}
           <Link to={`/event/${event._id || event.id || ''}`} className="btn btn-outline">Event Details</Link>
           <Link to="/dashboard" className="btn btn-secondary">My Dashboard</Link>
         </div>
@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { certificatesAPI } from '../utils/api';
+import { formatDate } from '../utils/helpers';
+import './VerifyCertificate.css';
+
+function VerifyCertificate() {
+  const { code } = useParams();
+  const navigate = useNavigate();
+  const [input, setInput] = useState(code || '');
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!code) return;
+
+    const verify = async () => {
+      try {
+        setLoading(true);
+        setError('');
+        setResult(null);
+        const response = await certificatesAPI.verify(code);
+        if (response.success) {
+          setResult(response.data);
+        }
+      } catch (err) {
+        setError(err.message || 'No certificate matches this code');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    setInput(code);
+    verify();
+  }, [code]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const value = input.trim().toUpperCase();
+    if (value) {
+      navigate(`/certificates/verify/${value}`);
+    }
+  };
+
+  return (
+    <div className="verify-certificate">
+      <div className="verify-card">
+        <h1>Verify a Certificate</h1>
+        <p className="verify-hint">Enter the verification code printed on the certificate.</p>
+
+        <form className="verify-form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            placeholder="CERT-XXXXX-XXXXX"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+          />
+          <button type="submit" className="btn btn-primary" disabled={loading}>
+            {loading ? 'Checking...' : 'Verify'}
+          </button>
+        </form>
+
+        {error && (
+          <div className="verify-result invalid">
+            <h2>✗ Not Verified</h2>
+            <p>{error}</p>
+          </div>
+        )}
+
+        {result && (
+          <div className="verify-result valid">
+            <h2>✓ Authentic Certificate</h2>
+            <dl>
+              <dt>Awarded to</dt>
+              <dd>{result.participantName}</dd>
+              <dt>Event</dt>
+              <dd>{result.eventTitle}</dd>
+              {result.eventDate && (
+                <>
+                  <dt>Event date</dt>
+                  <dd>{formatDate(result.eventDate)}</dd>
+                </>
+              )}
+              {result.organizerName && (
+                <>
+                  <dt>Organized by</dt>
+                  <dd>{result.organizerName}</dd>
+                </>
+              )}
+              <dt>Issued</dt>
+              <dd>{formatDate(result.issuedAt)}</dd>
+              <dt>Code</dt>
+              <dd>{result.code}</dd>
+            </dl>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default VerifyCertificate;
@@ -133,6 +133,8 @@ export const eventsAPI = {
 
   getStats: (id) => apiCall(`/events/${id}/stats`),
 
+  getSeries: (seriesId) => apiCall(`/events/series/${seriesId}`),
+
   approve: (id, status, rejectionReason) =>
     apiCall(`/events/${id}/approve`, {
       method: 'PUT',
@@ -142,6 +144,12 @@ export const eventsAPI = {
   publish: (id) =>
     apiCall(`/events/${id}/publish`, {
       method: 'PUT'
+    }),
+
+  cancel: (id, reason) =>
+    apiCall(`/events/${id}/cancel`, {
+      method: 'PUT',
+      body: JSON.stringify({ reason }),
     })
 };
 
@@ -174,6 +182,45 @@ export const registrationsAPI = {
       body: JSON.stringify({ action }),
     }),
 
+  joinTeamByCode: (code) =>
+    apiCall('/registrations/team/join', {
+      method: 'POST',
+      body: JSON.stringify({ code }),
+    }),
+
+  getMyJoinRequests: () => apiCall('/registrations/team/join-requests/me'),
+
+  respondToJoinRequest: (teamId, requestId, action) =>
+    apiCall(`/registrations/team/${teamId}/join-requests/${requestId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ action }),
+    }),
+
+  updateTeamCode: (teamId, settings) =>
+    apiCall(`/registrations/team/${teamId}/code`, {
+      method: 'PUT',
+      body: JSON.stringify(settings),
+    }),
+
+  requestTeamChange: (teamId, change) =>
+    apiCall(`/registrations/team/${teamId}/changes`, {
+      method: 'POST',
+      body: JSON.stringify(change),
+    }),
+
+  withdrawTeamChange: (teamId, changeId) =>
+    apiCall(`/registrations/team/${teamId}/changes/${changeId}`, {
+      method: 'DELETE',
+    }),
+
+  getTeamChangeRequests: (eventId) => apiCall(`/registrations/team/changes/event/${eventId}`),
+
+  reviewTeamChange: (teamId, changeId, action, note) =>
+    apiCall(`/registrations/team/${teamId}/changes/${changeId}/review`, {
+      method: 'PUT',
+      body: JSON.stringify({ action, note }),
+    }),
+
   register: (registrationData) =>
     apiCall('/registrations', {
       method: 'POST',
@@ -187,6 +234,11 @@ export const registrationsAPI = {
       body: JSON.stringify({ eventId, ...formData }),
     }),
 
+  registerForSeries: (seriesId) =>
+    apiCall(`/registrations/series/${seriesId}`, {
+      method: 'POST',
+    }),
+
   getMyRegistrations: () => apiCall('/registrations/my-registrations'),
 
   // Alias for getMyRegistrations
@@ -196,6 +248,24 @@ export const registrationsAPI = {
 
   getEventRegistrations: (eventId) => apiCall(`/registrations/event/${eventId}`),
 
+  reorderWaitlist: (eventId, order) =>
+    apiCall(`/registrations/event/${eventId}/waitlist`, {
+      method: 'PUT',
+      body: JSON.stringify({ order }),
+    }),
+
+  reviewRegistration: (id, decision, reason) =>
+    apiCall(`/registrations/${id}/screening`, {
+      method: 'PUT',
+      body: JSON.stringify({ decision, reason }),
+    }),
+
+  bulkApproveRegistrations: (eventId, registrationIds) =>
+    apiCall(`/registrations/event/${eventId}/screening/approve`, {
+      method: 'PUT',
+      body: JSON.stringify({ registrationIds }),
+    }),
+
   updateRegistrationStatus: (id, status) =>
     apiCall(`/registrations/${id}/status`, {
       method: 'PUT',
@@ -224,10 +294,67 @@ export const registrationsAPI = {
       method: 'PUT',
     }),
 
-  uploadPaymentProof: (id, file) => {
+  downloadTicketPdf: async (id) => {
+    const token = getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/registrations/${id}/ticket-pdf`, {
+      method: 'GET',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` })
+      }
+    });
+
+    if (!response.ok) {
+      let message = 'Failed to download ticket';
+      try {
+        const data = await response.json();
+        message = data.message || message;
+      } catch {
+        message = `Download failed with status ${response.status}`;
+      }
+      throw new Error(message);
+    }
+
+    const blob = await response.blob();
+    const contentDisposition = response.headers.get('content-disposition') || '';
+    const nameMatch = contentDisposition.match(/filename="([^"]+)"/i);
+    const fileName = nameMatch?.[1] || 'ticket.pdf';
+    return { blob, fileName };
+  },
+
+  downloadReceiptPdf: async (id) => {
+    const token = getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/registrations/${id}/receipt-pdf`, {
+      method: 'GET',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` })
+      }
+    });
+
+    if (!response.ok) {
+      let message = 'Failed to download receipt';
+      try {
+        const data = await response.json();
+        message = data.message || message;
+      } catch {
+        message = `Download failed with status ${response.status}`;
+      }
+      throw new Error(message);
+    }
+
+    const blob = await response.blob();
+    const contentDisposition = response.headers.get('content-disposition') || '';
+    const nameMatch = contentDisposition.match(/filename="([^"]+)"/i);
+    const fileName = nameMatch?.[1] || 'receipt.pdf';
+    return { blob, fileName };
+  },
+
+  uploadPaymentProof: (id, file, transactionId) => {
     const token = getAuthToken();
     const formData = new FormData();
     formData.append('proof', file);
+    if (transactionId) {
+      formData.append('transactionId', transactionId);
+    }
     return fetch(`${API_BASE_URL}/registrations/${id}/payment-proof`, {
       method: 'POST',
       headers: {
@@ -243,9 +370,27 @@ export const registrationsAPI = {
     });
   },
 
-  checkIn: (id) =>
+  // options: { sessionId } for agenda sessions, or { direction: 'entry' | 'exit', gate }
+  checkIn: (id, options = {}) =>
     apiCall(`/registrations/${id}/checkin`, {
       method: 'PUT',
+      body: JSON.stringify(options),
+    }),
+
+  getOccupancy: (eventId) => apiCall(`/registrations/event/${eventId}/occupancy`),
+
+  batchCheckIn: (eventId, checkIns) =>
+    apiCall(`/registrations/event/${eventId}/checkin/batch`, {
+      method: 'POST',
+      body: JSON.stringify({ checkIns }),
+    }),
+
+  getTicketPublicKey: () => apiCall('/registrations/tickets/public-key'),
+
+  verifyTicket: (token, eventId) =>
+    apiCall('/registrations/tickets/verify', {
+      method: 'POST',
+      body: JSON.stringify({ token, eventId }),
     }),
 
   getOrganizerRegistrations: () => apiCall('/registrations/organizer/my-registrations'),
@@ -478,6 +623,210 @@ export const feedbackAPI = {
     }),
 };
 
+// Discount codes API
+export const discountsAPI = {
+  getAll: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiCall(`/discounts${queryString ? `?${queryString}` : ''}`);
+  },
+
+  create: (codeData) =>
+    apiCall('/discounts', {
+      method: 'POST',
+      body: JSON.stringify(codeData),
+    }),
+
+  update: (id, codeData) =>
+    apiCall(`/discounts/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(codeData),
+    }),
+
+  delete: (id) =>
+    apiCall(`/discounts/${id}`, {
+      method: 'DELETE',
+    }),
+
+  validate: (eventId, code, amount) =>
+    apiCall('/discounts/validate', {
+      method: 'POST',
+      body: JSON.stringify({ eventId, code, amount }),
+    }),
+};
+
+// Certificates API
+export const certificatesAPI = {
+  getMine: () => apiCall('/certificates/my'),
+
+  download: async (registrationId) => {
+    const token = getAuthToken();
+    const response = await fetch(`${API_BASE_URL}/certificates/registration/${registrationId}/pdf`, {
+      method: 'GET',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` })
+      }
+    });
+
+    if (!response.ok) {
+      let message = 'Failed to download certificate';
+      try {
+        const data = await response.json();
+        message = data.message || message;
+      } catch {
+        message = `Download failed with status ${response.status}`;
+      }
+      throw new Error(message);
+    }
+
+    const blob = await response.blob();
+    const contentDisposition = response.headers.get('content-disposition') || '';
+    const nameMatch = contentDisposition.match(/filename="([^"]+)"/i);
+    const fileName = nameMatch?.[1] || 'certificate.pdf';
+    return { blob, fileName };
+  },
+
+  getForEvent: (eventId) => apiCall(`/certificates/event/${eventId}`),
+
+  emailForEvent: (eventId, resend = false) =>
+    apiCall(`/certificates/event/${eventId}/email`, {
+      method: 'POST',
+      body: JSON.stringify({ resend }),
+    }),
+
+  verify: (code) => apiCall(`/certificates/verify/${encodeURIComponent(code)}`),
+};
+
+// Refunds API
+export const refundsAPI = {
+  getMine: () => apiCall('/refunds/my'),
+
+  getOrganizerRefunds: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiCall(`/refunds/organizer${queryString ? `?${queryString}` : ''}`);
+  },
+
+  process: (id, data) =>
+    apiCall(`/refunds/${id}`, {
+      method: 'PUT',
+      body: JSON.stringify(data),
+    }),
+};
+
+// Payments API
+export const paymentsAPI = {
+  getProviders: () => apiCall('/payments/providers'),
+
+  checkout: (registrationId, provider) =>
+    apiCall(`/payments/registrations/${registrationId}/checkout`, {
+      method: 'POST',
+      body: JSON.stringify(provider ? { provider } : {}),
+    }),
+
+  getUpi: (registrationId) => apiCall(`/payments/registrations/${registrationId}/upi`),
+
+  previewReconciliation: (eventId, file) => {
+    const token = getAuthToken();
+    const formData = new FormData();
+    formData.append('statement', file);
+    return fetch(`${API_BASE_URL}/payments/reconcile/event/${eventId}`, {
+      method: 'POST',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` })
+      },
+      body: formData
+    }).then(async (res) => {
+      const data = await res.json();
+      if (!res.ok) {
+        throw new Error(data.message || data.error || `API request failed with status ${res.status}`);
+      }
+      return data;
+    });
+  },
+
+  // matches: [{ registrationId, transactionId, amount }]
+  confirmReconciliation: (eventId, matches) =>
+    apiCall(`/payments/reconcile/event/${eventId}/confirm`, {
+      method: 'POST',
+      body: JSON.stringify({ matches }),
+    }),
+
+  getMockOrder: (orderId) => apiCall(`/payments/mock/orders/${orderId}`),
+
+  completeMockOrder: (orderId, outcome) =>
+    apiCall(`/payments/mock/orders/${orderId}/complete`, {
+      method: 'POST',
+      body: JSON.stringify({ outcome }),
+    }),
+};
+
+// Ledger API
+export const ledgerAPI = {
+  getLedger: (params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiCall(`/ledger${queryString ? `?${queryString}` : ''}`);
+  },
+
+  exportLedger: async (params = {}) => {
+    const token = getAuthToken();
+    const queryString = new URLSearchParams(params).toString();
+    const response = await fetch(`${API_BASE_URL}/ledger/export${queryString ? `?${queryString}` : ''}`, {
+      method: 'GET',
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` })
+      }
+    });
+
+    if (!response.ok) {
+      let message = 'Failed to export ledger';
+      try {
+        const data = await response.json();
+        message = data.message || message;
+      } catch {
+        message = `Export failed with status ${response.status}`;
+      }
+      throw new Error(message);
+    }
+
+    const blob = await response.blob();
+    const contentDisposition = response.headers.get('content-disposition') || '';
+    const nameMatch = contentDisposition.match(/filename="([^"]+)"/i);
+    const fileName = nameMatch?.[1] || 'ledger.csv';
+    return { blob, fileName };
+  },
+
+  createEntry: (data) =>
+    apiCall('/ledger/entries', {
+      method: 'POST',
+      body: JSON.stringify(data),
+    }),
+
+  getClubBalances: () => apiCall('/ledger/clubs'),
+};
+
+// Teammate finder API
+export const teammatesAPI = {
+  getEventPosts: (eventId, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return apiCall(`/teammates/event/${eventId}${queryString ? `?${queryString}` : ''}`);
+  },
+
+  createPost: (post) =>
+    apiCall('/teammates', {
+      method: 'POST',
+      body: JSON.stringify(post),
+    }),
+
+  closePost: (id) =>
+    apiCall(`/teammates/${id}/close`, {
+      method: 'PUT',
+    }),
+
+  inviteFromPost: (id) =>
+    apiCall(`/teammates/${id}/invite`, {
+      method: 'POST',
+    }),
+};
+
 export default {
   auth: authAPI,
   events: eventsAPI,
@@ -486,4 +835,10 @@ export default {
   admin: adminAPI,
   discussions: discussionsAPI,
   feedback: feedbackAPI,
+  discounts: discountsAPI,
+  certificates: certificatesAPI,
+  refunds: refundsAPI,
+  payments: paymentsAPI,
+  ledger: ledgerAPI,
+  teammates: teammatesAPI,
 };
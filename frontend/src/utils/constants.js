@@ -50,6 +50,7 @@ export const REGISTRATION_STATUS = {
   CANCELLED: 'cancelled',
   REJECTED: 'rejected',
   COMPLETED: 'completed',
+  WAITLISTED: 'waitlisted',
 };
 
 // Payment Status (for Merchandise)
@@ -66,6 +66,17 @@ export const formatTime = (timeString) => {
   return `${displayHour}:${minutes} ${ampm}`;
 };
 
+/**
+ * Format an agenda session's time range
+ */
+export const formatSessionTime = (startTime, endTime) => {
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const day = start.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+  const timeOptions = { hour: '2-digit', minute: '2-digit' };
+  return `${day} · ${start.toLocaleTimeString('en-US', timeOptions)} – ${end.toLocaleTimeString('en-US', timeOptions)}`;
+};
+
 /**
  * Validate email address
  */
@@ -307,6 +318,34 @@ export const exportToCSV = (data, filename) => {
   link.click();
 };
 
+/**
+ * Save a downloaded file (e.g. a PDF from the API) to disk
+ */
+export const downloadBlob = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Describe an event's refund policy for participants
+ */
+export const getRefundPolicyLabel = (event) => {
+  const policy = event?.refundPolicy || {};
+  const mode = policy.mode || 'full';
+  if (mode === 'none') return 'No refunds on cancellation';
+
+  const amount = mode === 'partial' ? `${policy.partialPercent || 50}% refund` : 'Full refund';
+  return policy.deadline
+    ? `${amount} if cancelled before ${formatDateShort(policy.deadline)}`
+    : `${amount} if cancelled before the event starts`;
+};
+
 /**
  * Debounce function
  */
@@ -383,3 +422,16 @@ export const calculateEventStats = (registrations) => {
     confirmationRate: total > 0 ? ((confirmed / total) * 100).toFixed(1) : 0,
   };
 };
+
+/**
+ * Attendance days are UTC calendar dates (YYYY-MM-DD), matching the server
+ */
+export const getAttendanceDayKey = (date = new Date()) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Latest entry/exit scan for a registration on the given day
+ */
+export const getLastMovement = (registration, day = getAttendanceDayKey()) => (registration.attendanceLog || [])
+  .filter(entry => entry.day === day)
+  .sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt))
+  .pop();
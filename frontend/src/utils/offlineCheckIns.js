@@ -0,0 +1,81 @@
+/**
+ * IndexedDB storage for the check-in page: a snapshot of each event's
+ * registrations for offline lookups, and a queue of check-ins awaiting sync.
+ */
+
+const DB_NAME = 'eventhub-checkin';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+const QUEUE_STORE = 'queue';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!window.indexedDB) {
+        reject(new Error('Offline storage is not available in this browser'));
+        return;
+      }
+
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+          db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'eventId' });
+        }
+        if (!db.objectStoreNames.contains(QUEUE_STORE)) {
+          const queue = db.createObjectStore(QUEUE_STORE, { keyPath: 'localId', autoIncrement: true });
+          queue.createIndex('eventId', 'eventId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (storeName, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Cache the event, its registrations and the ticket verification key.
+ */
+export const saveEventSnapshot = (eventId, { event, registrations, ticketPublicKey }) =>
+  runRequest(SNAPSHOT_STORE, 'readwrite', store => store.put({
+    eventId,
+    event,
+    registrations,
+    ticketPublicKey,
+    cachedAt: new Date().toISOString()
+  }));
+
+export const getEventSnapshot = (eventId) =>
+  runRequest(SNAPSHOT_STORE, 'readonly', store => store.get(eventId));
+
+// Queue a check-in made without connectivity; resolves to its localId
+export const queueCheckIn = (eventId, checkIn) =>
+  runRequest(QUEUE_STORE, 'readwrite', store => store.add({ ...checkIn, eventId }));
+
+export const getQueuedCheckIns = (eventId) =>
+  runRequest(QUEUE_STORE, 'readonly', store => store.index('eventId').getAll(eventId));
+
+export const removeQueuedCheckIns = (localIds) =>
+  runRequest(QUEUE_STORE, 'readwrite', (store) => {
+    localIds.forEach(localId => store.delete(localId));
+    return null;
+  });
+
+// fetch rejects with a TypeError when the network is unreachable
+export const isNetworkError = (error) => !navigator.onLine || error instanceof TypeError;
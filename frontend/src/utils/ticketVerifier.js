@@ -0,0 +1,86 @@
+/**
+ * Client-side verification of signed EventHub tickets (EH1.<payload>.<signature>).
+ * Signatures are Ed25519 over "EH1.<payload>", checked with the server's public key.
+ */
+
+const TICKET_TOKEN_PREFIX = 'EH1';
+
+const base64UrlToBytes = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), char => char.charCodeAt(0));
+};
+
+export const isSignedTicket = (value) => String(value || '').trim().startsWith(`${TICKET_TOKEN_PREFIX}.`);
+
+/**
+ * Import the raw public key from /registrations/tickets/public-key.
+ * Resolves to null when the browser has no Ed25519 support.
+ */
+export const importTicketPublicKey = async (publicKey) => {
+  if (!publicKey || !window.crypto?.subtle) return null;
+  try {
+    return await window.crypto.subtle.importKey(
+      'raw',
+      base64UrlToBytes(publicKey),
+      { name: 'Ed25519' },
+      false,
+      ['verify']
+    );
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Verify a scanned token. Returns { payload } or { error }.
+ */
+export const verifyTicketToken = async (token, key) => {
+  const parts = String(token || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== TICKET_TOKEN_PREFIX) {
+    return { error: 'Not a signed EventHub ticket' };
+  }
+
+  const [prefix, payloadPart, signaturePart] = parts;
+  let valid = false;
+  try {
+    valid = await window.crypto.subtle.verify(
+      { name: 'Ed25519' },
+      key,
+      base64UrlToBytes(signaturePart),
+      new TextEncoder().encode(`${prefix}.${payloadPart}`)
+    );
+  } catch {
+    valid = false;
+  }
+  if (!valid) {
+    return { error: 'Ticket signature is invalid' };
+  }
+
+  try {
+    const payload = JSON.parse(new TextDecoder().decode(base64UrlToBytes(payloadPart)));
+    if (!payload.t || !payload.r || !payload.e) {
+      return { error: 'Ticket payload is incomplete' };
+    }
+    return { payload };
+  } catch {
+    return { error: 'Ticket payload is unreadable' };
+  }
+};
+
+/**
+ * Revocation check against the scanner's copy of the registration.
+ * Returns an error message, or null when the ticket may be admitted.
+ */
+export const getTicketRevocationError = (registration, payload) => {
+  if (!registration || registration.ticketId !== payload.t) {
+    return 'Ticket does not match any registration';
+  }
+  if (registration.status !== 'confirmed') {
+    return 'Ticket has been revoked';
+  }
+  if ((registration.ticketVersion || 1) !== payload.v) {
+    return 'Ticket has been replaced by a newer copy';
+  }
+  return null;
+};